@@ -1,49 +1,75 @@
-const jwt = require('jsonwebtoken');
-const sqlite3 = require('sqlite3').verbose();
-// Fixed database path - use relative path
-const db = new sqlite3.Database('./crowdfunding.db');
+const models = require('../models');
+const { verifyAccessToken } = require('../utils/sessions');
+const { isRequiredForUser } = require('../utils/twoFactor');
 require('dotenv').config({ path: './.env' });
 
-module.exports = function(req, res, next) {
-  // Get token from header
-  const token = req.header('x-auth-token');
+// Routes use `auth`. Users who must use two-factor authentication (platform setting
+// twoFactorRequiredRoles, see utils/twoFactor.js) but haven't enrolled yet are
+// turned away with TWO_FACTOR_SETUP_REQUIRED, except on the routes that let them
+// enroll, which use `auth.allowTwoFactorSetup`.
+// What the user may do is decided by utils/permissions.js (middleware/authorize.js).
+function authenticate({ allowTwoFactorSetup }) {
+  return async function(req, res, next) {
+    // Get token from header
+    const token = req.header('x-auth-token');
 
-  // Check if no token
-  if (!token) {
-    return res.status(401).json({ msg: 'No token, authorization denied' });
-  }
+    // Check if no token
+    if (!token) {
+      return res.status(401).json({ msg: 'No token, authorization denied' });
+    }
+
+    // Verify token and that its session hasn't been revoked
+    let decoded;
+    try {
+      decoded = await verifyAccessToken(models.sessions, token);
+    } catch (err) {
+      console.error(err.message);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+
+    if (!decoded) {
+      return res.status(401).json({ msg: 'Token is not valid' });
+    }
 
-  // Verify token
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_jwt_secret_key_for_development');
-    
     // Fetch full user details from database
-    db.get(
-      'SELECT id, username, email, role, wallet_address FROM users WHERE id = ?',
-      [decoded.user.id],
-      (err, user) => {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).json({ msg: 'Server error' });
-        }
-        
-        if (!user) {
-          return res.status(401).json({ msg: 'Token is not valid' });
-        }
-        
-        req.user = {
-          id: user.id,
-          username: user.username,
-          email: user.email,
-          role: user.role,
-          wallet_address: user.wallet_address,
-          isAdmin: user.role === 'admin'
-        };
-        
-        next();
+    let user;
+    let twoFactorSetupRequired = false;
+    try {
+      user = await models.users.findById(decoded.user.id);
+      if (user && await isRequiredForUser(models, user)) {
+        twoFactorSetupRequired = !(await models.twoFactor.isEnabled(user.id));
       }
-    );
-  } catch (err) {
-    res.status(401).json({ msg: 'Token is not valid' });
-  }
-};
\ No newline at end of file
+    } catch (err) {
+      console.error(err.message);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+
+    if (!user) {
+      return res.status(401).json({ msg: 'Token is not valid' });
+    }
+
+    if (twoFactorSetupRequired && !allowTwoFactorSetup) {
+      return res.status(403).json({
+        msg: 'Set up two-factor authentication to continue',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
+    req.user = {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      email_verified: Boolean(user.email_verified_at),
+      role: user.role,
+      wallet_address: user.wallet_address,
+      wallet_verified: Boolean(user.wallet_verified_at),
+      two_factor_setup_required: twoFactorSetupRequired
+    };
+    req.sessionId = decoded.sid;
+
+    next();
+  };
+}
+
+module.exports = authenticate({ allowTwoFactorSetup: false });
+module.exports.allowTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
@@ -0,0 +1,31 @@
+const models = require('../models');
+const { can } = require('../utils/permissions');
+
+// Only lets through users who may perform the action (see utils/permissions.js).
+// Use after middleware/auth.js.
+// For actions on a campaign, pass a function picking the campaign id out of the
+// request: the campaign is loaded (404 when it doesn't exist) and left in req.campaign.
+// Routes that find the campaign some other way call can() themselves.
+module.exports = function authorize(action, campaignId) {
+  return async function(req, res, next) {
+    let campaign = null;
+    try {
+      if (campaignId) {
+        campaign = await models.campaigns.findById(campaignId(req));
+        if (!campaign) {
+          return res.status(404).json({ msg: 'Campaign not found' });
+        }
+      }
+
+      if (!(await can(req.user, action, campaign))) {
+        return res.status(403).json({ msg: 'Not authorized' });
+      }
+    } catch (err) {
+      console.error(err.message);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+
+    req.campaign = campaign;
+    next();
+  };
+};
@@ -0,0 +1,13 @@
+// Only lets through users who have confirmed their email address
+// (POST api/auth/verify-email). Use after middleware/auth.js.
+
+module.exports = function(req, res, next) {
+  if (!req.user.email_verified) {
+    return res.status(403).json({
+      msg: 'Please verify your email address first',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
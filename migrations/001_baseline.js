@@ -0,0 +1,224 @@
+// Baseline schema - everything server.js used to create or ALTER on every boot,
+// plus the indexes and OAuth columns from the old run-once scripts.
+// Safe to run against a database created before migrations existed: tables are
+// only created when missing, missing columns are added, and tables whose CHECK
+// constraints are out of date are rebuilt.
+
+const TABLES = {
+  users: `CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    email TEXT UNIQUE NOT NULL,
+    password TEXT NOT NULL,
+    role TEXT NOT NULL CHECK(role IN ('admin', 'donor', 'fundraiser')),
+    wallet_address TEXT,
+    name TEXT NOT NULL,
+    phone TEXT,
+    address TEXT,
+    emergency_contact TEXT,
+    emergency_phone TEXT,
+    oauth_provider TEXT,
+    oauth_id TEXT,
+    profile_picture TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  campaigns: `CREATE TABLE IF NOT EXISTS campaigns (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,
+    description TEXT NOT NULL,
+    goal REAL NOT NULL,
+    current_amount REAL DEFAULT 0,
+    creator_id INTEGER,
+    wallet_address TEXT,
+    image_url TEXT,
+    document_url TEXT,
+    deadline DATETIME,
+    status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'approved', 'rejected', 'active', 'completed', 'failed')),
+    approved_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    blockchain_campaign_id TEXT,
+    transaction_hash TEXT,
+    is_withdrawn INTEGER DEFAULT 0,
+    category TEXT DEFAULT 'general',
+    confirmed_at DATETIME,
+    blockchain_goal REAL,
+    FOREIGN KEY (creator_id) REFERENCES users (id),
+    FOREIGN KEY (approved_by) REFERENCES users (id)
+  )`,
+
+  donations: `CREATE TABLE IF NOT EXISTS donations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    campaign_id INTEGER,
+    donor_id INTEGER,
+    amount REAL NOT NULL,
+    transaction_hash TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    donor_address TEXT,
+    FOREIGN KEY (campaign_id) REFERENCES campaigns (id),
+    FOREIGN KEY (donor_id) REFERENCES users (id)
+  )`,
+
+  usage_requests: `CREATE TABLE IF NOT EXISTS usage_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    campaign_id INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    category TEXT NOT NULL DEFAULT 'OTHER',
+    requested_amount REAL NOT NULL,
+    actual_amount REAL,
+    description TEXT,
+    status TEXT NOT NULL DEFAULT 'PENDING' CHECK(status IN ('PENDING','APPROVED','REJECTED','SPENT')),
+    onchain_tx_hash TEXT,
+    supporting_docs_url TEXT,
+    created_by INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (campaign_id) REFERENCES campaigns (id),
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`,
+
+  withdrawal_requests: `CREATE TABLE IF NOT EXISTS withdrawal_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    campaign_id INTEGER NOT NULL,
+    request_id INTEGER NOT NULL,
+    amount REAL NOT NULL,
+    usage_details TEXT NOT NULL,
+    transaction_hash TEXT,
+    executed INTEGER DEFAULT 0,
+    document_url TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (campaign_id) REFERENCES campaigns (id)
+  )`,
+
+  usage_votes: `CREATE TABLE IF NOT EXISTS usage_votes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    usage_request_id INTEGER NOT NULL,
+    donor_id INTEGER NOT NULL,
+    donor_wallet_address TEXT,
+    vote INTEGER NOT NULL CHECK(vote IN (0,1)),
+    donated_amount REAL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(usage_request_id, donor_id),
+    FOREIGN KEY (usage_request_id) REFERENCES usage_requests (id),
+    FOREIGN KEY (donor_id) REFERENCES users (id)
+  )`,
+
+  fund_usage_plans: `CREATE TABLE IF NOT EXISTS fund_usage_plans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    campaign_id INTEGER NOT NULL,
+    category TEXT NOT NULL,
+    amount REAL NOT NULL,
+    description TEXT,
+    bill_url TEXT,
+    approval_status TEXT DEFAULT 'pending',
+    approved_by_count INTEGER DEFAULT 0,
+    withdrawal_status TEXT DEFAULT 'pending',
+    withdrawn_at DATETIME,
+    withdrawal_tx_hash TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (campaign_id) REFERENCES campaigns (id)
+  )`,
+
+  fund_plan_approvals: `CREATE TABLE IF NOT EXISTS fund_plan_approvals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    plan_id INTEGER NOT NULL,
+    donor_id INTEGER NOT NULL,
+    approved INTEGER NOT NULL CHECK(approved IN (0,1)),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(plan_id, donor_id),
+    FOREIGN KEY (plan_id) REFERENCES fund_usage_plans (id),
+    FOREIGN KEY (donor_id) REFERENCES users (id)
+  )`,
+
+  notifications: `CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    campaign_id INTEGER,
+    type TEXT NOT NULL CHECK(type IN ('campaign_approved', 'campaign_rejected', 'campaign_deployed', 'admin_message', 'wallet_mismatch')),
+    title TEXT NOT NULL,
+    message TEXT NOT NULL,
+    read_status INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (campaign_id) REFERENCES campaigns (id)
+  )`
+};
+
+// Columns that older databases gained through ALTER TABLE on boot
+const ADDED_COLUMNS = [
+  ['users', 'phone', 'TEXT'],
+  ['users', 'address', 'TEXT'],
+  ['users', 'emergency_contact', 'TEXT'],
+  ['users', 'emergency_phone', 'TEXT'],
+  ['users', 'oauth_provider', 'TEXT'],
+  ['users', 'oauth_id', 'TEXT'],
+  ['users', 'profile_picture', 'TEXT'],
+  ['campaigns', 'blockchain_campaign_id', 'TEXT'],
+  ['campaigns', 'transaction_hash', 'TEXT'],
+  ['campaigns', 'category', "TEXT DEFAULT 'general'"],
+  ['campaigns', 'is_withdrawn', 'INTEGER DEFAULT 0'],
+  ['campaigns', 'confirmed_at', 'DATETIME'],
+  ['campaigns', 'blockchain_goal', 'REAL'],
+  ['donations', 'donor_address', 'TEXT'],
+  ['withdrawal_requests', 'document_url', 'TEXT'],
+  ['fund_usage_plans', 'approval_status', "TEXT DEFAULT 'pending'"],
+  ['fund_usage_plans', 'approved_by_count', 'INTEGER DEFAULT 0'],
+  ['fund_usage_plans', 'withdrawal_status', "TEXT DEFAULT 'pending'"],
+  ['fund_usage_plans', 'withdrawn_at', 'DATETIME'],
+  ['fund_usage_plans', 'withdrawal_tx_hash', 'TEXT']
+];
+
+// Tables whose CHECK constraint was widened after they were first created.
+// If the stored definition lacks the marker the table is rebuilt from TABLES.
+const WIDENED_CONSTRAINTS = [
+  ['campaigns', "'failed'"],
+  ['notifications', "'wallet_mismatch'"]
+];
+
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_usage_requests_campaign ON usage_requests (campaign_id)',
+  'CREATE INDEX IF NOT EXISTS idx_usage_votes_request ON usage_votes (usage_request_id)',
+  'CREATE INDEX IF NOT EXISTS idx_campaigns_status ON campaigns (status)',
+  'CREATE INDEX IF NOT EXISTS idx_campaigns_creator ON campaigns (creator_id)',
+  'CREATE INDEX IF NOT EXISTS idx_campaigns_blockchain ON campaigns (blockchain_campaign_id)',
+  'CREATE INDEX IF NOT EXISTS idx_donations_campaign ON donations (campaign_id)',
+  'CREATE INDEX IF NOT EXISTS idx_donations_donor ON donations (donor_id)',
+  'CREATE INDEX IF NOT EXISTS idx_users_email ON users (email)',
+  'CREATE INDEX IF NOT EXISTS idx_users_wallet ON users (wallet_address)',
+  'CREATE INDEX IF NOT EXISTS idx_withdrawal_requests_campaign ON withdrawal_requests (campaign_id)'
+];
+
+async function up(db) {
+  for (const createSql of Object.values(TABLES)) {
+    await db.run(createSql);
+  }
+
+  for (const [table, column, definition] of ADDED_COLUMNS) {
+    await db.addColumn(table, column, definition);
+  }
+
+  // Postgres databases have always been created from TABLES
+  if (db.dialect === 'sqlite') {
+    for (const [table, marker] of WIDENED_CONSTRAINTS) {
+      const { sql } = await db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+      if (!sql.includes(marker)) {
+        await db.rebuildTable(table, TABLES[table]);
+      }
+    }
+  }
+
+  for (const sql of INDEXES) {
+    await db.run(sql);
+  }
+}
+
+async function down(db) {
+  // Children first so the drops never leave dangling references behind
+  const tables = Object.keys(TABLES).reverse();
+  for (const table of tables) {
+    await db.run(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
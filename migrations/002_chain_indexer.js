@@ -0,0 +1,59 @@
+// Tables for utils/chainIndexer.js: the raw event log, the checkpoint and the
+// recent block hashes used for reorg detection, plus the confirmation state the
+// indexer keeps on the rows it derives from events.
+
+const DERIVED_COLUMNS = [
+  ['donations', 'confirmation_status', 'TEXT'],
+  ['donations', 'chain_event_id', 'INTEGER'],
+  ['withdrawal_requests', 'confirmation_status', 'TEXT'],
+  ['withdrawal_requests', 'chain_event_id', 'INTEGER']
+];
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS chain_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_name TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    block_timestamp INTEGER,
+    transaction_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    blockchain_campaign_id TEXT,
+    request_id TEXT,
+    account TEXT,
+    amount_wei TEXT,
+    payload TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(transaction_hash, log_index)
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_chain_events_campaign ON chain_events (blockchain_campaign_id)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_chain_events_block ON chain_events (block_number)');
+
+  await db.run(`CREATE TABLE IF NOT EXISTS indexer_state (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await db.run(`CREATE TABLE IF NOT EXISTS indexer_blocks (
+    block_number INTEGER PRIMARY KEY,
+    block_hash TEXT NOT NULL
+  )`);
+
+  // 'pending' until the source event has enough confirmations, then 'confirmed'.
+  // 'orphaned' marks rows whose transaction disappeared in a reorg.
+  await db.addColumn('chain_events', 'confirmed', 'INTEGER DEFAULT 0');
+  for (const [table, column, definition] of DERIVED_COLUMNS) {
+    await db.addColumn(table, column, definition);
+  }
+}
+
+async function down(db) {
+  for (const [table, column] of DERIVED_COLUMNS) {
+    await db.dropColumn(table, column);
+  }
+  await db.run('DROP TABLE IF EXISTS indexer_blocks');
+  await db.run('DROP TABLE IF EXISTS indexer_state');
+  await db.run('DROP TABLE IF EXISTS chain_events');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// Server-side receipt verification state for blockchain donations
+// (see utils/donationVerifier.js)
+
+const COLUMNS = [
+  ['verification_status', 'TEXT'],
+  ['verification_error', 'TEXT'],
+  ['verified_at', 'DATETIME']
+];
+
+async function up(db) {
+  for (const [column, definition] of COLUMNS) {
+    await db.addColumn('donations', column, definition);
+  }
+}
+
+async function down(db) {
+  for (const [column] of COLUMNS) {
+    await db.dropColumn('donations', column);
+  }
+}
+
+module.exports = { up, down };
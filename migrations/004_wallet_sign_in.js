@@ -0,0 +1,79 @@
+// Sign-In With Ethereum (see utils/siwe.js): single-use challenge nonces, a
+// timestamp recording when a user proved they own their wallet_address, and an
+// optional email so accounts can be created from a wallet signature alone.
+
+// The baseline users table with email made optional and wallet_verified_at added
+const USERS = `CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    email TEXT UNIQUE,
+    password TEXT NOT NULL,
+    role TEXT NOT NULL CHECK(role IN ('admin', 'donor', 'fundraiser')),
+    wallet_address TEXT,
+    name TEXT NOT NULL,
+    phone TEXT,
+    address TEXT,
+    emergency_contact TEXT,
+    emergency_phone TEXT,
+    oauth_provider TEXT,
+    oauth_id TEXT,
+    profile_picture TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    wallet_verified_at DATETIME
+  )`;
+
+const BASELINE_USERS = USERS
+  .replace('email TEXT UNIQUE,', 'email TEXT UNIQUE NOT NULL,')
+  .replace(/,\s*wallet_verified_at DATETIME/, '');
+
+// Rebuilding users on SQLite drops its indexes
+const USER_INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_users_email ON users (email)',
+  'CREATE INDEX IF NOT EXISTS idx_users_wallet ON users (wallet_address)'
+];
+
+// A wallet can be verified by one account at a time
+const VERIFIED_WALLET_INDEX = `CREATE UNIQUE INDEX IF NOT EXISTS idx_users_verified_wallet
+  ON users (LOWER(wallet_address)) WHERE wallet_verified_at IS NOT NULL`;
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS auth_nonces (
+    nonce TEXT PRIMARY KEY,
+    address TEXT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  if (db.dialect === 'sqlite') {
+    // SQLite can't drop NOT NULL from a column in place
+    await db.rebuildTable('users', USERS);
+    for (const sql of USER_INDEXES) {
+      await db.run(sql);
+    }
+  } else {
+    await db.run('ALTER TABLE users ALTER COLUMN email DROP NOT NULL');
+    await db.addColumn('users', 'wallet_verified_at', 'DATETIME');
+  }
+
+  await db.run(VERIFIED_WALLET_INDEX);
+}
+
+// Fails (and is rolled back) while wallet-only accounts without an email exist
+async function down(db) {
+  await db.run('DROP INDEX IF EXISTS idx_users_verified_wallet');
+
+  if (db.dialect === 'sqlite') {
+    await db.rebuildTable('users', BASELINE_USERS);
+    for (const sql of USER_INDEXES) {
+      await db.run(sql);
+    }
+  } else {
+    await db.dropColumn('users', 'wallet_verified_at');
+    await db.run('ALTER TABLE users ALTER COLUMN email SET NOT NULL');
+  }
+
+  await db.run('DROP TABLE IF EXISTS auth_nonces');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,40 @@
+// Several wallets per account (see models/userWallets.js). users.wallet_address and
+// users.wallet_verified_at stay as a copy of the primary wallet, which is what the
+// rest of the schema (campaign creators, withdrawals) reads.
+
+const INDEXES = [
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_user_wallets_user_address ON user_wallets (user_id, LOWER(address))',
+  // A wallet can be verified by one account at a time
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_user_wallets_verified ON user_wallets (LOWER(address)) WHERE verified_at IS NOT NULL',
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_user_wallets_primary ON user_wallets (user_id) WHERE is_primary = 1'
+];
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS user_wallets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    address TEXT NOT NULL,
+    label TEXT,
+    is_primary INTEGER NOT NULL DEFAULT 0,
+    verified_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+
+  for (const sql of INDEXES) {
+    await db.run(sql);
+  }
+
+  // Every existing wallet becomes its user's primary wallet
+  await db.run(
+    `INSERT INTO user_wallets (user_id, address, is_primary, verified_at)
+     SELECT id, wallet_address, 1, wallet_verified_at FROM users
+     WHERE COALESCE(wallet_address, '') != ''`
+  );
+}
+
+async function down(db) {
+  await db.run('DROP TABLE IF EXISTS user_wallets');
+}
+
+module.exports = { up, down };
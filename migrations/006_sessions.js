@@ -0,0 +1,25 @@
+// Server-side sessions behind the access/refresh token pair (see utils/sessions.js)
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    refresh_token_hash TEXT NOT NULL UNIQUE,
+    previous_token_hash TEXT,
+    user_agent TEXT,
+    ip_address TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions (previous_token_hash)');
+}
+
+async function down(db) {
+  await db.run('DROP TABLE IF EXISTS sessions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+// Email verification (see utils/accountTokens.js). Accounts that existed before
+// verification was introduced count as verified, so they keep working.
+
+async function up(db) {
+  await db.addColumn('users', 'email_verified_at', 'DATETIME');
+  await db.run(
+    `UPDATE users SET email_verified_at = COALESCE(created_at, CURRENT_TIMESTAMP)
+     WHERE COALESCE(email, '') != ''`
+  );
+}
+
+async function down(db) {
+  await db.dropColumn('users', 'email_verified_at');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,42 @@
+// TOTP two-factor authentication (see utils/twoFactor.js) and the platform settings
+// admins manage from the dashboard (see models/platformSettings.js)
+
+async function up(db) {
+  // One row per user who started enrolling; enabled_at is set once they confirmed a code
+  await db.run(`CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_id INTEGER PRIMARY KEY,
+    secret TEXT NOT NULL,
+    enabled_at DATETIME,
+    last_used_step INTEGER,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    locked_until DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+
+  await db.run(`CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON two_factor_recovery_codes (user_id)');
+
+  await db.run(`CREATE TABLE IF NOT EXISTS platform_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_by INTEGER,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by) REFERENCES users (id)
+  )`);
+}
+
+async function down(db) {
+  await db.run('DROP TABLE IF EXISTS platform_settings');
+  await db.run('DROP TABLE IF EXISTS two_factor_recovery_codes');
+  await db.run('DROP TABLE IF EXISTS user_two_factor');
+}
+
+module.exports = { up, down };
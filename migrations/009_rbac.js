@@ -0,0 +1,76 @@
+// Permissions (see utils/permissions.js): the reviewer and auditor roles, and
+// per-campaign roles that give other users a share in managing a campaign
+
+const ROLES = ['admin', 'donor', 'fundraiser', 'reviewer', 'auditor'];
+const BASELINE_ROLES = ['admin', 'donor', 'fundraiser'];
+
+const roleCheck = (roles) => `CHECK(role IN (${roles.map((role) => `'${role}'`).join(', ')}))`;
+
+// The users table as of 007, with the role check taking the roles given
+const users = (roles) => `CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    email TEXT UNIQUE,
+    password TEXT NOT NULL,
+    role TEXT NOT NULL ${roleCheck(roles)},
+    wallet_address TEXT,
+    name TEXT NOT NULL,
+    phone TEXT,
+    address TEXT,
+    emergency_contact TEXT,
+    emergency_phone TEXT,
+    oauth_provider TEXT,
+    oauth_id TEXT,
+    profile_picture TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    wallet_verified_at DATETIME,
+    email_verified_at DATETIME
+  )`;
+
+// Rebuilding users on SQLite drops its indexes
+const USER_INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_users_email ON users (email)',
+  'CREATE INDEX IF NOT EXISTS idx_users_wallet ON users (wallet_address)',
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_users_verified_wallet
+    ON users (LOWER(wallet_address)) WHERE wallet_verified_at IS NOT NULL`
+];
+
+async function setRoles(db, roles) {
+  if (db.dialect === 'sqlite') {
+    // SQLite can't change a CHECK constraint in place
+    await db.rebuildTable('users', users(roles));
+    for (const sql of USER_INDEXES) {
+      await db.run(sql);
+    }
+  } else {
+    await db.run('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check');
+    await db.run(`ALTER TABLE users ADD CONSTRAINT users_role_check ${roleCheck(roles)}`);
+  }
+}
+
+async function up(db) {
+  await setRoles(db, ROLES);
+
+  // The creator owns their campaign without a row here
+  await db.run(`CREATE TABLE IF NOT EXISTS campaign_members (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    campaign_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    role TEXT NOT NULL CHECK(role IN ('co_owner', 'moderator')),
+    added_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (campaign_id, user_id),
+    FOREIGN KEY (campaign_id) REFERENCES campaigns (id),
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (added_by) REFERENCES users (id)
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_campaign_members_user ON campaign_members (user_id)');
+}
+
+// Fails (and is rolled back) while reviewer or auditor accounts exist
+async function down(db) {
+  await db.run('DROP TABLE IF EXISTS campaign_members');
+  await setRoles(db, BASELINE_ROLES);
+}
+
+module.exports = { up, down };
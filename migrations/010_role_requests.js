@@ -0,0 +1,83 @@
+// Role change requests (see routes/api/roleRequests.js): users apply for a role with
+// their identity details and admins decide in a queue. Every step is recorded in
+// role_request_events, and decisions notify the applicant.
+
+const NOTIFICATION_TYPES = ['campaign_approved', 'campaign_rejected', 'campaign_deployed', 'admin_message', 'wallet_mismatch'];
+const ROLE_REQUEST_NOTIFICATION_TYPES = ['role_request_approved', 'role_request_rejected'];
+
+const typeCheck = (types) => `CHECK(type IN (${types.map((type) => `'${type}'`).join(', ')}))`;
+
+const notifications = (types) => `CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    campaign_id INTEGER,
+    type TEXT NOT NULL ${typeCheck(types)},
+    title TEXT NOT NULL,
+    message TEXT NOT NULL,
+    read_status INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (campaign_id) REFERENCES campaigns (id)
+  )`;
+
+async function setNotificationTypes(db, types) {
+  if (db.dialect === 'sqlite') {
+    // SQLite can't change a CHECK constraint in place
+    await db.rebuildTable('notifications', notifications(types));
+  } else {
+    await db.run('ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check');
+    await db.run(`ALTER TABLE notifications ADD CONSTRAINT notifications_type_check ${typeCheck(types)}`);
+  }
+}
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS role_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    requested_role TEXT NOT NULL CHECK(requested_role IN ('fundraiser')),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'approved', 'rejected', 'cancelled')),
+    legal_name TEXT NOT NULL,
+    date_of_birth TEXT NOT NULL,
+    phone TEXT NOT NULL,
+    address TEXT NOT NULL,
+    id_document_type TEXT NOT NULL,
+    id_document_number TEXT NOT NULL,
+    motivation TEXT NOT NULL,
+    reviewed_by INTEGER,
+    reviewed_at DATETIME,
+    review_note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (reviewed_by) REFERENCES users (id)
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_role_requests_status ON role_requests (status)');
+  // One open request per user
+  await db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_role_requests_pending
+    ON role_requests (user_id) WHERE status = 'pending'`);
+
+  await db.run(`CREATE TABLE IF NOT EXISTS role_request_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    request_id INTEGER NOT NULL,
+    actor_id INTEGER NOT NULL,
+    action TEXT NOT NULL CHECK(action IN ('submitted', 'approved', 'rejected', 'cancelled')),
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (request_id) REFERENCES role_requests (id),
+    FOREIGN KEY (actor_id) REFERENCES users (id)
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_role_request_events_request ON role_request_events (request_id)');
+
+  await setNotificationTypes(db, [...NOTIFICATION_TYPES, ...ROLE_REQUEST_NOTIFICATION_TYPES]);
+}
+
+async function down(db) {
+  await db.run(
+    `DELETE FROM notifications WHERE type IN (${ROLE_REQUEST_NOTIFICATION_TYPES.map(() => '?').join(', ')})`,
+    ROLE_REQUEST_NOTIFICATION_TYPES
+  );
+  await setNotificationTypes(db, NOTIFICATION_TYPES);
+  await db.run('DROP TABLE IF EXISTS role_request_events');
+  await db.run('DROP TABLE IF EXISTS role_requests');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,74 @@
+// Fundraiser verification (see utils/verification.js): identity documents and proof
+// of each campaign's purpose, reviewed against a checklist. Decisions notify the
+// uploader.
+
+const NOTIFICATION_TYPES = [
+  'campaign_approved', 'campaign_rejected', 'campaign_deployed', 'admin_message', 'wallet_mismatch',
+  'role_request_approved', 'role_request_rejected'
+];
+const VERIFICATION_NOTIFICATION_TYPES = ['verification_approved', 'verification_rejected'];
+
+const typeCheck = (types) => `CHECK(type IN (${types.map((type) => `'${type}'`).join(', ')}))`;
+
+const notifications = (types) => `CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    campaign_id INTEGER,
+    type TEXT NOT NULL ${typeCheck(types)},
+    title TEXT NOT NULL,
+    message TEXT NOT NULL,
+    read_status INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (campaign_id) REFERENCES campaigns (id)
+  )`;
+
+async function setNotificationTypes(db, types) {
+  if (db.dialect === 'sqlite') {
+    // SQLite can't change a CHECK constraint in place
+    await db.rebuildTable('notifications', notifications(types));
+  } else {
+    await db.run('ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check');
+    await db.run(`ALTER TABLE notifications ADD CONSTRAINT notifications_type_check ${typeCheck(types)}`);
+  }
+}
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS verification_documents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    campaign_id INTEGER,
+    kind TEXT NOT NULL CHECK(kind IN ('identity', 'purpose')),
+    document_type TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    original_name TEXT,
+    mime_type TEXT,
+    description TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'approved', 'rejected')),
+    checklist TEXT,
+    review_note TEXT,
+    reviewed_by INTEGER,
+    reviewed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    CHECK(kind = 'identity' OR campaign_id IS NOT NULL),
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (campaign_id) REFERENCES campaigns (id),
+    FOREIGN KEY (reviewed_by) REFERENCES users (id)
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_verification_documents_status ON verification_documents (status)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_verification_documents_user ON verification_documents (user_id)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_verification_documents_campaign ON verification_documents (campaign_id)');
+
+  await setNotificationTypes(db, [...NOTIFICATION_TYPES, ...VERIFICATION_NOTIFICATION_TYPES]);
+}
+
+async function down(db) {
+  await db.run(
+    `DELETE FROM notifications WHERE type IN (${VERIFICATION_NOTIFICATION_TYPES.map(() => '?').join(', ')})`,
+    VERIFICATION_NOTIFICATION_TYPES
+  );
+  await setNotificationTypes(db, NOTIFICATION_TYPES);
+  await db.run('DROP TABLE IF EXISTS verification_documents');
+}
+
+module.exports = { up, down };
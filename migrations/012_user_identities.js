@@ -0,0 +1,39 @@
+// Identity providers (see utils/oidc.js): the accounts users sign in with at Google
+// or another OpenID Connect provider, one row per provider account, replacing
+// users.oauth_provider / users.oauth_id. Existing Google links are carried over.
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS user_identities (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    provider TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    email TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME,
+    UNIQUE(provider, subject),
+    UNIQUE(user_id, provider),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities (user_id)');
+
+  await db.run(`INSERT INTO user_identities (user_id, provider, subject, email)
+    SELECT id, oauth_provider, oauth_id, email FROM users
+    WHERE oauth_provider IS NOT NULL AND oauth_provider != '' AND oauth_id IS NOT NULL AND oauth_id != ''
+    ON CONFLICT DO NOTHING`);
+
+  await db.dropColumn('users', 'oauth_provider');
+  await db.dropColumn('users', 'oauth_id');
+}
+
+async function down(db) {
+  await db.addColumn('users', 'oauth_provider', 'TEXT');
+  await db.addColumn('users', 'oauth_id', 'TEXT');
+  // The columns hold one provider per user: the first one linked
+  await db.run(`UPDATE users SET
+    oauth_provider = (SELECT provider FROM user_identities i WHERE i.user_id = users.id ORDER BY i.id LIMIT 1),
+    oauth_id = (SELECT subject FROM user_identities i WHERE i.user_id = users.id ORDER BY i.id LIMIT 1)`);
+  await db.run('DROP TABLE IF EXISTS user_identities');
+}
+
+module.exports = { up, down };
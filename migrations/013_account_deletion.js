@@ -0,0 +1,35 @@
+// Personal data export and account deletion (see routes/api/account.js)
+//  - comments: the table routes/api/comments.js has always written to but no
+//    schema created
+//  - users.deleted_at: set when a user deletes their account; the row stays, with
+//    the personal fields cleared, so donations and votes keep their donor
+//  - accounts created by signing in with a wallet never had a password the user
+//    knew (a random one was stored); they are now passwordless, like accounts
+//    created through a sign-in provider
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS comments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    campaign_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    text TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (campaign_id) REFERENCES campaigns (id),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_comments_campaign ON comments (campaign_id)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_comments_user ON comments (user_id)');
+
+  await db.addColumn('users', 'deleted_at', 'DATETIME');
+
+  // Without an email these accounts couldn't have reset the random password either
+  await db.run("UPDATE users SET password = '' WHERE email IS NULL");
+}
+
+// Passwordless wallet accounts stay passwordless: signing in with the wallet still works
+async function down(db) {
+  await db.dropColumn('users', 'deleted_at');
+  await db.run('DROP TABLE IF EXISTS comments');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,53 @@
+// Notification types move from a CHECK constraint to the registry in
+// utils/notifications.js, so adding a type no longer takes a migration.
+//  - notifications.data: the JSON the title and message were rendered from, for
+//    clients that link to what a notification is about
+//  - an index for listing a user's notifications newest first
+
+const PREVIOUS_TYPES = [
+  'campaign_approved', 'campaign_rejected', 'campaign_deployed', 'admin_message', 'wallet_mismatch',
+  'role_request_approved', 'role_request_rejected', 'verification_approved', 'verification_rejected'
+];
+
+const typeCheck = (types) => `CHECK(type IN (${types.map((type) => `'${type}'`).join(', ')}))`;
+
+const notifications = (typeColumn, extraColumns = '') => `CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    campaign_id INTEGER,
+    type ${typeColumn},
+    title TEXT NOT NULL,
+    message TEXT NOT NULL,${extraColumns}
+    read_status INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (campaign_id) REFERENCES campaigns (id)
+  )`;
+
+async function up(db) {
+  if (db.dialect === 'sqlite') {
+    // SQLite can't drop a CHECK constraint in place
+    await db.rebuildTable('notifications', notifications('TEXT NOT NULL', '\n    data TEXT,'));
+  } else {
+    await db.run('ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check');
+    await db.addColumn('notifications', 'data', 'TEXT');
+  }
+  await db.run('CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications (user_id, created_at)');
+}
+
+// Notifications of the newer types can't be kept under the old constraint
+async function down(db) {
+  await db.run('DROP INDEX IF EXISTS idx_notifications_user');
+  await db.run(
+    `DELETE FROM notifications WHERE type NOT IN (${PREVIOUS_TYPES.map(() => '?').join(', ')})`,
+    PREVIOUS_TYPES
+  );
+  if (db.dialect === 'sqlite') {
+    await db.rebuildTable('notifications', notifications(`TEXT NOT NULL ${typeCheck(PREVIOUS_TYPES)}`));
+  } else {
+    await db.dropColumn('notifications', 'data');
+    await db.run(`ALTER TABLE notifications ADD CONSTRAINT notifications_type_check ${typeCheck(PREVIOUS_TYPES)}`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,35 @@
+// Per-user settings (PUT api/auth/settings), starting with notification preferences,
+// and the queue of notifications waiting for a user's daily digest email.
+// Settings are stored as JSON per key, like platform_settings.
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS user_settings (
+    user_id INTEGER NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, key),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+
+  await db.run(`CREATE TABLE IF NOT EXISTS notification_digest_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    campaign_id INTEGER,
+    type TEXT NOT NULL,
+    title TEXT NOT NULL,
+    message TEXT NOT NULL,
+    data TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (campaign_id) REFERENCES campaigns (id)
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_notification_digest_items_user ON notification_digest_items (user_id, created_at)');
+}
+
+async function down(db) {
+  await db.run('DROP TABLE IF EXISTS notification_digest_items');
+  await db.run('DROP TABLE IF EXISTS user_settings');
+}
+
+module.exports = { up, down };
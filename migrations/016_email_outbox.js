@@ -0,0 +1,35 @@
+// Outgoing email goes through a persistent outbox (utils/mailOutbox.js), so a message
+// that can't be delivered right away is retried instead of lost.
+//  - usage_requests.reminded_at: when donors who hadn't voted were reminded
+//    (utils/voteReminders.js), so they are reminded once
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS email_outbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    template TEXT NOT NULL,
+    to_address TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    text TEXT NOT NULL,
+    html TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at DATETIME NOT NULL,
+    message_id TEXT,
+    sent_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox (status, next_attempt_at)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_email_outbox_user ON email_outbox (user_id)');
+
+  await db.addColumn('usage_requests', 'reminded_at', 'DATETIME');
+}
+
+async function down(db) {
+  await db.dropColumn('usage_requests', 'reminded_at');
+  await db.run('DROP TABLE IF EXISTS email_outbox');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+// A withdrawal request's execution is tracked apart from the request itself, so the
+// chain indexer can confirm or roll back either one (utils/chainIndexer.js):
+//  - withdrawal_requests.execution_transaction_hash: the transaction that paid it out;
+//    transaction_hash stays the one that requested it
+//  - withdrawal_requests.execution_confirmation_status: 'pending', 'confirmed' or
+//    'orphaned', like confirmation_status but for the PartialWithdrawal event
+// Requests the indexer recorded and that were since executed had their transaction_hash
+// overwritten with the execution's; it moves to the new column and the request's own
+// hash is restored from chain_events. Executed requests only the client reported can't
+// be told apart, so their hash is copied.
+
+const requestHash = 'SELECT transaction_hash FROM chain_events WHERE chain_events.id = withdrawal_requests.chain_event_id';
+
+async function up(db) {
+  await db.addColumn('withdrawal_requests', 'execution_transaction_hash', 'TEXT');
+  await db.addColumn('withdrawal_requests', 'execution_confirmation_status', 'TEXT');
+
+  await db.run(
+    `UPDATE withdrawal_requests
+     SET execution_transaction_hash = transaction_hash, transaction_hash = (${requestHash})
+     WHERE executed = 1 AND chain_event_id IS NOT NULL AND transaction_hash <> (${requestHash})`
+  );
+  await db.run(
+    `UPDATE withdrawal_requests SET execution_transaction_hash = transaction_hash
+     WHERE executed = 1 AND execution_transaction_hash IS NULL AND chain_event_id IS NULL`
+  );
+}
+
+async function down(db) {
+  await db.run(
+    `UPDATE withdrawal_requests SET transaction_hash = execution_transaction_hash
+     WHERE executed = 1 AND execution_transaction_hash IS NOT NULL`
+  );
+  await db.dropColumn('withdrawal_requests', 'execution_confirmation_status');
+  await db.dropColumn('withdrawal_requests', 'execution_transaction_hash');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,41 @@
+// A transaction can be recorded as one donation only. Hashes are stored in lower case
+// (models/donations.js), and a unique index keeps two concurrent submissions of the
+// same transaction from both being recorded and both counted.
+// Duplicates recorded before this are rejected, newest first, and taken back off their
+// campaign's total; they keep the hash in verification_error.
+
+const INDEX = `CREATE UNIQUE INDEX IF NOT EXISTS idx_donations_transaction_hash
+  ON donations (LOWER(transaction_hash)) WHERE transaction_hash IS NOT NULL AND transaction_hash <> ''`;
+
+async function up(db) {
+  await db.run("UPDATE donations SET transaction_hash = LOWER(transaction_hash) WHERE COALESCE(transaction_hash, '') <> ''");
+
+  const duplicates = await db.all(
+    `SELECT d.id, d.campaign_id, d.amount, d.transaction_hash, d.verification_status,
+       (SELECT MIN(o.id) FROM donations o WHERE o.transaction_hash = d.transaction_hash) AS original_id
+     FROM donations d
+     WHERE COALESCE(d.transaction_hash, '') <> ''
+       AND d.id > (SELECT MIN(o.id) FROM donations o WHERE o.transaction_hash = d.transaction_hash)`
+  );
+  for (const duplicate of duplicates) {
+    await db.run(
+      "UPDATE donations SET transaction_hash = NULL, verification_status = 'rejected', verification_error = ? WHERE id = ?",
+      [`Duplicate of donation #${duplicate.original_id} (transaction ${duplicate.transaction_hash})`, duplicate.id]
+    );
+    // Pending and rejected donations were never added to the total
+    if (!['pending_verification', 'rejected'].includes(duplicate.verification_status)) {
+      await db.run(
+        'UPDATE campaigns SET current_amount = COALESCE(current_amount, 0) - ? WHERE id = ?',
+        [duplicate.amount, duplicate.campaign_id]
+      );
+    }
+  }
+
+  await db.run(INDEX);
+}
+
+async function down(db) {
+  await db.run('DROP INDEX IF EXISTS idx_donations_transaction_hash');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+// One-time codes the OpenID Connect callback hands the frontend instead of tokens
+// (routes/api/identities.js). The frontend exchanges a code for a session with
+// POST api/auth/oidc/exchange, so tokens never travel in a URL. Only hashes of the
+// codes are stored.
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS oidc_sign_in_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL UNIQUE,
+    is_new_user INTEGER NOT NULL DEFAULT 0,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_oidc_sign_in_codes_user ON oidc_sign_in_codes (user_id)');
+}
+
+async function down(db) {
+  await db.run('DROP TABLE IF EXISTS oidc_sign_in_codes');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,59 @@
+// Donors vote on withdrawal requests on chain (WithdrawalApproved/WithdrawalRejected,
+// weighted by their contribution). The chain indexer derives the tallies from those
+// events (utils/chainIndexer.js), so a reorg takes the votes it drops back off:
+//  - withdrawal_requests.approval_threshold: ETH of approvals the contract requires
+//    before the request can be executed
+//  - withdrawal_requests.approvals / rejections: ETH of contributions behind each side
+//  - withdrawal_requests.approved: 1 once approvals reach the threshold
+// Requests indexed before this are filled in from chain_events.
+
+const toEther = (wei) => Number(BigInt(wei || '0')) / 1e18;
+
+async function up(db) {
+  await db.addColumn('withdrawal_requests', 'approval_threshold', 'REAL');
+  await db.addColumn('withdrawal_requests', 'approvals', 'REAL DEFAULT 0');
+  await db.addColumn('withdrawal_requests', 'rejections', 'REAL DEFAULT 0');
+  await db.addColumn('withdrawal_requests', 'approved', 'INTEGER DEFAULT 0');
+
+  const events = await db.all(
+    `SELECT e.event_name, e.request_id, e.amount_wei, e.payload, c.id AS campaign_id
+     FROM chain_events e
+     JOIN campaigns c ON c.blockchain_campaign_id = e.blockchain_campaign_id
+     WHERE e.event_name IN ('WithdrawalRequested', 'WithdrawalApproved', 'WithdrawalRejected')`
+  );
+  const tallies = new Map();
+  for (const event of events) {
+    const key = `${event.campaign_id}:${event.request_id}`;
+    if (!tallies.has(key)) {
+      tallies.set(key, { campaignId: event.campaign_id, requestId: event.request_id, threshold: null, approvals: 0n, rejections: 0n });
+    }
+    const tally = tallies.get(key);
+    if (event.event_name === 'WithdrawalRequested') tally.threshold = BigInt(JSON.parse(event.payload || '{}').approvalThreshold || '0');
+    if (event.event_name === 'WithdrawalApproved') tally.approvals += BigInt(event.amount_wei || '0');
+    if (event.event_name === 'WithdrawalRejected') tally.rejections += BigInt(event.amount_wei || '0');
+  }
+  for (const tally of tallies.values()) {
+    if (tally.threshold === null) continue;
+    await db.run(
+      `UPDATE withdrawal_requests SET approval_threshold = ?, approvals = ?, rejections = ?, approved = ?
+       WHERE campaign_id = ? AND request_id = ?`,
+      [
+        toEther(tally.threshold),
+        toEther(tally.approvals),
+        toEther(tally.rejections),
+        tally.approvals >= tally.threshold ? 1 : 0,
+        tally.campaignId,
+        tally.requestId
+      ]
+    );
+  }
+}
+
+async function down(db) {
+  await db.dropColumn('withdrawal_requests', 'approved');
+  await db.dropColumn('withdrawal_requests', 'rejections');
+  await db.dropColumn('withdrawal_requests', 'approvals');
+  await db.dropColumn('withdrawal_requests', 'approval_threshold');
+}
+
+module.exports = { up, down };
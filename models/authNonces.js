@@ -0,0 +1,47 @@
+// auth_nonces table - Sign-In With Ethereum challenges (see utils/siwe.js)
+
+// Timestamps are compared as 'YYYY-MM-DD HH:MM:SS' UTC strings, like CURRENT_TIMESTAMP
+const toTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+class AuthNonceRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  /**
+   * @param {object} challenge
+   * @param {string} challenge.address - Stored lowercased
+   * @param {Date} challenge.expiresAt
+   */
+  create({ nonce, address, expiresAt }) {
+    return this.connection.run(
+      'INSERT INTO auth_nonces (nonce, address, expires_at) VALUES (?, ?, ?)',
+      [nonce, address.toLowerCase(), toTimestamp(expiresAt)]
+    );
+  }
+
+  /**
+   * Mark a nonce used. Only succeeds once, and only for the address it was issued
+   * to before it expires.
+   * @returns {Promise<boolean>} Whether the nonce was valid
+   */
+  async consume(nonce, address, now = new Date()) {
+    const { changes } = await this.connection.run(
+      `UPDATE auth_nonces SET used_at = ?
+       WHERE nonce = ? AND address = ? AND used_at IS NULL AND expires_at > ?`,
+      [toTimestamp(now), nonce, address.toLowerCase(), toTimestamp(now)]
+    );
+    return changes === 1;
+  }
+
+  // Housekeeping: expired challenges are never needed again
+  async deleteExpired(now = new Date()) {
+    const { changes } = await this.connection.run('DELETE FROM auth_nonces WHERE expires_at <= ?', [toTimestamp(now)]);
+    return changes;
+  }
+}
+
+module.exports = AuthNonceRepository;
@@ -0,0 +1,69 @@
+// campaign_members table - users the campaign's creator shares it with, and their
+// campaign role (see CAMPAIGN_ROLE_PERMISSIONS in utils/permissions.js). The creator
+// is the campaign's owner and has no row here. Rows go when their campaign is deleted
+// (CampaignRepository.delete).
+
+class CampaignMemberRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  // The user's role in the campaign, or null when they have none
+  async findRole(campaignId, userId) {
+    const row = await this.connection.get(
+      'SELECT role FROM campaign_members WHERE campaign_id = ? AND user_id = ?',
+      [campaignId, userId]
+    );
+    return row ? row.role : null;
+  }
+
+  // Whether the user runs a campaign's funds: they created one or co-own one
+  async runsCampaign(userId) {
+    const row = await this.connection.get(
+      `SELECT 1 AS found FROM campaigns WHERE creator_id = ?
+       UNION
+       SELECT 1 AS found FROM campaign_members WHERE user_id = ? AND role = 'co_owner'`,
+      [userId, userId]
+    );
+    return Boolean(row);
+  }
+
+  list(campaignId) {
+    return this.connection.all(
+      `SELECT m.user_id, m.role, m.added_by, m.created_at, u.username, u.name
+       FROM campaign_members m
+       JOIN users u ON u.id = m.user_id
+       WHERE m.campaign_id = ?
+       ORDER BY m.created_at, m.id`,
+      [campaignId]
+    );
+  }
+
+  /**
+   * Give a user a role in the campaign, replacing the one they had.
+   * @param {object} member
+   * @param {'co_owner'|'moderator'} member.role
+   * @param {number} member.addedBy
+   */
+  add({ campaignId, userId, role, addedBy }) {
+    return this.connection.run(
+      `INSERT INTO campaign_members (campaign_id, user_id, role, added_by)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (campaign_id, user_id) DO UPDATE SET role = excluded.role, added_by = excluded.added_by`,
+      [campaignId, userId, role, addedBy]
+    );
+  }
+
+  async remove(campaignId, userId) {
+    const { changes } = await this.connection.run(
+      'DELETE FROM campaign_members WHERE campaign_id = ? AND user_id = ?',
+      [campaignId, userId]
+    );
+    return changes;
+  }
+}
+
+module.exports = CampaignMemberRepository;
@@ -0,0 +1,303 @@
+// campaigns table
+
+// Test and placeholder campaigns created while the contract was being developed
+const HIDE_PLACEHOLDERS = `
+  c.title NOT LIKE 'Blockchain Campaign #%'
+  AND c.description NOT LIKE 'Campaign created directly on blockchain%'`;
+
+const IS_DEPLOYED = `
+  c.blockchain_campaign_id IS NOT NULL
+  AND c.blockchain_campaign_id != ''
+  AND c.blockchain_campaign_id != '0'`;
+
+// Funds released either through withdrawal requests or fund usage plans
+const TOTAL_WITHDRAWN = `(
+  COALESCE((SELECT SUM(amount) FROM withdrawal_requests WHERE campaign_id = c.id AND executed = 1), 0) +
+  COALESCE((SELECT SUM(amount) FROM fund_usage_plans WHERE campaign_id = c.id AND withdrawal_status = 'withdrawn'), 0)
+) as total_withdrawn`;
+
+// Verification badge (see utils/verification.js): the creator's identity and the
+// campaign's proof of purpose, as approved by reviewers
+const VERIFICATION_LEVEL = `CASE
+  WHEN NOT EXISTS (SELECT 1 FROM verification_documents vd
+                   WHERE vd.user_id = c.creator_id AND vd.kind = 'identity' AND vd.status = 'approved')
+    THEN 'unverified'
+  WHEN EXISTS (SELECT 1 FROM verification_documents vd
+               WHERE vd.campaign_id = c.id AND vd.kind = 'purpose' AND vd.status = 'approved')
+    THEN 'fully_verified'
+  ELSE 'identity_verified'
+END as verification_level`;
+
+// Deadline not set or still in the future. SQLite stores deadlines as text (possibly
+// empty), so there they are normalised with datetime() before comparing.
+const deadlineOpen = (connection, column) => (connection.dialect === 'postgres'
+  ? `(${column} IS NULL OR ${column} > CURRENT_TIMESTAMP)`
+  : `(${column} IS NULL OR ${column} = '' OR datetime(${column}) > CURRENT_TIMESTAMP)`);
+
+class CampaignRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  findById(id) {
+    return this.connection.get('SELECT * FROM campaigns WHERE id = ?', [id]);
+  }
+
+  // Only campaigns that have been deployed to the contract
+  findDeployed(id) {
+    return this.connection.get(
+      `SELECT * FROM campaigns WHERE id = ? AND blockchain_campaign_id IS NOT NULL AND blockchain_campaign_id != ''`,
+      [id]
+    );
+  }
+
+  findWithCreator(id) {
+    return this.connection.get(
+      `SELECT c.*, u.username as creator_name, ${VERIFICATION_LEVEL}
+       FROM campaigns c
+       JOIN users u ON c.creator_id = u.id
+       WHERE c.id = ?`,
+      [id]
+    );
+  }
+
+  // Campaign with the wallet its creator registered, for admin review
+  findWithCreatorWallet(id) {
+    return this.connection.get(
+      'SELECT c.*, u.wallet_address as creator_wallet FROM campaigns c JOIN users u ON c.creator_id = u.id WHERE c.id = ?',
+      [id]
+    );
+  }
+
+  /**
+   * Campaigns listed on the public pages.
+   * @param {object} [filters]
+   * @param {string} [filters.status] - Only campaigns with this status
+   * @param {boolean} [filters.includeAll] - Include campaigns that were never deployed
+   */
+  list({ status, includeAll = false } = {}) {
+    const params = [];
+    let sql = `
+      SELECT c.*, u.username as creator_name, ${TOTAL_WITHDRAWN}, ${VERIFICATION_LEVEL}
+      FROM campaigns c
+      JOIN users u ON c.creator_id = u.id
+      WHERE c.title NOT IN ('hp', 'mech', 'test')
+        AND ${HIDE_PLACEHOLDERS}
+        AND c.title NOT LIKE 'Properly Integrated Campaign%'
+    `;
+
+    if (status) {
+      sql += ' AND c.status = ?';
+      params.push(status);
+    } else if (!includeAll) {
+      sql += ` AND ${IS_DEPLOYED}
+               AND c.status IN ('approved', 'active', 'completed', 'failed')`;
+    }
+
+    sql += ' ORDER BY c.created_at DESC';
+    return this.connection.all(sql, params);
+  }
+
+  // Deployed campaigns still accepting donations
+  listActive() {
+    return this.connection.all(
+      `SELECT c.*, u.name as creator_name, ${TOTAL_WITHDRAWN}, ${VERIFICATION_LEVEL}
+       FROM campaigns c
+       JOIN users u ON c.creator_id = u.id
+       WHERE c.status IN ('approved', 'active')
+         AND COALESCE(c.is_withdrawn, 0) = 0
+         AND ${IS_DEPLOYED}
+         AND ${deadlineOpen(this.connection, 'c.deadline')}
+         AND ${HIDE_PLACEHOLDERS}
+         AND c.title NOT LIKE 'Properly Integrated Campaign%'
+       ORDER BY c.created_at DESC`
+    );
+  }
+
+  // Trimmed-down rows for the donor dashboard
+  listForDashboard() {
+    return this.connection.all(
+      `SELECT c.id, c.title, c.description, c.goal, c.current_amount, c.deadline,
+              c.image_url, c.status, c.is_withdrawn, c.blockchain_campaign_id, c.wallet_address,
+              u.username as creator_name, ${VERIFICATION_LEVEL},
+              c.status as campaign_status
+       FROM campaigns c
+       JOIN users u ON c.creator_id = u.id
+       WHERE c.status IN ('approved', 'active', 'completed')
+         AND ${IS_DEPLOYED}
+         AND c.title NOT IN ('hp', 'mech', 'test')
+         AND ${HIDE_PLACEHOLDERS}
+         AND c.title NOT LIKE 'Properly Integrated Campaign%'
+       ORDER BY c.created_at DESC`
+    );
+  }
+
+  listByCreator(creatorId) {
+    return this.connection.all(
+      `SELECT c.*, u.username as creator_name
+       FROM campaigns c
+       JOIN users u ON c.creator_id = u.id
+       WHERE c.creator_id = ?
+       ORDER BY c.created_at DESC`,
+      [creatorId]
+    );
+  }
+
+  // The fundraiser dashboard: campaigns the user created or co-owns, each with its fund usage plan state
+  listForFundraiser(userId) {
+    return this.connection.all(
+      `SELECT c.*, u.name as creator_name,
+       CASE WHEN EXISTS (SELECT 1 FROM fund_usage_plans WHERE campaign_id = c.id) THEN 1 ELSE 0 END as has_usage_plan,
+       COALESCE((SELECT approval_status FROM fund_usage_plans WHERE campaign_id = c.id AND withdrawal_status = 'pending' ORDER BY created_at DESC LIMIT 1), 'none') as plan_approval_status,
+       (SELECT COUNT(*) FROM fund_usage_plans WHERE campaign_id = c.id AND approval_status = 'approved' AND withdrawal_status = 'pending') as approved_pending_count,
+        (
+          COALESCE((SELECT SUM(CAST(amount AS DOUBLE PRECISION)) FROM withdrawal_requests WHERE campaign_id = c.id), 0) +
+          COALESCE((SELECT SUM(CAST(amount AS DOUBLE PRECISION)) FROM fund_usage_plans WHERE campaign_id = c.id AND withdrawal_status IN ('pending', 'withdrawn')), 0)
+        ) as total_withdrawn
+       FROM campaigns c
+       JOIN users u ON c.creator_id = u.id
+       WHERE (c.creator_id = ? OR EXISTS (
+           SELECT 1 FROM campaign_members m WHERE m.campaign_id = c.id AND m.user_id = ? AND m.role = 'co_owner'
+         ))
+         AND c.title NOT IN ('hp', 'mech', 'test')
+         AND ${HIDE_PLACEHOLDERS}
+       ORDER BY c.created_at DESC`,
+      [userId, userId]
+    );
+  }
+
+  // Admin listing, optionally filtered by status
+  listWithCreatorNames({ status } = {}) {
+    let sql = `SELECT c.*, u.name as creator_name, ${VERIFICATION_LEVEL} FROM campaigns c JOIN users u ON c.creator_id = u.id`;
+    const params = [];
+
+    if (status) {
+      sql += ' WHERE c.status = ?';
+      params.push(status);
+    }
+
+    sql += ' ORDER BY c.created_at DESC';
+    return this.connection.all(sql, params);
+  }
+
+  /**
+   * Platform statistics for the admin dashboard.
+   * activeCampaigns: approved/active, not withdrawn, and deadline in the future (or not set)
+   * totalDonations: total raised across every campaign, including withdrawn ones
+   */
+  stats() {
+    return this.connection.get(`
+      WITH active AS (
+        SELECT COUNT(*) AS cnt
+        FROM campaigns
+        WHERE status IN ('approved','active')
+          AND COALESCE(is_withdrawn, 0) = 0
+          AND ${deadlineOpen(this.connection, 'deadline')}
+      )
+      SELECT
+        (SELECT COUNT(*) FROM campaigns) AS "totalCampaigns",
+        (SELECT COUNT(*) FROM campaigns WHERE status = 'pending') AS "pendingCampaigns",
+        (SELECT cnt FROM active) AS "activeCampaigns",
+        (SELECT COUNT(*) FROM campaigns WHERE status = 'completed') AS "completedCampaigns",
+        (SELECT COALESCE(SUM(current_amount), 0) FROM campaigns) AS "totalDonations"
+    `);
+  }
+
+  /**
+   * Insert a campaign.
+   * @returns {Promise<number>} The new campaign's id
+   */
+  async create({ title, description, goal, deadline, creatorId, walletAddress, imageUrl = null, documentUrl = null, status = 'pending', category = 'general', blockchainCampaignId = '', transactionHash = '' }) {
+    const { lastID } = await this.connection.run(
+      `INSERT INTO campaigns (title, description, goal, deadline, creator_id, wallet_address, image_url, document_url, status, category, blockchain_campaign_id, transaction_hash)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [title, description, goal, deadline, creatorId, walletAddress, imageUrl, documentUrl, status, category, blockchainCampaignId, transactionHash]
+    );
+    return lastID;
+  }
+
+  async update(id, { title, description, goal, deadline, imageUrl }) {
+    const { changes } = await this.connection.run(
+      `UPDATE campaigns
+       SET title = ?, description = ?, goal = ?, deadline = ?, image_url = ?
+       WHERE id = ?`,
+      [title, description, goal, deadline, imageUrl, id]
+    );
+    return changes;
+  }
+
+  async updateStatus(id, status) {
+    const { changes } = await this.connection.run('UPDATE campaigns SET status = ? WHERE id = ?', [status, id]);
+    return changes;
+  }
+
+  /**
+   * Record an admin's approval or rejection.
+   * @param {boolean} [options.onlyIfPending] - Leave campaigns that were already reviewed untouched
+   * @returns {Promise<number>} Number of rows changed
+   */
+  async review(id, status, adminId, { onlyIfPending = false } = {}) {
+    const { changes } = await this.connection.run(
+      `UPDATE campaigns SET status = ?, approved_by = ? WHERE id = ?${onlyIfPending ? " AND status = 'pending'" : ''}`,
+      [status, adminId, id]
+    );
+    return changes;
+  }
+
+  async setBlockchainDetails(id, blockchainCampaignId, transactionHash) {
+    const { changes } = await this.connection.run(
+      'UPDATE campaigns SET blockchain_campaign_id = ?, transaction_hash = ? WHERE id = ?',
+      [blockchainCampaignId, transactionHash, id]
+    );
+    return changes;
+  }
+
+  // The fundraiser deployed the campaign to the contract - it is now live
+  async confirmDeployment(id, blockchainCampaignId, transactionHash) {
+    const { changes } = await this.connection.run(
+      `UPDATE campaigns SET status = 'active', blockchain_campaign_id = ?, transaction_hash = ?, confirmed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [blockchainCampaignId, transactionHash, id]
+    );
+    return changes;
+  }
+
+  async addToRaised(id, amount) {
+    const { changes } = await this.connection.run(
+      'UPDATE campaigns SET current_amount = COALESCE(current_amount, 0) + ? WHERE id = ?',
+      [amount, id]
+    );
+    return changes;
+  }
+
+  /**
+   * Flag the campaign's funds as withdrawn.
+   * @param {number} [amount] - Final raised amount from the contract; also completes the campaign
+   */
+  async markWithdrawn(id, amount) {
+    if (amount === undefined) {
+      const { changes } = await this.connection.run('UPDATE campaigns SET is_withdrawn = 1 WHERE id = ?', [id]);
+      return changes;
+    }
+    const { changes } = await this.connection.run(
+      `UPDATE campaigns SET is_withdrawn = 1, status = 'completed', current_amount = ? WHERE id = ?`,
+      [amount, id]
+    );
+    return changes;
+  }
+
+  // Deletes the campaign together with its co-owners and moderators (campaign_members),
+  // its comments and its verification documents, whose files the caller removes
+  // (removeDocumentFiles in utils/verification.js); run it in models.transaction()
+  async delete(id) {
+    await this.connection.run('DELETE FROM campaign_members WHERE campaign_id = ?', [id]);
+    await this.connection.run('DELETE FROM comments WHERE campaign_id = ?', [id]);
+    await this.connection.run('DELETE FROM verification_documents WHERE campaign_id = ?', [id]);
+    const { changes } = await this.connection.run('DELETE FROM campaigns WHERE id = ?', [id]);
+    return changes;
+  }
+}
+
+module.exports = CampaignRepository;
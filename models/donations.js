@@ -0,0 +1,202 @@
+// donations table
+
+// WHERE condition for the donations sent from a wallet the user (bound to the
+// placeholder) has verified, whoever reported them
+const FROM_WALLETS_OF = `LOWER(d.donor_address) IN (
+  SELECT LOWER(address) FROM user_wallets WHERE user_id = ? AND verified_at IS NOT NULL
+)`;
+
+// WHERE condition for the donations that are known to have happened: verified against
+// their transaction receipt or confirmed by the chain indexer, and not reorged away.
+// Only these give a donor a say over the campaign.
+const TRUSTED = `(
+  (d.verification_status = 'verified' OR d.confirmation_status = 'confirmed')
+  AND COALESCE(d.confirmation_status, '') <> 'orphaned'
+)`;
+
+// Donations joined to the (not deleted) user who verified the sending wallet, as w
+const DONORS = `donations d
+  JOIN user_wallets w ON LOWER(w.address) = LOWER(d.donor_address) AND w.verified_at IS NOT NULL
+  JOIN users u ON u.id = w.user_id AND u.deleted_at IS NULL`;
+
+class DonationRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  findById(id) {
+    return this.connection.get('SELECT * FROM donations WHERE id = ?', [id]);
+  }
+
+  // Donation with its campaign title, blockchain id and donor name
+  findWithDetails(id) {
+    return this.connection.get(
+      `SELECT d.*, c.title as campaign_title, u.name as donor_name, c.blockchain_campaign_id
+       FROM donations d
+       JOIN campaigns c ON d.campaign_id = c.id
+       LEFT JOIN users u ON d.donor_id = u.id
+       WHERE d.id = ?`,
+      [id]
+    );
+  }
+
+  // Transaction hashes are compared case-insensitively
+  findByTransactionHash(transactionHash) {
+    return this.connection.get(
+      'SELECT id FROM donations WHERE LOWER(transaction_hash) = LOWER(?)',
+      [transactionHash]
+    );
+  }
+
+  list() {
+    return this.connection.all(
+      `SELECT d.*, c.title as campaign_title, u.name as donor_name
+       FROM donations d
+       JOIN campaigns c ON d.campaign_id = c.id
+       LEFT JOIN users u ON d.donor_id = u.id
+       ORDER BY d.created_at DESC`
+    );
+  }
+
+  // What a user reported plus everything sent from their verified wallets
+  listByDonor(donorId) {
+    return this.connection.all(
+      `SELECT d.*, c.title as campaign_title
+       FROM donations d
+       JOIN campaigns c ON d.campaign_id = c.id
+       WHERE d.donor_id = ? OR ${FROM_WALLETS_OF}
+       ORDER BY d.created_at DESC`,
+      [donorId, donorId]
+    );
+  }
+
+  listByCampaign(campaignId) {
+    return this.connection.all(
+      `SELECT d.*, u.name as donor_name
+       FROM donations d
+       LEFT JOIN users u ON d.donor_id = u.id
+       WHERE d.campaign_id = ?
+       ORDER BY d.created_at DESC`,
+      [campaignId]
+    );
+  }
+
+  // Blockchain donations whose transaction has not been verified yet
+  listPendingVerification() {
+    return this.connection.all(
+      `SELECT d.*, c.blockchain_campaign_id
+       FROM donations d
+       JOIN campaigns c ON d.campaign_id = c.id
+       WHERE d.verification_status = 'pending_verification'`
+    );
+  }
+
+  async countByCampaign(campaignId) {
+    const row = await this.connection.get('SELECT COUNT(*) as count FROM donations WHERE campaign_id = ?', [campaignId]);
+    return row.count;
+  }
+
+  // Number of distinct donors and total donated to a campaign
+  async summary(campaignId) {
+    const row = await this.connection.get(
+      `SELECT COUNT(DISTINCT donor_id) as "totalDonors", COALESCE(SUM(amount), 0) as "totalAmount"
+       FROM donations
+       WHERE campaign_id = ?`,
+      [campaignId]
+    );
+    return {
+      totalDonors: row?.totalDonors || 0,
+      totalAmount: row?.totalAmount || 0
+    };
+  }
+
+  // Users who may vote on a campaign's spending and the total their votes are weighed
+  // against: the quorum denominator. Counts the same donations as totalByDonor(), so
+  // each donor's weight is their share of totalAmount; deleted accounts are left out.
+  async electorate(campaignId) {
+    const row = await this.connection.get(
+      `SELECT COUNT(DISTINCT w.user_id) as "totalDonors", COALESCE(SUM(d.amount), 0) as "totalAmount"
+       FROM ${DONORS}
+       WHERE d.campaign_id = ? AND ${TRUSTED}`,
+      [campaignId]
+    );
+    return {
+      totalDonors: row?.totalDonors || 0,
+      totalAmount: row?.totalAmount || 0
+    };
+  }
+
+  // Users with a say over a campaign (see electorate()), who are the ones told about it
+  async donorIds(campaignId) {
+    const rows = await this.connection.all(
+      `SELECT DISTINCT w.user_id as id
+       FROM ${DONORS}
+       WHERE d.campaign_id = ? AND ${TRUSTED}
+       ORDER BY w.user_id`,
+      [campaignId]
+    );
+    return rows.map((row) => row.id);
+  }
+
+  // Total a user has donated to a campaign across their verified wallets (0 if they
+  // never donated), which is their vote weight. Pending and rejected claims, and
+  // donations without a wallet or from one they have not verified, don't count.
+  async totalByDonor(campaignId, donorId) {
+    const row = await this.connection.get(
+      `SELECT COALESCE(SUM(d.amount), 0) as donated
+       FROM donations d
+       WHERE d.campaign_id = ? AND ${TRUSTED} AND ${FROM_WALLETS_OF}`,
+      [campaignId, donorId]
+    );
+    return row?.donated || 0;
+  }
+
+  /**
+   * Insert a donation. Transaction hashes are stored in lower case; recording one that
+   * is already recorded fails on idx_donations_transaction_hash (see isUniqueViolation
+   * in utils/db.js).
+   * @param {object} donation
+   * @param {string} [donation.verificationStatus] - 'verified' also stamps verified_at
+   * @returns {Promise<number>} The new donation's id
+   */
+  async create({ campaignId, donorId = null, amount, transactionHash = null, donorAddress = null, verificationStatus }) {
+    const hash = transactionHash ? String(transactionHash).toLowerCase() : null;
+    if (verificationStatus === undefined) {
+      const { lastID } = await this.connection.run(
+        `INSERT INTO donations (campaign_id, donor_id, amount, transaction_hash, donor_address)
+         VALUES (?, ?, ?, ?, ?)`,
+        [campaignId, donorId, amount, hash, donorAddress]
+      );
+      return lastID;
+    }
+
+    const verified = verificationStatus === 'verified';
+    const { lastID } = await this.connection.run(
+      `INSERT INTO donations (campaign_id, donor_id, amount, transaction_hash, donor_address, verification_status, verified_at)
+       VALUES (?, ?, ?, ?, ?, ?, ${verified ? 'CURRENT_TIMESTAMP' : 'NULL'})`,
+      [campaignId, donorId, amount, hash, donorAddress, verificationStatus]
+    );
+    return lastID;
+  }
+
+  async markVerified(id) {
+    const { changes } = await this.connection.run(
+      "UPDATE donations SET verification_status = 'verified', verification_error = NULL, verified_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [id]
+    );
+    return changes;
+  }
+
+  async markRejected(id, reason) {
+    const { changes } = await this.connection.run(
+      "UPDATE donations SET verification_status = 'rejected', verification_error = ? WHERE id = ?",
+      [reason, id]
+    );
+    return changes;
+  }
+}
+
+module.exports = DonationRepository;
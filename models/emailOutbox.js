@@ -0,0 +1,90 @@
+// email_outbox table - every email waiting to be sent, sent or given up on
+// (see utils/mailOutbox.js). A message is pending until it is delivered or has run
+// out of attempts; next_attempt_at is when it may be tried next.
+
+class EmailOutboxRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  findById(id) {
+    return this.connection.get('SELECT * FROM email_outbox WHERE id = ?', [id]);
+  }
+
+  /**
+   * @param {object} email
+   * @param {number} [email.userId] - Who it is for, when it is about their account
+   * @param {string} email.template - What kind of email it is (utils/mailTemplates.js)
+   * @param {string} email.nextAttemptAt - Timestamp
+   * @returns {Promise<number>} The new message's id
+   */
+  async enqueue({ userId = null, template, to, subject, text, html = null, nextAttemptAt }) {
+    const { lastID } = await this.connection.run(
+      `INSERT INTO email_outbox (user_id, template, to_address, subject, text, html, next_attempt_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [userId, template, to, subject, text, html, nextAttemptAt]
+    );
+    return lastID;
+  }
+
+  // Ids of pending messages due by `now`, oldest first
+  async listDue(now, limit = 50) {
+    const rows = await this.connection.all(
+      `SELECT id FROM email_outbox
+       WHERE status = 'pending' AND next_attempt_at <= ?
+       ORDER BY next_attempt_at, id
+       LIMIT ?`,
+      [now, limit]
+    );
+    return rows.map((row) => row.id);
+  }
+
+  /**
+   * Take a pending message for an attempt: push its next attempt back to `until`, so
+   * no other worker picks it up meanwhile.
+   * @param {number} id
+   * @param {string} now - Only claims it if it is due by then
+   * @param {string} until
+   * @returns {Promise<boolean>} Whether it was claimed
+   */
+  async claim(id, now, until) {
+    const { changes } = await this.connection.run(
+      `UPDATE email_outbox SET next_attempt_at = ?
+       WHERE id = ? AND status = 'pending' AND next_attempt_at <= ?`,
+      [until, id, now]
+    );
+    return changes === 1;
+  }
+
+  markSent(id, messageId, sentAt) {
+    return this.connection.run(
+      `UPDATE email_outbox SET status = 'sent', attempts = attempts + 1, last_error = NULL, message_id = ?, sent_at = ?
+       WHERE id = ?`,
+      [messageId, sentAt, id]
+    );
+  }
+
+  /**
+   * Record a failed attempt.
+   * @param {number} id
+   * @param {string} error
+   * @param {string|null} nextAttemptAt - When to try again; null gives up
+   */
+  markAttemptFailed(id, error, nextAttemptAt) {
+    if (nextAttemptAt === null) {
+      return this.connection.run(
+        "UPDATE email_outbox SET status = 'failed', attempts = attempts + 1, last_error = ? WHERE id = ?",
+        [error, id]
+      );
+    }
+    return this.connection.run(
+      'UPDATE email_outbox SET attempts = attempts + 1, last_error = ?, next_attempt_at = ? WHERE id = ?',
+      [error, nextAttemptAt, id]
+    );
+  }
+}
+
+module.exports = EmailOutboxRepository;
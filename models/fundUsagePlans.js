@@ -0,0 +1,98 @@
+// fund_usage_plans and donor approvals of them (fund_plan_approvals)
+
+class FundUsagePlanRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  findById(id) {
+    return this.connection.get('SELECT * FROM fund_usage_plans WHERE id = ?', [id]);
+  }
+
+  // Plan with the creator of its campaign, for ownership checks
+  findWithCampaignCreator(id) {
+    return this.connection.get(
+      `SELECT fup.*, c.creator_id
+       FROM fund_usage_plans fup
+       JOIN campaigns c ON fup.campaign_id = c.id
+       WHERE fup.id = ?`,
+      [id]
+    );
+  }
+
+  // Plans for a campaign with how many donors approved each (the donors they are
+  // counted against come from donations.electorate())
+  listByCampaign(campaignId) {
+    return this.connection.all(
+      `SELECT fup.*,
+              COUNT(DISTINCT fpa.donor_id) as approval_count
+       FROM fund_usage_plans fup
+       LEFT JOIN fund_plan_approvals fpa ON fup.id = fpa.plan_id AND fpa.approved = 1
+       WHERE fup.campaign_id = ?
+       GROUP BY fup.id
+       ORDER BY fup.created_at DESC`,
+      [campaignId]
+    );
+  }
+
+  /**
+   * @returns {Promise<number>} The new plan's id
+   */
+  async create({ campaignId, category, amount, description, billUrl = null }) {
+    const { lastID } = await this.connection.run(
+      `INSERT INTO fund_usage_plans (campaign_id, category, amount, description, bill_url, approval_status, withdrawal_status)
+       VALUES (?, ?, ?, ?, ?, 'pending', 'pending')`,
+      [campaignId, category, amount, description, billUrl]
+    );
+    return lastID;
+  }
+
+  // Record a donor's approval or rejection, replacing any earlier one of theirs
+  recordApproval(planId, donorId, approved) {
+    return this.connection.run(
+      `INSERT INTO fund_plan_approvals (plan_id, donor_id, approved)
+       VALUES (?, ?, ?)
+       ON CONFLICT(plan_id, donor_id)
+       DO UPDATE SET approved = excluded.approved, created_at = CURRENT_TIMESTAMP`,
+      [planId, donorId, approved ? 1 : 0]
+    );
+  }
+
+  // Number of donors who approved the plan
+  async approvalCount(planId) {
+    const row = await this.connection.get(
+      `SELECT COUNT(DISTINCT donor_id) as approval_count
+       FROM fund_plan_approvals
+       WHERE plan_id = ? AND approved = 1`,
+      [planId]
+    );
+    return row?.approval_count || 0;
+  }
+
+  async updateApproval(id, approvalStatus, approvedByCount) {
+    const { changes } = await this.connection.run(
+      `UPDATE fund_usage_plans
+       SET approval_status = ?, approved_by_count = ?
+       WHERE id = ?`,
+      [approvalStatus, approvedByCount, id]
+    );
+    return changes;
+  }
+
+  async markWithdrawn(id, txHash) {
+    const { changes } = await this.connection.run(
+      `UPDATE fund_usage_plans
+       SET withdrawal_status = 'withdrawn',
+           withdrawn_at = CURRENT_TIMESTAMP,
+           withdrawal_tx_hash = ?
+       WHERE id = ?`,
+      [txHash, id]
+    );
+    return changes;
+  }
+}
+
+module.exports = FundUsagePlanRepository;
@@ -0,0 +1,85 @@
+// Data-access layer
+// One repository per table group, all sharing the connection from utils/db.js
+// (SQLite or PostgreSQL, see DB_CLIENT).
+// Multi-step writes go through transaction(), which gives the callback its own set
+// of repositories bound to a dedicated connection so that nothing else running on
+// the shared connection ends up inside (or rolled back with) the transaction.
+
+const { db, openDatabase } = require('../utils/db');
+const UserRepository = require('./users');
+const CampaignRepository = require('./campaigns');
+const DonationRepository = require('./donations');
+const UsageRequestRepository = require('./usageRequests');
+const FundUsagePlanRepository = require('./fundUsagePlans');
+const NotificationRepository = require('./notifications');
+const AuthNonceRepository = require('./authNonces');
+const UserWalletRepository = require('./userWallets');
+const SessionRepository = require('./sessions');
+const TwoFactorRepository = require('./twoFactor');
+const PlatformSettingRepository = require('./platformSettings');
+const CampaignMemberRepository = require('./campaignMembers');
+const RoleRequestRepository = require('./roleRequests');
+const VerificationDocumentRepository = require('./verificationDocuments');
+const UserIdentityRepository = require('./userIdentities');
+const PersonalDataRepository = require('./personalData');
+const UserSettingRepository = require('./userSettings');
+const EmailOutboxRepository = require('./emailOutbox');
+const OidcSignInCodeRepository = require('./oidcSignInCodes');
+
+function createRepositories(connection) {
+  return {
+    users: new UserRepository(connection),
+    campaigns: new CampaignRepository(connection),
+    donations: new DonationRepository(connection),
+    usageRequests: new UsageRequestRepository(connection),
+    fundUsagePlans: new FundUsagePlanRepository(connection),
+    notifications: new NotificationRepository(connection),
+    authNonces: new AuthNonceRepository(connection),
+    userWallets: new UserWalletRepository(connection),
+    sessions: new SessionRepository(connection),
+    twoFactor: new TwoFactorRepository(connection),
+    platformSettings: new PlatformSettingRepository(connection),
+    campaignMembers: new CampaignMemberRepository(connection),
+    roleRequests: new RoleRequestRepository(connection),
+    verificationDocuments: new VerificationDocumentRepository(connection),
+    userIdentities: new UserIdentityRepository(connection),
+    personalData: new PersonalDataRepository(connection),
+    userSettings: new UserSettingRepository(connection),
+    emailOutbox: new EmailOutboxRepository(connection),
+    oidcSignInCodes: new OidcSignInCodeRepository(connection)
+  };
+}
+
+const repositories = createRepositories(db);
+
+/**
+ * Run a unit of work atomically. Commits when the callback resolves and rolls
+ * back when it throws; the error is re-thrown to the caller.
+ * begin() takes the write lock up front (BEGIN IMMEDIATE on SQLite, an advisory
+ * lock on Postgres), so reads made inside the callback (balances, vote counts)
+ * can't be invalidated by a concurrent writer.
+ * @param {function(object): Promise<*>} work - Receives repositories bound to the transaction
+ * @returns {Promise<*>} Whatever the callback resolved with
+ */
+async function transaction(work) {
+  const tx = openDatabase();
+  try {
+    await tx.begin();
+    try {
+      const result = await work(createRepositories(tx));
+      await tx.run('COMMIT');
+      return result;
+    } catch (err) {
+      await tx.run('ROLLBACK').catch(() => { });
+      throw err;
+    }
+  } finally {
+    await tx.close().catch(() => { });
+  }
+}
+
+module.exports = {
+  ...repositories,
+  connection: db,
+  transaction
+};
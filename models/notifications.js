@@ -0,0 +1,173 @@
+// notifications table, and notification_digest_items: notifications waiting for a
+// user's digest email
+
+class NotificationRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  async findById(id) {
+    return parse(await this.connection.get('SELECT * FROM notifications WHERE id = ?', [id]));
+  }
+
+  /**
+   * A page of a user's notifications, newest first, with the title of the
+   * campaign they refer to.
+   * @param {number} userId
+   * @param {object} [filters] - See where()
+   * @param {object} [page]
+   * @param {number} [page.limit]
+   * @param {number} [page.offset]
+   */
+  async listByUser(userId, filters = {}, { limit = 50, offset = 0 } = {}) {
+    const { sql, params } = where(userId, filters);
+    const rows = await this.connection.all(
+      `SELECT n.*, c.title as campaign_title
+       FROM notifications n
+       LEFT JOIN campaigns c ON n.campaign_id = c.id
+       WHERE ${sql}
+       ORDER BY n.created_at DESC, n.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows.map(parse);
+  }
+
+  async countByUser(userId, filters = {}) {
+    const { sql, params } = where(userId, filters);
+    const row = await this.connection.get(`SELECT COUNT(*) as count FROM notifications n WHERE ${sql}`, params);
+    return Number(row.count);
+  }
+
+  async countUnread(userId) {
+    const row = await this.connection.get(
+      'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND read_status = 0',
+      [userId]
+    );
+    return row.count;
+  }
+
+  /**
+   * @param {object} notification
+   * @param {object} [notification.data] - What the title and message were rendered from
+   * @returns {Promise<number>} The new notification's id
+   */
+  async create({ userId, campaignId = null, type, title, message, data = null }) {
+    const { lastID } = await this.connection.run(
+      'INSERT INTO notifications (user_id, campaign_id, type, title, message, data) VALUES (?, ?, ?, ?, ?, ?)',
+      [userId, campaignId, type, title, message, data ? JSON.stringify(data) : null]
+    );
+    return lastID;
+  }
+
+  // Only marks the notification if it belongs to the user
+  async markRead(id, userId) {
+    const { changes } = await this.connection.run(
+      'UPDATE notifications SET read_status = 1 WHERE id = ? AND user_id = ?',
+      [id, userId]
+    );
+    return changes;
+  }
+
+  /**
+   * @returns {Promise<number>} How many notifications were unread
+   */
+  async markAllRead(userId, filters = {}) {
+    const { sql, params } = where(userId, filters);
+    const { changes } = await this.connection.run(
+      `UPDATE notifications SET read_status = 1 WHERE read_status = 0 AND id IN (SELECT n.id FROM notifications n WHERE ${sql})`,
+      params
+    );
+    return changes;
+  }
+
+  // Only deletes the notification if it belongs to the user
+  async delete(id, userId) {
+    const { changes } = await this.connection.run('DELETE FROM notifications WHERE id = ? AND user_id = ?', [id, userId]);
+    return changes;
+  }
+
+  /**
+   * Queue a notification for the user's next digest.
+   * @returns {Promise<number>} The queued item's id
+   */
+  async queueForDigest({ userId, campaignId = null, type, title, message, data = null }) {
+    const { lastID } = await this.connection.run(
+      'INSERT INTO notification_digest_items (user_id, campaign_id, type, title, message, data) VALUES (?, ?, ?, ?, ?, ?)',
+      [userId, campaignId, type, title, message, data ? JSON.stringify(data) : null]
+    );
+    return lastID;
+  }
+
+  // Users with digest items queued before the timestamp
+  async digestUserIds(before) {
+    const rows = await this.connection.all(
+      'SELECT DISTINCT user_id FROM notification_digest_items WHERE created_at < ? ORDER BY user_id',
+      [before]
+    );
+    return rows.map((row) => row.user_id);
+  }
+
+  /**
+   * A user's queued digest items, oldest first, with the title of the campaign they
+   * refer to
+   * @param {number} userId
+   * @param {string} before - Only items queued before this timestamp
+   */
+  async listDigestItems(userId, before) {
+    const rows = await this.connection.all(
+      `SELECT i.*, c.title as campaign_title
+       FROM notification_digest_items i
+       LEFT JOIN campaigns c ON i.campaign_id = c.id
+       WHERE i.user_id = ? AND i.created_at < ?
+       ORDER BY i.created_at, i.id`,
+      [userId, before]
+    );
+    return rows.map(parse);
+  }
+
+  async deleteDigestItems(ids) {
+    if (ids.length === 0) return 0;
+    const { changes } = await this.connection.run(
+      `DELETE FROM notification_digest_items WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      ids
+    );
+    return changes;
+  }
+}
+
+/**
+ * WHERE clause for a user's notifications (aliased n)
+ * @param {number} userId
+ * @param {object} filters
+ * @param {string[]} [filters.types]
+ * @param {boolean} [filters.read] - Only read (true) or unread (false) ones
+ * @param {number} [filters.campaignId]
+ */
+function where(userId, { types, read, campaignId } = {}) {
+  const conditions = ['n.user_id = ?'];
+  const params = [userId];
+  if (types && types.length > 0) {
+    conditions.push(`n.type IN (${types.map(() => '?').join(', ')})`);
+    params.push(...types);
+  }
+  if (read !== undefined) {
+    conditions.push('n.read_status = ?');
+    params.push(read ? 1 : 0);
+  }
+  if (campaignId !== undefined) {
+    conditions.push('n.campaign_id = ?');
+    params.push(campaignId);
+  }
+  return { sql: conditions.join(' AND '), params };
+}
+
+// data is stored as JSON
+function parse(row) {
+  return row && { ...row, data: row.data ? JSON.parse(row.data) : null };
+}
+
+module.exports = NotificationRepository;
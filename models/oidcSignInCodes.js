@@ -0,0 +1,52 @@
+// oidc_sign_in_codes table - one-time codes from the OpenID Connect callback,
+// exchanged for a session (see routes/api/identities.js). Only hashes are stored.
+
+// Timestamps are compared as 'YYYY-MM-DD HH:MM:SS' UTC strings, like CURRENT_TIMESTAMP
+const toTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+class OidcSignInCodeRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  /**
+   * @param {object} code
+   * @param {string} code.codeHash - Hash of the code (hashToken in utils/sessions.js)
+   * @param {boolean} code.isNewUser - Whether the sign-in created the account
+   * @param {Date} code.expiresAt
+   */
+  create({ userId, codeHash, isNewUser, expiresAt }) {
+    return this.connection.run(
+      'INSERT INTO oidc_sign_in_codes (user_id, code_hash, is_new_user, expires_at) VALUES (?, ?, ?, ?)',
+      [userId, codeHash, isNewUser ? 1 : 0, toTimestamp(expiresAt)]
+    );
+  }
+
+  /**
+   * Mark a code used. Only succeeds once, and only before it expires.
+   * @returns {Promise<object|null>} The code's row, or null if it wasn't valid
+   */
+  async consume(codeHash, now = new Date()) {
+    const code = await this.connection.get(
+      'SELECT * FROM oidc_sign_in_codes WHERE code_hash = ? AND used_at IS NULL AND expires_at > ?',
+      [codeHash, toTimestamp(now)]
+    );
+    if (!code) return null;
+    const { changes } = await this.connection.run(
+      'UPDATE oidc_sign_in_codes SET used_at = ? WHERE id = ? AND used_at IS NULL',
+      [toTimestamp(now), code.id]
+    );
+    return changes === 1 ? code : null;
+  }
+
+  // Housekeeping: expired codes are never needed again
+  async deleteExpired(now = new Date()) {
+    const { changes } = await this.connection.run('DELETE FROM oidc_sign_in_codes WHERE expires_at <= ?', [toTimestamp(now)]);
+    return changes;
+  }
+}
+
+module.exports = OidcSignInCodeRepository;
@@ -0,0 +1,185 @@
+// Everything stored about a user, across tables - for the personal data export and
+// account deletion (see routes/api/account.js). Tables that hold personal data
+// belong here too when they are added.
+// Deleting an account keeps the users row, cleared of personal fields, so that
+// donations, usage votes and fund plan approvals - which mirror on-chain
+// transactions and count towards campaign accounting - keep their donor. Everything
+// else tied to the user is removed. Run erase() in models.transaction().
+
+// Timestamps are stored as 'YYYY-MM-DD HH:MM:SS' UTC strings, like CURRENT_TIMESTAMP
+const toTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+// Campaigns in these states still need their owner
+const OPEN_CAMPAIGN_STATUSES = ['pending', 'approved', 'active'];
+
+class PersonalDataRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  /**
+   * The user's data, one section per kind of record. Secrets (password hash, second
+   * factor secret, token hashes) are left out; verification documents include the
+   * stored file_name so their files can be exported along.
+   * @returns {Promise<object|null>} null when there is no such user
+   */
+  async collect(userId) {
+    const profile = await this.connection.get(
+      `SELECT id, username, email, name, role, phone, address, emergency_contact, emergency_phone,
+              profile_picture, wallet_address, wallet_verified_at, email_verified_at, created_at,
+              CASE WHEN password = '' THEN 0 ELSE 1 END as has_password
+       FROM users WHERE id = ?`,
+      [userId]
+    );
+    if (!profile) {
+      return null;
+    }
+
+    const all = (sql) => this.connection.all(sql, [userId]);
+    const twoFactor = await this.connection.get(
+      'SELECT enabled_at FROM user_two_factor WHERE user_id = ? AND enabled_at IS NOT NULL',
+      [userId]
+    );
+
+    return {
+      profile,
+      wallets: await all(
+        'SELECT address, label, is_primary, verified_at, created_at FROM user_wallets WHERE user_id = ? ORDER BY id'
+      ),
+      identities: await all(
+        'SELECT provider, email, created_at, last_used_at FROM user_identities WHERE user_id = ? ORDER BY id'
+      ),
+      twoFactor: { enabled: Boolean(twoFactor), enabledAt: twoFactor ? twoFactor.enabled_at : null },
+      sessions: await all(
+        `SELECT user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at
+         FROM sessions WHERE user_id = ? ORDER BY id`
+      ),
+      campaigns: await all('SELECT * FROM campaigns WHERE creator_id = ? ORDER BY id'),
+      campaignMemberships: await all(
+        `SELECT m.campaign_id, c.title as campaign_title, m.role, m.created_at
+         FROM campaign_members m
+         JOIN campaigns c ON c.id = m.campaign_id
+         WHERE m.user_id = ? ORDER BY m.id`
+      ),
+      donations: await all(
+        `SELECT d.id, d.campaign_id, c.title as campaign_title, d.amount, d.transaction_hash,
+                d.donor_address, d.created_at
+         FROM donations d
+         LEFT JOIN campaigns c ON c.id = d.campaign_id
+         WHERE d.donor_id = ? ORDER BY d.id`
+      ),
+      usageVotes: await all(
+        `SELECT v.usage_request_id, r.campaign_id, r.title as usage_request_title, v.vote,
+                v.donor_wallet_address, v.donated_amount, v.created_at, v.updated_at
+         FROM usage_votes v
+         JOIN usage_requests r ON r.id = v.usage_request_id
+         WHERE v.donor_id = ? ORDER BY v.id`
+      ),
+      fundPlanApprovals: await all(
+        `SELECT a.plan_id, p.campaign_id, p.category as plan_category, a.approved, a.created_at
+         FROM fund_plan_approvals a
+         JOIN fund_usage_plans p ON p.id = a.plan_id
+         WHERE a.donor_id = ? ORDER BY a.id`
+      ),
+      usageRequests: await all('SELECT * FROM usage_requests WHERE created_by = ? ORDER BY id'),
+      comments: await all(
+        `SELECT c.id, c.campaign_id, ca.title as campaign_title, c.text, c.created_at
+         FROM comments c
+         LEFT JOIN campaigns ca ON ca.id = c.campaign_id
+         WHERE c.user_id = ? ORDER BY c.id`
+      ),
+      settings: Object.fromEntries(
+        (await all('SELECT key, value FROM user_settings WHERE user_id = ? ORDER BY key'))
+          .map((row) => [row.key, JSON.parse(row.value)])
+      ),
+      notifications: await all(
+        `SELECT id, campaign_id, type, title, message, read_status, created_at
+         FROM notifications WHERE user_id = ? ORDER BY id`
+      ),
+      queuedForDigest: await all(
+        `SELECT campaign_id, type, title, message, created_at
+         FROM notification_digest_items WHERE user_id = ? ORDER BY id`
+      ),
+      emails: await all(
+        `SELECT template, to_address, subject, status, created_at, sent_at
+         FROM email_outbox WHERE user_id = ? ORDER BY id`
+      ),
+      roleRequests: await all(
+        `SELECT id, requested_role, status, legal_name, date_of_birth, phone, address, id_document_type,
+                id_document_number, motivation, review_note, reviewed_at, created_at
+         FROM role_requests WHERE user_id = ? ORDER BY id`
+      ),
+      roleRequestEvents: await all(
+        `SELECT e.request_id, e.action, e.note, e.created_at
+         FROM role_request_events e
+         JOIN role_requests r ON r.id = e.request_id
+         WHERE r.user_id = ? ORDER BY e.id`
+      ),
+      verificationDocuments: await all(
+        `SELECT id, campaign_id, kind, document_type, file_name, original_name, mime_type, description,
+                status, review_note, reviewed_at, created_at
+         FROM verification_documents WHERE user_id = ? ORDER BY id`
+      )
+    };
+  }
+
+  // The user's campaigns that can't lose their owner yet
+  listOpenCampaigns(userId) {
+    return this.connection.all(
+      `SELECT id, title, status FROM campaigns
+       WHERE creator_id = ? AND status IN (${OPEN_CAMPAIGN_STATUSES.map(() => '?').join(', ')})
+       ORDER BY id`,
+      [userId, ...OPEN_CAMPAIGN_STATUSES]
+    );
+  }
+
+  /**
+   * Delete the user's account: remove what is tied to them, clear the personal
+   * fields of their users row and drop their role; deleting their sessions signs
+   * them out everywhere. Files of their verification documents are left to the
+   * caller (removeDocumentFiles in utils/verification.js).
+   * @param {number} userId
+   * @param {object} replacement
+   * @param {string} replacement.username - Unique placeholder for the username
+   * @returns {Promise<Array<{file_name: string}>>} The verification documents removed
+   */
+  async erase(userId, { username, now = new Date() }) {
+    const remove = (table) => this.connection.run(`DELETE FROM ${table} WHERE user_id = ?`, [userId]);
+    const documents = await this.connection.all('SELECT file_name FROM verification_documents WHERE user_id = ?', [userId]);
+
+    await remove('comments');
+    await remove('notifications');
+    await remove('notification_digest_items');
+    await remove('user_settings');
+    await remove('email_outbox');
+    await remove('campaign_members');
+    await this.connection.run(
+      'DELETE FROM role_request_events WHERE request_id IN (SELECT id FROM role_requests WHERE user_id = ?)',
+      [userId]
+    );
+    await remove('role_requests');
+    await remove('verification_documents');
+    await remove('oidc_sign_in_codes');
+    await remove('user_identities');
+    await remove('user_wallets');
+    await remove('two_factor_recovery_codes');
+    await remove('user_two_factor');
+    await remove('sessions');
+
+    await this.connection.run(
+      `UPDATE users
+       SET username = ?, email = NULL, password = '', role = 'donor', name = 'Deleted user',
+           phone = NULL, address = NULL, emergency_contact = NULL, emergency_phone = NULL,
+           profile_picture = NULL, wallet_address = NULL, wallet_verified_at = NULL,
+           email_verified_at = NULL, deleted_at = ?
+       WHERE id = ?`,
+      [username, toTimestamp(now), userId]
+    );
+    return documents;
+  }
+}
+
+module.exports = PersonalDataRepository;
@@ -0,0 +1,58 @@
+// platform_settings table - platform-wide switches admins change from the dashboard
+// (PUT api/admin/settings). Values are stored as JSON; settings nobody has changed
+// yet read as their default.
+
+const DEFAULTS = {
+  // Roles whose accounts must use two-factor authentication (see middleware/auth.js)
+  twoFactorRequiredRoles: []
+};
+
+class PlatformSettingRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  async get(key) {
+    if (!(key in DEFAULTS)) {
+      throw new Error(`Unknown platform setting "${key}"`);
+    }
+    const row = await this.connection.get('SELECT value FROM platform_settings WHERE key = ?', [key]);
+    return row ? JSON.parse(row.value) : DEFAULTS[key];
+  }
+
+  // Every setting, defaults included
+  async all() {
+    const rows = await this.connection.all('SELECT key, value FROM platform_settings');
+    const settings = { ...DEFAULTS };
+    for (const row of rows) {
+      if (row.key in DEFAULTS) {
+        settings[row.key] = JSON.parse(row.value);
+      }
+    }
+    return settings;
+  }
+
+  /**
+   * @param {string} key - One of the keys in DEFAULTS
+   * @param {*} value - JSON-serialisable
+   * @param {number} updatedBy - Admin making the change
+   */
+  set(key, value, updatedBy) {
+    if (!(key in DEFAULTS)) {
+      throw new Error(`Unknown platform setting "${key}"`);
+    }
+    return this.connection.run(
+      `INSERT INTO platform_settings (key, value, updated_by, updated_at)
+       VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+      [key, JSON.stringify(value), updatedBy]
+    );
+  }
+}
+
+PlatformSettingRepository.DEFAULTS = DEFAULTS;
+
+module.exports = PlatformSettingRepository;
@@ -0,0 +1,120 @@
+// role_requests and role_request_events tables - applications for a platform role
+// (e.g. donor to fundraiser) and the log of everything that happened to them.
+// A request is pending until an admin approves or rejects it, or the applicant
+// cancels it; a user can have one pending request at a time.
+// Steps that change a request and log it should run in models.transaction().
+
+class RoleRequestRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  findById(id) {
+    return this.connection.get('SELECT * FROM role_requests WHERE id = ?', [id]);
+  }
+
+  // The request with the applicant's account details, for the admin queue
+  findWithUser(id) {
+    return this.connection.get(
+      `SELECT r.*, u.username, u.name, u.email, u.role as user_role
+       FROM role_requests r
+       JOIN users u ON u.id = r.user_id
+       WHERE r.id = ?`,
+      [id]
+    );
+  }
+
+  findPending(userId) {
+    return this.connection.get(
+      "SELECT * FROM role_requests WHERE user_id = ? AND status = 'pending'",
+      [userId]
+    );
+  }
+
+  listByUser(userId) {
+    return this.connection.all(
+      'SELECT * FROM role_requests WHERE user_id = ? ORDER BY created_at DESC, id DESC',
+      [userId]
+    );
+  }
+
+  // Admin queue, oldest first so requests are handled in the order they came in
+  list({ status } = {}) {
+    const filter = status ? 'WHERE r.status = ?' : '';
+    return this.connection.all(
+      `SELECT r.id, r.user_id, r.requested_role, r.status, r.legal_name, r.created_at, r.reviewed_at,
+              u.username, u.name, u.email, u.role as user_role
+       FROM role_requests r
+       JOIN users u ON u.id = r.user_id
+       ${filter}
+       ORDER BY r.created_at, r.id`,
+      status ? [status] : []
+    );
+  }
+
+  /**
+   * @param {object} request
+   * @param {string} request.requestedRole
+   * @returns {Promise<number>} The new request's id
+   */
+  async create({ userId, requestedRole, legalName, dateOfBirth, phone, address, idDocumentType, idDocumentNumber, motivation }) {
+    const { lastID } = await this.connection.run(
+      `INSERT INTO role_requests
+        (user_id, requested_role, legal_name, date_of_birth, phone, address, id_document_type, id_document_number, motivation)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, requestedRole, legalName, dateOfBirth, phone, address, idDocumentType, idDocumentNumber, motivation]
+    );
+    return lastID;
+  }
+
+  /**
+   * Approve or reject a pending request.
+   * @param {'approved'|'rejected'} status
+   * @returns {Promise<number>} 0 when the request isn't pending (anymore)
+   */
+  async decide(id, status, reviewerId, note = null) {
+    const { changes } = await this.connection.run(
+      `UPDATE role_requests SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+       WHERE id = ? AND status = 'pending'`,
+      [status, reviewerId, note, id]
+    );
+    return changes;
+  }
+
+  // The applicant withdraws their pending request
+  async cancel(id, userId) {
+    const { changes } = await this.connection.run(
+      "UPDATE role_requests SET status = 'cancelled' WHERE id = ? AND user_id = ? AND status = 'pending'",
+      [id, userId]
+    );
+    return changes;
+  }
+
+  /**
+   * @param {object} event
+   * @param {'submitted'|'approved'|'rejected'|'cancelled'} event.action
+   * @param {string} [event.note]
+   */
+  logEvent({ requestId, actorId, action, note = null }) {
+    return this.connection.run(
+      'INSERT INTO role_request_events (request_id, actor_id, action, note) VALUES (?, ?, ?, ?)',
+      [requestId, actorId, action, note]
+    );
+  }
+
+  listEvents(requestId) {
+    return this.connection.all(
+      `SELECT e.action, e.note, e.created_at, e.actor_id, u.username as actor_username
+       FROM role_request_events e
+       JOIN users u ON u.id = e.actor_id
+       WHERE e.request_id = ?
+       ORDER BY e.created_at, e.id`,
+      [requestId]
+    );
+  }
+}
+
+module.exports = RoleRequestRepository;
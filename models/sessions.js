@@ -0,0 +1,96 @@
+// sessions table - one row per signed-in device (see utils/sessions.js)
+// Only hashes of refresh tokens are stored.
+
+// Timestamps are compared as 'YYYY-MM-DD HH:MM:SS' UTC strings, like CURRENT_TIMESTAMP
+const toTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+// Columns safe to show the user; never the token hashes
+const PUBLIC_COLUMNS = 'id, user_agent, ip_address, created_at, last_used_at, expires_at';
+
+class SessionRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  /**
+   * @param {object} session
+   * @param {string} session.tokenHash - Hash of the first refresh token
+   * @param {Date} session.expiresAt
+   * @returns {Promise<number>} The new session's id
+   */
+  async create({ userId, tokenHash, userAgent = null, ipAddress = null, expiresAt }) {
+    const { lastID } = await this.connection.run(
+      `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [userId, tokenHash, userAgent, ipAddress, toTimestamp(expiresAt)]
+    );
+    return lastID;
+  }
+
+  // The user's session if it has neither expired nor been revoked
+  findActive(id, userId, now = new Date()) {
+    return this.connection.get(
+      'SELECT * FROM sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > ?',
+      [id, userId, toTimestamp(now)]
+    );
+  }
+
+  // The session a refresh token was issued for, whether it is the current token or the one it replaced
+  findByTokenHash(tokenHash) {
+    return this.connection.get(
+      'SELECT * FROM sessions WHERE refresh_token_hash = ? OR previous_token_hash = ?',
+      [tokenHash, tokenHash]
+    );
+  }
+
+  listActive(userId, now = new Date()) {
+    return this.connection.all(
+      `SELECT ${PUBLIC_COLUMNS} FROM sessions
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+       ORDER BY last_used_at DESC, id DESC`,
+      [userId, toTimestamp(now)]
+    );
+  }
+
+  /**
+   * Replace the session's refresh token. Fails if the token was already rotated
+   * (e.g. by a concurrent refresh) or the session was revoked meanwhile.
+   * @returns {Promise<boolean>}
+   */
+  async rotate(id, { tokenHash, newTokenHash, expiresAt, now = new Date() }) {
+    const { changes } = await this.connection.run(
+      `UPDATE sessions
+       SET refresh_token_hash = ?, previous_token_hash = ?, last_used_at = ?, expires_at = ?
+       WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+      [newTokenHash, tokenHash, toTimestamp(now), toTimestamp(expiresAt), id, tokenHash]
+    );
+    return changes === 1;
+  }
+
+  // Only revokes the session if it belongs to the user
+  async revoke(id, userId) {
+    const { changes } = await this.connection.run(
+      'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [id, userId]
+    );
+    return changes;
+  }
+
+  /**
+   * Revoke every session of a user, optionally keeping one (the caller's).
+   * @returns {Promise<number>} Sessions revoked
+   */
+  async revokeAllForUser(userId, exceptId = null) {
+    const { changes } = await this.connection.run(
+      `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND revoked_at IS NULL AND id != ?`,
+      [userId, exceptId === null ? -1 : exceptId]
+    );
+    return changes;
+  }
+}
+
+module.exports = SessionRepository;
@@ -0,0 +1,131 @@
+// user_two_factor and two_factor_recovery_codes tables (see utils/twoFactor.js)
+// Only hashes of recovery codes are stored.
+
+// Timestamps are compared as 'YYYY-MM-DD HH:MM:SS' UTC strings, like CURRENT_TIMESTAMP
+const toTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+class TwoFactorRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  // The user's 2FA row; `locked` is 1 while too many wrong codes lock them out
+  find(userId, now = new Date()) {
+    return this.connection.get(
+      `SELECT *, CASE WHEN locked_until > ? THEN 1 ELSE 0 END AS locked
+       FROM user_two_factor WHERE user_id = ?`,
+      [toTimestamp(now), userId]
+    );
+  }
+
+  async isEnabled(userId) {
+    const row = await this.connection.get(
+      'SELECT 1 AS enabled FROM user_two_factor WHERE user_id = ? AND enabled_at IS NOT NULL',
+      [userId]
+    );
+    return Boolean(row);
+  }
+
+  /**
+   * Start (or restart) enrollment with a new secret. Does nothing once 2FA is enabled.
+   * @returns {Promise<boolean>} Whether the secret was stored
+   */
+  async begin(userId, secret) {
+    const { changes } = await this.connection.run(
+      `INSERT INTO user_two_factor (user_id, secret) VALUES (?, ?)
+       ON CONFLICT (user_id) DO UPDATE SET secret = excluded.secret, last_used_step = NULL,
+         failed_attempts = 0, locked_until = NULL, created_at = CURRENT_TIMESTAMP
+       WHERE user_two_factor.enabled_at IS NULL`,
+      [userId, secret]
+    );
+    return changes === 1;
+  }
+
+  async enable(userId, now = new Date()) {
+    const { changes } = await this.connection.run(
+      'UPDATE user_two_factor SET enabled_at = ? WHERE user_id = ? AND enabled_at IS NULL',
+      [toTimestamp(now), userId]
+    );
+    return changes;
+  }
+
+  async disable(userId) {
+    await this.connection.run('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+    const { changes } = await this.connection.run('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+    return changes;
+  }
+
+  /**
+   * Record the time step of an accepted code. Fails for a step that was already
+   * used (or an earlier one), so each code works once.
+   * @returns {Promise<boolean>}
+   */
+  async useStep(userId, step) {
+    const { changes } = await this.connection.run(
+      `UPDATE user_two_factor SET last_used_step = ?
+       WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+      [step, userId, step]
+    );
+    return changes === 1;
+  }
+
+  /**
+   * Count a wrong code, locking the user out once there have been too many in a row.
+   * @param {object} limits
+   * @param {number} limits.maxAttempts
+   * @param {Date} limits.lockUntil
+   */
+  recordFailure(userId, { maxAttempts, lockUntil }) {
+    return this.connection.run(
+      `UPDATE user_two_factor
+       SET failed_attempts = failed_attempts + 1,
+           locked_until = CASE WHEN failed_attempts + 1 >= ? THEN ? ELSE locked_until END
+       WHERE user_id = ?`,
+      [maxAttempts, toTimestamp(lockUntil), userId]
+    );
+  }
+
+  resetFailures(userId) {
+    return this.connection.run(
+      'UPDATE user_two_factor SET failed_attempts = 0, locked_until = NULL WHERE user_id = ?',
+      [userId]
+    );
+  }
+
+  // Replace the user's recovery codes with a new set
+  async replaceRecoveryCodes(userId, codeHashes) {
+    await this.connection.run('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+    for (const codeHash of codeHashes) {
+      await this.connection.run(
+        'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+        [userId, codeHash]
+      );
+    }
+  }
+
+  /**
+   * Use up a recovery code.
+   * @returns {Promise<boolean>} Whether the code was valid and unused
+   */
+  async useRecoveryCode(userId, codeHash, now = new Date()) {
+    const { changes } = await this.connection.run(
+      `UPDATE two_factor_recovery_codes SET used_at = ?
+       WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [toTimestamp(now), userId, codeHash]
+    );
+    return changes === 1;
+  }
+
+  async countRecoveryCodes(userId) {
+    const row = await this.connection.get(
+      'SELECT COUNT(*) AS count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+    return Number(row.count);
+  }
+}
+
+module.exports = TwoFactorRepository;
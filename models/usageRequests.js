@@ -0,0 +1,152 @@
+// usage_requests and the donor votes on them (usage_votes)
+
+class UsageRequestRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  findById(id) {
+    return this.connection.get('SELECT * FROM usage_requests WHERE id = ?', [id]);
+  }
+
+  // Newest first
+  listByCampaign(campaignId) {
+    return this.connection.all(
+      `SELECT * FROM usage_requests
+       WHERE campaign_id = ?
+       ORDER BY created_at DESC`,
+      [campaignId]
+    );
+  }
+
+  // Requests still waiting for votes since before `createdBefore` whose donors haven't
+  // been reminded yet (utils/voteReminders.js)
+  listAwaitingReminder(createdBefore) {
+    return this.connection.all(
+      `SELECT * FROM usage_requests
+       WHERE status = 'PENDING' AND reminded_at IS NULL AND created_at < ?
+       ORDER BY id`,
+      [createdBefore]
+    );
+  }
+
+  /**
+   * @returns {Promise<number>} 0 if the request's donors were already reminded
+   */
+  async markReminded(id, remindedAt) {
+    const { changes } = await this.connection.run(
+      'UPDATE usage_requests SET reminded_at = ? WHERE id = ? AND reminded_at IS NULL',
+      [remindedAt, id]
+    );
+    return changes;
+  }
+
+  /**
+   * @returns {Promise<number>} The new request's id
+   */
+  async create({ campaignId, title, category, requestedAmount, description = '', supportingDocsUrl = null, createdBy }) {
+    const { lastID } = await this.connection.run(
+      `INSERT INTO usage_requests
+       (campaign_id, title, category, requested_amount, description, status, supporting_docs_url, created_by)
+       VALUES (?, ?, ?, ?, ?, 'PENDING', ?, ?)`,
+      [campaignId, title, category, requestedAmount, description, supportingDocsUrl, createdBy]
+    );
+    return lastID;
+  }
+
+  async approve(id) {
+    const { changes } = await this.connection.run(
+      `UPDATE usage_requests
+       SET status = 'APPROVED', updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [id]
+    );
+    return changes;
+  }
+
+  async markSpent(id, { actualAmount, onchainTxHash, supportingDocsUrl }) {
+    const { changes } = await this.connection.run(
+      `UPDATE usage_requests
+       SET status = 'SPENT',
+           actual_amount = ?,
+           onchain_tx_hash = ?,
+           supporting_docs_url = ?,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [actualAmount, onchainTxHash, supportingDocsUrl, id]
+    );
+    return changes;
+  }
+
+  // Record a donor's vote, replacing any earlier vote of theirs
+  recordVote({ requestId, donorId, walletAddress = '', approve, donatedAmount }) {
+    return this.connection.run(
+      `INSERT INTO usage_votes (usage_request_id, donor_id, donor_wallet_address, vote, donated_amount)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(usage_request_id, donor_id)
+       DO UPDATE SET
+          vote = excluded.vote,
+          donated_amount = excluded.donated_amount,
+          donor_wallet_address = excluded.donor_wallet_address,
+          updated_at = CURRENT_TIMESTAMP`,
+      [requestId, donorId, walletAddress, approve ? 1 : 0, donatedAmount]
+    );
+  }
+
+  /**
+   * Vote counts and donation-weighted totals per request.
+   * @param {number[]} requestIds
+   * @returns {Promise<Object<number, object>>} Keyed by usage request id
+   */
+  async voteStats(requestIds) {
+    if (!requestIds.length) return {};
+    const placeholders = requestIds.map(() => '?').join(',');
+    const rows = await this.connection.all(
+      `SELECT usage_request_id,
+              SUM(CASE WHEN vote = 1 THEN 1 ELSE 0 END) as approvals,
+              SUM(CASE WHEN vote = 0 THEN 1 ELSE 0 END) as rejections,
+              COUNT(*) as total_votes,
+              COALESCE(SUM(donated_amount), 0) as total_weighted,
+              COALESCE(SUM(CASE WHEN vote = 1 THEN donated_amount ELSE 0 END), 0) as approved_weighted
+       FROM usage_votes
+       WHERE usage_request_id IN (${placeholders})
+       GROUP BY usage_request_id`,
+      requestIds
+    );
+    return rows.reduce((acc, row) => {
+      acc[row.usage_request_id] = row;
+      return acc;
+    }, {});
+  }
+
+  // Users who voted on the request
+  async voterIds(requestId) {
+    const rows = await this.connection.all('SELECT donor_id FROM usage_votes WHERE usage_request_id = ?', [requestId]);
+    return rows.map((row) => row.donor_id);
+  }
+
+  /**
+   * How one user voted on each request.
+   * @returns {Promise<Object<number, boolean>>} true for approve, keyed by usage request id
+   */
+  async votesByDonor(donorId, requestIds) {
+    if (!requestIds.length) return {};
+    const placeholders = requestIds.map(() => '?').join(',');
+    const rows = await this.connection.all(
+      `SELECT usage_request_id, vote
+       FROM usage_votes
+       WHERE donor_id = ?
+         AND usage_request_id IN (${placeholders})`,
+      [donorId, ...requestIds]
+    );
+    return rows.reduce((acc, row) => {
+      acc[row.usage_request_id] = row.vote === 1;
+      return acc;
+    }, {});
+  }
+}
+
+module.exports = UsageRequestRepository;
@@ -0,0 +1,67 @@
+// user_identities table - accounts at Google and other OpenID Connect providers
+// that users sign in with (see utils/oidc.js). An identity is the provider's
+// `sub` claim for the user; a provider account belongs to one user, and a user has
+// at most one account per provider.
+
+class UserIdentityRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  findBySubject(provider, subject) {
+    return this.connection.get(
+      'SELECT * FROM user_identities WHERE provider = ? AND subject = ?',
+      [provider, subject]
+    );
+  }
+
+  findByUser(userId, provider) {
+    return this.connection.get(
+      'SELECT * FROM user_identities WHERE user_id = ? AND provider = ?',
+      [userId, provider]
+    );
+  }
+
+  listByUser(userId) {
+    return this.connection.all(
+      `SELECT id, provider, email, created_at, last_used_at FROM user_identities
+       WHERE user_id = ? ORDER BY id`,
+      [userId]
+    );
+  }
+
+  /**
+   * @param {object} identity
+   * @param {string} identity.provider - Provider name (utils/oidc.js)
+   * @param {string} identity.subject - The provider's `sub` claim
+   * @param {string} [identity.email] - The email the provider reported, for display
+   * @returns {Promise<number>} The new identity's id
+   */
+  async link({ userId, provider, subject, email = null }) {
+    const { lastID } = await this.connection.run(
+      'INSERT INTO user_identities (user_id, provider, subject, email, last_used_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)',
+      [userId, provider, subject, email]
+    );
+    return lastID;
+  }
+
+  touch(id, email = null) {
+    return this.connection.run(
+      'UPDATE user_identities SET last_used_at = CURRENT_TIMESTAMP, email = COALESCE(?, email) WHERE id = ?',
+      [email, id]
+    );
+  }
+
+  async unlink(userId, provider) {
+    const { changes } = await this.connection.run(
+      'DELETE FROM user_identities WHERE user_id = ? AND provider = ?',
+      [userId, provider]
+    );
+    return changes;
+  }
+}
+
+module.exports = UserIdentityRepository;
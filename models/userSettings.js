@@ -0,0 +1,60 @@
+// user_settings table - what each user chose on their settings page (PUT api/auth/settings).
+// Values are stored as JSON; settings a user hasn't changed read as their default.
+
+const DEFAULTS = {
+  // Channels per notification type, only those the user changed:
+  // { donation_received: { email: true }, ... } (see channelsFor in utils/notifications.js)
+  notifications: {},
+  // How often notifications queued for the digest are emailed: 'daily' or 'weekly'
+  digestFrequency: 'daily'
+};
+
+class UserSettingRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  async get(userId, key) {
+    if (!(key in DEFAULTS)) {
+      throw new Error(`Unknown user setting "${key}"`);
+    }
+    const row = await this.connection.get('SELECT value FROM user_settings WHERE user_id = ? AND key = ?', [userId, key]);
+    return row ? JSON.parse(row.value) : DEFAULTS[key];
+  }
+
+  // Every setting of the user, defaults included
+  async all(userId) {
+    const rows = await this.connection.all('SELECT key, value FROM user_settings WHERE user_id = ?', [userId]);
+    const settings = { ...DEFAULTS };
+    for (const row of rows) {
+      if (row.key in DEFAULTS) {
+        settings[row.key] = JSON.parse(row.value);
+      }
+    }
+    return settings;
+  }
+
+  /**
+   * @param {number} userId
+   * @param {string} key - One of the keys in DEFAULTS
+   * @param {*} value - JSON-serialisable
+   */
+  set(userId, key, value) {
+    if (!(key in DEFAULTS)) {
+      throw new Error(`Unknown user setting "${key}"`);
+    }
+    return this.connection.run(
+      `INSERT INTO user_settings (user_id, key, value, updated_at)
+       VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT (user_id, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+      [userId, key, JSON.stringify(value)]
+    );
+  }
+}
+
+UserSettingRepository.DEFAULTS = DEFAULTS;
+
+module.exports = UserSettingRepository;
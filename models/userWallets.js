@@ -0,0 +1,141 @@
+// user_wallets table - the wallets a user has added, verified or not
+// Addresses are kept as entered and compared case-insensitively. A wallet counts
+// as the user's once it is verified (signed for, see api/auth/siwe/link), and
+// only one account can verify a given address. The primary wallet is mirrored
+// into users.wallet_address / users.wallet_verified_at.
+// add(), remove() and makePrimary() write several rows: run them in models.transaction().
+
+class UserWalletRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  // Primary wallet first, then in the order they were added
+  listByUser(userId) {
+    return this.connection.all(
+      'SELECT * FROM user_wallets WHERE user_id = ? ORDER BY is_primary DESC, id',
+      [userId]
+    );
+  }
+
+  findById(userId, id) {
+    return this.connection.get('SELECT * FROM user_wallets WHERE id = ? AND user_id = ?', [id, userId]);
+  }
+
+  findByAddress(userId, address) {
+    return this.connection.get(
+      'SELECT * FROM user_wallets WHERE user_id = ? AND LOWER(address) = LOWER(?)',
+      [userId, address]
+    );
+  }
+
+  // The entry of the account that has verified the address, if any
+  findVerified(address) {
+    return this.connection.get(
+      'SELECT * FROM user_wallets WHERE LOWER(address) = LOWER(?) AND verified_at IS NOT NULL',
+      [address]
+    );
+  }
+
+  /**
+   * Add a wallet to a user, or update the user's existing entry for the address.
+   * The user's first wallet becomes their primary one.
+   * @param {object} wallet
+   * @param {boolean} [wallet.verified] - The user has signed for the address
+   * @param {boolean} [wallet.primary] - Make it the primary wallet
+   * @returns {Promise<number>} The wallet's id
+   */
+  async add({ userId, address, label, verified = false, primary = false }) {
+    const existing = await this.findByAddress(userId, address);
+    let id;
+    if (existing) {
+      id = existing.id;
+      await this.connection.run(
+        `UPDATE user_wallets
+         SET label = COALESCE(?, label),
+             verified_at = ${verified ? 'COALESCE(verified_at, CURRENT_TIMESTAMP)' : 'verified_at'}
+         WHERE id = ?`,
+        [label === undefined ? null : label, id]
+      );
+    } else {
+      const { lastID } = await this.connection.run(
+        `INSERT INTO user_wallets (user_id, address, label, verified_at)
+         VALUES (?, ?, ?, ${verified ? 'CURRENT_TIMESTAMP' : 'NULL'})`,
+        [userId, address, label || null]
+      );
+      id = lastID;
+    }
+
+    const current = await this.connection.get(
+      'SELECT id FROM user_wallets WHERE user_id = ? AND is_primary = 1',
+      [userId]
+    );
+    if (primary || !current) {
+      await this.makePrimary(userId, id);
+    } else {
+      await this.syncUser(userId);
+    }
+    return id;
+  }
+
+  async updateLabel(userId, id, label) {
+    const { changes } = await this.connection.run(
+      'UPDATE user_wallets SET label = ? WHERE id = ? AND user_id = ?',
+      [label || null, id, userId]
+    );
+    return changes;
+  }
+
+  // Only one wallet per user is primary
+  async makePrimary(userId, id) {
+    if (!(await this.findById(userId, id))) return 0;
+
+    await this.connection.run('UPDATE user_wallets SET is_primary = 0 WHERE user_id = ? AND id != ?', [userId, id]);
+    const { changes } = await this.connection.run('UPDATE user_wallets SET is_primary = 1 WHERE id = ?', [id]);
+    await this.syncUser(userId);
+    return changes;
+  }
+
+  // The user keeps their wallets but none of them is primary
+  async clearPrimary(userId) {
+    await this.connection.run('UPDATE user_wallets SET is_primary = 0 WHERE user_id = ?', [userId]);
+    await this.syncUser(userId);
+  }
+
+  /**
+   * Remove one of a user's wallets. When it was the primary wallet the oldest
+   * remaining one (verified first) takes its place.
+   * @returns {Promise<number>} Rows removed
+   */
+  async remove(userId, id) {
+    const { changes } = await this.connection.run('DELETE FROM user_wallets WHERE id = ? AND user_id = ?', [id, userId]);
+    const next = await this.connection.get(
+      `SELECT id, is_primary FROM user_wallets WHERE user_id = ?
+       ORDER BY is_primary DESC, CASE WHEN verified_at IS NULL THEN 1 ELSE 0 END, id
+       LIMIT 1`,
+      [userId]
+    );
+    if (next && !next.is_primary) {
+      await this.makePrimary(userId, next.id);
+    } else {
+      await this.syncUser(userId);
+    }
+    return changes;
+  }
+
+  // Copy the primary wallet into the users row
+  syncUser(userId) {
+    return this.connection.run(
+      `UPDATE users SET
+         wallet_address = (SELECT address FROM user_wallets WHERE user_id = ? AND is_primary = 1),
+         wallet_verified_at = (SELECT verified_at FROM user_wallets WHERE user_id = ? AND is_primary = 1)
+       WHERE id = ?`,
+      [userId, userId, userId]
+    );
+  }
+}
+
+module.exports = UserWalletRepository;
@@ -0,0 +1,133 @@
+// users table
+
+// Timestamps are stored as 'YYYY-MM-DD HH:MM:SS' UTC strings, like CURRENT_TIMESTAMP
+const toTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+class UserRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  findById(id) {
+    return this.connection.get('SELECT * FROM users WHERE id = ?', [id]);
+  }
+
+  findByEmail(email) {
+    return this.connection.get('SELECT * FROM users WHERE email = ?', [email]);
+  }
+
+  findByUsername(username) {
+    return this.connection.get('SELECT * FROM users WHERE username = ?', [username]);
+  }
+
+  /**
+   * First user holding the email or username, optionally ignoring one user
+   * (used for uniqueness checks when a user edits their own profile).
+   */
+  findByEmailOrUsername(email, username, excludeId = null) {
+    if (excludeId === null) {
+      return this.connection.get('SELECT * FROM users WHERE email = ? OR username = ?', [email, username]);
+    }
+    return this.connection.get(
+      'SELECT * FROM users WHERE (email = ? OR username = ?) AND id != ?',
+      [email, username, excludeId]
+    );
+  }
+
+  // Admin listing - never includes password hashes
+  list() {
+    return this.connection.all(
+      'SELECT id, name, email, role, wallet_address, created_at FROM users ORDER BY created_at DESC'
+    );
+  }
+
+  // Users (deleted ones aside) holding any of the platform roles
+  async countByRoles(roles) {
+    if (!roles.length) return 0;
+    const row = await this.connection.get(
+      `SELECT COUNT(*) as count FROM users WHERE deleted_at IS NULL AND role IN (${roles.map(() => '?').join(',')})`,
+      roles
+    );
+    return Number(row.count);
+  }
+
+  /**
+   * Insert a user. Wallets are added through models.userWallets, and Google or
+   * other provider accounts through models.userIdentities.
+   * @param {object} user
+   * @param {string} user.password - Already hashed; '' for accounts without a password
+   * @param {boolean} [user.emailVerified=false] - The email was confirmed elsewhere (e.g. by Google)
+   * @returns {Promise<number>} The new user's id
+   */
+  async create({ username, email, password, role, name, profilePicture = null, emailVerified = false }) {
+    const { lastID } = await this.connection.run(
+      `INSERT INTO users (username, email, password, role, name, profile_picture, email_verified_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [username, email, password, role, name, profilePicture, emailVerified ? toTimestamp(new Date()) : null]
+    );
+    return lastID;
+  }
+
+  // Insert unless the username or email is taken; used for the default accounts,
+  // whose addresses count as verified
+  createIfMissing({ username, email, password, role, name }) {
+    return this.connection.run(
+      `INSERT INTO users (username, email, password, role, name, email_verified_at)
+       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT DO NOTHING`,
+      [username, email, password, role, name]
+    );
+  }
+
+  // A new email address has to be verified again
+  async updateProfile(id, { name, email, username }) {
+    const { changes } = await this.connection.run(
+      `UPDATE users
+       SET name = ?, email = ?, username = ?,
+           email_verified_at = CASE WHEN email = ? THEN email_verified_at ELSE NULL END
+       WHERE id = ?`,
+      [name, email, username, email, id]
+    );
+    return changes;
+  }
+
+  /**
+   * Mark the user's email as verified, provided it is still the address the
+   * verification link was sent to.
+   * @returns {Promise<number>} 0 when the user or address no longer match
+   */
+  async markEmailVerified(id, email, now = new Date()) {
+    const { changes } = await this.connection.run(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, ?) WHERE id = ? AND email = ?',
+      [toTimestamp(now), id, email]
+    );
+    return changes;
+  }
+
+  // Changing the password or role signs the user out everywhere: their sessions are
+  // revoked, so tokens issued before the change stop working
+
+  async updatePassword(id, password) {
+    const { changes } = await this.connection.run('UPDATE users SET password = ? WHERE id = ?', [password, id]);
+    await this.revokeSessions(id);
+    return changes;
+  }
+
+  async updateRole(id, role) {
+    const { changes } = await this.connection.run('UPDATE users SET role = ? WHERE id = ?', [role, id]);
+    await this.revokeSessions(id);
+    return changes;
+  }
+
+  revokeSessions(id) {
+    return this.connection.run(
+      'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+      [id]
+    );
+  }
+}
+
+module.exports = UserRepository;
@@ -0,0 +1,105 @@
+// verification_documents table - identity documents and proof of campaign purpose
+// uploaded by fundraisers (see utils/verification.js). The files themselves live in
+// VERIFICATION_DIR; rows only hold their stored name. checklist is the reviewer's
+// JSON { item: true } for the document's CHECKLISTS entry.
+
+class VerificationDocumentRepository {
+  /**
+   * @param {SqliteConnection|PostgresConnection} connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  findById(id) {
+    return this.connection.get('SELECT * FROM verification_documents WHERE id = ?', [id]);
+  }
+
+  // The document with its uploader and campaign, for the review screen
+  findWithDetails(id) {
+    return this.connection.get(
+      `SELECT d.*, u.username, u.name, u.email, c.title as campaign_title, c.goal as campaign_goal
+       FROM verification_documents d
+       JOIN users u ON u.id = d.user_id
+       LEFT JOIN campaigns c ON c.id = d.campaign_id
+       WHERE d.id = ?`,
+      [id]
+    );
+  }
+
+  listByUser(userId) {
+    return this.connection.all(
+      `SELECT d.id, d.campaign_id, d.kind, d.document_type, d.original_name, d.description, d.status,
+              d.review_note, d.reviewed_at, d.created_at, c.title as campaign_title
+       FROM verification_documents d
+       LEFT JOIN campaigns c ON c.id = d.campaign_id
+       WHERE d.user_id = ?
+       ORDER BY d.created_at DESC, d.id DESC`,
+      [userId]
+    );
+  }
+
+  listByCampaign(campaignId) {
+    return this.connection.all('SELECT * FROM verification_documents WHERE campaign_id = ?', [campaignId]);
+  }
+
+  // Review queue, oldest first
+  list({ status, kind } = {}) {
+    const filters = [];
+    const params = [];
+    if (status) {
+      filters.push('d.status = ?');
+      params.push(status);
+    }
+    if (kind) {
+      filters.push('d.kind = ?');
+      params.push(kind);
+    }
+    return this.connection.all(
+      `SELECT d.id, d.user_id, d.campaign_id, d.kind, d.document_type, d.status, d.created_at, d.reviewed_at,
+              u.username, u.name, c.title as campaign_title
+       FROM verification_documents d
+       JOIN users u ON u.id = d.user_id
+       LEFT JOIN campaigns c ON c.id = d.campaign_id
+       ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''}
+       ORDER BY d.created_at, d.id`,
+      params
+    );
+  }
+
+  /**
+   * @param {object} document
+   * @param {'identity'|'purpose'} document.kind
+   * @param {number} [document.campaignId] - Required for proof of purpose
+   * @param {string} document.fileName - Name of the stored file in VERIFICATION_DIR
+   * @returns {Promise<number>} The new document's id
+   */
+  async create({ userId, campaignId = null, kind, documentType, fileName, originalName, mimeType, description = null }) {
+    const { lastID } = await this.connection.run(
+      `INSERT INTO verification_documents
+        (user_id, campaign_id, kind, document_type, file_name, original_name, mime_type, description)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, campaignId, kind, documentType, fileName, originalName, mimeType, description]
+    );
+    return lastID;
+  }
+
+  /**
+   * Record a reviewer's decision. Documents can be reviewed again, e.g. to
+   * revoke an approval.
+   * @param {'approved'|'rejected'} status
+   * @param {object} checklist - Item key → whether the reviewer confirmed it
+   * @returns {Promise<number>} 0 when the document doesn't exist
+   */
+  async review(id, { status, checklist, note = null, reviewerId }) {
+    const { changes } = await this.connection.run(
+      `UPDATE verification_documents
+       SET status = ?, checklist = ?, review_note = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, JSON.stringify(checklist), note, reviewerId, id]
+    );
+    return changes;
+  }
+}
+
+module.exports = VerificationDocumentRepository;
@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { check, validationResult } = require('express-validator');
+const auth = require('../../middleware/auth');
+const { can, rolesWith } = require('../../utils/permissions');
+const { documentPath, removeDocumentFiles } = require('../../utils/verification');
+const { createZip } = require('../../utils/zip');
+
+const models = require('../../models');
+
+// Self-service personal data export and account deletion. What is exported and
+// what deletion removes or keeps is decided in models/personalData.js.
+
+const EXPORT_FORMATS = ['json', 'zip'];
+
+// Where campaign images, campaign documents and receipts are served from (/uploads/...)
+const uploadsRoot = () => path.resolve(process.cwd(), 'uploads');
+
+// The files the user uploaded, as ZIP entry name → path on disk; missing files are skipped
+function uploadedFiles(data) {
+  const files = new Map();
+  const addUpload = (url) => {
+    if (typeof url !== 'string' || !url.startsWith('/uploads/')) return;
+    const name = path.basename(url);
+    files.set(`uploads/${name}`, path.join(uploadsRoot(), name));
+  };
+
+  for (const campaign of data.campaigns) {
+    addUpload(campaign.image_url);
+    addUpload(campaign.document_url);
+  }
+  for (const request of data.usageRequests) {
+    addUpload(request.supporting_docs_url);
+  }
+  for (const document of data.verificationDocuments) {
+    const name = path.basename(document.original_name || document.file_name);
+    files.set(`verification/${document.id}-${name}`, documentPath(document.file_name));
+  }
+
+  return [...files].filter(([, fullPath]) => fs.existsSync(fullPath));
+}
+
+// @route   GET api/account/export
+// @desc    Download everything stored about the current user: ?format=json (default)
+//          for the data alone, ?format=zip for data.json plus the files they uploaded
+// @access  Private
+router.get('/export', [
+  auth,
+  check('format', `Format must be one of: ${EXPORT_FORMATS.join(', ')}`).optional().isIn(EXPORT_FORMATS)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const data = await models.personalData.collect(req.user.id);
+    if (!data) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const files = uploadedFiles(data);
+    const exported = {
+      exportedAt: new Date().toISOString(),
+      ...data,
+      verificationDocuments: data.verificationDocuments.map(({ file_name: fileName, ...document }) => document)
+    };
+    const baseName = `account-${req.user.id}-export`;
+
+    console.log(`📦 User ${req.user.id} exported their data (${req.query.format || 'json'})`);
+    res.setHeader('Cache-Control', 'no-store');
+    if (req.query.format === 'zip') {
+      const entries = [{ name: 'data.json', data: JSON.stringify(exported, null, 2) }];
+      for (const [name, fullPath] of files) {
+        entries.push({ name, data: await fs.promises.readFile(fullPath) });
+      }
+      res.attachment(`${baseName}.zip`);
+      return res.send(createZip(entries));
+    }
+
+    res.attachment(`${baseName}.json`);
+    res.json(exported);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+// @route   DELETE api/account
+// @desc    Delete the current user's account. Confirmed with { password }, or for
+//          accounts without a password with { confirm: <username> }. Donations and
+//          votes stay, attributed to the anonymized account.
+// @access  Private
+router.delete('/', [
+  auth,
+  check('password').optional().isString(),
+  check('confirm').optional().isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await models.users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    if (user.password) {
+      if (!req.body.password || !(await bcrypt.compare(req.body.password, user.password))) {
+        return res.status(400).json({ msg: 'Password is incorrect' });
+      }
+    } else if (req.body.confirm !== user.username) {
+      return res.status(400).json({ msg: 'Type your username to confirm' });
+    }
+
+    const campaigns = await models.personalData.listOpenCampaigns(user.id);
+    if (campaigns.length > 0) {
+      return res.status(409).json({
+        msg: 'Your campaigns still need you: wait until they end, or delete the ones without donations',
+        campaigns
+      });
+    }
+    // Someone has to be left to hand out roles
+    if (await can(user, 'users:assign_role') && (await models.users.countByRoles(rolesWith('users:assign_role'))) <= 1) {
+      return res.status(409).json({ msg: 'The last admin account cannot be deleted' });
+    }
+
+    // A random placeholder, so nobody can claim it in advance and block the deletion
+    const username = `deleted_${crypto.randomBytes(8).toString('hex')}`;
+    const documents = await models.transaction(({ personalData }) => personalData.erase(user.id, { username }));
+    removeDocumentFiles(documents);
+
+    console.log(`🗑️ User ${user.id} deleted their account`);
+    res.json({ msg: 'Your account has been deleted' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,76 +1,29 @@
 const express = require('express');
 const router = express.Router();
+const { check, validationResult } = require('express-validator');
 const auth = require('../../middleware/auth');
-const { createNotification } = require('./notifications');
+const authorize = require('../../middleware/authorize');
+const { ENFORCEABLE_ROLES } = require('../../utils/twoFactor');
+const { ROLES, can } = require('../../utils/permissions');
+const { removeDocumentFiles, checklistFor, CHECKLISTS } = require('../../utils/verification');
+const { notify, createNotifications, announceNotifications } = require('../../utils/notifications');
+const { publishCampaignStatus } = require('../../utils/eventBus');
 
-// Database connection
-const sqlite3 = require('sqlite3').verbose();
-const db = new sqlite3.Database('./crowdfunding.db');
-
-// Middleware to check if user is admin
-const adminAuth = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ msg: 'Access denied. Admin only.' });
-  }
-  next();
-};
+const models = require('../../models');
 
 // @route   GET api/admin/stats
 // @desc    Get platform statistics
-// @access  Private/Admin
-router.get('/stats', [auth, adminAuth], (req, res) => {
+// @access  Private (platform:view_stats)
+router.get('/stats', [auth, authorize('platform:view_stats')], async (req, res) => {
   try {
-    // Compute statistics with accurate definitions
-    // activeCampaigns: approved/active, not withdrawn, and deadline in the future (or not set)
-    // totalDonations: sum of current_amount from campaigns (actual raised amounts) for non-withdrawn campaigns
-    const sql = `
-      WITH campaign_base AS (
-        SELECT * FROM campaigns
-      ),
-      active AS (
-        SELECT COUNT(*) AS cnt
-        FROM campaign_base
-        WHERE status IN ('approved','active')
-          AND COALESCE(is_withdrawn, 0) = 0
-          AND (
-            deadline IS NULL OR deadline = '' OR datetime(deadline) > CURRENT_TIMESTAMP
-          )
-      ),
-      pending AS (
-        SELECT COUNT(*) AS cnt FROM campaign_base WHERE status = 'pending'
-      ),
-      completed AS (
-        SELECT COUNT(*) AS cnt FROM campaign_base WHERE status = 'completed'
-      ),
-      totals AS (
-        SELECT COUNT(*) AS cnt FROM campaign_base
-      ),
-      donation_sum AS (
-        SELECT COALESCE(SUM(current_amount), 0) AS total
-        FROM campaign_base
-        -- Removed is_withdrawn check to show TOTAL historical raised amount
-      )
-      SELECT 
-        (SELECT cnt FROM totals) AS totalCampaigns,
-        (SELECT cnt FROM pending) AS pendingCampaigns,
-        (SELECT cnt FROM active) AS activeCampaigns,
-        (SELECT cnt FROM completed) AS completedCampaigns,
-        (SELECT total FROM donation_sum) AS totalDonations
-    `;
-
-    db.get(sql, (err, stats) => {
-      if (err) {
-        console.error(err.message);
-        return res.status(500).json({ message: 'Server error' });
-      }
-
-      res.json({
-        totalCampaigns: stats?.totalCampaigns || 0,
-        pendingCampaigns: stats?.pendingCampaigns || 0,
-        activeCampaigns: stats?.activeCampaigns || 0,
-        completedCampaigns: stats?.completedCampaigns || 0,
-        totalDonations: stats?.totalDonations || 0
-      });
+    const stats = await models.campaigns.stats();
+
+    res.json({
+      totalCampaigns: stats?.totalCampaigns || 0,
+      pendingCampaigns: stats?.pendingCampaigns || 0,
+      activeCampaigns: stats?.activeCampaigns || 0,
+      completedCampaigns: stats?.completedCampaigns || 0,
+      totalDonations: stats?.totalDonations || 0
     });
   } catch (err) {
     console.error(err.message);
@@ -80,8 +33,8 @@ router.get('/stats', [auth, adminAuth], (req, res) => {
 
 // @route   PUT api/admin/campaigns/:id/approve
 // @desc    Approve a campaign (no blockchain deployment). Fundraiser will deploy.
-// @access  Private/Admin
-router.put('/campaigns/:id/approve', [auth, adminAuth], async (req, res) => {
+// @access  Private (campaigns:review)
+router.put('/campaigns/:id/approve', [auth, authorize('campaigns:review')], async (req, res) => {
   console.log('🚨 DEBUG: Starting campaign approval process...');
   console.log('- Campaign ID:', req.params.id);
   console.log('- Admin User ID:', req.user.id);
@@ -90,74 +43,44 @@ router.put('/campaigns/:id/approve', [auth, adminAuth], async (req, res) => {
   try {
     // First, get campaign details
     console.log('🚨 DEBUG: Fetching campaign from database...');
-    db.get(
-      'SELECT c.*, u.wallet_address as creator_wallet FROM campaigns c JOIN users u ON c.creator_id = u.id WHERE c.id = ?',
-      [req.params.id],
-      async (err, campaign) => {
-        console.log('🚨 DEBUG: Database query result:', { err: err?.message, campaign: campaign ? 'found' : 'not found' });
-
-        if (err) {
-          console.error('Database error:', err.message);
-          return res.status(500).json({ message: 'Server error' });
-        }
-
-        if (!campaign) {
-          console.log('🚨 DEBUG: Campaign not found in database');
-          return res.status(404).json({ message: 'Campaign not found' });
-        }
-
-        console.log('🚨 DEBUG: Campaign details:', {
-          id: campaign.id,
-          title: campaign.title,
-          status: campaign.status,
-          creator_wallet: campaign.creator_wallet,
-          goal: campaign.goal,
-          deadline: campaign.deadline
-        });
-
-        if (campaign.status !== 'pending') {
-          return res.status(400).json({ message: 'Campaign is not pending approval' });
-        }
-
-        if (!campaign.creator_wallet) {
-          return res.status(400).json({ message: 'Creator must have a wallet address before approval' });
-        }
-
-        // Only update DB to approved; fundraiser will deploy from UI
-        db.run(
-          'UPDATE campaigns SET status = ?, approved_by = ? WHERE id = ? AND status = "pending"',
-          ['approved', req.user.id, req.params.id],
-          async function (err) {
-            if (err) {
-              console.error('Database update error:', err.message);
-              return res.status(500).json({ message: 'Failed to update campaign status' });
-            }
-
-            if (this.changes === 0) {
-              return res.status(400).json({ message: 'Campaign already processed' });
-            }
-
-            // Notify fundraiser to deploy from their dashboard
-            try {
-              await createNotification(
-                campaign.creator_id,
-                campaign.id,
-                'campaign_approved',
-                '✅ Campaign Approved!',
-                `Your campaign "${campaign.title}" has been approved by admin. Please connect your MetaMask wallet and deploy it to the blockchain from your dashboard to go live and start receiving donations.`
-              );
-              console.log('✅ Approval notification sent to fundraiser');
-            } catch (notificationError) {
-              console.error('⚠️ Failed to send notification:', notificationError.message);
-            }
-
-            return res.json({
-              message: 'Campaign approved successfully! Fundraiser has been notified to deploy to blockchain using MetaMask from their dashboard.'
-            });
-          }
-        );
-      }
-    );
+    const campaign = await models.campaigns.findWithCreatorWallet(req.params.id);
+    console.log('🚨 DEBUG: Database query result:', { campaign: campaign ? 'found' : 'not found' });
+
+    if (!campaign) {
+      console.log('🚨 DEBUG: Campaign not found in database');
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    console.log('🚨 DEBUG: Campaign details:', {
+      id: campaign.id,
+      title: campaign.title,
+      status: campaign.status,
+      creator_wallet: campaign.creator_wallet,
+      goal: campaign.goal,
+      deadline: campaign.deadline
+    });
+
+    if (campaign.status !== 'pending') {
+      return res.status(400).json({ message: 'Campaign is not pending approval' });
+    }
+
+    if (!campaign.creator_wallet) {
+      return res.status(400).json({ message: 'Creator must have a wallet address before approval' });
+    }
+
+    // Only update DB to approved; fundraiser will deploy from UI
+    const changes = await models.campaigns.review(req.params.id, 'approved', req.user.id, { onlyIfPending: true });
+    if (changes === 0) {
+      return res.status(400).json({ message: 'Campaign already processed' });
+    }
+    publishCampaignStatus(campaign, 'approved');
+
+    // Notify fundraiser to deploy from their dashboard
+    await notify(campaign.creator_id, 'campaign_approved', { campaignId: campaign.id, data: { campaignTitle: campaign.title } });
+
+    return res.json({
+      message: 'Campaign approved successfully! Fundraiser has been notified to deploy to blockchain using MetaMask from their dashboard.'
+    });
   } catch (err) {
     console.error('Route error:', err.message);
     res.status(500).json({ message: 'Server error' });
@@ -166,61 +89,30 @@ router.put('/campaigns/:id/approve', [auth, adminAuth], async (req, res) => {
 
 // @route   PUT api/admin/campaigns/:id/reject
 // @desc    Reject a campaign
-// @access  Private/Admin
-router.put('/campaigns/:id/reject', [auth, adminAuth], async (req, res) => {
+// @access  Private (campaigns:review)
+router.put('/campaigns/:id/reject', [auth, authorize('campaigns:review')], async (req, res) => {
   try {
     const { reason } = req.body;
 
     // Get campaign details first
-    db.get(
-      'SELECT c.*, u.name as creator_name FROM campaigns c JOIN users u ON c.creator_id = u.id WHERE c.id = ?',
-      [req.params.id],
-      async (err, campaign) => {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).json({ message: 'Server error' });
-        }
-
-        if (!campaign) {
-          return res.status(404).json({ message: 'Campaign not found' });
-        }
-
-        db.run(
-          'UPDATE campaigns SET status = ?, approved_by = ? WHERE id = ?',
-          ['rejected', req.user.id, req.params.id],
-          async function (err) {
-            if (err) {
-              console.error(err.message);
-              return res.status(500).json({ message: 'Server error' });
-            }
-
-            if (this.changes === 0) {
-              return res.status(404).json({ message: 'Campaign not found' });
-            }
-
-            // Send rejection notification to fundraiser
-            try {
-              const rejectionMessage = reason
-                ? `Unfortunately, your campaign "${campaign.title}" has been rejected by the admin. Reason: ${reason}. You can edit and resubmit your campaign after addressing the concerns.`
-                : `Unfortunately, your campaign "${campaign.title}" has been rejected by the admin. Please review the campaign guidelines and resubmit after making necessary changes.`;
-
-              await createNotification(
-                campaign.creator_id,
-                campaign.id,
-                'campaign_rejected',
-                '❌ Campaign Rejected',
-                rejectionMessage
-              );
-              console.log('✅ Rejection notification sent to fundraiser');
-            } catch (notificationError) {
-              console.error('⚠️ Failed to send notification:', notificationError.message);
-            }
-
-            res.json({ message: 'Campaign rejected successfully. Notification sent to fundraiser.', reason });
-          }
-        );
-      }
-    );
+    const campaign = await models.campaigns.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    const changes = await models.campaigns.review(req.params.id, 'rejected', req.user.id);
+    if (changes === 0) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+    publishCampaignStatus(campaign, 'rejected');
+
+    // Send rejection notification to fundraiser
+    await notify(campaign.creator_id, 'campaign_rejected', {
+      campaignId: campaign.id,
+      data: { campaignTitle: campaign.title, reason: reason || null }
+    });
+
+    res.json({ message: 'Campaign rejected successfully. Notification sent to fundraiser.', reason });
   } catch (err) {
     console.error('Route error:', err.message);
     res.status(500).json({ message: 'Server error' });
@@ -228,26 +120,20 @@ router.put('/campaigns/:id/reject', [auth, adminAuth], async (req, res) => {
 });
 
 // @route   DELETE api/admin/campaigns/:id/delete
-// @desc    Delete a campaign (admin only)
-// @access  Private/Admin
-router.delete('/campaigns/:id/delete', [auth, adminAuth], async (req, res) => {
+// @desc    Delete any campaign
+// @access  Private (campaign:delete)
+router.delete('/campaigns/:id/delete', [auth, authorize('campaign:delete')], async (req, res) => {
   try {
-    db.run(
-      'DELETE FROM campaigns WHERE id = ?',
-      [req.params.id],
-      function (err) {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).json({ message: 'Server error' });
-        }
-
-        if (this.changes === 0) {
-          return res.status(404).json({ message: 'Campaign not found' });
-        }
-
-        res.json({ message: 'Campaign deleted successfully' });
-      }
-    );
+    const documents = await models.transaction(async ({ campaigns, verificationDocuments }) => {
+      const documents = await verificationDocuments.listByCampaign(req.params.id);
+      return await campaigns.delete(req.params.id) === 0 ? null : documents;
+    });
+    if (!documents) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+    removeDocumentFiles(documents);
+
+    res.json({ message: 'Campaign deleted successfully' });
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
@@ -256,50 +142,294 @@ router.delete('/campaigns/:id/delete', [auth, adminAuth], async (req, res) => {
 
 // @route   GET api/admin/campaigns
 // @desc    Get all campaigns with optional status filter
-// @access  Private/Admin
-router.get('/campaigns', [auth, adminAuth], (req, res) => {
+// @access  Private (campaigns:view_all)
+router.get('/campaigns', [auth, authorize('campaigns:view_all')], async (req, res) => {
   try {
-    const { status } = req.query;
-    let sql = 'SELECT c.*, u.name as creator_name FROM campaigns c JOIN users u ON c.creator_id = u.id';
-    const params = [];
+    const campaigns = await models.campaigns.listWithCreatorNames({ status: req.query.status });
+    res.json({ campaigns });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    if (status) {
-      sql += ' WHERE c.status = ?';
-      params.push(status);
+// @route   GET api/admin/users
+// @desc    Get all users
+// @access  Private (users:view)
+router.get('/users', [auth, authorize('users:view')], async (req, res) => {
+  try {
+    const users = await models.users.list();
+    res.json({ users });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/admin/users/:id/role
+// @desc    Change a user's platform role, e.g. to make them a reviewer or auditor.
+//          Signs the user out everywhere.
+// @access  Private (users:assign_role)
+router.put('/users/:id/role', [
+  auth,
+  authorize('users:assign_role'),
+  [check('role', `Role must be one of: ${ROLES.join(', ')}`).isIn(ROLES)]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  if (Number(req.params.id) === req.user.id) {
+    return res.status(400).json({ msg: 'You can\'t change your own role' });
+  }
+
+  try {
+    const changes = await models.transaction(({ users }) => users.updateRole(req.params.id, req.body.role));
+    if (changes === 0) {
+      return res.status(404).json({ msg: 'User not found' });
     }
 
-    sql += ' ORDER BY c.created_at DESC';
+    console.log(`🛡️ User ${req.params.id} is now ${req.body.role} (set by admin ${req.user.id})`);
+    res.json({ msg: 'Role updated', user: { id: Number(req.params.id), role: req.body.role } });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/admin/role-requests
+// @desc    The queue of role change requests, oldest first; ?status=pending for open ones
+// @access  Private (role_requests:view)
+router.get('/role-requests', [auth, authorize('role_requests:view')], async (req, res) => {
+  try {
+    const requests = await models.roleRequests.list({ status: req.query.status });
+    res.json({ requests });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/admin/role-requests/:id
+// @desc    A role change request with the applicant's identity details and its history
+// @access  Private (role_requests:view)
+router.get('/role-requests/:id', [auth, authorize('role_requests:view')], async (req, res) => {
+  try {
+    const request = await models.roleRequests.findWithUser(req.params.id);
+    if (!request) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
+
+    res.json({ request, history: await models.roleRequests.listEvents(request.id) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve or reject a pending request: the decision, the role change (which signs the
+// applicant out everywhere), the log entry and the notification are made together
+const decideRoleRequest = (decision) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  let note = req.body.reason || req.body.note || null;
 
-    db.all(sql, params, (err, campaigns) => {
-      if (err) {
-        console.error(err.message);
-        return res.status(500).json({ message: 'Server error' });
+  try {
+    const result = await models.transaction(async ({ roleRequests, users, notifications }) => {
+      const request = await roleRequests.findById(req.params.id);
+      if (!request) {
+        return { status: 404, message: 'Request not found' };
       }
 
-      res.json({ campaigns });
+      // An application is stale once the applicant's role changed some other way
+      // (an admin assigned one): approving it would take that role away again
+      let outcome = decision;
+      if (decision === 'approved' && !(await can(await users.findById(request.user_id), 'role_requests:apply'))) {
+        outcome = 'rejected';
+        note = 'Your account no longer has the donor role this request was made from';
+      }
+
+      if (await roleRequests.decide(request.id, outcome, req.user.id, note) === 0) {
+        return { status: 400, message: 'Request already processed' };
+      }
+
+      await roleRequests.logEvent({ requestId: request.id, actorId: req.user.id, action: outcome, note });
+      if (outcome === 'approved') {
+        await users.updateRole(request.user_id, request.requested_role);
+      }
+      const deliveries = await createNotifications(notifications, request.user_id, `role_request_${outcome}`, {
+        data: { role: request.requested_role, reason: note }
+      });
+      return { request: await roleRequests.findById(request.id), outcome, deliveries };
     });
+
+    if (!result.request) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    await announceNotifications(result.deliveries);
+
+    console.log(`🛡️ Role request ${result.request.id} ${result.outcome} by admin ${req.user.id}`);
+    if (result.outcome !== decision) {
+      return res.status(409).json({ message: 'The applicant is no longer a donor, so the request was rejected as stale', request: result.request });
+    }
+    res.json({ message: `Request ${decision}`, request: result.request });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @route   PUT api/admin/role-requests/:id/approve
+// @desc    Approve a role change request and give the applicant the role
+// @access  Private (role_requests:review)
+router.put('/role-requests/:id/approve', [auth, authorize('role_requests:review')], decideRoleRequest('approved'));
+
+// @route   PUT api/admin/role-requests/:id/reject
+// @desc    Reject a role change request; the reason is sent to the applicant
+// @access  Private (role_requests:review)
+router.put('/role-requests/:id/reject', [
+  auth,
+  authorize('role_requests:review'),
+  [check('reason', 'A reason is required').trim().not().isEmpty()]
+], decideRoleRequest('rejected'));
+
+// @route   GET api/admin/verification/documents
+// @desc    Verification documents to review, oldest first; ?status=pending and ?kind=identity|purpose filter them
+// @access  Private (verification:view)
+router.get('/verification/documents', [auth, authorize('verification:view')], async (req, res) => {
+  try {
+    const documents = await models.verificationDocuments.list({ status: req.query.status, kind: req.query.kind });
+    res.json({ documents });
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   GET api/admin/users
-// @desc    Get all users
-// @access  Private/Admin
-router.get('/users', [auth, adminAuth], (req, res) => {
+// @route   GET api/admin/verification/documents/:id
+// @desc    A verification document with its uploader, campaign and review checklist
+//          (the file is at api/verification/documents/:id/file)
+// @access  Private (verification:view)
+router.get('/verification/documents/:id', [auth, authorize('verification:view')], async (req, res) => {
   try {
-    db.all(
-      'SELECT id, name, email, role, wallet_address, created_at FROM users ORDER BY created_at DESC',
-      (err, users) => {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).json({ message: 'Server error' });
-        }
-
-        res.json({ users });
+    const document = await models.verificationDocuments.findWithDetails(req.params.id);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const { checklist, ...details } = document;
+    res.json({ document: details, checklist: checklistFor(document.kind, checklist ? JSON.parse(checklist) : {}) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/admin/verification/documents/:id/review
+// @desc    Approve or reject a verification document: { decision, checklist: { item: true }, note }.
+//          Approval needs every checklist item confirmed, rejection a note for the uploader.
+//          Approved documents can be reviewed again to revoke them.
+// @access  Private (verification:review)
+router.put('/verification/documents/:id/review', [
+  auth,
+  authorize('verification:review'),
+  [
+    check('decision', 'Decision must be approved or rejected').isIn(['approved', 'rejected']),
+    check('checklist', 'Checklist must be an object').optional().isObject(),
+    check('note', 'A note is required to reject a document')
+      .if((value, { req }) => req.body.decision === 'rejected')
+      .trim().not().isEmpty()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { decision, checklist: checked = {}, note = null } = req.body;
+
+  try {
+    const result = await models.transaction(async ({ verificationDocuments, notifications }) => {
+      const document = await verificationDocuments.findById(req.params.id);
+      if (!document) {
+        return { status: 404, message: 'Document not found' };
       }
-    );
+
+      const items = Object.keys(CHECKLISTS[document.kind]);
+      const unknown = Object.keys(checked).filter((key) => !items.includes(key));
+      if (unknown.length > 0) {
+        return { status: 400, message: `Unknown checklist items: ${unknown.join(', ')}` };
+      }
+      const checklist = Object.fromEntries(items.map((key) => [key, checked[key] === true]));
+      if (decision === 'approved' && !Object.values(checklist).every(Boolean)) {
+        return { status: 400, message: 'Every checklist item must be confirmed to approve the document' };
+      }
+
+      await verificationDocuments.review(document.id, { status: decision, checklist, note, reviewerId: req.user.id });
+
+      const deliveries = await createNotifications(notifications, document.user_id, `verification_${decision}`, {
+        campaignId: document.campaign_id,
+        data: { document: document.kind === 'identity' ? 'identity document' : 'proof of purpose', reason: note }
+      });
+      return { document: await verificationDocuments.findById(document.id), deliveries };
+    });
+
+    if (!result.document) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    await announceNotifications(result.deliveries);
+
+    console.log(`🪪 Verification document ${result.document.id} ${decision} by ${req.user.id}`);
+    const { checklist, file_name: fileName, ...document } = result.document;
+    res.json({ message: `Document ${decision}`, document, checklist: checklistFor(document.kind, JSON.parse(checklist)) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/admin/settings
+// @desc    Get the platform settings
+// @access  Private (settings:view)
+router.get('/settings', [auth, authorize('settings:view')], async (req, res) => {
+  try {
+    res.json({ settings: await models.platformSettings.all() });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/admin/settings
+// @desc    Change platform settings; only the settings in the body are changed
+// @access  Private (settings:update)
+router.put('/settings', [
+  auth,
+  authorize('settings:update'),
+  [
+    check('twoFactorRequiredRoles', `Two-factor authentication can be required for: ${ENFORCEABLE_ROLES.join(', ')}`)
+      .optional()
+      .isArray()
+      .custom((roles) => roles.every((role) => ENFORCEABLE_ROLES.includes(role)))
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (req.body.twoFactorRequiredRoles !== undefined) {
+      const roles = [...new Set(req.body.twoFactorRequiredRoles)];
+      await models.platformSettings.set('twoFactorRequiredRoles', roles, req.user.id);
+      console.log(`🔐 Two-factor authentication required for: ${roles.join(', ') || 'nobody'} (set by admin ${req.user.id})`);
+    }
+
+    res.json({ message: 'Settings saved', settings: await models.platformSettings.all() });
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
@@ -308,8 +438,8 @@ router.get('/users', [auth, adminAuth], (req, res) => {
 
 // @route   POST api/admin/create-blockchain-campaign
 // @desc    DISABLED - Fundraisers now deploy via MetaMask
-// @access  Private/Admin
-router.post('/create-blockchain-campaign', [auth, adminAuth], async (req, res) => {
+// @access  Private (campaigns:review)
+router.post('/create-blockchain-campaign', [auth, authorize('campaigns:review')], async (req, res) => {
   res.status(410).json({
     message: 'This endpoint is disabled. Fundraisers now deploy campaigns to blockchain using MetaMask from their dashboard.',
     newWorkflow: 'Admin approves → Fundraiser deploys via MetaMask'
@@ -1,20 +1,64 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { check, validationResult } = require('express-validator');
 const auth = require('../../middleware/auth');
-const { OAuth2Client } = require('google-auth-library');
 
-// Database connection - Fixed path to correct database file
-const sqlite3 = require('sqlite3').verbose();
-const db = new sqlite3.Database('./crowdfunding.db');
+const models = require('../../models');
+const { NONCE_TTL_MS, SiweError, createNonce, buildMessage, verifyMessage } = require('../../utils/siwe');
+const { SessionError, createSession, refreshSession } = require('../../utils/sessions');
+const { startSignIn, signedInUser } = require('../../utils/signIn');
+const {
+  AccountTokenError,
+  readEmailVerificationToken,
+  readPasswordResetToken,
+  readTwoFactorChallenge
+} = require('../../utils/accountTokens');
+const { sendVerificationEmail, sendPasswordResetEmail, sendInBackground } = require('../../utils/accountEmails');
+const { NOTIFICATION_TYPES, CHANNELS, notificationPreferences } = require('../../utils/notifications');
+const { DIGEST_FREQUENCIES } = require('../../utils/notificationEmails');
+const totp = require('../../utils/totp');
+const {
+  TwoFactorError,
+  generateRecoveryCodes,
+  enrollmentDetails,
+  isRequiredForUser,
+  verifySecondFactor
+} = require('../../utils/twoFactor');
+
+// What Sign-In With Ethereum messages must be bound to. SIWE_DOMAIN should be set
+// in production; the Host header is only a fallback for development.
+const siweSettings = (req) => {
+  const domain = process.env.SIWE_DOMAIN || req.get('host');
+  return {
+    domain,
+    uri: process.env.SIWE_URI || `${req.protocol}://${domain}`,
+    chainId: process.env.CHAIN_ID || '1'
+  };
+};
+
+// Verify a signed challenge and use up its nonce; resolves to the message fields
+const checkSiweSignature = async (req) => {
+  const { message, signature } = req.body;
+  const fields = verifyMessage(message, signature, siweSettings(req));
+  const fresh = await models.authNonces.consume(fields.nonce, fields.address);
+  if (!fresh) {
+    throw new SiweError('Sign-in challenge is unknown, expired or already used');
+  }
+  return fields;
+};
 
-// Initialize Google OAuth Client
-const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
+// Mail failures don't fail the request; the user can ask for another verification email
+const trySendVerificationEmail = async (user) => {
+  try {
+    await sendVerificationEmail(user);
+  } catch (err) {
+    console.error('❌ Failed to send verification email:', err.message);
+  }
+};
 
 // @route   POST api/auth/register
-// @desc    Register user
+// @desc    Register user. New accounts are donors; other roles go through api/role-requests.
 // @access  Public
 router.post(
   '/register',
@@ -26,7 +70,7 @@ router.post(
       'password',
       'Please enter a password with 6 or more characters'
     ).isLength({ min: 6 }),
-    check('role', 'Role is required').isIn(['donor', 'fundraiser', 'admin']),
+    check('role', 'New accounts are donors. Apply to become a fundraiser once signed in.').optional().isIn(['donor']),
   ],
   async (req, res) => {
     console.log('Registration request received:', req.body);
@@ -37,118 +81,98 @@ router.post(
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { username, email, password, role, walletAddress, adminSecret, name } = req.body;
+    const { username, email, password, walletAddress, name } = req.body;
+    const role = 'donor';
 
     try {
       console.log('Processing registration for:', { username, email, role, name });
 
-      // Check admin secret for admin registration
-      if (role === 'admin' && adminSecret !== process.env.ADMIN_SECRET) {
-        console.log('Invalid admin secret provided');
+      // Check if user already exists (email and username only - unverified wallets can be shared)
+      console.log('Checking if user already exists...');
+      let user;
+      try {
+        user = await models.users.findByEmailOrUsername(email, username);
+      } catch (err) {
+        console.error('Database error checking existing user:', err.message);
+        return res.status(500).json({
+          error: 'Database error',
+          details: err.message
+        });
+      }
+
+      if (user) {
+        console.log('User already exists:', user);
+        let errorMessage = 'User already exists';
+        if (user.email === email) {
+          errorMessage = 'Email already registered';
+        } else if (user.username === username) {
+          errorMessage = 'Username already taken';
+        }
         return res
-          .status(403)
-          .json({ errors: [{ msg: 'Invalid admin secret key' }] });
+          .status(400)
+          .json({ errors: [{ msg: errorMessage }] });
       }
 
-      // Check if user already exists (email and username only, wallet address can be shared)
-      console.log('Checking if user already exists...');
-      db.get(
-        'SELECT * FROM users WHERE email = ? OR username = ?',
-        [email, username],
-        async (err, user) => {
-          if (err) {
-            console.error('Database error checking existing user:', err.message);
-            return res.status(500).json({
-              error: 'Database error',
-              details: err.message
-            });
-          }
+      console.log('User does not exist, proceeding with registration...');
+
+      let hashedPassword;
+      try {
+        // Hash password
+        console.log('Hashing password...');
+        const salt = await bcrypt.genSalt(10);
+        hashedPassword = await bcrypt.hash(password, salt);
+      } catch (hashError) {
+        console.error('Password hashing error:', hashError.message);
+        return res.status(500).json({
+          error: 'Password hashing error',
+          details: hashError.message
+        });
+      }
 
-          if (user) {
-            console.log('User already exists:', user);
-            let errorMessage = 'User already exists';
-            if (user.email === email) {
-              errorMessage = 'Email already registered';
-            } else if (user.username === username) {
-              errorMessage = 'Username already taken';
-            }
-            return res
-              .status(400)
-              .json({ errors: [{ msg: errorMessage }] });
+      console.log('Creating user in database...');
+      // Create user
+      let userId;
+      try {
+        userId = await models.transaction(async ({ users, userWallets }) => {
+          const id = await users.create({
+            username,
+            email,
+            password: hashedPassword,
+            role,
+            name
+          });
+          if (walletAddress) {
+            await userWallets.add({ userId: id, address: walletAddress });
           }
+          return id;
+        });
+      } catch (err) {
+        console.error('Database error creating user:', err.message);
+        return res.status(500).json({
+          error: 'Database error creating user',
+          details: err.message
+        });
+      }
 
-          console.log('User does not exist, proceeding with registration...');
-
-          try {
-            // Hash password
-            console.log('Hashing password...');
-            const salt = await bcrypt.genSalt(10);
-            const hashedPassword = await bcrypt.hash(password, salt);
-
-            console.log('Creating user in database...');
-            // Create user
-            db.run(
-              'INSERT INTO users (username, email, password, role, wallet_address, name) VALUES (?, ?, ?, ?, ?, ?)',
-              [username, email, hashedPassword, role, walletAddress || null, name],
-              function (err) {
-                if (err) {
-                  console.error('Database error creating user:', err.message);
-                  return res.status(500).json({
-                    error: 'Database error creating user',
-                    details: err.message
-                  });
-                }
-
-                console.log('User created successfully with ID:', this.lastID);
-
-                // Create JWT payload
-                const payload = {
-                  user: {
-                    id: this.lastID,
-                    role: role,
-                  },
-                };
-
-                console.log('Creating JWT token...');
-                // Sign token
-                jwt.sign(
-                  payload,
-                  process.env.JWT_SECRET || 'fallback_jwt_secret_key_for_development',
-                  { expiresIn: '5 days' },
-                  (err, token) => {
-                    if (err) {
-                      console.error('JWT signing error:', err.message);
-                      return res.status(500).json({
-                        error: 'JWT signing error',
-                        details: err.message
-                      });
-                    }
-
-                    console.log('Registration successful, returning response');
-                    res.json({
-                      token,
-                      user: {
-                        id: this.lastID,
-                        username,
-                        email,
-                        role,
-                        wallet_address: walletAddress || null,
-                        name
-                      }
-                    });
-                  }
-                );
-              }
-            );
-          } catch (hashError) {
-            console.error('Password hashing error:', hashError.message);
-            return res.status(500).json({
-              error: 'Password hashing error',
-              details: hashError.message
-            });
-          }
+      console.log('User created successfully with ID:', userId);
+
+      console.log('Creating session...');
+      const tokens = await createSession(models.sessions, { id: userId, role }, req);
+      await trySendVerificationEmail({ id: userId, name, username, email });
+
+      console.log('Registration successful, returning response');
+      res.json({
+        ...tokens,
+        user: {
+          id: userId,
+          username,
+          email,
+          role,
+          wallet_address: walletAddress || null,
+          name,
+          emailVerified: false
         }
-      );
+      });
     } catch (err) {
       console.error('Registration error:', err.message);
       res.status(500).json({
@@ -180,61 +204,44 @@ router.post(
 
     try {
       // Check if user exists
-      db.get(
-        'SELECT * FROM users WHERE email = ?',
-        [email],
-        async (err, user) => {
-          if (err) {
-            console.error('Database error:', err.message);
-            return res.status(500).json({ msg: 'Server error', error: err.message });
-          }
+      let user;
+      try {
+        user = await models.users.findByEmail(email);
+      } catch (err) {
+        console.error('Database error:', err.message);
+        return res.status(500).json({ msg: 'Server error', error: err.message });
+      }
 
-          if (!user) {
-            console.log('User not found for email:', email);
-            return res
-              .status(404)
-              .json({ msg: 'Email not found. Please check your email address or register for a new account.' });
-          }
+      if (!user) {
+        console.log('User not found for email:', email);
+        return res
+          .status(404)
+          .json({ msg: 'Email not found. Please check your email address or register for a new account.' });
+      }
 
-          // Check password
-          const isMatch = await bcrypt.compare(password, user.password);
+      // Accounts created through a sign-in provider have no password until they set one
+      if (!user.password) {
+        return res
+          .status(401)
+          .json({ msg: 'This account has no password. Sign in with Google or your other sign-in provider, or reset your password.' });
+      }
 
-          if (!isMatch) {
-            console.log('Password mismatch for email:', email);
-            return res
-              .status(401)
-              .json({ msg: 'Incorrect password. Please try again.' });
-          }
+      // Check password
+      const isMatch = await bcrypt.compare(password, user.password);
 
-          // Create JWT payload
-          const payload = {
-            user: {
-              id: user.id,
-              role: user.role,
-            },
-          };
-
-          // Sign token
-          jwt.sign(
-            payload,
-            process.env.JWT_SECRET || 'fallback_jwt_secret_key_for_development',
-            { expiresIn: '5 days' },
-            (err, token) => {
-              if (err) throw err;
-              res.json({
-                token,
-                user: {
-                  id: user.id,
-                  username: user.username,
-                  email: user.email,
-                  role: user.role,
-                  walletAddress: user.wallet_address,
-                },
-              });
-            }
-          );
-        }
-      );
+      if (!isMatch) {
+        console.log('Password mismatch for email:', email);
+        return res
+          .status(401)
+          .json({ msg: 'Incorrect password. Please try again.' });
+      }
+
+      const tokens = await startSignIn(req, user);
+      if (tokens.twoFactorRequired) {
+        return res.json(tokens);
+      }
+
+      res.json({ ...tokens, user: signedInUser(user) });
     } catch (err) {
       console.error(err.message);
       res.status(500).send('Server error');
@@ -242,74 +249,129 @@ router.post(
   }
 );
 
-// @route   GET api/auth/me
-// @desc    Get current user
+// @route   POST api/auth/login/2fa
+// @desc    Finish signing in with a two-factor code or a recovery code
+// @access  Public
+router.post(
+  '/login/2fa',
+  [
+    check('challengeToken', 'Challenge token is required').not().isEmpty(),
+    check('code', 'An authentication code or a recovery code is required')
+      .if((value, { req }) => !req.body.recoveryCode)
+      .not().isEmpty(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    try {
+      let user;
+      try {
+        user = await readTwoFactorChallenge(challengeToken, (id) => models.users.findById(id));
+      } catch (err) {
+        if (!(err instanceof AccountTokenError)) throw err;
+        return res.status(401).json({ msg: 'This sign-in attempt has expired. Please log in again.' });
+      }
+
+      let method;
+      try {
+        method = await verifySecondFactor(models.twoFactor, user.id, { code, recoveryCode });
+      } catch (err) {
+        if (!(err instanceof TwoFactorError)) throw err;
+        console.log(`Rejected two-factor code for user ${user.id}:`, err.message);
+        return res.status(err.status).json({ msg: err.message });
+      }
+
+      const tokens = await createSession(models.sessions, user, req);
+      const response = { ...tokens, user: signedInUser(user) };
+      if (method === 'recovery_code') {
+        response.recoveryCodesLeft = await models.twoFactor.countRecoveryCodes(user.id);
+      }
+      res.json(response);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   GET api/auth/2fa
+// @desc    Get the current user's two-factor authentication status
 // @access  Private
-router.get('/me', auth, (req, res) => {
+router.get('/2fa', auth.allowTwoFactorSetup, async (req, res) => {
   try {
-    db.get(
-      'SELECT id, username, email, name, wallet_address, role, created_at FROM users WHERE id = ?',
-      [req.user.id],
-      (err, user) => {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).send('Server error');
-        }
+    const enabled = await models.twoFactor.isEnabled(req.user.id);
+    res.json({
+      enabled,
+      required: await isRequiredForUser(models, req.user),
+      recoveryCodesLeft: enabled ? await models.twoFactor.countRecoveryCodes(req.user.id) : 0
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
 
-        if (!user) {
-          return res.status(404).json({ msg: 'User not found' });
-        }
+// @route   POST api/auth/2fa/setup
+// @desc    Start enrolling: get a new secret and its QR code for an authenticator app
+// @access  Private
+router.post('/2fa/setup', auth.allowTwoFactorSetup, async (req, res) => {
+  try {
+    const secret = totp.generateSecret();
+    const started = await models.twoFactor.begin(req.user.id, secret);
+    if (!started) {
+      return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+    }
 
-        res.json({
-          id: user.id,
-          username: user.username,
-          email: user.email,
-          name: user.name,
-          role: user.role,
-          walletAddress: user.wallet_address,
-          wallet_address: user.wallet_address,
-          createdAt: user.created_at,
-        });
-      }
-    );
+    res.json(await enrollmentDetails(secret, req.user.email || req.user.username));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
   }
 });
 
-// @route   PUT api/auth/wallet
-// @desc    Update user wallet address
+// @route   POST api/auth/2fa/enable
+// @desc    Finish enrolling with a code from the authenticator app; returns the recovery codes
 // @access  Private
-router.put(
-  '/wallet',
-  auth,
-  [check('walletAddress', 'Wallet address is required').not().isEmpty()],
+router.post(
+  '/2fa/enable',
+  auth.allowTwoFactorSetup,
+  [check('code', 'Authentication code is required').not().isEmpty()],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { walletAddress } = req.body;
-
     try {
-      db.run(
-        'UPDATE users SET wallet_address = ? WHERE id = ?',
-        [walletAddress, req.user.id],
-        function (err) {
-          if (err) {
-            console.error(err.message);
-            return res.status(500).send('Server error');
-          }
+      const record = await models.twoFactor.find(req.user.id);
+      if (!record) {
+        return res.status(400).json({ msg: 'Start the two-factor setup first' });
+      }
+      if (record.enabled_at) {
+        return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+      }
 
-          if (this.changes === 0) {
-            return res.status(404).json({ msg: 'User not found' });
-          }
+      const step = totp.verifyCode(record.secret, req.body.code);
+      if (step === null) {
+        return res.status(400).json({ msg: 'Invalid authentication code' });
+      }
 
-          res.json({ msg: 'Wallet address updated' });
-        }
-      );
+      // Sessions opened with the password alone are signed out; this one stays
+      const { codes, hashes } = generateRecoveryCodes();
+      await models.transaction(async ({ twoFactor, sessions }) => {
+        await twoFactor.useStep(req.user.id, step);
+        await twoFactor.enable(req.user.id);
+        await twoFactor.replaceRecoveryCodes(req.user.id, hashes);
+        await sessions.revokeAllForUser(req.user.id, req.sessionId);
+      });
+
+      console.log(`🔐 Two-factor authentication enabled for user ${req.user.id}`);
+      res.json({ msg: 'Two-factor authentication enabled', recoveryCodes: codes });
     } catch (err) {
       console.error(err.message);
       res.status(500).send('Server error');
@@ -317,16 +379,47 @@ router.put(
   }
 );
 
-// @route   PUT api/auth/profile
-// @desc    Update user profile
+// @route   POST api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes, confirmed with a code from the authenticator app
 // @access  Private
-router.put(
-  '/profile',
+router.post(
+  '/2fa/recovery-codes',
+  auth,
+  [check('code', 'Authentication code is required').not().isEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      try {
+        await verifySecondFactor(models.twoFactor, req.user.id, { code: req.body.code });
+      } catch (err) {
+        if (!(err instanceof TwoFactorError)) throw err;
+        return res.status(err.status).json({ msg: err.message });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      await models.transaction(({ twoFactor }) => twoFactor.replaceRecoveryCodes(req.user.id, hashes));
+      res.json({ msg: 'New recovery codes generated', recoveryCodes: codes });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   POST api/auth/2fa/disable
+// @desc    Turn two-factor authentication off, confirmed with a code or a recovery code
+// @access  Private
+router.post(
+  '/2fa/disable',
   auth,
   [
-    check('name', 'Name is required').not().isEmpty(),
-    check('email', 'Please include a valid email').isEmail(),
-    check('username', 'Username is required').not().isEmpty(),
+    check('code', 'An authentication code or a recovery code is required')
+      .if((value, { req }) => !req.body.recoveryCode)
+      .not().isEmpty(),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -334,44 +427,58 @@ router.put(
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, username, wallet_address } = req.body;
+    try {
+      if (await isRequiredForUser(models, req.user)) {
+        return res.status(403).json({ msg: 'Two-factor authentication is required for your role' });
+      }
+
+      try {
+        await verifySecondFactor(models.twoFactor, req.user.id, {
+          code: req.body.code,
+          recoveryCode: req.body.recoveryCode
+        });
+      } catch (err) {
+        if (!(err instanceof TwoFactorError)) throw err;
+        return res.status(err.status).json({ msg: err.message });
+      }
+
+      await models.transaction(({ twoFactor }) => twoFactor.disable(req.user.id));
+      console.log(`🔓 Two-factor authentication disabled for user ${req.user.id}`);
+      res.json({ msg: 'Two-factor authentication disabled' });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   POST api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification email
+// @access  Public
+router.post(
+  '/verify-email',
+  [check('token', 'Token is required').not().isEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
     try {
-      // Check if email or username is already taken by another user
-      db.get(
-        'SELECT * FROM users WHERE (email = ? OR username = ?) AND id != ?',
-        [email, username, req.user.id],
-        (err, existingUser) => {
-          if (err) {
-            console.error(err.message);
-            return res.status(500).send('Server error');
-          }
+      let claims;
+      try {
+        claims = readEmailVerificationToken(req.body.token);
+      } catch (err) {
+        if (!(err instanceof AccountTokenError)) throw err;
+        return res.status(400).json({ msg: err.message });
+      }
 
-          if (existingUser) {
-            return res.status(400).json({
-              msg: existingUser.email === email ? 'Email already exists' : 'Username already exists'
-            });
-          }
+      const changes = await models.users.markEmailVerified(claims.userId, claims.email);
+      if (changes === 0) {
+        return res.status(400).json({ msg: 'This link is for an email address the account no longer uses' });
+      }
 
-          // Update user profile
-          db.run(
-            'UPDATE users SET name = ?, email = ?, username = ?, wallet_address = ? WHERE id = ?',
-            [name, email, username, wallet_address || '', req.user.id],
-            function (err) {
-              if (err) {
-                console.error(err.message);
-                return res.status(500).send('Server error');
-              }
-
-              if (this.changes === 0) {
-                return res.status(404).json({ msg: 'User not found' });
-              }
-
-              res.json({ msg: 'Profile updated successfully' });
-            }
-          );
-        }
-      );
+      res.json({ msg: 'Email address verified', emailVerified: true });
     } catch (err) {
       console.error(err.message);
       res.status(500).send('Server error');
@@ -379,30 +486,62 @@ router.put(
   }
 );
 
-// @route   PUT api/auth/settings
-// @desc    Update user settings
+// @route   POST api/auth/verify-email/resend
+// @desc    Send the current user another verification email
 // @access  Private
-router.put('/settings', auth, async (req, res) => {
+router.post('/verify-email/resend', auth, async (req, res) => {
   try {
-    const settings = req.body;
+    const user = await models.users.findById(req.user.id);
+    if (!user.email) {
+      return res.status(400).json({ msg: 'Add an email address to your profile first' });
+    }
+    if (user.email_verified_at) {
+      return res.status(400).json({ msg: 'Email address is already verified' });
+    }
 
-    // For now, we'll just return success since settings are stored locally
-    // In a real application, you might want to store these in the database
-    res.json({ msg: 'Settings saved successfully' });
+    await sendVerificationEmail(user);
+    res.json({ msg: 'Verification email sent' });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
   }
 });
 
-// @route   PUT api/auth/password
-// @desc    Change user password
-// @access  Private
-router.put(
-  '/password',
-  auth,
+// @route   POST api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post(
+  '/forgot-password',
+  [check('email', 'Please include a valid email').isEmail()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await models.users.findByEmail(req.body.email);
+      if (user) {
+        // Not waited for, so a slow or failing mail server doesn't give the account away
+        sendInBackground(() => sendPasswordResetEmail(user));
+      }
+
+      // Same answer either way, so the endpoint can't be used to look up accounts
+      res.json({ msg: 'If an account uses this email address, a password reset link has been sent to it' });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   POST api/auth/reset-password
+// @desc    Choose a new password with the token from the reset email
+// @access  Public
+router.post(
+  '/reset-password',
   [
-    check('currentPassword', 'Current password is required').not().isEmpty(),
+    check('token', 'Token is required').not().isEmpty(),
     check('newPassword', 'New password must be at least 6 characters').isLength({ min: 6 }),
   ],
   async (req, res) => {
@@ -411,48 +550,144 @@ router.put(
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { currentPassword, newPassword } = req.body;
+    try {
+      const salt = await bcrypt.genSalt(10);
+      const hashedPassword = await bcrypt.hash(req.body.newPassword, salt);
+
+      // The token is checked inside the transaction, so it can only be used once.
+      // Resetting signs out every session, and proves the user reads that inbox.
+      try {
+        await models.transaction(async ({ users }) => {
+          const user = await readPasswordResetToken(req.body.token, (id) => users.findById(id));
+          await users.updatePassword(user.id, hashedPassword);
+          await users.markEmailVerified(user.id, user.email);
+        });
+      } catch (err) {
+        if (!(err instanceof AccountTokenError)) throw err;
+        return res.status(400).json({ msg: err.message });
+      }
+
+      res.json({ msg: 'Password has been reset. Please log in with your new password.' });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   POST api/auth/siwe/nonce
+// @desc    Issue a Sign-In With Ethereum challenge for a wallet address
+// @access  Public
+router.post(
+  '/siwe/nonce',
+  [check('address', 'A valid Ethereum address is required').isEthereumAddress()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
     try {
-      // Get user from database
-      db.get(
-        'SELECT * FROM users WHERE id = ?',
-        [req.user.id],
-        async (err, user) => {
-          if (err) {
-            console.error(err.message);
-            return res.status(500).send('Server error');
-          }
+      const { domain, uri, chainId } = siweSettings(req);
+      const nonce = createNonce();
+      const issuedAt = new Date();
+      const expiresAt = new Date(issuedAt.getTime() + NONCE_TTL_MS);
+
+      await models.authNonces.deleteExpired(issuedAt);
+      await models.authNonces.create({ nonce, address: req.body.address, expiresAt });
+
+      res.json({
+        nonce,
+        expiresAt: expiresAt.toISOString(),
+        message: buildMessage({
+          domain,
+          address: req.body.address,
+          uri,
+          chainId,
+          nonce,
+          issuedAt,
+          expirationTime: expiresAt
+        })
+      });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
 
-          if (!user) {
-            return res.status(404).json({ msg: 'User not found' });
-          }
+// @route   POST api/auth/siwe/verify
+// @desc    Sign in with a signed challenge, registering a donor account for new wallets
+// @access  Public
+router.post(
+  '/siwe/verify',
+  [
+    check('message', 'Message is required').not().isEmpty(),
+    check('signature', 'Signature is required').not().isEmpty(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-          // Check current password
-          const isMatch = await bcrypt.compare(currentPassword, user.password);
-          if (!isMatch) {
-            return res.status(400).json({ msg: 'Current password is incorrect' });
-          }
+    try {
+      let fields;
+      try {
+        fields = await checkSiweSignature(req);
+      } catch (err) {
+        if (!(err instanceof SiweError)) throw err;
+        console.log('Rejected wallet sign-in:', err.message);
+        return res.status(401).json({ msg: err.message });
+      }
 
-          // Hash new password
-          const salt = await bcrypt.genSalt(10);
-          const hashedPassword = await bcrypt.hash(newPassword, salt);
-
-          // Update password
-          db.run(
-            'UPDATE users SET password = ? WHERE id = ?',
-            [hashedPassword, req.user.id],
-            function (err) {
-              if (err) {
-                console.error(err.message);
-                return res.status(500).send('Server error');
-              }
-
-              res.json({ msg: 'Password changed successfully' });
-            }
-          );
+      const { address } = fields;
+      const wallet = await models.userWallets.findVerified(address);
+      let user = wallet && await models.users.findById(wallet.user_id);
+      const isNewUser = !user;
+
+      if (isNewUser) {
+        // Find a free username derived from the address
+        const baseUsername = `wallet_${address.slice(2, 8).toLowerCase()}`;
+        let username = baseUsername;
+        for (let attempt = 1; await models.users.findByUsername(username); attempt++) {
+          username = `${baseUsername}${attempt}`;
         }
-      );
+
+        const userId = await models.transaction(async ({ users, userWallets }) => {
+          const id = await users.create({
+            username,
+            email: null,
+            // No password - wallet users sign in with their signature
+            password: '',
+            role: 'donor',
+            name: `${address.slice(0, 6)}…${address.slice(-4)}`
+          });
+          await userWallets.add({ userId: id, address, verified: true });
+          return id;
+        });
+        user = await models.users.findById(userId);
+        console.log('New wallet user created with ID:', userId);
+      }
+
+      const tokens = await startSignIn(req, user);
+      if (tokens.twoFactorRequired) {
+        return res.json(tokens);
+      }
+
+      res.json({
+        ...tokens,
+        isNewUser,
+        user: {
+          id: user.id,
+          username: user.username,
+          email: user.email,
+          role: user.role,
+          walletAddress: user.wallet_address,
+          walletVerified: true,
+          name: user.name,
+        },
+      });
     } catch (err) {
       console.error(err.message);
       res.status(500).send('Server error');
@@ -460,201 +695,387 @@ router.put(
   }
 );
 
-// @route   POST api/auth/google
-// @desc    Authenticate user with Google OAuth
+// @route   POST api/auth/siwe/link
+// @desc    Add a wallet to the current account, or verify one already added, by signing a challenge with it
+// @access  Private
+router.post(
+  '/siwe/link',
+  auth,
+  [
+    check('message', 'Message is required').not().isEmpty(),
+    check('signature', 'Signature is required').not().isEmpty(),
+    check('label', 'Label must be at most 50 characters').optional({ nullable: true }).isLength({ max: 50 }),
+    check('primary', 'Primary must be a boolean value').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      let fields;
+      try {
+        fields = await checkSiweSignature(req);
+      } catch (err) {
+        if (!(err instanceof SiweError)) throw err;
+        return res.status(401).json({ msg: err.message });
+      }
+
+      const owner = await models.userWallets.findVerified(fields.address);
+      if (owner && owner.user_id !== req.user.id) {
+        return res.status(409).json({ msg: 'This wallet is already linked to another account' });
+      }
+
+      const walletId = await models.transaction(({ userWallets }) => userWallets.add({
+        userId: req.user.id,
+        address: fields.address,
+        label: req.body.label,
+        verified: true,
+        primary: req.body.primary === true || req.body.primary === 'true'
+      }));
+      const wallet = await models.userWallets.findById(req.user.id, walletId);
+      res.json({ msg: 'Wallet verified', walletAddress: fields.address, walletVerified: true, wallet });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
 // @access  Public
-router.post('/google', async (req, res) => {
-  const { credential } = req.body;
+router.post(
+  '/refresh',
+  [check('refreshToken', 'Refresh token is required').not().isEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { token, refreshToken } = await refreshSession(models, req.body.refreshToken);
+      res.json({ token, refreshToken });
+    } catch (err) {
+      if (err instanceof SessionError) {
+        return res.status(401).json({ msg: err.message });
+      }
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
 
-  if (!credential) {
-    return res.status(400).json({ msg: 'Google credential is required' });
+// @route   POST api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', auth.allowTwoFactorSetup, async (req, res) => {
+  try {
+    await models.sessions.revoke(req.sessionId, req.user.id);
+    res.json({ msg: 'Logged out' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
   }
+});
 
-  if (!process.env.GOOGLE_CLIENT_ID) {
-    console.error('Google Client ID is not configured');
-    return res.status(500).json({
-      msg: 'Google OAuth is not configured on the server. Please contact the administrator.',
-      error: 'GOOGLE_CLIENT_ID not set'
+// @route   GET api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', auth.allowTwoFactorSetup, async (req, res) => {
+  try {
+    const sessions = await models.sessions.listActive(req.user.id);
+    res.json({
+      sessions: sessions.map((session) => ({ ...session, current: session.id === req.sessionId }))
     });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/auth/sessions
+// @desc    Sign out every other session
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await models.sessions.revokeAllForUser(req.user.id, req.sessionId);
+    res.json({ msg: 'Other sessions signed out', revoked });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
   }
+});
 
+// @route   DELETE api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
   try {
-    // Verify the Google ID token
-    const ticket = await client.verifyIdToken({
-      idToken: credential,
-      audience: process.env.GOOGLE_CLIENT_ID,
+    const changes = await models.sessions.revoke(req.params.id, req.user.id);
+    if (changes === 0) {
+      return res.status(404).json({ msg: 'Session not found' });
+    }
+
+    res.json({ msg: 'Session revoked' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/auth/me
+// @desc    Get current user
+// @access  Private
+router.get('/me', auth.allowTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await models.users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    res.json({
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      walletAddress: user.wallet_address,
+      wallet_address: user.wallet_address,
+      walletVerified: Boolean(user.wallet_verified_at),
+      emailVerified: Boolean(user.email_verified_at),
+      twoFactorEnabled: await models.twoFactor.isEnabled(user.id),
+      twoFactorSetupRequired: req.user.two_factor_setup_required,
+      createdAt: user.created_at,
     });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
 
-    const payload = ticket.getPayload();
-    const { email, name, picture, sub: googleId } = payload;
+// @route   PUT api/auth/wallet
+// @desc    Set the primary wallet address (unverified until signed for via api/auth/siwe/link)
+// @access  Private
+router.put(
+  '/wallet',
+  auth,
+  [check('walletAddress', 'Wallet address is required').not().isEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { walletAddress } = req.body;
+
+    try {
+      await models.transaction(({ userWallets }) => userWallets.add({
+        userId: req.user.id,
+        address: walletAddress,
+        primary: true
+      }));
 
-    if (!email) {
-      return res.status(400).json({ msg: 'Google account must have an email address' });
+      res.json({ msg: 'Wallet address updated' });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
     }
+  }
+);
 
-    console.log('Google login attempt for email:', email);
+// @route   PUT api/auth/profile
+// @desc    Update user profile
+// @access  Private
+router.put(
+  '/profile',
+  auth,
+  [
+    check('name', 'Name is required').not().isEmpty(),
+    check('email', 'Please include a valid email').isEmail(),
+    check('username', 'Username is required').not().isEmpty(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    // Check if user already exists
-    db.get(
-      'SELECT * FROM users WHERE email = ?',
-      [email],
-      async (err, user) => {
-        if (err) {
-          console.error('Database error:', err.message);
-          return res.status(500).json({ msg: 'Server error', error: err.message });
-        }
+    const { name, email, username, wallet_address } = req.body;
 
-        let userId, userRole, username, walletAddress, userName;
+    try {
+      // Check if email or username is already taken by another user
+      const existingUser = await models.users.findByEmailOrUsername(email, username, req.user.id);
+      if (existingUser) {
+        return res.status(400).json({
+          msg: existingUser.email === email ? 'Email already exists' : 'Username already exists'
+        });
+      }
 
-        if (user) {
-          // User exists, use existing data
-          userId = user.id;
-          userRole = user.role;
-          username = user.username;
-          walletAddress = user.wallet_address;
-          userName = user.name || name;
-          console.log('Existing user found, logging in:', email);
+      // Update user profile; the wallet address is the primary wallet
+      const changes = await models.transaction(async ({ users, userWallets }) => {
+        const updated = await users.updateProfile(req.user.id, { name, email, username });
+        if (wallet_address) {
+          await userWallets.add({ userId: req.user.id, address: wallet_address, primary: true });
         } else {
-          // User doesn't exist, create new account
-          // Generate username from email or name
-          const baseUsername = name
-            ? name.toLowerCase().replace(/\s+/g, '')
-            : email.split('@')[0];
-          let generatedUsername = baseUsername;
-          let usernameExists = true;
-          let attempts = 0;
-
-          // Try to find a unique username
-          while (usernameExists && attempts < 10) {
-            const checkUser = await new Promise((resolve, reject) => {
-              db.get(
-                'SELECT * FROM users WHERE username = ?',
-                [generatedUsername],
-                (err, row) => {
-                  if (err) reject(err);
-                  else resolve(row);
-                }
-              );
-            });
-
-            if (checkUser) {
-              generatedUsername = `${baseUsername}${attempts + 1}`;
-              attempts++;
-            } else {
-              usernameExists = false;
-            }
-          }
-
-          username = generatedUsername;
-          userRole = 'donor'; // Default role for Google sign-in users
-          walletAddress = null;
-          userName = name;
-
-          // Generate a random password (won't be used for Google users)
-          const randomPassword = Math.random().toString(36).slice(-12) + Math.random().toString(36).slice(-12);
-          const salt = await bcrypt.genSalt(10);
-          const hashedPassword = await bcrypt.hash(randomPassword, salt);
-
-          // Create user in database
-          db.run(
-            'INSERT INTO users (username, email, password, role, wallet_address, name) VALUES (?, ?, ?, ?, ?, ?)',
-            [username, email, hashedPassword, userRole, walletAddress, userName],
-            function (insertErr) {
-              if (insertErr) {
-                console.error('Database error creating user:', insertErr.message);
-                return res.status(500).json({
-                  error: 'Database error creating user',
-                  details: insertErr.message
-                });
-              }
-
-              userId = this.lastID;
-              console.log('New Google user created with ID:', userId);
-
-              // Generate JWT token for new user
-              generateAndSendToken(userId, userRole, username, email, walletAddress, userName);
-            }
-          );
-          return; // Exit early for new user creation
+          await userWallets.clearPrimary(req.user.id);
         }
+        return updated;
+      });
+      if (changes === 0) {
+        return res.status(404).json({ msg: 'User not found' });
+      }
 
-        // Generate JWT token for existing user
-        generateAndSendToken(userId, userRole, username, email, walletAddress, userName);
+      // A changed address has to be verified again
+      const emailChanged = email !== req.user.email;
+      if (emailChanged) {
+        await trySendVerificationEmail({ id: req.user.id, name, username, email });
       }
-    );
 
-    function generateAndSendToken(userId, userRole, username, email, walletAddress, userName) {
-      const payload = {
-        user: {
-          id: userId,
-          role: userRole,
-        },
-      };
-
-      jwt.sign(
-        payload,
-        process.env.JWT_SECRET || 'fallback_jwt_secret_key_for_development',
-        { expiresIn: '5 days' },
-        (err, token) => {
-          if (err) {
-            console.error('JWT signing error:', err.message);
-            return res.status(500).json({
-              error: 'JWT signing error',
-              details: err.message
-            });
+      res.json({ msg: 'Profile updated successfully', emailVerified: emailChanged ? false : req.user.email_verified });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// The user's settings, with the channels of every notification type spelled out
+const userSettings = async (userId) => {
+  const settings = await models.userSettings.all(userId);
+  return { ...settings, notifications: notificationPreferences(settings.notifications) };
+};
+
+// @route   GET api/auth/settings
+// @desc    Get the current user's settings
+// @access  Private
+router.get('/settings', auth, async (req, res) => {
+  try {
+    res.json({ settings: await userSettings(req.user.id) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/auth/settings
+// @desc    Update user settings; only the settings in the body are changed.
+//          notifications: { <type>: { inApp, websocket, email, digest } }, only the
+//          channels given change; digestFrequency: daily or weekly
+// @access  Private
+router.put(
+  '/settings',
+  auth,
+  [
+    check('notifications', 'notifications must map notification types to channels').optional().isObject(),
+    check('notifications').optional().custom((notifications) => {
+      for (const [type, channels] of Object.entries(notifications)) {
+        if (!NOTIFICATION_TYPES[type]) {
+          throw new Error(`Unknown notification type: ${type}`);
+        }
+        if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+          throw new Error(`Channels of ${type} must be an object`);
+        }
+        for (const [channel, enabled] of Object.entries(channels)) {
+          if (!CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+            throw new Error(`Channels are true or false: ${CHANNELS.join(', ')}`);
           }
+        }
+      }
+      return true;
+    }),
+    check('digestFrequency', `digestFrequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`).optional().isIn(DIGEST_FREQUENCIES)
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-          res.json({
-            token,
-            user: {
-              id: userId,
-              username,
-              email,
-              role: userRole,
-              walletAddress: walletAddress || null,
-              name: userName,
-            },
-          });
+    try {
+      if (req.body.notifications !== undefined) {
+        const preferences = { ...await models.userSettings.get(req.user.id, 'notifications') };
+        for (const [type, channels] of Object.entries(req.body.notifications)) {
+          preferences[type] = { ...preferences[type], ...channels };
         }
-      );
+        await models.userSettings.set(req.user.id, 'notifications', preferences);
+      }
+      if (req.body.digestFrequency !== undefined) {
+        await models.userSettings.set(req.user.id, 'digestFrequency', req.body.digestFrequency);
+      }
+
+      res.json({ msg: 'Settings saved successfully', settings: await userSettings(req.user.id) });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
     }
-  } catch (error) {
-    console.error('Google authentication error:', error.message);
-    res.status(401).json({ msg: 'Invalid Google token', error: error.message });
   }
-});
+);
 
-// @route   POST api/auth/update-role
-// @desc    Update user role (for OAuth users)
+// @route   PUT api/auth/password
+// @desc    Change user password, or set one for an account created through Google or
+//          another sign-in provider (no currentPassword then)
 // @access  Private
-router.post('/update-role', auth, async (req, res) => {
-  const { role } = req.body;
+router.put(
+  '/password',
+  auth,
+  [
+    check('currentPassword', 'Current password is required').optional(),
+    check('newPassword', 'New password must be at least 6 characters').isLength({ min: 6 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-  if (!role || !['donor', 'fundraiser'].includes(role)) {
-    return res.status(400).json({ msg: 'Invalid role. Must be donor or fundraiser.' });
-  }
+    const { currentPassword, newPassword } = req.body;
 
-  try {
-    db.run(
-      'UPDATE users SET role = ? WHERE id = ?',
-      [role, req.user.id],
-      function (err) {
-        if (err) {
-          console.error('Error updating role:', err.message);
-          return res.status(500).json({ msg: 'Server error' });
-        }
+    try {
+      // Get user from database
+      const user = await models.users.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({ msg: 'User not found' });
+      }
 
-        if (this.changes === 0) {
-          return res.status(404).json({ msg: 'User not found' });
+      // Check current password
+      if (user.password) {
+        if (!currentPassword) {
+          return res.status(400).json({ msg: 'Current password is required' });
+        }
+        const isMatch = await bcrypt.compare(currentPassword, user.password);
+        if (!isMatch) {
+          return res.status(400).json({ msg: 'Current password is incorrect' });
         }
-
-        res.json({ msg: 'Role updated successfully', role });
       }
-    );
-  } catch (err) {
-    console.error('Update role error:', err.message);
-    res.status(500).send('Server error');
+
+      // Hash new password
+      const salt = await bcrypt.genSalt(10);
+      const hashedPassword = await bcrypt.hash(newPassword, salt);
+
+      // Changing the password signs out every session; this client gets a new one
+      const tokens = await models.transaction(async ({ users, sessions }) => {
+        await users.updatePassword(req.user.id, hashedPassword);
+        return createSession(sessions, user, req);
+      });
+      res.json({ msg: 'Password changed successfully', ...tokens });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
   }
+);
+
+// @route   POST api/auth/update-role
+// @desc    DISABLED - Users apply for a new role through api/role-requests
+// @access  Private
+router.post('/update-role', auth, (req, res) => {
+  res.status(410).json({
+    msg: 'Roles can no longer be changed here. Apply to become a fundraiser with POST /api/role-requests.',
+    newWorkflow: 'User applies → Admin reviews → Role granted'
+  });
 });
 
 module.exports = router;
@@ -1,293 +1,29 @@
 const express = require("express");
 
-const { ethers } = require("ethers");
+const { getBlockchain } = require("../../utils/contract");
 
 const router = express.Router();
 
 
 
-const CONTRACT_ADDRESS = "0x9141bf2d3ab4e5bd44d89c83f3745902a7648fd7"; // Replace after deployment
-
-const ABI = [
-	{
-		"anonymous": false,
-		"inputs": [
-			{
-				"indexed": true,
-				"internalType": "uint256",
-				"name": "id",
-				"type": "uint256"
-			},
-			{
-				"indexed": true,
-				"internalType": "address",
-				"name": "creator",
-				"type": "address"
-			},
-			{
-				"indexed": false,
-				"internalType": "uint256",
-				"name": "goal",
-				"type": "uint256"
-			},
-			{
-				"indexed": false,
-				"internalType": "uint256",
-				"name": "deadline",
-				"type": "uint256"
-			}
-		],
-		"name": "CampaignCreated",
-		"type": "event"
-	},
-	{
-		"inputs": [
-			{
-				"internalType": "string",
-				"name": "_title",
-				"type": "string"
-			},
-			{
-				"internalType": "string",
-				"name": "_description",
-				"type": "string"
-			},
-			{
-				"internalType": "uint256",
-				"name": "_goal",
-				"type": "uint256"
-			},
-			{
-				"internalType": "uint256",
-				"name": "_deadline",
-				"type": "uint256"
-			}
-		],
-		"name": "createCampaign",
-		"outputs": [
-			{
-				"internalType": "uint256",
-				"name": "",
-				"type": "uint256"
-			}
-		],
-		"stateMutability": "nonpayable",
-		"type": "function"
-	},
-	{
-		"inputs": [
-			{
-				"internalType": "uint256",
-				"name": "_id",
-				"type": "uint256"
-			}
-		],
-		"name": "donateToCampaign",
-		"outputs": [],
-		"stateMutability": "payable",
-		"type": "function"
-	},
-	{
-		"anonymous": false,
-		"inputs": [
-			{
-				"indexed": true,
-				"internalType": "uint256",
-				"name": "id",
-				"type": "uint256"
-			},
-			{
-				"indexed": true,
-				"internalType": "address",
-				"name": "donor",
-				"type": "address"
-			},
-			{
-				"indexed": true,
-				"internalType": "uint256",
-				"name": "amount",
-				"type": "uint256"
-			}
-		],
-		"name": "DonationReceived",
-		"type": "event"
-	},
-	{
-		"inputs": [
-			{
-				"internalType": "uint256",
-				"name": "_id",
-				"type": "uint256"
-			}
-		],
-		"name": "refund",
-		"outputs": [],
-		"stateMutability": "nonpayable",
-		"type": "function"
-	},
-	{
-		"anonymous": false,
-		"inputs": [
-			{
-				"indexed": true,
-				"internalType": "uint256",
-				"name": "id",
-				"type": "uint256"
-			},
-			{
-				"indexed": true,
-				"internalType": "address",
-				"name": "donor",
-				"type": "address"
-			},
-			{
-				"indexed": false,
-				"internalType": "uint256",
-				"name": "amount",
-				"type": "uint256"
-			}
-		],
-		"name": "Refund",
-		"type": "event"
-	},
-	{
-		"inputs": [
-			{
-				"internalType": "uint256",
-				"name": "_id",
-				"type": "uint256"
-			}
-		],
-		"name": "withdraw",
-		"outputs": [],
-		"stateMutability": "nonpayable",
-		"type": "function"
-	},
-	{
-		"anonymous": false,
-		"inputs": [
-			{
-				"indexed": true,
-				"internalType": "uint256",
-				"name": "id",
-				"type": "uint256"
-			},
-			{
-				"indexed": true,
-				"internalType": "address",
-				"name": "creator",
-				"type": "address"
-			},
-			{
-				"indexed": false,
-				"internalType": "uint256",
-				"name": "amount",
-				"type": "uint256"
-			}
-		],
-		"name": "Withdraw",
-		"type": "event"
-	},
-	{
-		"inputs": [],
-		"name": "campaignCount",
-		"outputs": [
-			{
-				"internalType": "uint256",
-				"name": "",
-				"type": "uint256"
-			}
-		],
-		"stateMutability": "view",
-		"type": "function"
-	},
-	{
-		"inputs": [
-			{
-				"internalType": "uint256",
-				"name": "",
-				"type": "uint256"
-			}
-		],
-		"name": "campaigns",
-		"outputs": [
-			{
-				"internalType": "address payable",
-				"name": "creator",
-				"type": "address"
-			},
-			{
-				"internalType": "string",
-				"name": "title",
-				"type": "string"
-			},
-			{
-				"internalType": "string",
-				"name": "description",
-				"type": "string"
-			},
-			{
-				"internalType": "uint256",
-				"name": "goal",
-				"type": "uint256"
-			},
-			{
-				"internalType": "uint256",
-				"name": "pledged",
-				"type": "uint256"
-			},
-			{
-				"internalType": "uint256",
-				"name": "deadline",
-				"type": "uint256"
-			},
-			{
-				"internalType": "bool",
-				"name": "exists",
-				"type": "bool"
-			},
-			{
-				"internalType": "bool",
-				"name": "withdrawn",
-				"type": "bool"
-			}
-		],
-		"stateMutability": "view",
-		"type": "function"
-	},
-	{
-		"inputs": [
-			{
-				"internalType": "uint256",
-				"name": "",
-				"type": "uint256"
-			},
-			{
-				"internalType": "address",
-				"name": "",
-				"type": "address"
-			}
-		],
-		"name": "contributions",
-		"outputs": [
-			{
-				"internalType": "uint256",
-				"name": "",
-				"type": "uint256"
-			}
-		],
-		"stateMutability": "view",
-		"type": "function"
-	}
-];
-
-
-
-const provider = new ethers.providers.JsonRpcProvider("https://sepolia.infura.io/v3/YOUR_INFURA_KEY");
-
-const signer = new ethers.Wallet("YOUR_PRIVATE_KEY", provider);
-
-const contract = new ethers.Contract(CONTRACT_ADDRESS, ABI, signer);
+// Send a contract transaction from the server's admin wallet
+const sendFromAdmin = async (method, value) => {
+
+  const { web3 } = getBlockchain();
+
+  if (!process.env.ADMIN_PRIVATE_KEY) {
+
+    throw new Error("Admin private key not configured");
+
+  }
+
+  const account = web3.eth.accounts.privateKeyToAccount(process.env.ADMIN_PRIVATE_KEY);
+
+  web3.eth.accounts.wallet.add(account);
+
+  return method.send({ from: account.address, value });
+
+};
 
 
 
@@ -310,15 +46,17 @@ router.post("/donate", async (req, res) => {
 
     const { campaignId, amountEth } = req.body;
 
-    const tx = await contract.donateToCampaign(campaignId, {
+    const { web3, contract } = getBlockchain();
+
+    const receipt = await sendFromAdmin(
 
-      value: ethers.utils.parseEther(amountEth)
+      contract.methods.donateToCampaign(campaignId),
 
-    });
+      web3.utils.toWei(String(amountEth), "ether")
 
-    await tx.wait();
+    );
 
-    res.json({ success: true, txHash: tx.hash });
+    res.json({ success: true, txHash: receipt.transactionHash });
 
   } catch (err) {
 
@@ -338,11 +76,11 @@ router.post("/withdraw", async (req, res) => {
 
     const { campaignId } = req.body;
 
-    const tx = await contract.withdraw(campaignId);
+    const { contract } = getBlockchain();
 
-    await tx.wait();
+    const receipt = await sendFromAdmin(contract.methods.withdraw(campaignId));
 
-    res.json({ success: true, txHash: tx.hash });
+    res.json({ success: true, txHash: receipt.transactionHash });
 
   } catch (err) {
 
@@ -362,11 +100,11 @@ router.post("/refund", async (req, res) => {
 
     const { campaignId } = req.body;
 
-    const tx = await contract.refund(campaignId);
+    const { contract } = getBlockchain();
 
-    await tx.wait();
+    const receipt = await sendFromAdmin(contract.methods.refund(campaignId));
 
-    res.json({ success: true, txHash: tx.hash });
+    res.json({ success: true, txHash: receipt.transactionHash });
 
   } catch (err) {
 
@@ -2,14 +2,18 @@ const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const auth = require('../../middleware/auth');
-const { createNotification } = require('./notifications');
+const verifiedEmail = require('../../middleware/verifiedEmail');
+const authorize = require('../../middleware/authorize');
+const { can, MEMBER_ROLES } = require('../../utils/permissions');
+const { removeDocumentFiles } = require('../../utils/verification');
+const { notify } = require('../../utils/notifications');
+const { publishCampaignStatus, publishWithdrawal } = require('../../utils/eventBus');
+const { campaignStreams } = require('../../utils/campaignStreams');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
-// Database connection
-const sqlite3 = require('sqlite3').verbose();
-const db = new sqlite3.Database('./crowdfunding.db');
+const models = require('../../models');
 
 // Configure multer for file uploads with better error handling
 const storage = multer.diskStorage({
@@ -42,9 +46,11 @@ const uploadMultiple = upload.fields([{ name: 'image', maxCount: 1 }, { name: 'd
 
 // @route   POST api/campaigns
 // @desc    Create a campaign (multipart form data) - AUTO DEPLOY TO BLOCKCHAIN
-// @access  Private
+// @access  Private (campaigns:create, verified email)
 router.post('/', [
   auth,
+  authorize('campaigns:create'),
+  verifiedEmail,
   (req, res, next) => {
     // Handle multer upload with proper error handling
     uploadMultiple(req, res, function (err) {
@@ -125,44 +131,41 @@ router.post('/', [
     console.log('📝 Campaign created in database - pending admin approval');
 
     // Create campaign in database
-    db.run(
-      `INSERT INTO campaigns (title, description, goal, deadline, creator_id, wallet_address, image_url, document_url, status, category, blockchain_campaign_id, transaction_hash) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [title, description, goal, deadline, req.user.id, walletAddress, imageUrl, documentUrl, status, category || 'general', blockchainCampaignId, transactionHash],
-      function (err) {
-        if (err) {
-          console.error('Database error:', err.message);
-          return res.status(500).json({ message: 'Server error while creating campaign: ' + err.message });
-        }
+    let campaign;
+    try {
+      const campaignId = await models.campaigns.create({
+        title,
+        description,
+        goal,
+        deadline,
+        creatorId: req.user.id,
+        walletAddress,
+        imageUrl,
+        documentUrl,
+        status,
+        category: category || 'general',
+        blockchainCampaignId,
+        transactionHash
+      });
 
-        // Get the created campaign
-        db.get(
-          `SELECT c.*, u.username as creator_name 
-           FROM campaigns c 
-           JOIN users u ON c.creator_id = u.id 
-           WHERE c.id = ?`,
-          [this.lastID],
-          (err, campaign) => {
-            if (err) {
-              console.error('Database error:', err.message);
-              return res.status(500).json({ message: 'Server error while fetching created campaign: ' + err.message });
-            }
+      // Get the created campaign
+      campaign = await models.campaigns.findWithCreator(campaignId);
+    } catch (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ message: 'Server error while creating campaign: ' + err.message });
+    }
 
-            const message = 'Campaign created successfully! Your campaign is now pending admin approval. You will be notified once it\'s approved and ready for blockchain deployment.';
-
-            res.json({
-              message,
-              campaign,
-              blockchainDetails: {
-                campaignId: blockchainCampaignId,
-                transactionHash: transactionHash,
-                deployed: false // Not deployed yet - pending admin approval
-              }
-            });
-          }
-        );
+    const message = 'Campaign created successfully! Your campaign is now pending admin approval. You will be notified once it\'s approved and ready for blockchain deployment.';
+
+    res.json({
+      message,
+      campaign,
+      blockchainDetails: {
+        campaignId: blockchainCampaignId,
+        transactionHash: transactionHash,
+        deployed: false // Not deployed yet - pending admin approval
       }
-    );
+    });
   } catch (err) {
     console.error('Server error:', err.message);
     res.status(500).json({ message: 'Server error: ' + err.message });
@@ -171,9 +174,11 @@ router.post('/', [
 
 // @route   POST api/campaigns/json
 // @desc    Create a campaign (JSON data)
-// @access  Private
+// @access  Private (campaigns:create, verified email)
 router.post('/json', [
   auth,
+  authorize('campaigns:create'),
+  verifiedEmail,
   express.json(), // Parse JSON body
   [
     check('title', 'Title is required').not().isEmpty(),
@@ -215,37 +220,32 @@ router.post('/json', [
     // Determine campaign status - if blockchainCampaignId is provided, set to active, otherwise pending
     const status = blockchainCampaignId ? 'active' : 'pending';
 
-    db.run(
-      `INSERT INTO campaigns (title, description, goal, deadline, creator_id, wallet_address, status, category, blockchain_campaign_id, transaction_hash) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [title, description, goal, deadline, req.user.id, walletAddress, status, category || 'general', blockchainCampaignId || '', transactionHash || ''],
-      function (err) {
-        if (err) {
-          console.error('Database error:', err.message);
-          return res.status(500).json({ message: 'Server error while creating campaign: ' + err.message });
-        }
+    let campaign;
+    try {
+      const campaignId = await models.campaigns.create({
+        title,
+        description,
+        goal,
+        deadline,
+        creatorId: req.user.id,
+        walletAddress,
+        status,
+        category: category || 'general',
+        blockchainCampaignId: blockchainCampaignId || '',
+        transactionHash: transactionHash || ''
+      });
 
-        // Get the created campaign
-        db.get(
-          `SELECT c.*, u.username as creator_name 
-           FROM campaigns c 
-           JOIN users u ON c.creator_id = u.id 
-           WHERE c.id = ?`,
-          [this.lastID],
-          (err, campaign) => {
-            if (err) {
-              console.error('Database error:', err.message);
-              return res.status(500).json({ message: 'Server error while fetching created campaign: ' + err.message });
-            }
+      // Get the created campaign
+      campaign = await models.campaigns.findWithCreator(campaignId);
+    } catch (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ message: 'Server error while creating campaign: ' + err.message });
+    }
 
-            res.json({
-              message: blockchainCampaignId ? 'Campaign created and deployed to blockchain successfully!' : 'Campaign created successfully and submitted for admin approval',
-              campaign
-            });
-          }
-        );
-      }
-    );
+    res.json({
+      message: blockchainCampaignId ? 'Campaign created and deployed to blockchain successfully!' : 'Campaign created successfully and submitted for admin approval',
+      campaign
+    });
   } catch (err) {
     console.error('Server error:', err.message);
     res.status(500).json({ message: 'Server error: ' + err.message });
@@ -255,45 +255,28 @@ router.post('/json', [
 // @route   GET api/campaigns/my-campaigns
 // @desc    Get current user's campaigns
 // @access  Private
-router.get('/my-campaigns', auth, (req, res) => {
+router.get('/my-campaigns', auth, async (req, res) => {
   try {
     console.log('🔍 Fetching campaigns for user ID:', req.user.id);
-    db.all(
-      `SELECT c.*, u.name as creator_name,
-       (SELECT COUNT(*) FROM fund_usage_plans WHERE campaign_id = c.id) > 0 as has_usage_plan,
-       COALESCE((SELECT approval_status FROM fund_usage_plans WHERE campaign_id = c.id AND withdrawal_status = 'pending' ORDER BY created_at DESC LIMIT 1), 'none') as plan_approval_status,
-       (SELECT COUNT(*) FROM fund_usage_plans WHERE campaign_id = c.id AND approval_status = 'approved' AND withdrawal_status = 'pending') as approved_pending_count,
-        (
-          COALESCE((SELECT SUM(CAST(amount AS REAL)) FROM withdrawal_requests WHERE campaign_id = c.id), 0) +
-          COALESCE((SELECT SUM(CAST(amount AS REAL)) FROM fund_usage_plans WHERE campaign_id = c.id AND withdrawal_status IN ('pending', 'withdrawn')), 0)
-        ) as total_withdrawn
-       FROM campaigns c 
-       JOIN users u ON c.creator_id = u.id 
-       WHERE c.creator_id = ? 
-         AND c.title NOT IN ('hp', 'mech', 'test')
-         AND c.title NOT LIKE 'Blockchain Campaign #%'
-         AND c.description NOT LIKE 'Campaign created directly on blockchain%'
-       ORDER BY c.created_at DESC`,
-      [req.user.id],
-      (err, campaigns) => {
-        if (err) {
-          console.error('❌ Database error:', err.message);
-          return res.status(500).json({ message: 'Server error', error: err.message });
-        }
-
-        console.log('✅ Found campaigns:', campaigns ? campaigns.length : 0);
+    let campaigns;
+    try {
+      campaigns = await models.campaigns.listForFundraiser(req.user.id);
+    } catch (err) {
+      console.error('❌ Database error:', err.message);
+      return res.status(500).json({ message: 'Server error', error: err.message });
+    }
 
-        // Debug: Log total_withdrawn for each campaign
-        campaigns.forEach(c => {
-          if (c.total_withdrawn > 0) {
-            console.log(`💰 Campaign "${c.title}": current_amount=${c.current_amount}, total_withdrawn=${c.total_withdrawn}`);
-          }
-        });
+    console.log('✅ Found campaigns:', campaigns.length);
 
-        console.log('📊 Campaigns data:', campaigns);
-        res.json(campaigns);
+    // Debug: Log total_withdrawn for each campaign
+    campaigns.forEach(c => {
+      if (c.total_withdrawn > 0) {
+        console.log(`💰 Campaign "${c.title}": current_amount=${c.current_amount}, total_withdrawn=${c.total_withdrawn}`);
       }
-    );
+    });
+
+    console.log('📊 Campaigns data:', campaigns);
+    res.json(campaigns);
   } catch (err) {
     console.error('❌ Route error:', err.message);
     res.status(500).json({ message: 'Server error' });
@@ -303,37 +286,10 @@ router.get('/my-campaigns', auth, (req, res) => {
 // @route   GET api/campaigns/active
 // @desc    Get active campaigns
 // @access  Public
-router.get('/active', (req, res) => {
+router.get('/active', async (req, res) => {
   try {
-    db.all(
-      `SELECT c.*, u.name as creator_name,
-       (
-         COALESCE((SELECT SUM(amount) FROM withdrawal_requests WHERE campaign_id = c.id AND executed = 1), 0) +
-         COALESCE((SELECT SUM(amount) FROM fund_usage_plans WHERE campaign_id = c.id AND withdrawal_status = 'withdrawn'), 0)
-       ) as total_withdrawn
-       FROM campaigns c 
-       JOIN users u ON c.creator_id = u.id 
-       WHERE c.status IN ('approved', 'active')
-         AND COALESCE(c.is_withdrawn, 0) = 0
-         AND c.blockchain_campaign_id IS NOT NULL
-         AND c.blockchain_campaign_id != ''
-         AND c.blockchain_campaign_id != '0'
-         AND (
-           c.deadline IS NULL OR c.deadline = '' OR datetime(c.deadline) > CURRENT_TIMESTAMP
-         )
-         AND c.title NOT LIKE 'Blockchain Campaign #%'
-         AND c.description NOT LIKE 'Campaign created directly on blockchain%'
-         AND c.title NOT LIKE 'Properly Integrated Campaign%'
-       ORDER BY c.created_at DESC`,
-      (err, campaigns) => {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).json({ message: 'Server error' });
-        }
-
-        res.json(campaigns);
-      }
-    );
+    const campaigns = await models.campaigns.listActive();
+    res.json(campaigns);
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
@@ -343,53 +299,17 @@ router.get('/active', (req, res) => {
 // @route   GET api/campaigns
 // @desc    Get all campaigns (including pending for admin)
 // @access  Public
-router.get('/', (req, res) => {
+router.get('/', async (req, res) => {
   try {
     const { status, includeAll } = req.query || {};
-    const params = [];
-    const blockchainFilter = `
-      c.blockchain_campaign_id IS NOT NULL
-      AND c.blockchain_campaign_id != ''
-      AND c.blockchain_campaign_id != '0'
-    `;
-
-    let query = `
-      SELECT c.*, u.username as creator_name,
-      (
-        COALESCE((SELECT SUM(amount) FROM withdrawal_requests WHERE campaign_id = c.id AND executed = 1), 0) +
-        COALESCE((SELECT SUM(amount) FROM fund_usage_plans WHERE campaign_id = c.id AND withdrawal_status = 'withdrawn'), 0)
-      ) as total_withdrawn
-      FROM campaigns c 
-      JOIN users u ON c.creator_id = u.id 
-      WHERE c.title NOT IN ('hp', 'mech', 'test')
-        AND c.title NOT LIKE 'Blockchain Campaign #%'
-        AND c.description NOT LIKE 'Campaign created directly on blockchain%'
-        AND c.title NOT LIKE 'Properly Integrated Campaign%'
-    `;
-
-    if (status) {
-      query += ' AND c.status = ?';
-      params.push(status);
-    } else if (includeAll !== 'true') {
-      query += ` AND ${blockchainFilter}
-                 AND c.status IN ('approved', 'active', 'completed', 'failed')`;
-    }
-
-    query += ' ORDER BY c.created_at DESC';
+    const campaigns = await models.campaigns.list({ status, includeAll: includeAll === 'true' });
 
-    db.all(query, params, (err, campaigns) => {
-      if (err) {
-        console.error(err.message);
-        return res.status(500).send('Server error');
-      }
-
-      const filteredCampaigns = campaigns.filter(c => {
-        return !c.title.includes('Blockchain Campaign #') &&
-          !c.description.includes('Campaign created directly on blockchain');
-      });
-
-      res.json(filteredCampaigns);
+    const filteredCampaigns = campaigns.filter(c => {
+      return !c.title.includes('Blockchain Campaign #') &&
+        !c.description.includes('Campaign created directly on blockchain');
     });
+
+    res.json(filteredCampaigns);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -418,40 +338,24 @@ router.get('/health', (req, res) => {
 // @route   GET api/campaigns/optimized
 // @desc    Get campaigns with optimized data for donor dashboard
 // @access  Public
-router.get('/optimized', (req, res) => {
+router.get('/optimized', async (req, res) => {
   try {
     console.log('Fetching optimized campaigns...');
-    db.all(
-      `SELECT c.id, c.title, c.description, c.goal, c.current_amount, c.deadline, 
-              c.image_url, c.status, c.is_withdrawn, c.blockchain_campaign_id, c.wallet_address,
-              u.username as creator_name,
-              c.status as campaign_status
-       FROM campaigns c 
-       JOIN users u ON c.creator_id = u.id 
-       WHERE c.status IN ('approved', 'active', 'completed')
-         AND c.blockchain_campaign_id IS NOT NULL
-         AND c.blockchain_campaign_id != ''
-         AND c.blockchain_campaign_id != '0'
-         AND c.title NOT IN ('hp', 'mech', 'test')
-         AND c.title NOT LIKE 'Blockchain Campaign #%'
-         AND c.description NOT LIKE 'Campaign created directly on blockchain%'
-         AND c.title NOT LIKE 'Properly Integrated Campaign%'
-       ORDER BY c.created_at DESC`,
-      (err, campaigns) => {
-        if (err) {
-          console.error('Database error in /optimized:', err.message);
-          console.error('Full error:', err);
-          return res.status(500).json({
-            message: 'Database error',
-            error: err.message,
-            details: 'Failed to fetch campaigns from database'
-          });
-        }
+    let campaigns;
+    try {
+      campaigns = await models.campaigns.listForDashboard();
+    } catch (err) {
+      console.error('Database error in /optimized:', err.message);
+      console.error('Full error:', err);
+      return res.status(500).json({
+        message: 'Database error',
+        error: err.message,
+        details: 'Failed to fetch campaigns from database'
+      });
+    }
 
-        console.log(`Successfully fetched ${campaigns?.length || 0} campaigns`);
-        res.json(campaigns || []);
-      }
-    );
+    console.log(`Successfully fetched ${campaigns.length} campaigns`);
+    res.json(campaigns);
   } catch (err) {
     console.error('Unexpected error in /optimized:', err.message);
     console.error('Full error:', err);
@@ -466,27 +370,32 @@ router.get('/optimized', (req, res) => {
 // @route   GET api/campaigns/:id
 // @desc    Get campaign by ID
 // @access  Public
-router.get('/:id', (req, res) => {
+router.get('/:id', async (req, res) => {
   try {
-    db.get(
-      `SELECT c.*, u.username as creator_name 
-       FROM campaigns c 
-       JOIN users u ON c.creator_id = u.id 
-       WHERE c.id = ?`,
-      [req.params.id],
-      (err, campaign) => {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).send('Server error');
-        }
+    const campaign = await models.campaigns.findWithCreator(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ msg: 'Campaign not found' });
+    }
 
-        if (!campaign) {
-          return res.status(404).json({ msg: 'Campaign not found' });
-        }
+    res.json(campaign);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
 
-        res.json(campaign);
-      }
-    );
+// @route   GET api/campaigns/:id/stream
+// @desc    Live progress of a campaign as Server-Sent Events (see utils/campaignStreams.js);
+//          reconnecting clients resume from their Last-Event-ID
+// @access  Public
+router.get('/:id/stream', async (req, res) => {
+  try {
+    const campaign = await models.campaigns.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ msg: 'Campaign not found' });
+    }
+
+    campaignStreams.open(req, res, campaign.id);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -495,9 +404,10 @@ router.get('/:id', (req, res) => {
 
 // @route   PUT api/campaigns/:id
 // @desc    Update campaign
-// @access  Private
+// @access  Private (campaign:update)
 router.put('/:id',
   auth,
+  authorize('campaign:update', (req) => req.params.id),
   (req, res, next) => {
     // Handle single file upload for image updates
     upload.single('image')(req, res, function (err) {
@@ -527,60 +437,16 @@ router.put('/:id',
     }
 
     try {
-      // Check if campaign exists and belongs to user
-      db.get(
-        'SELECT * FROM campaigns WHERE id = ?',
-        [req.params.id],
-        (err, campaign) => {
-          if (err) {
-            console.error(err.message);
-            return res.status(500).send('Server error');
-          }
+      const { campaign } = req;
+      const { title, description, goal, deadline } = req.body;
+      const image = req.file ? `/uploads/${req.file.filename}` : campaign.image_url;
 
-          if (!campaign) {
-            return res.status(404).json({ msg: 'Campaign not found' });
-          }
+      // Update campaign
+      await models.campaigns.update(req.params.id, { title, description, goal, deadline, imageUrl: image });
 
-          // Check if user is creator or admin
-          if (campaign.creator_id !== req.user.id && !req.user.isAdmin) {
-            return res.status(401).json({ msg: 'Not authorized' });
-          }
-
-          const { title, description, goal, deadline } = req.body;
-          const image = req.file ? `/uploads/${req.file.filename}` : campaign.image_url;
-
-          // Update campaign
-          db.run(
-            `UPDATE campaigns 
-             SET title = ?, description = ?, goal = ?, deadline = ?, image_url = ? 
-             WHERE id = ?`,
-            [title, description, goal, deadline, image, req.params.id],
-            function (err) {
-              if (err) {
-                console.error(err.message);
-                return res.status(500).send('Server error');
-              }
-
-              // Get updated campaign
-              db.get(
-                `SELECT c.*, u.username as creator_name 
-                 FROM campaigns c 
-                 JOIN users u ON c.creator_id = u.id 
-                 WHERE c.id = ?`,
-                [req.params.id],
-                (err, updatedCampaign) => {
-                  if (err) {
-                    console.error(err.message);
-                    return res.status(500).send('Server error');
-                  }
-
-                  res.json(updatedCampaign);
-                }
-              );
-            }
-          );
-        }
-      );
+      // Get updated campaign
+      const updatedCampaign = await models.campaigns.findWithCreator(req.params.id);
+      res.json(updatedCampaign);
     } catch (err) {
       console.error(err.message);
       res.status(500).send('Server error');
@@ -589,10 +455,11 @@ router.put('/:id',
 );
 
 // @route   PUT api/campaigns/:id/status
-// @desc    Update campaign status (admin only)
-// @access  Private/Admin
+// @desc    Update campaign status
+// @access  Private (campaigns:review)
 router.put('/:id/status', [
   auth,
+  authorize('campaigns:review'),
   check('status', 'Status is required').isIn(['pending', 'approved', 'rejected', 'completed'])
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -601,30 +468,16 @@ router.put('/:id/status', [
   }
 
   try {
-    // Check if user is admin
-    if (!req.user.isAdmin) {
-      return res.status(401).json({ msg: 'Not authorized' });
-    }
-
     const { status } = req.body;
 
     // Update campaign status
-    db.run(
-      'UPDATE campaigns SET status = ? WHERE id = ?',
-      [status, req.params.id],
-      function (err) {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).send('Server error');
-        }
-
-        if (this.changes === 0) {
-          return res.status(404).json({ msg: 'Campaign not found' });
-        }
+    const changes = await models.campaigns.updateStatus(req.params.id, status);
+    if (changes === 0) {
+      return res.status(404).json({ msg: 'Campaign not found' });
+    }
+    publishCampaignStatus(await models.campaigns.findById(req.params.id), status);
 
-        res.json({ msg: `Campaign status updated to ${status}` });
-      }
-    );
+    res.json({ msg: `Campaign status updated to ${status}` });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -633,83 +486,58 @@ router.put('/:id/status', [
 
 // @route   PUT api/campaigns/:id/withdraw
 // @desc    Mark campaign as withdrawn
-// @access  Private
-router.put('/:id/withdraw', auth, async (req, res) => {
+// @access  Private (campaign:withdraw)
+router.put('/:id/withdraw', [auth, authorize('campaign:withdraw', (req) => req.params.id)], async (req, res) => {
   try {
-    // Check if campaign exists and belongs to user
-    db.get(
-      'SELECT * FROM campaigns WHERE id = ?',
-      [req.params.id],
-      async (err, campaign) => {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).send('Server error');
-        }
+    const { campaign } = req;
 
-        if (!campaign) {
-          return res.status(404).json({ msg: 'Campaign not found' });
-        }
+    // Check if campaign is on blockchain
+    if (!campaign.blockchain_campaign_id || campaign.blockchain_campaign_id === '0') {
+      return res.status(400).json({ msg: 'Campaign is not deployed on blockchain' });
+    }
 
-        // Check if user is creator
-        if (campaign.creator_id !== req.user.id) {
-          return res.status(401).json({ msg: 'Not authorized' });
-        }
+    let withdrawalStatus;
+    let actualWithdrawalAmount = 0;
+    try {
+      // Import blockchain utilities
+      const { getCampaignFromBlockchain, canWithdrawFunds } = require('../../utils/blockchain');
 
-        // Check if campaign is on blockchain
-        if (!campaign.blockchain_campaign_id || campaign.blockchain_campaign_id === '0') {
-          return res.status(400).json({ msg: 'Campaign is not deployed on blockchain' });
-        }
+      // Check if withdrawal is allowed on blockchain
+      withdrawalStatus = await canWithdrawFunds(campaign.blockchain_campaign_id);
 
-        try {
-          // Import blockchain utilities
-          const { getCampaignFromBlockchain, canWithdrawFunds } = require('../../utils/blockchain');
+      if (!withdrawalStatus.canWithdraw) {
+        return res.status(400).json({
+          msg: 'Withdrawal conditions not met',
+          details: withdrawalStatus
+        });
+      }
 
-          // Check if withdrawal is allowed on blockchain
-          const withdrawalStatus = await canWithdrawFunds(campaign.blockchain_campaign_id);
+      // Get the actual withdrawal amount from blockchain
+      try {
+        const blockchainCampaign = await getCampaignFromBlockchain(campaign.blockchain_campaign_id);
+        actualWithdrawalAmount = blockchainCampaign.amountRaised || 0;
+        console.log('💰 Actual withdrawal amount from blockchain:', actualWithdrawalAmount, 'ETH');
+      } catch (blockchainError) {
+        console.warn('Could not fetch withdrawal amount from blockchain:', blockchainError.message);
+      }
+    } catch (blockchainError) {
+      console.error('Blockchain error:', blockchainError.message);
+      return res.status(500).json({
+        msg: 'Failed to verify blockchain withdrawal conditions',
+        error: blockchainError.message
+      });
+    }
 
-          if (!withdrawalStatus.canWithdraw) {
-            return res.status(400).json({
-              msg: 'Withdrawal conditions not met',
-              details: withdrawalStatus
-            });
-          }
+    // Update campaign to withdrawn with actual amount
+    await models.campaigns.markWithdrawn(req.params.id, actualWithdrawalAmount);
+    publishWithdrawal(campaign.id, { stage: 'withdrawn', amount: actualWithdrawalAmount });
+    publishCampaignStatus(campaign, 'completed');
 
-          // Get the actual withdrawal amount from blockchain
-          let actualWithdrawalAmount = 0;
-          try {
-            const blockchainCampaign = await getCampaignFromBlockchain(campaign.blockchain_campaign_id);
-            actualWithdrawalAmount = blockchainCampaign.amountRaised || 0;
-            console.log('💰 Actual withdrawal amount from blockchain:', actualWithdrawalAmount, 'ETH');
-          } catch (blockchainError) {
-            console.warn('Could not fetch withdrawal amount from blockchain:', blockchainError.message);
-          }
-
-          // Update campaign to withdrawn with actual amount
-          db.run(
-            'UPDATE campaigns SET is_withdrawn = 1, status = "completed", current_amount = ? WHERE id = ?',
-            [actualWithdrawalAmount, req.params.id],
-            function (err) {
-              if (err) {
-                console.error(err.message);
-                return res.status(500).send('Server error');
-              }
-
-              res.json({
-                msg: 'Campaign marked as withdrawn successfully!',
-                withdrawalAmount: actualWithdrawalAmount,
-                blockchainStatus: withdrawalStatus
-              });
-            }
-          );
-        } catch (blockchainError) {
-          console.error('Blockchain error:', blockchainError.message);
-          return res.status(500).json({
-            msg: 'Failed to verify blockchain withdrawal conditions',
-            error: blockchainError.message
-          });
-        }
-      }
-    );
+    res.json({
+      msg: 'Campaign marked as withdrawn successfully!',
+      withdrawalAmount: actualWithdrawalAmount,
+      blockchainStatus: withdrawalStatus
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -719,24 +547,10 @@ router.put('/:id/withdraw', auth, async (req, res) => {
 // @route   GET api/campaigns/user/:userId
 // @desc    Get campaigns by user ID
 // @access  Public
-router.get('/user/:userId', (req, res) => {
+router.get('/user/:userId', async (req, res) => {
   try {
-    db.all(
-      `SELECT c.*, u.username as creator_name 
-       FROM campaigns c 
-       JOIN users u ON c.creator_id = u.id 
-       WHERE c.creator_id = ? 
-       ORDER BY c.created_at DESC`,
-      [req.params.userId],
-      (err, campaigns) => {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).send('Server error');
-        }
-
-        res.json(campaigns);
-      }
-    );
+    const campaigns = await models.campaigns.listByCreator(req.params.userId);
+    res.json(campaigns);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -745,130 +559,103 @@ router.get('/user/:userId', (req, res) => {
 
 // @route   PUT api/campaigns/:id/confirm-deployment
 // @desc    Confirm campaign deployment to blockchain (fundraiser pays gas)
-// @access  Private (Fundraiser)
-router.put('/:id/confirm-deployment', auth, async (req, res) => {
+// @access  Private (campaign:deploy)
+router.put('/:id/confirm-deployment', [auth, authorize('campaign:deploy', (req) => req.params.id)], async (req, res) => {
   try {
     const { blockchainCampaignId, transactionHash, gasUsed } = req.body;
-
-    // Verify the campaign exists and user is authorized (admin can update any campaign)
-    const whereClause = req.user.role === 'admin' ? 'WHERE id = ?' : 'WHERE id = ? AND creator_id = ?';
-    const params = req.user.role === 'admin' ? [req.params.id] : [req.params.id, req.user.id];
-
-    db.get(
-      `SELECT * FROM campaigns ${whereClause}`,
-      params,
-      async (err, campaign) => {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).json({ message: 'Server error' });
-        }
-
-        if (!campaign) {
-          return res.status(404).json({ message: 'Campaign not found or not authorized for deployment confirmation' });
-        }
-
-        let resolvedBlockchainId = blockchainCampaignId;
-
-        // If blockchainCampaignId not provided, try to decode from tx hash
-        if ((!resolvedBlockchainId || resolvedBlockchainId === '0' || resolvedBlockchainId === '') && transactionHash) {
-          try {
-            const { initBlockchain } = require('../../utils/blockchain');
-            const { web3 } = initBlockchain();
-            if (!web3) {
-              console.warn('Blockchain not initialized; cannot decode tx to derive campaign id');
-            } else {
-              const receipt = await web3.eth.getTransactionReceipt(transactionHash);
-              if (receipt && receipt.logs && receipt.logs.length) {
-                // Topic[0] is the event signature
-                const signature = web3.utils.sha3('CampaignCreated(uint256,address,uint256,uint256)');
-                const createdLog = receipt.logs.find(l => l.topics && l.topics[0] === signature);
-                if (createdLog && createdLog.topics && createdLog.topics[1]) {
-                  // campaignId indexed -> topics[1]
-                  resolvedBlockchainId = web3.utils.hexToNumberString(createdLog.topics[1]);
-                  console.log(`🧩 Derived blockchain campaign ID from tx ${transactionHash}: ${resolvedBlockchainId}`);
-                }
-              }
+    const { campaign } = req;
+
+    let resolvedBlockchainId = blockchainCampaignId;
+
+    // If blockchainCampaignId not provided, try to decode from tx hash
+    if ((!resolvedBlockchainId || resolvedBlockchainId === '0' || resolvedBlockchainId === '') && transactionHash) {
+      try {
+        const { getBlockchain } = require('../../utils/contract');
+        const { web3 } = getBlockchain();
+        if (!web3) {
+          console.warn('Blockchain not initialized; cannot decode tx to derive campaign id');
+        } else {
+          const receipt = await web3.eth.getTransactionReceipt(transactionHash);
+          if (receipt && receipt.logs && receipt.logs.length) {
+            // Topic[0] is the event signature
+            const signature = web3.utils.sha3('CampaignCreated(uint256,address,uint256,uint256)');
+            const createdLog = receipt.logs.find(l => l.topics && l.topics[0] === signature);
+            if (createdLog && createdLog.topics && createdLog.topics[1]) {
+              // campaignId indexed -> topics[1]
+              resolvedBlockchainId = web3.utils.hexToNumberString(createdLog.topics[1]);
+              console.log(`🧩 Derived blockchain campaign ID from tx ${transactionHash}: ${resolvedBlockchainId}`);
             }
-          } catch (decodeErr) {
-            console.warn('Could not decode CampaignCreated from transaction:', decodeErr.message);
           }
         }
+      } catch (decodeErr) {
+        console.warn('Could not decode CampaignCreated from transaction:', decodeErr.message);
+      }
+    }
 
-        // Validate that we have a blockchain campaign ID
-        if (!resolvedBlockchainId || resolvedBlockchainId === '0' || resolvedBlockchainId === '') {
-          return res.status(400).json({
-            message: 'Blockchain campaign ID is required for deployment confirmation',
-            details: 'The campaign ID was not properly extracted from the blockchain transaction. Please check the transaction on Etherscan and try again.'
-          });
-        }
+    // Validate that we have a blockchain campaign ID
+    if (!resolvedBlockchainId || resolvedBlockchainId === '0' || resolvedBlockchainId === '') {
+      return res.status(400).json({
+        message: 'Blockchain campaign ID is required for deployment confirmation',
+        details: 'The campaign ID was not properly extracted from the blockchain transaction. Please check the transaction on Etherscan and try again.'
+      });
+    }
 
-        // Update campaign with blockchain details and mark as active
-        console.log('🔄 Updating campaign in database with blockchain details...');
-        console.log(`- Campaign ID: ${req.params.id}`);
-        console.log(`- Blockchain ID: ${resolvedBlockchainId}`);
-        console.log(`- Transaction Hash: ${transactionHash || campaign.transaction_hash || ''}`);
-
-        db.run(
-          'UPDATE campaigns SET status = "active", blockchain_campaign_id = ?, transaction_hash = ?, confirmed_at = CURRENT_TIMESTAMP WHERE id = ?',
-          [resolvedBlockchainId, transactionHash || campaign.transaction_hash || '', req.params.id],
-          function (err) {
-            if (err) {
-              console.error('❌ Database update error:', err.message);
-              console.error('❌ Error details:', err);
-              return res.status(500).json({
-                message: 'Database error while updating campaign',
-                error: err.message,
-                details: 'Failed to update campaign with blockchain details'
-              });
-            }
+    // Update campaign with blockchain details and mark as active
+    console.log('🔄 Updating campaign in database with blockchain details...');
+    console.log(`- Campaign ID: ${req.params.id}`);
+    console.log(`- Blockchain ID: ${resolvedBlockchainId}`);
+    console.log(`- Transaction Hash: ${transactionHash || campaign.transaction_hash || ''}`);
+
+    let changes;
+    try {
+      changes = await models.campaigns.confirmDeployment(
+        req.params.id,
+        resolvedBlockchainId,
+        transactionHash || campaign.transaction_hash || ''
+      );
+    } catch (err) {
+      console.error('❌ Database update error:', err.message);
+      console.error('❌ Error details:', err);
+      return res.status(500).json({
+        message: 'Database error while updating campaign',
+        error: err.message,
+        details: 'Failed to update campaign with blockchain details'
+      });
+    }
 
-            console.log(`✅ Database updated successfully. Changes: ${this.changes}`);
+    console.log(`✅ Database updated successfully. Changes: ${changes}`);
 
-            if (this.changes === 0) {
-              console.error('❌ No rows updated - campaign not found');
-              return res.status(404).json({ message: 'Campaign not found or already updated' });
-            }
+    if (changes === 0) {
+      console.error('❌ No rows updated - campaign not found');
+      return res.status(404).json({ message: 'Campaign not found or already updated' });
+    }
+    publishCampaignStatus(campaign, 'active');
 
-            console.log(`✅ Campaign "${campaign.title}" confirmed and deployed by fundraiser`);
-            console.log(`- Blockchain ID: ${resolvedBlockchainId}`);
-            console.log(`- Transaction: ${transactionHash}`);
-
-            // Create notification for successful deployment
-            (async () => {
-              try {
-                const { createNotification } = require('./notifications');
-                await createNotification(
-                  campaign.creator_id,
-                  campaign.id,
-                  'campaign_deployed',
-                  '🚀 Campaign Deployed Successfully!',
-                  `Your campaign "${campaign.title}" has been successfully deployed to the blockchain! Blockchain ID: ${resolvedBlockchainId}. Your campaign is now live and ready to receive donations.`
-                );
-                console.log('✅ Deployment notification sent to fundraiser');
-              } catch (notificationError) {
-                console.error('⚠️ Failed to send deployment notification:', notificationError.message);
-              }
-            })();
-
-            res.json({
-              message: 'Campaign deployment confirmed successfully! Your campaign is now live on the blockchain.',
-              success: true,
-              campaign: {
-                id: campaign.id,
-                title: campaign.title,
-                status: 'active'
-              },
-              blockchainDetails: {
-                campaignId: resolvedBlockchainId,
-                transactionHash: transactionHash || campaign.transaction_hash || '',
-                gasUsed: gasUsed,
-                etherscanUrl: `https://sepolia.etherscan.io/tx/${transactionHash || campaign.transaction_hash || ''}`
-              }
-            });
-          }
-        );
+    console.log(`✅ Campaign "${campaign.title}" confirmed and deployed by fundraiser`);
+    console.log(`- Blockchain ID: ${resolvedBlockchainId}`);
+    console.log(`- Transaction: ${transactionHash}`);
+
+    // Create notification for successful deployment
+    notify(campaign.creator_id, 'campaign_deployed', {
+      campaignId: campaign.id,
+      data: { campaignTitle: campaign.title, blockchainCampaignId: resolvedBlockchainId }
+    });
+
+    res.json({
+      message: 'Campaign deployment confirmed successfully! Your campaign is now live on the blockchain.',
+      success: true,
+      campaign: {
+        id: campaign.id,
+        title: campaign.title,
+        status: 'active'
+      },
+      blockchainDetails: {
+        campaignId: resolvedBlockchainId,
+        transactionHash: transactionHash || campaign.transaction_hash || '',
+        gasUsed: gasUsed,
+        etherscanUrl: `https://sepolia.etherscan.io/tx/${transactionHash || campaign.transaction_hash || ''}`
       }
-    );
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
@@ -877,53 +664,28 @@ router.put('/:id/confirm-deployment', auth, async (req, res) => {
 
 // @route   POST api/campaigns/:id/updateBlockchainId
 // @desc    Update campaign with blockchain ID and transaction hash after creation
-// @access  Private
-router.post('/:id/updateBlockchainId', auth, (req, res) => {
+// @access  Private (campaign:deploy)
+router.post('/:id/updateBlockchainId', [auth, authorize('campaign:deploy', (req) => req.params.id)], async (req, res) => {
   try {
     const { blockchainId, txHash } = req.body;
+    const { campaign } = req;
 
-    // Verify the campaign belongs to the user
-    db.get(
-      'SELECT * FROM campaigns WHERE id = ? AND creator_id = ?',
-      [req.params.id, req.user.id],
-      (err, campaign) => {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).json({ message: 'Server error' });
-        }
-
-        if (!campaign) {
-          return res.status(404).json({ message: 'Campaign not found or not authorized' });
-        }
-
-        // Update campaign with blockchain details
-        db.run(
-          'UPDATE campaigns SET blockchain_campaign_id = ?, transaction_hash = ? WHERE id = ?',
-          [blockchainId, txHash, req.params.id],
-          function (err) {
-            if (err) {
-              console.error(err.message);
-              return res.status(500).json({ message: 'Server error' });
-            }
-
-            if (this.changes === 0) {
-              return res.status(404).json({ message: 'Campaign not found' });
-            }
+    // Update campaign with blockchain details
+    const changes = await models.campaigns.setBlockchainDetails(req.params.id, blockchainId, txHash);
+    if (changes === 0) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
 
-            console.log(`✅ Campaign "${campaign.title}" updated with blockchain ID: ${blockchainId}`);
-            console.log(`- Transaction: ${txHash}`);
+    console.log(`✅ Campaign "${campaign.title}" updated with blockchain ID: ${blockchainId}`);
+    console.log(`- Transaction: ${txHash}`);
 
-            res.json({
-              message: 'Campaign updated with blockchain details successfully!',
-              blockchainDetails: {
-                campaignId: blockchainId,
-                transactionHash: txHash
-              }
-            });
-          }
-        );
+    res.json({
+      message: 'Campaign updated with blockchain details successfully!',
+      blockchainDetails: {
+        campaignId: blockchainId,
+        transactionHash: txHash
       }
-    );
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
@@ -932,175 +694,145 @@ router.post('/:id/updateBlockchainId', auth, (req, res) => {
 
 // @route   DELETE api/campaigns/:id/delete
 // @desc    Delete campaign by fundraiser (owner)
-// @access  Private (Fundraiser)
-router.delete('/:id/delete', auth, (req, res) => {
+// @access  Private (campaign:delete)
+router.delete('/:id/delete', auth, async (req, res) => {
   try {
-    // First check if campaign exists and user is the owner
-    db.get(
-      'SELECT * FROM campaigns WHERE id = ? AND creator_id = ?',
-      [req.params.id, req.user.id],
-      (err, campaign) => {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).json({ message: 'Server error' });
-        }
+    // The donation check and the delete share a transaction so a donation
+    // arriving in between can't be orphaned
+    const result = await models.transaction(async ({ campaigns, donations, campaignMembers, verificationDocuments }) => {
+      const campaign = await campaigns.findById(req.params.id);
+      if (!campaign) {
+        return { status: 404, message: 'Campaign not found' };
+      }
+      if (!(await can(req.user, 'campaign:delete', campaign, campaignMembers))) {
+        return { status: 403, message: 'You are not authorized to delete this campaign' };
+      }
 
-        if (!campaign) {
-          return res.status(404).json({ message: 'Campaign not found or you are not authorized to delete it' });
-        }
+      // Check if campaign has donations
+      if (await donations.countByCampaign(req.params.id) > 0) {
+        return {
+          status: 400,
+          message: 'Cannot delete campaign with existing donations. Please contact admin for assistance.'
+        };
+      }
 
-        // Check if campaign has donations
-        db.get(
-          'SELECT COUNT(*) as donationCount FROM donations WHERE campaign_id = ?',
-          [req.params.id],
-          (err, result) => {
-            if (err) {
-              console.error(err.message);
-              return res.status(500).json({ message: 'Server error' });
-            }
+      // Delete campaign
+      const documents = await verificationDocuments.listByCampaign(req.params.id);
+      if (await campaigns.delete(req.params.id) === 0) {
+        return { status: 404, message: 'Campaign not found or already deleted' };
+      }
 
-            if (result.donationCount > 0) {
-              return res.status(400).json({
-                message: 'Cannot delete campaign with existing donations. Please contact admin for assistance.'
-              });
-            }
+      return { campaign, documents };
+    });
 
-            // Delete campaign
-            db.run(
-              'DELETE FROM campaigns WHERE id = ? AND creator_id = ?',
-              [req.params.id, req.user.id],
-              function (err) {
-                if (err) {
-                  console.error(err.message);
-                  return res.status(500).json({ message: 'Server error' });
-                }
-
-                if (this.changes === 0) {
-                  return res.status(404).json({ message: 'Campaign not found or already deleted' });
-                }
-
-                console.log(`✅ Campaign "${campaign.title}" deleted by fundraiser (ID: ${req.user.id})`);
-                res.json({ message: 'Campaign deleted successfully' });
-              }
-            );
-          }
-        );
-      }
-    );
+    if (!result.campaign) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    removeDocumentFiles(result.documents);
+
+    console.log(`✅ Campaign "${result.campaign.title}" deleted by user ${req.user.id}`);
+    res.json({ message: 'Campaign deleted successfully' });
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Donation route
-router.post('/:id/donate', async (req, res) => {
+// @route   GET api/campaigns/:id/members
+// @desc    List the campaign's co-owners and moderators
+// @access  Private (campaign:view_members)
+router.get('/:id/members', [auth, authorize('campaign:view_members', (req) => req.params.id)], async (req, res) => {
   try {
-    const { id } = req.params;
-    const { amount, donor_address } = req.body;
+    res.json({
+      owner: { user_id: req.campaign.creator_id, role: 'owner' },
+      members: await models.campaignMembers.list(req.campaign.id)
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    console.log('💰 Donation request:', { campaignId: id, amount, donor_address });
+// @route   POST api/campaigns/:id/members
+// @desc    Make a user co-owner or moderator of the campaign, or change their campaign role
+// @access  Private (campaign:manage_members)
+router.post('/:id/members', [
+  auth,
+  authorize('campaign:manage_members', (req) => req.params.id),
+  [
+    check('userId', 'User ID is required').isInt(),
+    check('role', `Role must be one of: ${MEMBER_ROLES.join(', ')}`).isIn(MEMBER_ROLES)
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ message: 'Invalid donation amount' });
+  try {
+    const userId = Number(req.body.userId);
+    if (userId === req.campaign.creator_id) {
+      return res.status(400).json({ message: 'The campaign creator already owns it' });
+    }
+    if (!(await models.users.findById(userId))) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    // Get campaign details
-    db.get('SELECT * FROM campaigns WHERE id = ?', [id], (err, campaign) => {
-      if (err) {
-        console.error('Database error:', err);
-        return res.status(500).json({ message: 'Database error' });
-      }
-
-      if (!campaign) {
-        return res.status(404).json({ message: 'Campaign not found' });
-      }
-
-      // Update campaign with new donation
-      const newAmount = (campaign.current_amount || 0) + parseFloat(amount);
-
-      db.run(
-        'UPDATE campaigns SET current_amount = ? WHERE id = ?',
-        [newAmount, id],
-        function (err) {
-          if (err) {
-            console.error('Update error:', err);
-            return res.status(500).json({ message: 'Failed to update campaign' });
-          }
-
-          // Insert donation record
-          db.run(
-            'INSERT INTO donations (campaign_id, donor_address, amount, created_at) VALUES (?, ?, ?, datetime("now"))',
-            [id, donor_address || 'anonymous', amount],
-            function (err) {
-              if (err) {
-                console.error('Donation record error:', err);
-                return res.status(500).json({ message: 'Failed to record donation' });
-              }
-
-              console.log('✅ Donation successful:', { campaignId: id, amount, newTotal: newAmount });
-              res.json({
-                message: 'Donation successful',
-                amount: amount,
-                newTotal: newAmount,
-                campaignId: id
-              });
-            }
-          );
-        }
-      );
-    });
+    await models.campaignMembers.add({ campaignId: req.campaign.id, userId, role: req.body.role, addedBy: req.user.id });
+    console.log(`👥 User ${userId} is now ${req.body.role} of campaign ${req.campaign.id}`);
+    res.json({ message: 'Member saved', members: await models.campaignMembers.list(req.campaign.id) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
+// @route   DELETE api/campaigns/:id/members/:userId
+// @desc    Take away a user's role in the campaign
+// @access  Private (campaign:manage_members)
+router.delete('/:id/members/:userId', [auth, authorize('campaign:manage_members', (req) => req.params.id)], async (req, res) => {
+  try {
+    if (await models.campaignMembers.remove(req.campaign.id, req.params.userId) === 0) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    res.json({ message: 'Member removed', members: await models.campaignMembers.list(req.campaign.id) });
   } catch (err) {
-    console.error('Donation error:', err);
+    console.error(err.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Withdrawal route
-router.post('/:id/withdraw', async (req, res) => {
+// @route   POST api/campaigns/:id/withdraw
+// @desc    Mark a campaign that reached its goal as withdrawn
+// @access  Private (campaign:withdraw - the campaign's owner)
+router.post('/:id/withdraw', [auth, authorize('campaign:withdraw', (req) => req.params.id)], async (req, res) => {
   try {
     const { id } = req.params;
+    const { campaign } = req;
     const { withdrawer_address } = req.body;
 
     console.log('💸 Withdrawal request:', { campaignId: id, withdrawer_address });
 
-    // Get campaign details
-    db.get('SELECT * FROM campaigns WHERE id = ?', [id], (err, campaign) => {
-      if (err) {
-        console.error('Database error:', err);
-        return res.status(500).json({ message: 'Database error' });
-      }
-
-      if (!campaign) {
-        return res.status(404).json({ message: 'Campaign not found' });
-      }
-
-      // Check if campaign goal is met
-      if (campaign.current_amount < campaign.goal) {
-        return res.status(400).json({ message: 'Campaign goal not met yet' });
-      }
+    // Check if campaign goal is met
+    if (campaign.current_amount < campaign.goal) {
+      return res.status(400).json({ message: 'Campaign goal not met yet' });
+    }
 
-      // Mark campaign as withdrawn
-      db.run(
-        'UPDATE campaigns SET is_withdrawn = 1 WHERE id = ?',
-        [id],
-        function (err) {
-          if (err) {
-            console.error('Withdrawal error:', err);
-            return res.status(500).json({ message: 'Failed to process withdrawal' });
-          }
+    // Mark campaign as withdrawn
+    try {
+      await models.campaigns.markWithdrawn(id);
+    } catch (err) {
+      console.error('Withdrawal error:', err);
+      return res.status(500).json({ message: 'Failed to process withdrawal' });
+    }
+    publishWithdrawal(campaign.id, { stage: 'withdrawn', amount: campaign.current_amount });
 
-          console.log('✅ Withdrawal successful:', { campaignId: id, amount: campaign.current_amount });
-          res.json({
-            message: 'Withdrawal successful',
-            amount: campaign.current_amount,
-            campaignId: id
-          });
-        }
-      );
+    console.log('✅ Withdrawal successful:', { campaignId: id, amount: campaign.current_amount });
+    res.json({
+      message: 'Withdrawal successful',
+      amount: campaign.current_amount,
+      campaignId: id
     });
-
   } catch (err) {
     console.error('Withdrawal error:', err);
     res.status(500).json({ message: 'Server error' });
@@ -2,10 +2,10 @@ const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const auth = require('../../middleware/auth');
+const { can } = require('../../utils/permissions');
 
 // Database connection
-const sqlite3 = require('sqlite3').verbose();
-const db = new sqlite3.Database('./crowdfunding.db');
+const { db } = require('../../utils/db');
 
 // @route   POST api/comments/:campaignId
 // @desc    Add a comment to a campaign
@@ -21,45 +21,27 @@ router.post('/:campaignId', [
 
   try {
     // Check if campaign exists
-    db.get('SELECT * FROM campaigns WHERE id = ?', [req.params.campaignId], (err, campaign) => {
-      if (err) {
-        console.error(err.message);
-        return res.status(500).send('Server error');
-      }
-
-      if (!campaign) {
-        return res.status(404).json({ msg: 'Campaign not found' });
-      }
+    const campaign = await db.get('SELECT * FROM campaigns WHERE id = ?', [req.params.campaignId]);
+    if (!campaign) {
+      return res.status(404).json({ msg: 'Campaign not found' });
+    }
 
-      // Add comment
-      db.run(
-        'INSERT INTO comments (campaign_id, user_id, text) VALUES (?, ?, ?)',
-        [req.params.campaignId, req.user.id, req.body.text],
-        function(err) {
-          if (err) {
-            console.error(err.message);
-            return res.status(500).send('Server error');
-          }
+    // Add comment
+    const { lastID } = await db.run(
+      'INSERT INTO comments (campaign_id, user_id, text) VALUES (?, ?, ?)',
+      [req.params.campaignId, req.user.id, req.body.text]
+    );
 
-          // Get the created comment with user info
-          db.get(
-            `SELECT c.*, u.username 
-             FROM comments c 
-             JOIN users u ON c.user_id = u.id 
-             WHERE c.id = ?`,
-            [this.lastID],
-            (err, comment) => {
-              if (err) {
-                console.error(err.message);
-                return res.status(500).send('Server error');
-              }
+    // Get the created comment with user info
+    const comment = await db.get(
+      `SELECT c.*, u.username 
+       FROM comments c 
+       JOIN users u ON c.user_id = u.id 
+       WHERE c.id = ?`,
+      [lastID]
+    );
 
-              res.json(comment);
-            }
-          );
-        }
-      );
-    });
+    res.json(comment);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -69,24 +51,18 @@ router.post('/:campaignId', [
 // @route   GET api/comments/:campaignId
 // @desc    Get all comments for a campaign
 // @access  Public
-router.get('/:campaignId', (req, res) => {
+router.get('/:campaignId', async (req, res) => {
   try {
-    db.all(
+    const comments = await db.all(
       `SELECT c.*, u.username 
        FROM comments c 
        JOIN users u ON c.user_id = u.id 
        WHERE c.campaign_id = ? 
        ORDER BY c.created_at DESC`,
-      [req.params.campaignId],
-      (err, comments) => {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).send('Server error');
-        }
-
-        res.json(comments);
-      }
+      [req.params.campaignId]
     );
+
+    res.json(comments);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -95,35 +71,27 @@ router.get('/:campaignId', (req, res) => {
 
 // @route   DELETE api/comments/:id
 // @desc    Delete a comment
-// @access  Private
+// @access  Private (the comment's author, or campaign:moderate_comments)
 router.delete('/:id', auth, async (req, res) => {
   try {
     // Check if comment exists and belongs to user
-    db.get('SELECT * FROM comments WHERE id = ?', [req.params.id], (err, comment) => {
-      if (err) {
-        console.error(err.message);
-        return res.status(500).send('Server error');
-      }
-
-      if (!comment) {
-        return res.status(404).json({ msg: 'Comment not found' });
-      }
+    const comment = await db.get('SELECT * FROM comments WHERE id = ?', [req.params.id]);
+    if (!comment) {
+      return res.status(404).json({ msg: 'Comment not found' });
+    }
 
-      // Check if user is comment owner or admin
-      if (comment.user_id !== req.user.id && !req.user.isAdmin) {
-        return res.status(401).json({ msg: 'Not authorized' });
+    // Authors can delete their own comments, moderators anyone's
+    if (comment.user_id !== req.user.id) {
+      const campaign = await db.get('SELECT * FROM campaigns WHERE id = ?', [comment.campaign_id]);
+      if (!(await can(req.user, 'campaign:moderate_comments', campaign))) {
+        return res.status(403).json({ msg: 'Not authorized' });
       }
+    }
 
-      // Delete comment
-      db.run('DELETE FROM comments WHERE id = ?', [req.params.id], function(err) {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).send('Server error');
-        }
+    // Delete comment
+    await db.run('DELETE FROM comments WHERE id = ?', [req.params.id]);
 
-        res.json({ msg: 'Comment removed' });
-      });
-    });
+    res.json({ msg: 'Comment removed' });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
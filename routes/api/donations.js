@@ -2,10 +2,21 @@ const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const auth = require('../../middleware/auth');
+const authorize = require('../../middleware/authorize');
+const { can } = require('../../utils/permissions');
 
-// Database connection
-const sqlite3 = require('sqlite3').verbose();
-const db = new sqlite3.Database('./crowdfunding.db');
+const models = require('../../models');
+const { isUniqueViolation } = require('../../utils/db');
+
+const { toWeiAmount, verifyDonationTransaction } = require('../../utils/donationVerifier');
+const { publishDonation } = require('../../utils/eventBus');
+const { notifyCreator, sendDonationReceipt } = require('../../utils/notifications');
+
+// Amounts are in ETH, positive and no finer than a wei
+const checkAmount = () => check('amount', 'Amount must be a positive number of ETH with at most 18 decimals')
+  .custom((amount) => toWeiAmount(amount) !== null);
+
+const DUPLICATE_TRANSACTION = { message: 'This transaction has already been recorded' };
 
 // @route   GET api/donations/test-mode
 // @desc    Check if system is in test mode
@@ -20,85 +31,16 @@ router.get('/test-mode', (req, res) => {
   }
 });
 
-// @route   POST api/donations
-// @desc    Create a donation
-// @access  Private
-router.post('/', [
-  auth,
-  [
-    check('campaignId', 'Campaign ID is required').not().isEmpty(),
-    check('amount', 'Amount is required').isNumeric()
-  ]
-], async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  const { campaignId, amount, transactionHash, donorAddress } = req.body;
-
-  try {
-    // Insert donation record
-    db.run(
-      `INSERT INTO donations (campaign_id, donor_id, amount, transaction_hash, donor_address) 
-       VALUES (?, ?, ?, ?, ?)`,
-      [campaignId, req.user.id, amount, transactionHash, donorAddress],
-      function(err) {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).json({ message: 'Server error while creating donation' });
-        }
-
-        // Update campaign current_amount
-        db.run(
-          `UPDATE campaigns SET current_amount = COALESCE(current_amount, 0) + ? WHERE id = ?`,
-          [amount, campaignId],
-          function(updateErr) {
-            if (updateErr) {
-              console.error('Error updating campaign amount:', updateErr.message);
-              // Don't fail the request, just log the error
-            }
-
-            // Get the created donation with campaign info
-            db.get(
-              `SELECT d.*, c.title as campaign_title, u.name as donor_name
-               FROM donations d
-               JOIN campaigns c ON d.campaign_id = c.id
-               JOIN users u ON d.donor_id = u.id
-               WHERE d.id = ?`,
-              [this.lastID],
-              (err, donation) => {
-                if (err) {
-                  console.error(err.message);
-                  return res.status(500).json({ message: 'Server error while fetching created donation' });
-                }
-
-                res.json({ 
-                  message: 'Donation created successfully', 
-                  donation 
-                });
-              }
-            );
-          }
-        );
-      }
-    );
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
 // @route   POST api/donations/blockchain
-// @desc    Create a blockchain donation
+// @desc    Create a blockchain donation (verified against the transaction receipt)
 // @access  Private
 router.post('/blockchain', [
   auth,
   [
     check('campaignId', 'Campaign ID is required').not().isEmpty(),
-    check('amount', 'Amount is required').isNumeric(),
-    check('transactionHash', 'Transaction hash is required').not().isEmpty(),
-    check('donorAddress', 'Donor address is required').not().isEmpty()
+    checkAmount(),
+    check('transactionHash', 'Transaction hash is required').matches(/^0x[0-9a-fA-F]{64}$/),
+    check('donorAddress', 'Donor address is required').matches(/^0x[0-9a-fA-F]{40}$/)
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -109,81 +51,89 @@ router.post('/blockchain', [
   const { campaignId, amount, transactionHash, donorAddress, gasUsed } = req.body;
 
   try {
-    console.log('💰 Processing blockchain donation...');
-    console.log(`- Campaign ID: ${campaignId}`);
-    console.log(`- Amount: ${amount} ETH`);
-    console.log(`- Donor: ${donorAddress}`);
-    console.log(`- Transaction: ${transactionHash}`);
-
     // Verify campaign exists and is on blockchain
-    db.get(
-      'SELECT * FROM campaigns WHERE id = ? AND blockchain_campaign_id IS NOT NULL AND blockchain_campaign_id != ""',
-      [campaignId],
-      (err, campaign) => {
-        if (err) {
-          console.error('Database error:', err.message);
-          return res.status(500).json({ message: 'Server error while verifying campaign' });
-        }
+    const campaign = await models.campaigns.findDeployed(campaignId);
 
-        if (!campaign) {
-          return res.status(404).json({ message: 'Campaign not found or not deployed on blockchain' });
-        }
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found or not deployed on blockchain' });
+    }
 
-        // Insert blockchain donation record
-        db.run(
-          `INSERT INTO donations (campaign_id, donor_id, amount, transaction_hash, donor_address) 
-           VALUES (?, ?, ?, ?, ?)`,
-          [campaignId, req.user.id, amount, transactionHash, donorAddress],
-          function(err) {
-            if (err) {
-              console.error('Database error:', err.message);
-              return res.status(500).json({ message: 'Server error while creating donation record' });
-            }
+    // Each transaction can only be recorded once (idx_donations_transaction_hash also
+    // catches a concurrent submission of the same one)
+    const duplicate = await models.donations.findByTransactionHash(transactionHash);
+    if (duplicate) {
+      return res.status(409).json(DUPLICATE_TRANSACTION);
+    }
 
-            // Update campaign current_amount
-            db.run(
-              `UPDATE campaigns SET current_amount = COALESCE(current_amount, 0) + ? WHERE id = ?`,
-              [amount, campaignId],
-              function(updateErr) {
-                if (updateErr) {
-                  console.error('Error updating campaign amount:', updateErr.message);
-                  // Don't fail the request, just log the error
-                }
+    let verification;
+    try {
+      verification = await verifyDonationTransaction({
+        transactionHash,
+        blockchainCampaignId: campaign.blockchain_campaign_id,
+        donorAddress,
+        amount
+      });
+    } catch (rpcErr) {
+      // Node unreachable - let the background verifier retry. The claim itself was
+      // validated above, so this is never the client's fault.
+      console.warn('⚠️ Could not fetch transaction receipt:', rpcErr.message);
+      verification = { status: 'pending', reason: rpcErr.message };
+    }
+
+    if (verification.status === 'invalid') {
+      console.warn(`❌ Rejected donation claim ${transactionHash}: ${verification.reason}`);
+      return res.status(400).json({ message: 'Donation could not be verified on-chain', reason: verification.reason });
+    }
+
+    const verified = verification.status === 'verified';
+
+    // Only credited to the submitter when it was sent from one of their verified
+    // wallets, so nobody can claim someone else's donation as their own
+    const wallet = await models.userWallets.findVerified(donorAddress);
+    const donorId = wallet && wallet.user_id === req.user.id ? req.user.id : null;
+
+    // Only verified donations count towards the campaign total
+    const donationId = await models.transaction(async ({ donations, campaigns }) => {
+      const id = await donations.create({
+        campaignId,
+        donorId,
+        amount,
+        transactionHash,
+        donorAddress: donorAddress.toLowerCase(),
+        verificationStatus: verified ? 'verified' : 'pending_verification'
+      });
+      if (verified) {
+        await campaigns.addToRaised(campaignId, amount);
+      }
+      return id;
+    });
 
-                console.log('✅ Blockchain donation recorded successfully!');
+    console.log(`💰 Blockchain donation ${transactionHash} recorded (${verified ? 'verified' : 'pending verification'})`);
 
-                // Get the created donation with campaign info
-                db.get(
-                  `SELECT d.*, c.title as campaign_title, u.name as donor_name, c.blockchain_campaign_id
-                   FROM donations d
-                   JOIN campaigns c ON d.campaign_id = c.id
-                   JOIN users u ON d.donor_id = u.id
-                   WHERE d.id = ?`,
-                  [this.lastID],
-                  (err, donation) => {
-                    if (err) {
-                      console.error(err.message);
-                      return res.status(500).json({ message: 'Server error while fetching created donation' });
-                    }
+    // Get the created donation with campaign info
+    const donation = await models.donations.findWithDetails(donationId);
+    publishDonation(donation);
+    if (verified) {
+      await notifyCreator(donation.campaign_id, 'donation_received', { amount: donation.amount });
+      await sendDonationReceipt(donation.id);
+    }
 
-                    res.json({ 
-                      message: 'Blockchain donation recorded successfully!', 
-                      donation,
-                      blockchainDetails: {
-                        campaignId: campaign.blockchain_campaign_id,
-                        transactionHash: transactionHash,
-                        gasUsed: gasUsed
-                      }
-                    });
-                  }
-                );
-              }
-            );
-          }
-        );
+    res.status(verified ? 200 : 202).json({
+      message: verified
+        ? 'Blockchain donation recorded successfully!'
+        : 'Donation received - it will be confirmed once the transaction is verified on-chain',
+      donation,
+      blockchainDetails: {
+        campaignId: campaign.blockchain_campaign_id,
+        transactionHash: transactionHash,
+        gasUsed: gasUsed,
+        verificationStatus: verified ? 'verified' : 'pending_verification'
       }
-    );
+    });
   } catch (err) {
+    if (isUniqueViolation(err)) {
+      return res.status(409).json(DUPLICATE_TRANSACTION);
+    }
     console.error('Server error:', err.message);
     res.status(500).json({ message: 'Server error: ' + err.message });
   }
@@ -191,30 +141,15 @@ router.post('/blockchain', [
 
 // @route   GET api/donations/user/:userId
 // @desc    Get donations by user
-// @access  Private
-router.get('/user/:userId', auth, (req, res) => {
+// @access  Private (own donations, or donations:view_all)
+router.get('/user/:userId', auth, async (req, res) => {
   try {
-    // Check if user is requesting their own donations or is admin
-    if (req.user.id !== parseInt(req.params.userId) && req.user.role !== 'admin') {
-      return res.status(401).json({ msg: 'Not authorized' });
+    if (req.user.id !== parseInt(req.params.userId) && !(await can(req.user, 'donations:view_all'))) {
+      return res.status(403).json({ msg: 'Not authorized' });
     }
 
-    db.all(
-      `SELECT d.*, c.title as campaign_title 
-       FROM donations d
-       JOIN campaigns c ON d.campaign_id = c.id
-       WHERE d.donor_id = ?
-       ORDER BY d.created_at DESC`,
-      [req.params.userId],
-      (err, donations) => {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).json({ message: 'Server error' });
-        }
-
-        res.json(donations);
-      }
-    );
+    const donations = await models.donations.listByDonor(req.params.userId);
+    res.json(donations);
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
@@ -224,24 +159,10 @@ router.get('/user/:userId', auth, (req, res) => {
 // @route   GET api/donations/campaign/:campaignId
 // @desc    Get donations for a campaign
 // @access  Public
-router.get('/campaign/:campaignId', (req, res) => {
+router.get('/campaign/:campaignId', async (req, res) => {
   try {
-    db.all(
-      `SELECT d.*, u.name as donor_name
-       FROM donations d
-       JOIN users u ON d.donor_id = u.id
-       WHERE d.campaign_id = ?
-       ORDER BY d.created_at DESC`,
-      [req.params.campaignId],
-      (err, donations) => {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).json({ message: 'Server error' });
-        }
-
-        res.json(donations);
-      }
-    );
+    const donations = await models.donations.listByCampaign(req.params.campaignId);
+    res.json(donations);
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
@@ -249,34 +170,16 @@ router.get('/campaign/:campaignId', (req, res) => {
 });
 
 // @route   GET api/donations
-// @desc    Get all donations (admin only)
-// @access  Private/Admin
-router.get('/', auth, (req, res) => {
+// @desc    Get all donations
+// @access  Private (donations:view_all)
+router.get('/', [auth, authorize('donations:view_all')], async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(401).json({ msg: 'Not authorized' });
-    }
-
-    db.all(
-      `SELECT d.*, c.title as campaign_title, u.name as donor_name
-       FROM donations d
-       JOIN campaigns c ON d.campaign_id = c.id
-       JOIN users u ON d.donor_id = u.id
-       ORDER BY d.created_at DESC`,
-      (err, donations) => {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).json({ message: 'Server error' });
-        }
-
-        res.json(donations);
-      }
-    );
+    const donations = await models.donations.list();
+    res.json(donations);
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
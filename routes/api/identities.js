@@ -0,0 +1,432 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const auth = require('../../middleware/auth');
+
+const models = require('../../models');
+const {
+  OidcError,
+  getProvider,
+  listProviders,
+  verifyIdToken,
+  authorizationUrl,
+  exchangeCode,
+  createNonce
+} = require('../../utils/oidc');
+const { AccountTokenError, createOidcState, readOidcState } = require('../../utils/accountTokens');
+const { sendVerificationEmail } = require('../../utils/accountEmails');
+const { startSignIn, signedInUser } = require('../../utils/signIn');
+const { hashToken } = require('../../utils/sessions');
+
+// Sign-in with Google and other OpenID Connect providers (see utils/oidc.js), and
+// the provider accounts linked to the current user (user_identities table).
+// Browsers go through the authorization code flow: GET api/auth/oidc/:provider sends
+// them to the provider, which redirects back to the callback, which redirects to the
+// frontend's /oauth-callback with a one-time code; the frontend exchanges the code for
+// the tokens (POST api/auth/oidc/exchange), so they never appear in a URL. Clients
+// that already hold an ID token (e.g. from the Google Identity Services button) post
+// it instead.
+// The /google routes are the original Google endpoints, kept for the frontend.
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3004').replace(/\/$/, '');
+const frontendUrl = (params) => `${appUrl()}/oauth-callback?${new URLSearchParams(params)}`;
+
+// The browser that starts a sign-in keeps its state's nonce in this cookie, and the
+// callback only accepts the state back from that browser. Otherwise anyone could
+// send a victim to the callback with their own code and state, signing the victim
+// in to the sender's account. The cookie lives as long as the state (10 minutes).
+const NONCE_COOKIE = 'oidc_nonce';
+const nonceCookieOptions = (req) => ({ httpOnly: true, sameSite: 'lax', secure: req.secure, path: '/api/auth' });
+
+const setNonceCookie = (req, res, nonce) => res.cookie(NONCE_COOKIE, nonce, { ...nonceCookieOptions(req), maxAge: 10 * 60 * 1000 });
+
+const readCookie = (req, name) => {
+  const pair = (req.get('cookie') || '').split(';')
+    .map((part) => part.trim().split('='))
+    .find(([key]) => key === name);
+  return pair ? decodeURIComponent(pair.slice(1).join('=')) : null;
+};
+
+// How long the frontend has to exchange the callback's code
+const SIGN_IN_CODE_TTL_MS = 60 * 1000;
+
+// The redirect URI registered with the provider, or this server's callback
+const redirectUriFor = (req, provider) => provider.redirectUri ||
+  `${req.protocol}://${req.get('host')}/api/auth/oidc/${provider.name}/callback`;
+
+const sendError = (res, err) => {
+  if (err instanceof OidcError) {
+    return res.status(err.status).json({ msg: err.message });
+  }
+  console.error(err.message);
+  res.status(500).json({ msg: 'Server error' });
+};
+
+const isEmailVerified = (claims) => claims.email_verified === true || claims.email_verified === 'true';
+
+// A free username derived from the provider's name or email for the user
+async function uniqueUsername(users, claims) {
+  const base = (claims.name || claims.email.split('@')[0]).toLowerCase().replace(/[^a-z0-9_]/g, '') || 'user';
+  let username = base;
+  for (let attempt = 1; await users.findByUsername(username); attempt++) {
+    username = `${base}${attempt}`;
+  }
+  return username;
+}
+
+/**
+ * The account a provider account signs in to: the account it is linked to; else,
+ * when the provider vouches for the address and the account has verified it too, the
+ * account with the same email, which it is linked to; else a new donor account
+ * without a password.
+ * @returns {Promise<{user: object, isNewUser: boolean}>}
+ * @throws {OidcError} When an account with the email exists but can't be signed in to this way
+ */
+function accountFor(provider, claims) {
+  return models.transaction(async ({ users, userIdentities }) => {
+    const identity = await userIdentities.findBySubject(provider.name, claims.sub);
+    if (identity) {
+      await userIdentities.touch(identity.id, claims.email);
+      return { user: await users.findById(identity.user_id), isNewUser: false };
+    }
+
+    if (!claims.email) {
+      throw new OidcError(`Your ${provider.label} account has no email address`, 400);
+    }
+
+    const existing = await users.findByEmail(claims.email);
+    if (existing) {
+      // Both sides must have proven the address: an account registered with someone
+      // else's email must not be taken over by the email's real owner signing in, nor
+      // the other way around
+      if (!existing.email_verified_at || !provider.trustEmail || !isEmailVerified(claims)) {
+        throw new OidcError(
+          `An account with this email already exists. Sign in to it and link ${provider.label} from your account settings.`,
+          409
+        );
+      }
+      if (await userIdentities.findByUser(existing.id, provider.name)) {
+        throw new OidcError(`This account is linked to another ${provider.label} account`, 409);
+      }
+      await userIdentities.link({ userId: existing.id, provider: provider.name, subject: claims.sub, email: claims.email });
+      console.log(`🔗 Linked ${provider.label} to existing user ${existing.id} by verified email`);
+      return { user: await users.findById(existing.id), isNewUser: false };
+    }
+
+    const id = await users.create({
+      username: await uniqueUsername(users, claims),
+      email: claims.email,
+      password: '',
+      role: 'donor',
+      name: claims.name || claims.email.split('@')[0],
+      profilePicture: claims.picture || null,
+      emailVerified: provider.trustEmail && isEmailVerified(claims)
+    });
+    await userIdentities.link({ userId: id, provider: provider.name, subject: claims.sub, email: claims.email });
+    return { user: await users.findById(id), isNewUser: true };
+  });
+}
+
+// accountFor(), welcoming new users
+async function signInAccount(provider, claims) {
+  const { user, isNewUser } = await accountFor(provider, claims);
+  if (isNewUser) {
+    console.log(`✅ New ${provider.label} user created with ID: ${user.id}`);
+    if (!user.email_verified_at) {
+      // Mail failures don't fail the sign-in; the user can ask for another email
+      await sendVerificationEmail(user).catch((err) => console.error('❌ Failed to send verification email:', err.message));
+    }
+  }
+  return { user, isNewUser };
+}
+
+async function signIn(req, provider, claims) {
+  const { user, isNewUser } = await signInAccount(provider, claims);
+  return { user, isNewUser, tokens: await startSignIn(req, user) };
+}
+
+// The tokens, or the two-factor challenge, and the user as the sign-in routes return them
+const signInResponse = (user, isNewUser, tokens) => (tokens.twoFactorRequired
+  ? tokens
+  : { ...tokens, isNewUser, user: { ...signedInUser(user), name: user.name } });
+
+// A one-time code the callback sends the frontend, to exchange for the sign-in
+async function createSignInCode(user, isNewUser) {
+  const code = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  await models.oidcSignInCodes.deleteExpired(now);
+  await models.oidcSignInCodes.create({
+    userId: user.id,
+    codeHash: hashToken(code),
+    isNewUser,
+    expiresAt: new Date(now.getTime() + SIGN_IN_CODE_TTL_MS)
+  });
+  return code;
+}
+
+/**
+ * Link a provider account to the user; linking the same account again is a no-op.
+ * @throws {OidcError} 409 when the provider account or the user is linked elsewhere
+ */
+function linkIdentity(userId, provider, claims) {
+  return models.transaction(async ({ userIdentities }) => {
+    const identity = await userIdentities.findBySubject(provider.name, claims.sub);
+    if (identity) {
+      if (Number(identity.user_id) !== Number(userId)) {
+        throw new OidcError(`This ${provider.label} account is linked to another account`, 409);
+      }
+      return identity.id;
+    }
+    if (await userIdentities.findByUser(userId, provider.name)) {
+      throw new OidcError(`Your account is linked to another ${provider.label} account. Unlink it first.`, 409);
+    }
+    return userIdentities.link({ userId, provider: provider.name, subject: claims.sub, email: claims.email || null });
+  });
+}
+
+// Send the browser to the provider to sign in
+const redirectToProvider = (providerName) => async (req, res) => {
+  try {
+    const provider = getProvider(providerName(req));
+    const nonce = createNonce();
+    const url = await authorizationUrl(provider, {
+      state: createOidcState({ provider: provider.name, nonce }),
+      nonce,
+      redirectUri: redirectUriFor(req, provider)
+    });
+    setNonceCookie(req, res, nonce);
+    res.redirect(url);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// The provider sends the browser back here, and we send it on to the frontend
+const handleCallback = (providerName) => async (req, res) => {
+  const browserNonce = readCookie(req, NONCE_COOKIE);
+  res.clearCookie(NONCE_COOKIE, nonceCookieOptions(req));
+  try {
+    const provider = getProvider(providerName(req));
+    if (req.query.error) {
+      throw new OidcError(req.query.error_description || `${provider.label} sign-in failed: ${req.query.error}`);
+    }
+
+    let state;
+    try {
+      state = readOidcState(req.query.state);
+    } catch (err) {
+      if (!(err instanceof AccountTokenError)) throw err;
+      throw new OidcError('This sign-in attempt has expired. Please try again.');
+    }
+    if (state.provider !== provider.name) {
+      throw new OidcError('This sign-in attempt is invalid. Please try again.');
+    }
+    if (browserNonce !== state.nonce) {
+      throw new OidcError('This sign-in attempt was started in another browser. Please try again.');
+    }
+
+    const claims = await exchangeCode(provider, {
+      code: req.query.code,
+      redirectUri: redirectUriFor(req, provider),
+      nonce: state.nonce
+    });
+
+    // The user started linking the provider from their account
+    if (state.userId) {
+      await linkIdentity(state.userId, provider, claims);
+      console.log(`🔗 User ${state.userId} linked ${provider.label}`);
+      return res.redirect(frontendUrl({ linked: provider.name }));
+    }
+
+    const { user, isNewUser } = await signInAccount(provider, claims);
+    res.redirect(frontendUrl({ code: await createSignInCode(user, isNewUser) }));
+  } catch (err) {
+    if (err instanceof OidcError) {
+      console.log('OAuth callback rejected:', err.message);
+    } else {
+      console.error('OAuth callback error:', err);
+    }
+    res.redirect(frontendUrl({
+      error: 'oauth_failed',
+      message: err instanceof OidcError ? err.message : 'Sign-in failed'
+    }));
+  }
+};
+
+// Sign in with an ID token the client got from the provider
+const signInWithIdToken = (providerName, field) => async (req, res) => {
+  const idToken = req.body[field];
+  if (!idToken) {
+    return res.status(400).json({ msg: 'ID token is required' });
+  }
+
+  try {
+    const provider = getProvider(providerName(req));
+    const claims = await verifyIdToken(provider, idToken);
+    const { user, isNewUser, tokens } = await signIn(req, provider, claims);
+    res.json(signInResponse(user, isNewUser, tokens));
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+const fromParams = (req) => req.params.provider;
+const google = () => 'google';
+
+// @route   GET api/auth/oidc/providers
+// @desc    The sign-in providers this server is configured for
+// @access  Public
+router.get('/oidc/providers', (req, res) => {
+  try {
+    res.json({ providers: listProviders() });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// @route   GET api/auth/oidc/:provider
+// @desc    Sign in with a provider: redirects to it
+// @access  Public
+router.get('/oidc/:provider', redirectToProvider(fromParams));
+
+// @route   GET api/auth/oidc/:provider/callback
+// @desc    Where the provider redirects back to; redirects to the frontend's /oauth-callback
+// @access  Public
+router.get('/oidc/:provider/callback', handleCallback(fromParams));
+
+// @route   POST api/auth/oidc/exchange
+// @desc    Finish a sign-in through the callback: exchanges its one-time code ({ code }) for
+//          the tokens, or for a two-factor challenge
+// @access  Public
+router.post('/oidc/exchange', async (req, res) => {
+  if (!req.body.code) {
+    return res.status(400).json({ msg: 'Code is required' });
+  }
+
+  try {
+    const code = await models.oidcSignInCodes.consume(hashToken(String(req.body.code)));
+    if (!code) {
+      return res.status(400).json({ msg: 'This sign-in has expired. Please try again.' });
+    }
+    const user = await models.users.findById(code.user_id);
+    res.json(signInResponse(user, Boolean(code.is_new_user), await startSignIn(req, user)));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// @route   POST api/auth/oidc/:provider/token
+// @desc    Sign in with an ID token from the provider ({ idToken })
+// @access  Public
+router.post('/oidc/:provider/token', signInWithIdToken(fromParams, 'idToken'));
+
+// @route   GET api/auth/google
+// @desc    Sign in with Google: redirects to Google
+// @access  Public
+router.get('/google', redirectToProvider(google));
+
+// @route   GET api/auth/google/callback
+// @desc    Google OAuth callback (GOOGLE_CALLBACK_URL)
+// @access  Public
+router.get('/google/callback', handleCallback(google));
+
+// @route   POST api/auth/google
+// @desc    Sign in with a Google Identity Services credential ({ credential })
+// @access  Public
+router.post('/google', signInWithIdToken(google, 'credential'));
+
+// @route   GET api/auth/identities
+// @desc    The provider accounts linked to the current user, and whether they have a password
+// @access  Private
+router.get('/identities', auth, async (req, res) => {
+  try {
+    const user = await models.users.findById(req.user.id);
+    res.json({
+      identities: await models.userIdentities.listByUser(req.user.id),
+      hasPassword: Boolean(user.password),
+      providers: listProviders()
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// @route   POST api/auth/identities/:provider/authorize
+// @desc    Start linking a provider account: returns the provider URL to send the browser to,
+//          and sets the cookie the callback checks (so call it with credentials).
+//          The callback links the account and redirects to /oauth-callback?linked=<provider>.
+// @access  Private
+router.post('/identities/:provider/authorize', auth, async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    const nonce = createNonce();
+    const url = await authorizationUrl(provider, {
+      state: createOidcState({ provider: provider.name, nonce, userId: req.user.id }),
+      nonce,
+      redirectUri: redirectUriFor(req, provider)
+    });
+    setNonceCookie(req, res, nonce);
+    res.json({ url });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// @route   POST api/auth/identities/:provider
+// @desc    Link a provider account with an ID token from the provider ({ idToken })
+// @access  Private
+router.post('/identities/:provider', auth, async (req, res) => {
+  if (!req.body.idToken) {
+    return res.status(400).json({ msg: 'ID token is required' });
+  }
+
+  try {
+    const provider = getProvider(req.params.provider);
+    const claims = await verifyIdToken(provider, req.body.idToken);
+    await linkIdentity(req.user.id, provider, claims);
+    console.log(`🔗 User ${req.user.id} linked ${provider.label}`);
+    res.status(201).json({
+      msg: `${provider.label} account linked`,
+      identities: await models.userIdentities.listByUser(req.user.id)
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// @route   DELETE api/auth/identities/:provider
+// @desc    Unlink a provider account. Users keep at least one way to sign in: a password,
+//          another provider or a verified wallet.
+// @access  Private
+router.delete('/identities/:provider', auth, async (req, res) => {
+  const provider = String(req.params.provider).toLowerCase();
+
+  try {
+    const result = await models.transaction(async ({ users, userIdentities, userWallets }) => {
+      if (!(await userIdentities.findByUser(req.user.id, provider))) {
+        return { status: 404, msg: 'No such account is linked' };
+      }
+
+      const user = await users.findById(req.user.id);
+      const otherIdentities = (await userIdentities.listByUser(req.user.id)).filter((i) => i.provider !== provider);
+      const verifiedWallets = (await userWallets.listByUser(req.user.id)).filter((w) => w.verified_at);
+      if (!user.password && otherIdentities.length === 0 && verifiedWallets.length === 0) {
+        return { status: 400, msg: 'Set a password before unlinking your only way to sign in' };
+      }
+
+      await userIdentities.unlink(req.user.id, provider);
+      return { identities: await userIdentities.listByUser(req.user.id) };
+    });
+
+    if (!result.identities) {
+      return res.status(result.status).json({ msg: result.msg });
+    }
+
+    console.log(`🔗 User ${req.user.id} unlinked ${provider}`);
+    res.json({ msg: 'Account unlinked', identities: result.identities });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
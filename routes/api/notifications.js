@@ -1,45 +1,88 @@
 const express = require('express');
 const router = express.Router();
+const { check, validationResult } = require('express-validator');
 const auth = require('../../middleware/auth');
+const { NOTIFICATION_TYPES } = require('../../utils/notifications');
 
-// Database connection
-const sqlite3 = require('sqlite3').verbose();
-const db = new sqlite3.Database('./crowdfunding.db');
-
-// Create notifications table if it doesn't exist
-db.run(`CREATE TABLE IF NOT EXISTS notifications (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  user_id INTEGER NOT NULL,
-  campaign_id INTEGER,
-  type TEXT NOT NULL CHECK(type IN ('campaign_approved', 'campaign_rejected', 'campaign_deployed', 'admin_message', 'wallet_mismatch')),
-  title TEXT NOT NULL,
-  message TEXT NOT NULL,
-  read_status INTEGER DEFAULT 0,
-  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-  FOREIGN KEY (user_id) REFERENCES users (id),
-  FOREIGN KEY (campaign_id) REFERENCES campaigns (id)
-)`);
+const models = require('../../models');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Filters shared by the list and mark-all-read:
+// ?type=a,b  ?unread=true|false  ?campaignId=12
+const filterChecks = [
+  check('type').optional().isString().custom((value) => {
+    const unknown = value.split(',').filter((type) => !NOTIFICATION_TYPES[type]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown notification types: ${unknown.join(', ')}`);
+    }
+    return true;
+  }),
+  check('unread', 'unread must be true or false').optional().isBoolean(),
+  check('campaignId', 'Campaign ID must be a number').optional().isInt({ min: 1 })
+];
+
+const filtersOf = (query) => ({
+  types: query.type ? query.type.split(',') : undefined,
+  read: query.unread === undefined ? undefined : query.unread !== 'true',
+  campaignId: query.campaignId === undefined ? undefined : Number(query.campaignId)
+});
 
 // @route   GET api/notifications
-// @desc    Get user notifications
+// @desc    Get user notifications, newest first. Filters: ?type=a,b ?unread=true|false
+//          ?campaignId=12; pages: ?page=1&limit=20
+// @access  Private
+router.get('/', [
+  auth,
+  ...filterChecks,
+  check('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+  check('limit', `Limit must be between 1 and ${MAX_PAGE_SIZE}`).optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const filters = filtersOf(req.query);
+    const page = Number(req.query.page || 1);
+    const limit = Number(req.query.limit || DEFAULT_PAGE_SIZE);
+
+    const notifications = await models.notifications.listByUser(req.user.id, filters, { limit, offset: (page - 1) * limit });
+    const total = await models.notifications.countByUser(req.user.id, filters);
+    res.json({
+      notifications,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/notifications/types
+// @desc    The notification types, for filters
+// @access  Public
+router.get('/types', (req, res) => {
+  res.json({
+    types: Object.entries(NOTIFICATION_TYPES).map(([type, { description }]) => ({ type, description }))
+  });
+});
+
+// @route   PUT api/notifications/read-all
+// @desc    Mark all of the user's notifications as read, or those matching the same
+//          filters as the list
 // @access  Private
-router.get('/', auth, (req, res) => {
+router.put('/read-all', [auth, ...filterChecks], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    db.all(
-      `SELECT n.*, c.title as campaign_title 
-       FROM notifications n 
-       LEFT JOIN campaigns c ON n.campaign_id = c.id 
-       WHERE n.user_id = ? 
-       ORDER BY n.created_at DESC`,
-      [req.user.id],
-      (err, notifications) => {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).json({ message: 'Server error' });
-        }
-        res.json({ notifications });
-      }
-    );
+    const updated = await models.notifications.markAllRead(req.user.id, filtersOf(req.query));
+    res.json({ message: 'Notifications marked as read', updated });
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
@@ -49,24 +92,31 @@ router.get('/', auth, (req, res) => {
 // @route   PUT api/notifications/:id/read
 // @desc    Mark notification as read
 // @access  Private
-router.put('/:id/read', auth, (req, res) => {
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const changes = await models.notifications.markRead(req.params.id, req.user.id);
+    if (changes === 0) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification marked as read' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
   try {
-    db.run(
-      'UPDATE notifications SET read_status = 1 WHERE id = ? AND user_id = ?',
-      [req.params.id, req.user.id],
-      function(err) {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).json({ message: 'Server error' });
-        }
-        
-        if (this.changes === 0) {
-          return res.status(404).json({ message: 'Notification not found' });
-        }
-        
-        res.json({ message: 'Notification marked as read' });
-      }
-    );
+    const changes = await models.notifications.delete(req.params.id, req.user.id);
+    if (changes === 0) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification deleted' });
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
@@ -76,40 +126,14 @@ router.put('/:id/read', auth, (req, res) => {
 // @route   GET api/notifications/unread-count
 // @desc    Get unread notifications count
 // @access  Private
-router.get('/unread-count', auth, (req, res) => {
+router.get('/unread-count', auth, async (req, res) => {
   try {
-    db.get(
-      'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND read_status = 0',
-      [req.user.id],
-      (err, result) => {
-        if (err) {
-          console.error(err.message);
-          return res.status(500).json({ message: 'Server error' });
-        }
-        res.json({ count: result.count });
-      }
-    );
+    const count = await models.notifications.countUnread(req.user.id);
+    res.json({ count });
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Helper function to create notification
-const createNotification = (userId, campaignId, type, title, message) => {
-  return new Promise((resolve, reject) => {
-    db.run(
-      'INSERT INTO notifications (user_id, campaign_id, type, title, message) VALUES (?, ?, ?, ?, ?)',
-      [userId, campaignId, type, title, message],
-      function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(this.lastID);
-        }
-      }
-    );
-  });
-};
-
-module.exports = { router, createNotification };
\ No newline at end of file
+module.exports = { router };
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../../middleware/auth');
+const verifiedEmail = require('../../middleware/verifiedEmail');
+const { can } = require('../../utils/permissions');
+
+const models = require('../../models');
+
+// Everyone signs up as a donor. Donors apply here to become fundraisers, with the
+// identity details admins need to decide; admins work through the requests in
+// api/admin/role-requests.
+
+// Roles users can apply for
+const REQUESTABLE_ROLES = ['fundraiser'];
+const ID_DOCUMENT_TYPES = ['passport', 'national_id', 'drivers_license'];
+
+// @route   POST api/role-requests
+// @desc    Apply for a new role
+// @access  Private (role_requests:apply, verified email)
+router.post('/', [
+  auth,
+  verifiedEmail,
+  [
+    check('role', `Role must be one of: ${REQUESTABLE_ROLES.join(', ')}`).isIn(REQUESTABLE_ROLES),
+    check('legalName', 'Legal name is required').trim().not().isEmpty(),
+    check('dateOfBirth', 'Date of birth must be a date (YYYY-MM-DD)').isISO8601({ strict: true }),
+    check('phone', 'Phone number is required').trim().not().isEmpty(),
+    check('address', 'Address is required').trim().not().isEmpty(),
+    check('idDocumentType', `ID document type must be one of: ${ID_DOCUMENT_TYPES.join(', ')}`).isIn(ID_DOCUMENT_TYPES),
+    check('idDocumentNumber', 'ID document number is required').trim().not().isEmpty(),
+    check('motivation', 'Tell us what you want to raise funds for').trim().not().isEmpty()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { role, legalName, dateOfBirth, phone, address, idDocumentType, idDocumentNumber, motivation } = req.body;
+
+  try {
+    if (!(await can(req.user, 'role_requests:apply'))) {
+      return res.status(403).json({ message: 'Only donor accounts can apply for a new role' });
+    }
+
+    const requestId = await models.transaction(async ({ roleRequests }) => {
+      if (await roleRequests.findPending(req.user.id)) {
+        return null;
+      }
+      const id = await roleRequests.create({
+        userId: req.user.id,
+        requestedRole: role,
+        legalName,
+        dateOfBirth,
+        phone,
+        address,
+        idDocumentType,
+        idDocumentNumber,
+        motivation
+      });
+      await roleRequests.logEvent({ requestId: id, actorId: req.user.id, action: 'submitted' });
+      return id;
+    });
+
+    if (!requestId) {
+      return res.status(400).json({ message: 'You already have a pending request' });
+    }
+
+    console.log(`📝 User ${req.user.id} applied to become ${role} (request ${requestId})`);
+    res.status(201).json({
+      message: 'Request submitted. You will be notified once an admin has reviewed it.',
+      request: await models.roleRequests.findById(requestId)
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/role-requests/mine
+// @desc    Get the current user's requests, newest first, with the admins' decisions
+// @access  Private
+router.get('/mine', auth, async (req, res) => {
+  try {
+    res.json({ requests: await models.roleRequests.listByUser(req.user.id) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/role-requests/:id
+// @desc    Withdraw a pending request
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const changes = await models.transaction(async ({ roleRequests }) => {
+      const changes = await roleRequests.cancel(req.params.id, req.user.id);
+      if (changes > 0) {
+        await roleRequests.logEvent({ requestId: req.params.id, actorId: req.user.id, action: 'cancelled' });
+      }
+      return changes;
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ message: 'No pending request found' });
+    }
+
+    res.json({ message: 'Request withdrawn' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
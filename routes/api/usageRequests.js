@@ -2,12 +2,15 @@ const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const auth = require('../../middleware/auth');
-const sqlite3 = require('sqlite3').verbose();
-const db = new sqlite3.Database('./crowdfunding.db');
+const verifiedEmail = require('../../middleware/verifiedEmail');
+const models = require('../../models');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../../utils/sessions');
+const { can } = require('../../utils/permissions');
+const { publishVote, publishUsageRequest } = require('../../utils/eventBus');
+const { notifyDonors } = require('../../utils/notifications');
 
 require('dotenv').config({ path: './.env' });
 
@@ -30,55 +33,25 @@ const storage = multer.diskStorage({
 
 const upload = multer({ storage });
 
-const dbGet = (sql, params = []) => new Promise((resolve, reject) => {
-  db.get(sql, params, (err, row) => {
-    if (err) return reject(err);
-    resolve(row || null);
-  });
-});
-
-const dbAll = (sql, params = []) => new Promise((resolve, reject) => {
-  db.all(sql, params, (err, rows) => {
-    if (err) return reject(err);
-    resolve(rows || []);
-  });
-});
-
-const dbRun = (sql, params = []) => new Promise((resolve, reject) => {
-  db.run(sql, params, function(err) {
-    if (err) return reject(err);
-    resolve({ lastID: this.lastID, changes: this.changes });
-  });
-});
-
 const optionalAuth = (req, res, next) => {
   const token = req.header('x-auth-token');
   if (!token) {
     return next();
   }
 
-  const secret = process.env.JWT_SECRET || 'fallback_jwt_secret_key_for_development';
-  let decoded;
-  try {
-    decoded = jwt.verify(token, secret);
-  } catch (err) {
-    return next();
-  }
-
-  db.get(
-    'SELECT id, username, role, wallet_address FROM users WHERE id = ?',
-    [decoded.user.id],
-    (err, user) => {
-      if (!err && user) {
+  verifyAccessToken(models.sessions, token)
+    .then((decoded) => decoded && models.users.findById(decoded.user.id))
+    .then((user) => {
+      if (user) {
         req.viewer = {
           id: user.id,
           role: user.role,
           wallet_address: user.wallet_address
         };
       }
-      return next();
-    }
-  );
+    })
+    .catch(() => { })
+    .then(() => next());
 };
 
 const normalizeNumber = (value) => {
@@ -91,8 +64,11 @@ const normalizeCategory = (category = 'OTHER') => {
   return CATEGORY_OPTIONS.includes(upper) ? upper : 'OTHER';
 };
 
-const fetchCampaign = async (campaignId) => {
-  const campaign = await dbGet('SELECT * FROM campaigns WHERE id = ?', [campaignId]);
+// The helpers below take the repositories to read through, so they can run either
+// on the shared connection (models) or inside a transaction
+
+const fetchCampaign = async (repos, campaignId) => {
+  const campaign = await repos.campaigns.findById(campaignId);
   if (!campaign) {
     const error = new Error('Campaign not found');
     error.status = 404;
@@ -101,8 +77,8 @@ const fetchCampaign = async (campaignId) => {
   return campaign;
 };
 
-const fetchUsageRequest = async (requestId) => {
-  const request = await dbGet('SELECT * FROM usage_requests WHERE id = ?', [requestId]);
+const fetchUsageRequest = async (repos, requestId) => {
+  const request = await repos.usageRequests.findById(requestId);
   if (!request) {
     const error = new Error('Usage request not found');
     error.status = 404;
@@ -111,38 +87,14 @@ const fetchUsageRequest = async (requestId) => {
   return request;
 };
 
-const getDonationSummary = async (campaignId) => {
-  const row = await dbGet(
-    `SELECT COUNT(DISTINCT donor_id) as totalDonors, COALESCE(SUM(amount), 0) as totalAmount
-     FROM donations
-     WHERE campaign_id = ?`,
-    [campaignId]
-  );
-  return {
-    totalDonors: row?.totalDonors || 0,
-    totalAmount: row?.totalAmount || 0
-  };
-};
-
-const isCampaignDonor = async (userId, campaignId) => {
+const isCampaignDonor = async (repos, userId, campaignId) => {
   if (!userId) return false;
-  const row = await dbGet(
-    `SELECT COALESCE(SUM(amount), 0) as donated
-     FROM donations
-     WHERE campaign_id = ? AND donor_id = ?`,
-    [campaignId, userId]
-  );
-  return (row?.donated || 0) > 0;
+  return (await repos.donations.totalByDonor(campaignId, userId)) > 0;
 };
 
-const calculateUsageFinancials = async (campaignId) => {
-  const campaign = await fetchCampaign(campaignId);
-  const usageRows = await dbAll(
-    `SELECT * FROM usage_requests
-     WHERE campaign_id = ?
-     ORDER BY datetime(created_at) DESC`,
-    [campaignId]
-  );
+const calculateUsageFinancials = async (repos, campaignId) => {
+  const campaign = await fetchCampaign(repos, campaignId);
+  const usageRows = await repos.usageRequests.listByCampaign(campaignId);
 
   const summary = {
     totalRaised: normalizeNumber(campaign.current_amount),
@@ -177,47 +129,15 @@ const calculateUsageFinancials = async (campaignId) => {
   return { campaign, usageRows, summary };
 };
 
-const mapRequestsWithStats = async (requests, campaignId, viewerId) => {
+const mapRequestsWithStats = async (repos, requests, campaignId, viewerId) => {
   if (!requests.length) {
     return [];
   }
 
   const ids = requests.map((r) => r.id);
-  const placeholders = ids.map(() => '?').join(',');
-
-  const voteStatsRows = await dbAll(
-    `SELECT usage_request_id,
-            SUM(CASE WHEN vote = 1 THEN 1 ELSE 0 END) as approvals,
-            SUM(CASE WHEN vote = 0 THEN 1 ELSE 0 END) as rejections,
-            COUNT(*) as total_votes,
-            COALESCE(SUM(donated_amount), 0) as total_weighted,
-            COALESCE(SUM(CASE WHEN vote = 1 THEN donated_amount ELSE 0 END), 0) as approved_weighted
-     FROM usage_votes
-     WHERE usage_request_id IN (${placeholders})
-     GROUP BY usage_request_id`,
-    ids
-  );
-
-  const statsMap = voteStatsRows.reduce((acc, row) => {
-    acc[row.usage_request_id] = row;
-    return acc;
-  }, {});
-
-  let viewerVotes = {};
-  if (viewerId) {
-    const viewerVoteRows = await dbAll(
-      `SELECT usage_request_id, vote
-       FROM usage_votes
-       WHERE donor_id = ?
-         AND usage_request_id IN (${placeholders})`,
-      [viewerId, ...ids]
-    );
-    viewerVoteRows.forEach((row) => {
-      viewerVotes[row.usage_request_id] = row.vote === 1;
-    });
-  }
-
-  const { totalDonors, totalAmount } = await getDonationSummary(campaignId);
+  const statsMap = await repos.usageRequests.voteStats(ids);
+  const viewerVotes = viewerId ? await repos.usageRequests.votesByDonor(viewerId, ids) : {};
+  const { totalDonors, totalAmount } = await repos.donations.electorate(campaignId);
 
   return requests.map((row) => {
     const stats = statsMap[row.id] || {};
@@ -242,53 +162,40 @@ const mapRequestsWithStats = async (requests, campaignId, viewerId) => {
   });
 };
 
-const maybeAutoApprove = async (requestId) => {
-  const request = await fetchUsageRequest(requestId);
+const maybeAutoApprove = async (repos, requestId) => {
+  const request = await fetchUsageRequest(repos, requestId);
   if (request.status !== 'PENDING') {
     return request;
   }
 
-  const { totalDonors, totalAmount } = await getDonationSummary(request.campaign_id);
+  const { totalDonors, totalAmount } = await repos.donations.electorate(request.campaign_id);
   if (totalDonors === 0) {
     return request;
   }
 
-  const stats = await dbGet(
-    `SELECT 
-        SUM(CASE WHEN vote = 1 THEN 1 ELSE 0 END) as approvals,
-        SUM(CASE WHEN vote = 0 THEN 1 ELSE 0 END) as rejections,
-        COALESCE(SUM(donated_amount), 0) as total_weighted,
-        COALESCE(SUM(CASE WHEN vote = 1 THEN donated_amount ELSE 0 END), 0) as approved_weighted
-     FROM usage_votes
-     WHERE usage_request_id = ?`,
-    [requestId]
-  ) || { approvals: 0, total_weighted: 0, approved_weighted: 0 };
+  const stats = (await repos.usageRequests.voteStats([requestId]))[requestId]
+    || { approvals: 0, total_weighted: 0, approved_weighted: 0 };
 
   const donorApprovalRate = totalDonors > 0 ? (stats.approvals || 0) / totalDonors : 0;
   const donationApprovalRate = totalAmount > 0 ? (stats.approved_weighted || 0) / totalAmount : 0;
 
   if (donorApprovalRate > 0.5 || donationApprovalRate > 0.5) {
-    await dbRun(
-      `UPDATE usage_requests 
-       SET status = 'APPROVED', updated_at = CURRENT_TIMESTAMP 
-       WHERE id = ?`,
-      [requestId]
-    );
-    return fetchUsageRequest(requestId);
+    await repos.usageRequests.approve(requestId);
+    return fetchUsageRequest(repos, requestId);
   }
 
   return request;
 };
 
 const buildRequestResponse = async (requestId, viewerId) => {
-  const request = await fetchUsageRequest(requestId);
-  const enriched = await mapRequestsWithStats([request], request.campaign_id, viewerId);
+  const request = await fetchUsageRequest(models, requestId);
+  const enriched = await mapRequestsWithStats(models, [request], request.campaign_id, viewerId);
   return enriched[0];
 };
 
 // @route   POST /api/usage-requests
-// @desc    Create a usage request (campaign owner only)
-// @access  Private
+// @desc    Create a usage request (campaign owner or co-owner)
+// @access  Private (campaign:manage_funds)
 router.post(
   '/',
   auth,
@@ -320,40 +227,45 @@ router.post(
         return res.status(400).json({ message: 'Invalid campaign ID' });
       }
 
-      const campaign = await fetchCampaign(campaignId);
-      if (campaign.creator_id !== req.user.id && !req.user.isAdmin) {
-        return res.status(403).json({ message: 'Only the campaign owner can create usage requests' });
+      const campaign = await fetchCampaign(models, campaignId);
+      if (!(await can(req.user, 'campaign:manage_funds', campaign))) {
+        return res.status(403).json({ message: 'Only the campaign\'s owners can create usage requests' });
       }
 
       const category = normalizeCategory(req.body.category);
       const requestedAmount = normalizeNumber(req.body.requestedAmount);
-      const { summary } = await calculateUsageFinancials(campaignId);
-
-      if (requestedAmount > summary.remainingBalance) {
-        return res.status(400).json({
-          message: 'Requested amount exceeds remaining available funds',
-          remainingBalance: summary.remainingBalance
-        });
-      }
-
       const supportingDocsUrl = req.file ? `/uploads/usage/${req.file.filename}` : null;
 
-      const { lastID } = await dbRun(
-        `INSERT INTO usage_requests 
-         (campaign_id, title, category, requested_amount, description, status, supporting_docs_url, created_by)
-         VALUES (?, ?, ?, ?, ?, 'PENDING', ?, ?)`,
-        [
+      // The balance check and the insert share a transaction so two concurrent
+      // requests can't both spend the same remaining funds
+      const result = await models.transaction(async (repos) => {
+        const { summary } = await calculateUsageFinancials(repos, campaignId);
+        if (requestedAmount > summary.remainingBalance) {
+          return { remainingBalance: summary.remainingBalance };
+        }
+
+        const id = await repos.usageRequests.create({
           campaignId,
-          req.body.title,
+          title: req.body.title,
           category,
           requestedAmount,
-          req.body.description || '',
+          description: req.body.description || '',
           supportingDocsUrl,
-          req.user.id
-        ]
-      );
+          createdBy: req.user.id
+        });
+        return { id };
+      });
+
+      if (!result.id) {
+        return res.status(400).json({
+          message: 'Requested amount exceeds remaining available funds',
+          remainingBalance: result.remainingBalance
+        });
+      }
 
-      const response = await buildRequestResponse(lastID, req.user.id);
+      const response = await buildRequestResponse(result.id, req.user.id);
+      publishUsageRequest(response);
+      await notifyDonors(campaign, 'usage_request_created', { title: response.title, amount: response.requested_amount });
       return res.json({
         message: 'Usage request created successfully',
         request: response
@@ -376,12 +288,12 @@ router.get('/:campaignId', optionalAuth, async (req, res) => {
       return res.status(400).json({ message: 'Invalid campaign ID' });
     }
 
-    const { campaign, usageRows, summary } = await calculateUsageFinancials(campaignId);
+    const { campaign, usageRows, summary } = await calculateUsageFinancials(models, campaignId);
     const viewerId = req.viewer?.id || null;
-    const requests = await mapRequestsWithStats(usageRows, campaignId, viewerId);
-    const { totalDonors } = await getDonationSummary(campaignId);
-    const isOwner = viewerId ? viewerId === campaign.creator_id : false;
-    const isDonor = viewerId ? await isCampaignDonor(viewerId, campaignId) : false;
+    const requests = await mapRequestsWithStats(models, usageRows, campaignId, viewerId);
+    const { totalDonors } = await models.donations.electorate(campaignId);
+    const isOwner = await can(req.viewer, 'campaign:manage_funds', campaign);
+    const isDonor = viewerId ? await isCampaignDonor(models, viewerId, campaignId) : false;
 
     return res.json({
       campaign_id: campaignId,
@@ -390,7 +302,7 @@ router.get('/:campaignId', optionalAuth, async (req, res) => {
       requests,
       viewer: {
         user_id: viewerId,
-        is_owner: isOwner || req.viewer?.role === 'admin',
+        is_owner: isOwner,
         is_donor: isDonor,
         role: req.viewer?.role || null
       }
@@ -404,10 +316,11 @@ router.get('/:campaignId', optionalAuth, async (req, res) => {
 
 // @route   POST /api/usage-requests/:id/vote
 // @desc    Donor vote approve/reject
-// @access  Private (donors only)
+// @access  Private (donors only, verified email)
 router.post(
   '/:id/vote',
   auth,
+  verifiedEmail,
   [
     check('vote', 'Vote must be a boolean value').isBoolean()
   ],
@@ -423,44 +336,37 @@ router.post(
         return res.status(400).json({ message: 'Invalid usage request ID' });
       }
 
-      const request = await fetchUsageRequest(requestId);
-      const donor = await isCampaignDonor(req.user.id, request.campaign_id);
-      if (!donor && !req.user.isAdmin) {
+      const request = await fetchUsageRequest(models, requestId);
+      const donor = await isCampaignDonor(models, req.user.id, request.campaign_id);
+      if (!donor && !(await can(req.user, 'usage_requests:vote_any'))) {
         return res.status(403).json({ message: 'Only donors can vote on usage requests' });
       }
 
-      const donationRow = await dbGet(
-        `SELECT COALESCE(SUM(amount), 0) as donated
-         FROM donations
-         WHERE campaign_id = ? AND donor_id = ?`,
-        [request.campaign_id, req.user.id]
-      );
-      const donatedAmount = donationRow?.donated || 0;
-
       const voteValue = typeof req.body.vote === 'boolean'
         ? req.body.vote
         : req.body.vote === 'true';
 
-      await dbRun(
-        `INSERT INTO usage_votes (usage_request_id, donor_id, donor_wallet_address, vote, donated_amount)
-         VALUES (?, ?, ?, ?, ?)
-         ON CONFLICT(usage_request_id, donor_id)
-         DO UPDATE SET 
-            vote = excluded.vote,
-            donated_amount = excluded.donated_amount,
-            donor_wallet_address = excluded.donor_wallet_address,
-            updated_at = CURRENT_TIMESTAMP`,
-        [
+      // Record the vote and re-evaluate the approval against the same vote totals
+      await models.transaction(async (repos) => {
+        const donatedAmount = await repos.donations.totalByDonor(request.campaign_id, req.user.id);
+        await repos.usageRequests.recordVote({
           requestId,
-          req.user.id,
-          req.user.wallet_address || '',
-          voteValue ? 1 : 0,
+          donorId: req.user.id,
+          // Only a wallet the voter has signed for is recorded against the vote
+          walletAddress: req.user.wallet_verified ? req.user.wallet_address : '',
+          approve: voteValue,
           donatedAmount
-        ]
-      );
+        });
+        await maybeAutoApprove(repos, requestId);
+      });
 
-      await maybeAutoApprove(requestId);
       const response = await buildRequestResponse(requestId, req.user.id);
+      publishVote(request.campaign_id, { usageRequestId: requestId, status: response.status, ...response.approvals });
+      if (response.status !== request.status) {
+        publishUsageRequest(response);
+        const campaign = await fetchCampaign(models, request.campaign_id);
+        await notifyDonors(campaign, 'usage_request_approved', { title: response.title, amount: response.requested_amount }, { creator: true });
+      }
 
       return res.json({
         message: voteValue ? 'You approved this usage request' : 'You rejected this usage request',
@@ -476,7 +382,7 @@ router.post(
 
 // @route   PATCH /api/usage-requests/:id/mark-spent
 // @desc    Mark request as spent with tx hash and docs
-// @access  Private (campaign owner/admin)
+// @access  Private (campaign:manage_funds)
 router.patch(
   '/:id/mark-spent',
   auth,
@@ -506,12 +412,11 @@ router.patch(
         return res.status(400).json({ message: 'Invalid usage request ID' });
       }
 
-      const request = await fetchUsageRequest(requestId);
-      const campaign = await fetchCampaign(request.campaign_id);
+      const request = await fetchUsageRequest(models, requestId);
+      const campaign = await fetchCampaign(models, request.campaign_id);
 
-      const isOwner = campaign.creator_id === req.user.id;
-      if (!isOwner && !req.user.isAdmin) {
-        return res.status(403).json({ message: 'Only the campaign owner can mark spending' });
+      if (!(await can(req.user, 'campaign:manage_funds', campaign))) {
+        return res.status(403).json({ message: 'Only the campaign\'s owners can mark spending' });
       }
 
       if (request.status !== 'APPROVED') {
@@ -527,37 +432,36 @@ router.patch(
         });
       }
 
-      const { summary } = await calculateUsageFinancials(request.campaign_id);
-      const available = summary.remainingBalance + Math.max(requestedAmount - normalizeNumber(request.actual_amount), 0);
-
-      if (actualAmount > available + 0.000001) {
-        return res.status(400).json({
-          message: 'Actual amount exceeds available funds',
-          available
-        });
-      }
-
       const supportingDocsUrl = req.file
         ? `/uploads/usage/${req.file.filename}`
         : request.supporting_docs_url;
 
-      await dbRun(
-        `UPDATE usage_requests
-         SET status = 'SPENT',
-             actual_amount = ?,
-             onchain_tx_hash = ?,
-             supporting_docs_url = ?,
-             updated_at = CURRENT_TIMESTAMP
-         WHERE id = ?`,
-        [
+      const rejection = await models.transaction(async (repos) => {
+        const { summary } = await calculateUsageFinancials(repos, request.campaign_id);
+        const available = summary.remainingBalance + Math.max(requestedAmount - normalizeNumber(request.actual_amount), 0);
+
+        if (actualAmount > available + 0.000001) {
+          return { available };
+        }
+
+        await repos.usageRequests.markSpent(requestId, {
           actualAmount,
-          req.body.onchainTxHash,
-          supportingDocsUrl,
-          requestId
-        ]
-      );
+          onchainTxHash: req.body.onchainTxHash,
+          supportingDocsUrl
+        });
+        return null;
+      });
+
+      if (rejection) {
+        return res.status(400).json({
+          message: 'Actual amount exceeds available funds',
+          available: rejection.available
+        });
+      }
 
       const response = await buildRequestResponse(requestId, req.user.id);
+      publishUsageRequest(response);
+      await notifyDonors(campaign, 'usage_request_spent', { title: response.title, amount: response.actual_amount });
       return res.json({
         message: 'Usage request marked as spent',
         request: response
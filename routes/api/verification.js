@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../../middleware/auth');
+const verifiedEmail = require('../../middleware/verifiedEmail');
+const { can } = require('../../utils/permissions');
+const {
+  DOCUMENT_KINDS,
+  DOCUMENT_TYPES,
+  ALLOWED_MIME_TYPES,
+  MAX_FILE_SIZE,
+  documentDir,
+  storedFileName,
+  documentPath
+} = require('../../utils/verification');
+const multer = require('multer');
+const fs = require('fs');
+
+const models = require('../../models');
+
+// Fundraisers upload their identity document and proof of their campaigns' purpose
+// here; reviewers check them in api/admin/verification. See utils/verification.js.
+
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const dir = documentDir();
+    fs.mkdirSync(dir, { recursive: true });
+    cb(null, dir);
+  },
+  filename: function (req, file, cb) {
+    cb(null, storedFileName(file.originalname));
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: MAX_FILE_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'document'));
+    }
+    cb(null, true);
+  }
+});
+
+// The upload is kept only once the document is recorded
+const discardUpload = (req) => {
+  if (req.file) {
+    fs.rm(req.file.path, { force: true }, () => { });
+  }
+};
+
+// @route   POST api/verification/documents
+// @desc    Upload a verification document (multipart form data: document, kind,
+//          documentType, campaignId for proof of purpose, optional description)
+// @access  Private (verified email; campaign:submit_verification for proof of purpose)
+router.post('/documents', [
+  auth,
+  verifiedEmail,
+  (req, res, next) => {
+    upload.single('document')(req, res, function (err) {
+      if (err instanceof multer.MulterError) {
+        const message = err.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Documents must be one of: ${ALLOWED_MIME_TYPES.join(', ')}`
+          : 'File upload error: ' + err.message;
+        return res.status(400).json({ message });
+      } else if (err) {
+        console.error('Unknown file upload error:', err);
+        return res.status(500).json({ message: 'Server error during file upload' });
+      }
+      next();
+    });
+  },
+  [
+    check('kind', `Kind must be one of: ${DOCUMENT_KINDS.join(', ')}`).isIn(DOCUMENT_KINDS),
+    check('documentType', 'Document type is not valid for this kind of document')
+      .custom((value, { req }) => (DOCUMENT_TYPES[req.body.kind] || []).includes(value)),
+    check('campaignId', 'Campaign ID is required for proof of purpose')
+      .if((value, { req }) => req.body.kind === 'purpose')
+      .isInt()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    discardUpload(req);
+    return res.status(400).json({ errors: errors.array() });
+  }
+  if (!req.file) {
+    return res.status(400).json({ message: 'A document file is required' });
+  }
+
+  const { kind, documentType, description } = req.body;
+
+  try {
+    let campaignId = null;
+    if (kind === 'purpose') {
+      const campaign = await models.campaigns.findById(req.body.campaignId);
+      if (!campaign) {
+        discardUpload(req);
+        return res.status(404).json({ msg: 'Campaign not found' });
+      }
+      if (!(await can(req.user, 'campaign:submit_verification', campaign))) {
+        discardUpload(req);
+        return res.status(403).json({ msg: 'Not authorized' });
+      }
+      campaignId = campaign.id;
+    }
+
+    const id = await models.verificationDocuments.create({
+      userId: req.user.id,
+      campaignId,
+      kind,
+      documentType,
+      fileName: req.file.filename,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      description: description || null
+    });
+
+    console.log(`🪪 User ${req.user.id} submitted ${kind} document ${id}${campaignId ? ` for campaign ${campaignId}` : ''}`);
+    const { file_name: fileName, ...document } = await models.verificationDocuments.findById(id);
+    res.status(201).json({ message: 'Document submitted for review', document });
+  } catch (err) {
+    discardUpload(req);
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/verification/documents/mine
+// @desc    The current user's documents and the reviewers' decisions, newest first
+// @access  Private
+router.get('/documents/mine', auth, async (req, res) => {
+  try {
+    res.json({ documents: await models.verificationDocuments.listByUser(req.user.id) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/verification/documents/:id/file
+// @desc    Download a document
+// @access  Private (the uploader, or verification:view)
+router.get('/documents/:id/file', auth, async (req, res) => {
+  try {
+    const document = await models.verificationDocuments.findById(req.params.id);
+    // Someone else's document is reported missing rather than forbidden
+    if (!document || (Number(document.user_id) !== Number(req.user.id) && !(await can(req.user, 'verification:view')))) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const fullPath = documentPath(document.file_name);
+    if (!fs.existsSync(fullPath)) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.download(fullPath, document.original_name || document.file_name);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../../middleware/auth');
+
+const models = require('../../models');
+
+// Wallets start out unverified; POST api/auth/siwe/link verifies one by signing a challenge
+
+const labelCheck = check('label', 'Label must be at most 50 characters').optional({ nullable: true }).isLength({ max: 50 });
+
+// @route   GET api/wallets
+// @desc    Get the current user's wallets, primary first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const wallets = await models.userWallets.listByUser(req.user.id);
+    res.json({ wallets });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/wallets
+// @desc    Add an (unverified) wallet to the current user
+// @access  Private
+router.post('/', [
+  auth,
+  [
+    check('address', 'A valid Ethereum address is required').isEthereumAddress(),
+    labelCheck,
+    check('primary', 'Primary must be a boolean value').optional().isBoolean()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { address, label, primary } = req.body;
+
+  try {
+    if (await models.userWallets.findByAddress(req.user.id, address)) {
+      return res.status(400).json({ message: 'This wallet has already been added' });
+    }
+
+    const walletId = await models.transaction(({ userWallets }) => userWallets.add({
+      userId: req.user.id,
+      address,
+      label,
+      primary: primary === true || primary === 'true'
+    }));
+
+    const wallet = await models.userWallets.findById(req.user.id, walletId);
+    res.status(201).json({ message: 'Wallet added', wallet });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PATCH api/wallets/:id
+// @desc    Rename a wallet or make it the primary one
+// @access  Private
+router.patch('/:id', [
+  auth,
+  [
+    labelCheck,
+    check('primary', 'Primary can only be set to true').optional().isIn([true, 'true'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const wallet = await models.userWallets.findById(req.user.id, req.params.id);
+    if (!wallet) {
+      return res.status(404).json({ message: 'Wallet not found' });
+    }
+
+    await models.transaction(async ({ userWallets }) => {
+      if (req.body.label !== undefined) {
+        await userWallets.updateLabel(req.user.id, wallet.id, req.body.label);
+      }
+      if (req.body.primary !== undefined) {
+        await userWallets.makePrimary(req.user.id, wallet.id);
+      }
+    });
+
+    res.json({ message: 'Wallet updated', wallet: await models.userWallets.findById(req.user.id, wallet.id) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/wallets/:id
+// @desc    Remove a wallet; donations sent from it no longer count for the user
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const changes = await models.transaction(({ userWallets }) => userWallets.remove(req.user.id, req.params.id));
+    if (changes === 0) {
+      return res.status(404).json({ message: 'Wallet not found' });
+    }
+
+    res.json({ message: 'Wallet removed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
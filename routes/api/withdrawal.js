@@ -1,15 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../../middleware/auth');
+const { can } = require('../../utils/permissions');
 const { getCampaignFromBlockchain, canWithdrawFunds } = require('../../utils/blockchain');
 
 // Database connection
-const sqlite3 = require('sqlite3').verbose();
-const db = new sqlite3.Database('./crowdfunding.db');
+const { db } = require('../../utils/db');
 
 // @route   GET api/withdrawal/check/:campaignId
 // @desc    Check if campaign is eligible for withdrawal
-// @access  Private (Fundraiser only)
+// @access  Private (campaign:view_withdrawal)
 router.get('/check/:campaignId', auth, async (req, res) => {
   try {
     const campaignId = req.params.campaignId;
@@ -17,52 +17,56 @@ router.get('/check/:campaignId', auth, async (req, res) => {
     // Get campaign from database with creator's wallet address
     // CRITICAL FIX: Alias u.wallet_address to avoid overwriting c.wallet_address
     // We need c.wallet_address because that's the one used for deployment
-    db.get(
-      'SELECT c.*, u.wallet_address as user_profile_wallet FROM campaigns c JOIN users u ON c.creator_id = u.id WHERE c.id = ? AND c.creator_id = ?',
-      [campaignId, req.user.id],
-      async (err, campaign) => {
-        if (err) {
-          console.error('Database error:', err.message);
-          return res.status(500).json({ message: 'Server error' });
-        }
-
-        if (!campaign) {
-          return res.status(404).json({ message: 'Campaign not found or you are not the creator' });
-        }
-
-        if (!campaign.blockchain_campaign_id) {
-          return res.status(400).json({ message: 'Campaign is not on blockchain' });
-        }
-
-        try {
-          // Get campaign data from blockchain
-          const blockchainCampaign = await getCampaignFromBlockchain(parseInt(campaign.blockchain_campaign_id));
-
-          // Check withdrawal eligibility using proper blockchain logic
-          const withdrawalEligibility = await canWithdrawFunds(parseInt(campaign.blockchain_campaign_id));
-
-          res.json({
-            campaign: {
-              id: campaign.id,
-              title: campaign.title,
-              goal: campaign.goal,
-              blockchainId: campaign.blockchain_campaign_id
-            },
-            blockchain: blockchainCampaign,
-            withdrawal: withdrawalEligibility,
-            wallet_address: campaign.wallet_address,
-            message: withdrawalEligibility.canWithdraw ? 'Campaign eligible for withdrawal' : 'Campaign not eligible for withdrawal'
-          });
-
-        } catch (blockchainError) {
-          console.error('Blockchain error:', blockchainError.message);
-          return res.status(500).json({
-            message: 'Failed to check blockchain status',
-            error: blockchainError.message
-          });
-        }
-      }
-    );
+    let campaign;
+    try {
+      campaign = await db.get(
+        'SELECT c.*, u.wallet_address as user_profile_wallet FROM campaigns c JOIN users u ON c.creator_id = u.id WHERE c.id = ?',
+        [campaignId]
+      );
+    } catch (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ message: 'Server error' });
+    }
+
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    if (!(await can(req.user, 'campaign:view_withdrawal', campaign))) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (!campaign.blockchain_campaign_id) {
+      return res.status(400).json({ message: 'Campaign is not on blockchain' });
+    }
+
+    try {
+      // Get campaign data from blockchain
+      const blockchainCampaign = await getCampaignFromBlockchain(parseInt(campaign.blockchain_campaign_id));
+
+      // Check withdrawal eligibility using proper blockchain logic
+      const withdrawalEligibility = await canWithdrawFunds(parseInt(campaign.blockchain_campaign_id));
+
+      res.json({
+        campaign: {
+          id: campaign.id,
+          title: campaign.title,
+          goal: campaign.goal,
+          blockchainId: campaign.blockchain_campaign_id
+        },
+        blockchain: blockchainCampaign,
+        withdrawal: withdrawalEligibility,
+        wallet_address: campaign.wallet_address,
+        message: withdrawalEligibility.canWithdraw ? 'Campaign eligible for withdrawal' : 'Campaign not eligible for withdrawal'
+      });
+
+    } catch (blockchainError) {
+      console.error('Blockchain error:', blockchainError.message);
+      return res.status(500).json({
+        message: 'Failed to check blockchain status',
+        error: blockchainError.message
+      });
+    }
   } catch (err) {
     console.error('Route error:', err.message);
     res.status(500).json({ message: 'Server error' });
@@ -71,81 +75,85 @@ router.get('/check/:campaignId', auth, async (req, res) => {
 
 // @route   POST api/withdrawal/request/:campaignId
 // @desc    Request withdrawal (returns withdrawal instructions)
-// @access  Private (Fundraiser only)
+// @access  Private (campaign:withdraw)
 router.post('/request/:campaignId', auth, async (req, res) => {
   try {
     const campaignId = req.params.campaignId;
 
     // Get campaign from database
-    db.get(
-      'SELECT c.*, u.wallet_address FROM campaigns c JOIN users u ON c.creator_id = u.id WHERE c.id = ? AND c.creator_id = ?',
-      [campaignId, req.user.id],
-      async (err, campaign) => {
-        if (err) {
-          console.error('Database error:', err.message);
-          return res.status(500).json({ message: 'Server error' });
-        }
-
-        if (!campaign) {
-          return res.status(404).json({ message: 'Campaign not found or you are not the creator' });
-        }
-
-        if (!campaign.blockchain_campaign_id) {
-          return res.status(400).json({ message: 'Campaign is not on blockchain' });
-        }
-
-        if (!campaign.wallet_address) {
-          return res.status(400).json({ message: 'Creator wallet address not found' });
-        }
-
-        try {
-          // Check withdrawal eligibility using proper blockchain logic
-          const withdrawalEligibility = await canWithdrawFunds(parseInt(campaign.blockchain_campaign_id));
-
-          if (!withdrawalEligibility.canWithdraw) {
-            return res.status(400).json({
-              message: 'Withdrawal not allowed',
-              details: withdrawalEligibility
-            });
-          }
-
-          // Simple withdrawal instructions
-          const instructions = {
-            message: 'Withdrawal instructions',
-            campaign: {
-              id: campaign.id,
-              title: campaign.title,
-              goal: campaign.goal,
-              current_amount: campaign.current_amount,
-              deadline: campaign.deadline
-            },
-            wallet_address: campaign.wallet_address,
-            withdrawal_steps: [
-              'Connect your wallet to the platform',
-              'Navigate to your campaign dashboard',
-              'Click the "Withdraw Funds" button',
-              'Confirm the transaction in your wallet'
-            ]
-          };
-
-          // Get blockchain campaign data for response
-          const blockchainCampaign = await getCampaignFromBlockchain(parseInt(campaign.blockchain_campaign_id));
-
-          res.json({
-            ...instructions,
-            blockchain: blockchainCampaign,
-            withdrawal: withdrawalEligibility
-          });
-
-        } catch (blockchainError) {
-          console.error('Blockchain error:', blockchainError.message);
-          return res.status(500).json({
-            message: 'Failed to check blockchain status',
-            error: blockchainError.message
-          });
-        }
+    let campaign;
+    try {
+      campaign = await db.get(
+        'SELECT c.*, u.wallet_address FROM campaigns c JOIN users u ON c.creator_id = u.id WHERE c.id = ?',
+        [campaignId]
+      );
+    } catch (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ message: 'Server error' });
+    }
+
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    if (!(await can(req.user, 'campaign:withdraw', campaign))) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (!campaign.blockchain_campaign_id) {
+      return res.status(400).json({ message: 'Campaign is not on blockchain' });
+    }
+
+    if (!campaign.wallet_address) {
+      return res.status(400).json({ message: 'Creator wallet address not found' });
+    }
+
+    try {
+      // Check withdrawal eligibility using proper blockchain logic
+      const withdrawalEligibility = await canWithdrawFunds(parseInt(campaign.blockchain_campaign_id));
+
+      if (!withdrawalEligibility.canWithdraw) {
+        return res.status(400).json({
+          message: 'Withdrawal not allowed',
+          details: withdrawalEligibility
+        });
       }
-    );
+
+      // Simple withdrawal instructions
+      const instructions = {
+        message: 'Withdrawal instructions',
+        campaign: {
+          id: campaign.id,
+          title: campaign.title,
+          goal: campaign.goal,
+          current_amount: campaign.current_amount,
+          deadline: campaign.deadline
+        },
+        wallet_address: campaign.wallet_address,
+        withdrawal_steps: [
+          'Connect your wallet to the platform',
+          'Navigate to your campaign dashboard',
+          'Click the "Withdraw Funds" button',
+          'Confirm the transaction in your wallet'
+        ]
+      };
+
+      // Get blockchain campaign data for response
+      const blockchainCampaign = await getCampaignFromBlockchain(parseInt(campaign.blockchain_campaign_id));
+
+      res.json({
+        ...instructions,
+        blockchain: blockchainCampaign,
+        withdrawal: withdrawalEligibility
+      });
+
+    } catch (blockchainError) {
+      console.error('Blockchain error:', blockchainError.message);
+      return res.status(500).json({
+        message: 'Failed to check blockchain status',
+        error: blockchainError.message
+      });
+    }
   } catch (err) {
     console.error('Route error:', err.message);
     res.status(500).json({ message: 'Server error' });
@@ -1,37 +1,46 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../../middleware/auth');
-const sqlite3 = require('sqlite3').verbose();
-const db = new sqlite3.Database('./crowdfunding.db');
+const { db } = require('../../utils/db');
+const { publishWithdrawal } = require('../../utils/eventBus');
+const { notifyDonors } = require('../../utils/notifications');
+const models = require('../../models');
 
 // @route   GET api/withdrawal-requests/:campaignId
 // @desc    Get withdrawal requests for a campaign
 // @access  Public
-router.get('/:campaignId', (req, res) => {
+router.get('/:campaignId', async (req, res) => {
     const { campaignId } = req.params;
-    db.all(
-        `SELECT 
+    try {
+        // Aliases are quoted so Postgres keeps their case
+        const rows = await db.all(
+            `SELECT 
       id, 
-      campaign_id as campaignId, 
-      request_id as requestId, 
+      campaign_id as "campaignId", 
+      request_id as "requestId", 
       amount, 
-      usage_details as usageDetails, 
-      transaction_hash as transactionHash, 
+      usage_details as "usageDetails", 
+      transaction_hash as "transactionHash", 
       executed, 
-      created_at as createdAt,
-      document_url as documentUrl
+      created_at as "createdAt",
+      document_url as "documentUrl",
+      confirmation_status as "confirmationStatus",
+      execution_transaction_hash as "executionTransactionHash",
+      execution_confirmation_status as "executionConfirmationStatus",
+      approval_threshold as "approvalThreshold",
+      approvals,
+      rejections,
+      approved
      FROM withdrawal_requests 
      WHERE campaign_id = ? 
      ORDER BY request_id DESC`,
-        [campaignId],
-        (err, rows) => {
-            if (err) {
-                console.error('Error fetching withdrawal requests:', err);
-                return res.status(500).json({ message: 'Server error' });
-            }
-            res.json(rows);
-        }
-    );
+            [campaignId]
+        );
+        res.json(rows);
+    } catch (err) {
+        console.error('Error fetching withdrawal requests:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
 });
 
 const multer = require('multer');
@@ -60,7 +69,7 @@ const upload = multer({
 // @route   POST api/withdrawal-requests
 // @desc    Create a new withdrawal request (after blockchain submission)
 // @access  Private
-router.post('/', [auth, upload.single('bill')], (req, res) => {
+router.post('/', [auth, upload.single('bill')], async (req, res) => {
     const { campaignId, requestId, amount, usageDetails, transactionHash } = req.body;
     const documentUrl = req.file ? `/uploads/${req.file.filename}` : null;
 
@@ -68,24 +77,28 @@ router.post('/', [auth, upload.single('bill')], (req, res) => {
         return res.status(400).json({ message: 'Missing required fields' });
     }
 
-    db.run(
-        `INSERT INTO withdrawal_requests (campaign_id, request_id, amount, usage_details, transaction_hash, document_url) 
+    try {
+        const { lastID } = await db.run(
+            `INSERT INTO withdrawal_requests (campaign_id, request_id, amount, usage_details, transaction_hash, document_url) 
      VALUES (?, ?, ?, ?, ?, ?)`,
-        [campaignId, requestId, amount, usageDetails, transactionHash, documentUrl],
-        function (err) {
-            if (err) {
-                console.error('Error creating withdrawal request:', err);
-                return res.status(500).json({ message: 'Server error' });
-            }
-            res.json({ id: this.lastID, message: 'Withdrawal request recorded', documentUrl });
+            [campaignId, requestId, amount, usageDetails, transactionHash, documentUrl]
+        );
+        publishWithdrawal(campaignId, { stage: 'requested', requestId: Number(requestId), amount, usageDetails, transactionHash: transactionHash || null });
+        const campaign = await models.campaigns.findById(campaignId);
+        if (campaign) {
+            await notifyDonors(campaign, 'withdrawal_requested', { amount, usageDetails });
         }
-    );
+        res.json({ id: lastID, message: 'Withdrawal request recorded', documentUrl });
+    } catch (err) {
+        console.error('Error creating withdrawal request:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
 });
 
 // @route   PUT api/withdrawal-requests/:requestId/execute
 // @desc    Mark a withdrawal request as executed
 // @access  Private
-router.put('/:requestId/execute', auth, (req, res) => {
+router.put('/:requestId/execute', auth, async (req, res) => {
     const { requestId } = req.params;
     const { campaignId, transactionHash } = req.body;
 
@@ -93,24 +106,35 @@ router.put('/:requestId/execute', auth, (req, res) => {
         return res.status(400).json({ message: 'Campaign ID is required' });
     }
 
-    db.run(
-        `UPDATE withdrawal_requests 
-         SET executed = 1, transaction_hash = ? 
+    try {
+        const request = await db.get(
+            'SELECT amount, executed FROM withdrawal_requests WHERE request_id = ? AND campaign_id = ?',
+            [requestId, campaignId]
+        );
+        const { changes } = await db.run(
+            `UPDATE withdrawal_requests 
+         SET executed = 1, execution_transaction_hash = ? 
          WHERE request_id = ? AND campaign_id = ?`,
-        [transactionHash || null, requestId, campaignId],
-        function (err) {
-            if (err) {
-                console.error('Error updating withdrawal request:', err);
-                return res.status(500).json({ message: 'Server error' });
-            }
+            [transactionHash || null, requestId, campaignId]
+        );
 
-            if (this.changes === 0) {
-                return res.status(404).json({ message: 'Withdrawal request not found' });
-            }
+        if (changes === 0) {
+            return res.status(404).json({ message: 'Withdrawal request not found' });
+        }
 
-            res.json({ message: 'Withdrawal request marked as executed' });
+        publishWithdrawal(campaignId, { stage: 'withdrawn', requestId: Number(requestId), transactionHash: transactionHash || null });
+        // Donors are told once, however often the client reports it
+        if (!request.executed) {
+            const campaign = await models.campaigns.findById(campaignId);
+            if (campaign) {
+                await notifyDonors(campaign, 'withdrawal_executed', { amount: request.amount });
+            }
         }
-    );
+        res.json({ message: 'Withdrawal request marked as executed' });
+    } catch (err) {
+        console.error('Error updating withdrawal request:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
 });
 
 module.exports = router;
@@ -0,0 +1,106 @@
+// Compile CrowdFunding.sol into the shared contract artifact
+// Run: npm run compile:contract
+//
+// The artifact (contracts/CrowdFunding.json) is the single source of the ABI and
+// bytecode for the whole backend. Its "version" is bumped whenever the Solidity
+// source changes; deployed addresses per chain ID are carried over between builds.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const solc = require('solc');
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCE_FILE = 'CrowdFunding.sol';
+const CONTRACT_NAME = 'CrowdFunding';
+const ARTIFACT_PATH = path.join(ROOT, 'contracts', `${CONTRACT_NAME}.json`);
+
+// Resolve imports such as "@openzeppelin/contracts/..." from node_modules
+function findImports(importPath) {
+  const candidates = [path.join(ROOT, importPath), path.join(ROOT, 'node_modules', importPath)];
+  const found = candidates.find((candidate) => fs.existsSync(candidate));
+  if (!found) {
+    return { error: `File not found: ${importPath}` };
+  }
+  return { contents: fs.readFileSync(found, 'utf8') };
+}
+
+function compile() {
+  const source = fs.readFileSync(path.join(ROOT, SOURCE_FILE), 'utf8');
+
+  const input = {
+    language: 'Solidity',
+    sources: { [SOURCE_FILE]: { content: source } },
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: {
+        '*': { '*': ['abi', 'evm.bytecode.object', 'evm.deployedBytecode.object'] }
+      }
+    }
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+  const errors = (output.errors || []).filter((e) => e.severity === 'error');
+  (output.errors || [])
+    .filter((e) => e.severity !== 'error')
+    .forEach((warning) => console.warn('⚠️', warning.formattedMessage));
+
+  if (errors.length > 0) {
+    errors.forEach((e) => console.error('❌', e.formattedMessage));
+    throw new Error(`Compilation of ${SOURCE_FILE} failed`);
+  }
+
+  const compiled = output.contracts[SOURCE_FILE][CONTRACT_NAME];
+  return {
+    source,
+    abi: compiled.abi,
+    bytecode: `0x${compiled.evm.bytecode.object}`,
+    deployedBytecode: `0x${compiled.evm.deployedBytecode.object}`,
+    settings: input.settings
+  };
+}
+
+function main() {
+  console.log(`🔨 Compiling ${SOURCE_FILE} with solc ${solc.version()}...`);
+  const { source, abi, bytecode, deployedBytecode, settings } = compile();
+
+  const previous = fs.existsSync(ARTIFACT_PATH)
+    ? JSON.parse(fs.readFileSync(ARTIFACT_PATH, 'utf8'))
+    : null;
+
+  const sourceHash = crypto.createHash('sha256').update(source).digest('hex');
+  const unchanged = previous && previous.sourceHash === sourceHash;
+
+  const artifact = {
+    contractName: CONTRACT_NAME,
+    version: previous ? previous.version + (unchanged ? 0 : 1) : 1,
+    sourceName: SOURCE_FILE,
+    sourceHash,
+    compiler: {
+      name: 'solc',
+      version: solc.version(),
+      optimizer: settings.optimizer
+    },
+    abi,
+    bytecode,
+    deployedBytecode,
+    networks: previous ? previous.networks : {},
+    updatedAt: unchanged ? previous.updatedAt : new Date().toISOString()
+  };
+
+  fs.mkdirSync(path.dirname(ARTIFACT_PATH), { recursive: true });
+  fs.writeFileSync(ARTIFACT_PATH, `${JSON.stringify(artifact, null, 2)}\n`);
+
+  console.log(`✅ Wrote ${path.relative(ROOT, ARTIFACT_PATH)} (artifact v${artifact.version}, ${abi.length} ABI entries)`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { compile, ARTIFACT_PATH };
@@ -0,0 +1,76 @@
+// Database migration CLI
+// Run: npm run migrate            apply pending (and previously failed) migrations
+//      npm run migrate:rollback   revert the last applied migration (pass a number for more)
+//      npm run migrate:status     list migrations and their state
+//
+// Uses the same database as the server: DB_CLIENT, then DB_PATH (default
+// ./crowdfunding.db) or DATABASE_URL.
+
+const { db: shared, openDatabase, describeDatabase } = require('../utils/db');
+const { Migrator } = require('../utils/migrator');
+
+const STATUS_ICONS = {
+  applied: '✅',
+  pending: '⏳',
+  failed: '❌',
+  missing: '❓'
+};
+
+async function printStatus(migrator) {
+  const { migrations } = await migrator.status();
+  if (migrations.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+  migrations.forEach((m) => {
+    const label = m.file || `${m.version}_${m.name} (file missing)`;
+    const detail = m.status === 'applied' ? `applied ${m.appliedAt}` : m.status;
+    console.log(`${STATUS_ICONS[m.status]} ${label} - ${detail}`);
+    if (m.error) {
+      console.log(`   ${m.error}`);
+    }
+  });
+}
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+  const db = openDatabase();
+  const migrator = new Migrator({ db });
+  console.log(`📦 Database: ${describeDatabase()}`);
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrator.migrate();
+        applied.forEach((m) => console.log(`✅ Applied ${m.file}`));
+        console.log(applied.length ? `🚀 ${applied.length} migration(s) applied` : '✅ Database is up to date');
+        break;
+      }
+      case 'rollback': {
+        const steps = arg === undefined ? 1 : Number(arg);
+        if (!Number.isInteger(steps) || steps < 1) {
+          throw new Error(`Invalid number of steps: ${arg}`);
+        }
+        const rolledBack = await migrator.rollback(steps);
+        rolledBack.forEach((m) => console.log(`↩️  Rolled back ${m.file}`));
+        if (rolledBack.length === 0) {
+          console.log('Nothing to roll back');
+        }
+        break;
+      }
+      case 'status':
+        await printStatus(migrator);
+        break;
+      default:
+        throw new Error(`Unknown command "${command}" (expected up, rollback or status)`);
+    }
+  } finally {
+    await db.close();
+    await shared.close();
+  }
+}
+
+main().catch((err) => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,175 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startTestApp } = require('../helpers/app');
+const { readZip } = require('../helpers/zip');
+
+describe('personal data', () => {
+  let ctx;
+  let request;
+  let fixtures;
+
+  before(async () => {
+    ctx = await startTestApp();
+    request = ctx.request;
+    fixtures = ctx.fixtures;
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  const pdf = Buffer.from('%PDF-1.4 passport scan');
+
+  const uploadIdentity = (user) => request()
+    .post('/api/verification/documents')
+    .set('x-auth-token', user.token)
+    .field('kind', 'identity')
+    .field('documentType', 'passport')
+    .attach('document', pdf, { filename: 'passport.pdf', contentType: 'application/pdf' })
+    .expect(201);
+
+  const comment = (user, campaign, text) => request()
+    .post(`/api/comments/${campaign.id}`)
+    .set('x-auth-token', user.token)
+    .send({ text })
+    .expect(200);
+
+  // A donor who gave to a campaign, voted on its usage request and commented on it
+  async function activeDonor() {
+    const donor = await fixtures.createUser();
+    const campaign = await fixtures.createCampaign();
+    const donation = await fixtures.createDonation({ campaign, donor, amount: 2 });
+    const usage = await fixtures.createUsageRequest({ campaign });
+    await fixtures.run(
+      'INSERT INTO usage_votes (usage_request_id, donor_id, donor_wallet_address, vote, donated_amount) VALUES (?, ?, ?, 1, 2)',
+      [usage.id, donor.id, donor.wallet_address]
+    );
+    await comment(donor, campaign, 'Good luck!');
+    return { donor, campaign, donation, usage };
+  }
+
+  const deleteAccount = (user, body) => request().delete('/api/account').set('x-auth-token', user.token).send(body);
+
+  describe('GET /api/account/export', () => {
+    it('downloads the user\'s data as JSON, without secrets or other users\' data', async () => {
+      const { donor, campaign, donation, usage } = await activeDonor();
+      await activeDonor();
+      await fixtures.enableTwoFactor(donor);
+
+      const res = await request().get('/api/account/export').set('x-auth-token', donor.token).expect(200);
+      assert.match(res.headers['content-disposition'], new RegExp(`attachment; filename="account-${donor.id}-export.json"`));
+      const data = res.body;
+      assert.equal(data.profile.email, donor.email);
+      assert.equal(data.profile.has_password, 1);
+      assert.deepEqual(data.wallets.map((w) => w.address), [donor.wallet_address]);
+      assert.equal(data.twoFactor.enabled, true);
+      assert.equal(data.sessions.length, 1);
+      assert.deepEqual(data.donations.map((d) => [d.transaction_hash, d.campaign_title]), [[donation.transaction_hash, campaign.title]]);
+      assert.deepEqual(data.usageVotes.map((v) => [v.usage_request_id, v.vote]), [[usage.id, 1]]);
+      assert.deepEqual(data.comments.map((c) => [c.campaign_id, c.text]), [[campaign.id, 'Good luck!']]);
+
+      const text = JSON.stringify(data);
+      assert.doesNotMatch(text, /"password"|secret|refresh_token_hash/);
+
+      await request().get('/api/account/export?format=xml').set('x-auth-token', donor.token).expect(400);
+      await request().get('/api/account/export').expect(401);
+    });
+
+    it('bundles the data with the user\'s uploads in a ZIP', async () => {
+      const fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+      const { document } = (await uploadIdentity(fundraiser)).body;
+
+      const res = await request()
+        .get('/api/account/export?format=zip')
+        .set('x-auth-token', fundraiser.token)
+        .buffer(true)
+        .parse((response, done) => {
+          const chunks = [];
+          response.on('data', (chunk) => chunks.push(chunk));
+          response.on('end', () => done(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+      assert.equal(res.headers['content-type'], 'application/zip');
+
+      const entries = readZip(res.body);
+      assert.deepEqual([...entries.keys()], ['data.json', `verification/${document.id}-passport.pdf`]);
+      assert.deepEqual(entries.get(`verification/${document.id}-passport.pdf`), pdf);
+      const data = JSON.parse(entries.get('data.json').toString());
+      assert.equal(data.profile.id, fundraiser.id);
+      assert.deepEqual(data.verificationDocuments.map((d) => [d.id, d.file_name]), [[document.id, undefined]]);
+    });
+  });
+
+  describe('DELETE /api/account', () => {
+    it('anonymizes the account but keeps its donations and votes', async () => {
+      const { donor, campaign, donation } = await activeDonor();
+      const wallet = await fixtures.createWallet({ user: donor });
+      await uploadIdentity(donor);
+      const [{ file_name: fileName }] = await fixtures.all('SELECT file_name FROM verification_documents WHERE user_id = ?', [donor.id]);
+      const before = await request().get(`/api/campaigns/${campaign.id}`).expect(200);
+
+      await deleteAccount(donor, { password: 'wrong-password' }).expect(400);
+      await deleteAccount(donor, {}).expect(400);
+      const res = await deleteAccount(donor, { password: donor.password }).expect(200);
+      assert.equal(res.body.msg, 'Your account has been deleted');
+
+      // Signed out everywhere, and the email and wallets no longer sign in
+      await request().get('/api/auth/me').set('x-auth-token', donor.token).expect(401);
+      const login = await request().post('/api/auth/login').send({ email: donor.email, password: donor.password });
+      assert.ok(login.status >= 400);
+
+      const user = await fixtures.get('SELECT * FROM users WHERE id = ?', [donor.id]);
+      assert.match(user.username, /^deleted_[0-9a-f]{16}$/);
+      assert.equal(user.name, 'Deleted user');
+      assert.equal(user.email, null);
+      assert.equal(user.password, '');
+      assert.equal(user.wallet_address, null);
+      assert.ok(user.deleted_at);
+
+      for (const table of ['user_wallets', 'sessions', 'comments', 'verification_documents']) {
+        assert.deepEqual(await fixtures.all(`SELECT id FROM ${table} WHERE user_id = ?`, [donor.id]), [], table);
+      }
+      assert.equal(await fixtures.get('SELECT id FROM user_wallets WHERE address = ?', [wallet.address]), undefined);
+      assert.ok(!fs.readdirSync(process.env.VERIFICATION_DIR).includes(fileName));
+
+      // Campaign accounting is unchanged
+      const kept = await fixtures.get('SELECT * FROM donations WHERE id = ?', [donation.id]);
+      assert.equal(kept.donor_id, donor.id);
+      assert.equal(kept.transaction_hash, donation.transaction_hash);
+      assert.equal(kept.donor_address, donation.donor_address);
+      assert.equal((await fixtures.all('SELECT id FROM usage_votes WHERE donor_id = ?', [donor.id])).length, 1);
+      const after = await request().get(`/api/campaigns/${campaign.id}`).expect(200);
+      assert.equal(after.body.current_amount, before.body.current_amount);
+    });
+
+    it('asks accounts without a password to confirm with their username', async () => {
+      const user = await fixtures.createUser({ email: null, wallet_address: null });
+      await fixtures.run("UPDATE users SET password = '' WHERE id = ?", [user.id]);
+
+      await deleteAccount(user, { password: '' }).expect(400);
+      await deleteAccount(user, { confirm: 'someone-else' }).expect(400);
+      await deleteAccount(user, { confirm: user.username }).expect(200);
+    });
+
+    it('waits for the user\'s campaigns, and keeps the last admin', async () => {
+      const fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+
+      const res = await deleteAccount(fundraiser, { password: fundraiser.password }).expect(409);
+      assert.deepEqual(res.body.campaigns.map((c) => c.id), [campaign.id]);
+
+      // Once the campaign is over the account can go; the campaign stays
+      await fixtures.run("UPDATE campaigns SET status = 'completed' WHERE id = ?", [campaign.id]);
+      await deleteAccount(fundraiser, { password: fundraiser.password }).expect(200);
+      assert.equal((await fixtures.get('SELECT creator_id FROM campaigns WHERE id = ?', [campaign.id])).creator_id, fundraiser.id);
+      assert.equal((await fixtures.get('SELECT role FROM users WHERE id = ?', [fundraiser.id])).role, 'donor');
+
+      await fixtures.run("UPDATE users SET role = 'donor' WHERE role = 'admin'");
+      const admin = await fixtures.createUser({ role: 'admin' });
+      const other = await fixtures.createUser({ role: 'admin' });
+      await deleteAccount(other, { password: other.password }).expect(200);
+      await deleteAccount(admin, { password: admin.password }).expect(409);
+    });
+  });
+});
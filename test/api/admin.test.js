@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+
+describe('admin routes', () => {
+  let ctx;
+  let request;
+  let fixtures;
+  let admin;
+  let fundraiser;
+
+  before(async () => {
+    ctx = await startTestApp();
+    request = ctx.request;
+    fixtures = ctx.fixtures;
+    admin = await fixtures.createUser({ role: 'admin' });
+    fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('keeps every admin route behind the admin role', async () => {
+    await request().get('/api/admin/stats').expect(401);
+    await request().get('/api/admin/stats').set('x-auth-token', fundraiser.token).expect(403);
+    await request().get('/api/admin/users').set('x-auth-token', fundraiser.token).expect(403);
+  });
+
+  it('GET /stats counts campaigns by status', async () => {
+    const before = (await request().get('/api/admin/stats').set('x-auth-token', admin.token).expect(200)).body;
+
+    await fixtures.createCampaign({ creator: fundraiser, status: 'pending' });
+    await fixtures.createCampaign({ creator: fundraiser, status: 'active', current_amount: 3 });
+
+    const after = (await request().get('/api/admin/stats').set('x-auth-token', admin.token).expect(200)).body;
+    assert.equal(after.totalCampaigns, before.totalCampaigns + 2);
+    assert.equal(after.pendingCampaigns, before.pendingCampaigns + 1);
+    assert.equal(after.activeCampaigns, before.activeCampaigns + 1);
+    assert.equal(after.totalDonations, before.totalDonations + 3);
+  });
+
+  describe('PUT /campaigns/:id/approve', () => {
+    it('approves pending campaigns and notifies the creator', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser, status: 'pending' });
+      await request().put(`/api/admin/campaigns/${campaign.id}/approve`).set('x-auth-token', admin.token).expect(200);
+
+      const row = await fixtures.get('SELECT status, approved_by FROM campaigns WHERE id = ?', [campaign.id]);
+      assert.deepEqual({ ...row }, { status: 'approved', approved_by: admin.id });
+
+      const notification = await fixtures.get(
+        'SELECT type FROM notifications WHERE user_id = ? AND campaign_id = ?',
+        [fundraiser.id, campaign.id]
+      );
+      assert.equal(notification.type, 'campaign_approved');
+    });
+
+    it('only approves pending campaigns', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser, status: 'active' });
+      await request().put(`/api/admin/campaigns/${campaign.id}/approve`).set('x-auth-token', admin.token).expect(400);
+      await request().put('/api/admin/campaigns/99999/approve').set('x-auth-token', admin.token).expect(404);
+    });
+  });
+
+  it('PUT /campaigns/:id/reject records the rejection', async () => {
+    const campaign = await fixtures.createCampaign({ creator: fundraiser, status: 'pending' });
+    const res = await request()
+      .put(`/api/admin/campaigns/${campaign.id}/reject`)
+      .set('x-auth-token', admin.token)
+      .send({ reason: 'Missing documents' })
+      .expect(200);
+
+    assert.equal(res.body.reason, 'Missing documents');
+    const row = await fixtures.get('SELECT status FROM campaigns WHERE id = ?', [campaign.id]);
+    assert.equal(row.status, 'rejected');
+  });
+
+  it('GET /campaigns filters by status', async () => {
+    const rejected = await fixtures.createCampaign({ creator: fundraiser, status: 'rejected' });
+    const res = await request().get('/api/admin/campaigns?status=rejected').set('x-auth-token', admin.token).expect(200);
+    assert.ok(res.body.campaigns.some((c) => c.id === rejected.id));
+    assert.ok(res.body.campaigns.every((c) => c.status === 'rejected'));
+  });
+
+  it('GET /users lists users without password hashes', async () => {
+    const res = await request().get('/api/admin/users').set('x-auth-token', admin.token).expect(200);
+    const ids = res.body.users.map((u) => u.id);
+    assert.ok(ids.includes(admin.id) && ids.includes(fundraiser.id));
+    assert.ok(res.body.users.every((u) => !('password' in u)));
+  });
+});
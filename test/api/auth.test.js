@@ -0,0 +1,465 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Web3 } = require('web3');
+const { startTestApp } = require('../helpers/app');
+
+const web3 = new Web3();
+
+describe('auth routes', () => {
+  let ctx;
+  let request;
+  let fixtures;
+  let mailbox;
+
+  before(async () => {
+    ctx = await startTestApp();
+    request = ctx.request;
+    fixtures = ctx.fixtures;
+    mailbox = ctx.mailbox;
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  describe('POST /api/auth/register', () => {
+    const registration = {
+      name: 'Alice Donor',
+      username: 'alice',
+      email: 'alice@example.com',
+      password: 'secret123',
+      role: 'donor',
+      walletAddress: '0x00000000000000000000000000000000000000a1'
+    };
+
+    it('creates the user and returns a token', async () => {
+      const res = await request().post('/api/auth/register').send(registration).expect(200);
+
+      assert.ok(res.body.token);
+      const user = await fixtures.get('SELECT * FROM users WHERE email = ?', [registration.email]);
+      assert.equal(user.username, 'alice');
+      assert.equal(user.role, 'donor');
+      assert.equal(user.wallet_address, registration.walletAddress);
+      assert.notEqual(user.password, registration.password);
+    });
+
+    it('rejects a duplicate email', async () => {
+      const res = await request()
+        .post('/api/auth/register')
+        .send({ ...registration, username: 'alice2' })
+        .expect(400);
+      assert.equal(res.body.errors[0].msg, 'Email already registered');
+    });
+
+    it('rejects a duplicate username', async () => {
+      const res = await request()
+        .post('/api/auth/register')
+        .send({ ...registration, email: 'other@example.com' })
+        .expect(400);
+      assert.equal(res.body.errors[0].msg, 'Username already taken');
+    });
+
+    it('validates the payload', async () => {
+      const res = await request()
+        .post('/api/auth/register')
+        .send({ ...registration, email: 'not-an-email', password: '123' })
+        .expect(400);
+      const fields = res.body.errors.map((e) => e.path || e.param);
+      assert.ok(fields.includes('email'));
+      assert.ok(fields.includes('password'));
+    });
+
+    it('only creates donors', async () => {
+      const root = { ...registration, username: 'root', email: 'root@example.com' };
+      await request().post('/api/auth/register').send({ ...root, role: 'admin' }).expect(400);
+      await request().post('/api/auth/register').send({ ...root, role: 'fundraiser' }).expect(400);
+
+      const res = await request().post('/api/auth/register').send({ ...root, role: undefined }).expect(200);
+      assert.equal(res.body.user.role, 'donor');
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('returns a token for valid credentials', async () => {
+      const user = await fixtures.createUser({ role: 'fundraiser' });
+      const res = await request()
+        .post('/api/auth/login')
+        .send({ email: user.email, password: user.password })
+        .expect(200);
+
+      assert.ok(res.body.token);
+      assert.equal(res.body.user.id, user.id);
+      assert.equal(res.body.user.role, 'fundraiser');
+    });
+
+    it('rejects a wrong password', async () => {
+      const user = await fixtures.createUser();
+      await request().post('/api/auth/login').send({ email: user.email, password: 'wrong-password' }).expect(401);
+    });
+
+    it('reports unknown emails', async () => {
+      await request().post('/api/auth/login').send({ email: 'nobody@example.com', password: 'whatever' }).expect(404);
+    });
+  });
+
+  describe('GET /api/auth/me', () => {
+    it('returns the current user', async () => {
+      const user = await fixtures.createUser();
+      const res = await request().get('/api/auth/me').set('x-auth-token', user.token).expect(200);
+      assert.equal(res.body.id, user.id);
+      assert.equal(res.body.walletAddress, user.wallet_address);
+    });
+
+    it('requires a valid token', async () => {
+      await request().get('/api/auth/me').expect(401);
+      await request().get('/api/auth/me').set('x-auth-token', 'garbage').expect(401);
+    });
+  });
+
+  describe('PUT /api/auth/wallet', () => {
+    it('updates the wallet address', async () => {
+      const user = await fixtures.createUser();
+      const walletAddress = '0x00000000000000000000000000000000000000b2';
+      await request().put('/api/auth/wallet').set('x-auth-token', user.token).send({ walletAddress }).expect(200);
+
+      const row = await fixtures.get('SELECT wallet_address, wallet_verified_at FROM users WHERE id = ?', [user.id]);
+      assert.equal(row.wallet_address, walletAddress);
+      assert.equal(row.wallet_verified_at, null);
+    });
+  });
+
+  describe('email verification', () => {
+    const verify = (token) => request().post('/api/auth/verify-email').send({ token });
+    const me = async (user) => (await request().get('/api/auth/me').set('x-auth-token', user.token).expect(200)).body;
+
+    it('emails a verification link on registration', async () => {
+      const res = await request().post('/api/auth/register').send({
+        name: 'Vera', username: 'vera', email: 'vera@example.com', password: 'secret123', role: 'donor'
+      }).expect(200);
+      assert.equal(res.body.user.emailVerified, false);
+
+      const [mail] = mailbox.messagesTo('vera@example.com');
+      assert.equal(mail.subject, 'Confirm your email address');
+      assert.match(mail.text, /http:\/\/crowdfunding\.test\/verify-email\?token=/);
+
+      await verify(mailbox.lastToken('vera@example.com')).expect(200);
+      const user = { token: res.body.token };
+      assert.equal((await me(user)).emailVerified, true);
+      // Links can be opened twice
+      await verify(mailbox.lastToken('vera@example.com')).expect(200);
+    });
+
+    it('rejects tampered tokens and tokens of another kind', async () => {
+      const user = await fixtures.createUser({ email_verified_at: null });
+      await request().post('/api/auth/forgot-password').send({ email: user.email }).expect(200);
+      await mailbox.settle();
+
+      assert.equal((await verify(mailbox.lastToken(user.email)).expect(400)).body.msg, 'This link is invalid');
+      await verify(user.token).expect(400);
+      await verify('not-a-token').expect(400);
+      assert.equal((await me(user)).emailVerified, false);
+    });
+
+    it('asks for a new verification when the email changes', async () => {
+      const user = await fixtures.createUser();
+      await request().post('/api/auth/verify-email/resend').set('x-auth-token', user.token).expect(400);
+
+      await request()
+        .put('/api/auth/profile')
+        .set('x-auth-token', user.token)
+        .send({ name: user.name, username: user.username, email: 'moved@example.com' })
+        .expect(200);
+      assert.equal((await me(user)).emailVerified, false);
+      const firstLink = mailbox.lastToken('moved@example.com');
+
+      await request().post('/api/auth/verify-email/resend').set('x-auth-token', user.token).expect(200);
+      assert.equal(mailbox.messagesTo('moved@example.com').length, 2);
+
+      // A link for an address the account no longer uses doesn't verify the new one
+      await request()
+        .put('/api/auth/profile')
+        .set('x-auth-token', user.token)
+        .send({ name: user.name, username: user.username, email: 'again@example.com' })
+        .expect(200);
+      await verify(firstLink).expect(400);
+      await verify(mailbox.lastToken('again@example.com')).expect(200);
+      assert.equal((await me(user)).emailVerified, true);
+    });
+  });
+
+  describe('password reset', () => {
+    const reset = (token, newPassword = 'brand-new') =>
+      request().post('/api/auth/reset-password').send({ token, newPassword });
+
+    it('resets the password once and signs out every session', async () => {
+      const user = await fixtures.createUser({ email_verified_at: null });
+      await request().post('/api/auth/forgot-password').send({ email: user.email }).expect(200);
+      await mailbox.settle();
+      const token = mailbox.lastToken(user.email);
+      assert.ok(token);
+
+      await reset(token).expect(200);
+      await request().get('/api/auth/me').set('x-auth-token', user.token).expect(401);
+      await request().post('/api/auth/login').send({ email: user.email, password: user.password }).expect(401);
+      const login = await request().post('/api/auth/login').send({ email: user.email, password: 'brand-new' }).expect(200);
+      // Opening the link proved the address
+      assert.equal(login.body.user.emailVerified, true);
+
+      const again = await reset(token, 'another-one').expect(400);
+      assert.equal(again.body.msg, 'This link has already been used');
+    });
+
+    it('does not reveal whether an account exists', async () => {
+      const known = await fixtures.createUser();
+      const res1 = await request().post('/api/auth/forgot-password').send({ email: known.email }).expect(200);
+      const res2 = await request().post('/api/auth/forgot-password').send({ email: 'nobody@example.com' }).expect(200);
+      await mailbox.settle();
+
+      assert.equal(res1.body.msg, res2.body.msg);
+      assert.equal(mailbox.messagesTo('nobody@example.com').length, 0);
+
+      // Nor when the mail server fails
+      const { registerTransport } = require('../../utils/mailer');
+      registerTransport('down', { create: () => ({ sendMail: async () => { throw new Error('Connection refused'); } }) });
+      process.env.MAIL_TRANSPORT = 'down';
+      try {
+        const res3 = await request().post('/api/auth/forgot-password').send({ email: known.email }).expect(200);
+        assert.equal(res3.body.msg, res2.body.msg);
+        await mailbox.settle();
+      } finally {
+        process.env.MAIL_TRANSPORT = 'file';
+      }
+    });
+
+    it('rejects expired and verification tokens', async () => {
+      const user = await fixtures.createUser();
+      process.env.PASSWORD_RESET_TTL = '-1s';
+      try {
+        await request().post('/api/auth/forgot-password').send({ email: user.email }).expect(200);
+      } finally {
+        delete process.env.PASSWORD_RESET_TTL;
+      }
+      await mailbox.settle();
+      assert.equal((await reset(mailbox.lastToken(user.email)).expect(400)).body.msg, 'This link has expired');
+
+      await request()
+        .put('/api/auth/profile')
+        .set('x-auth-token', user.token)
+        .send({ name: user.name, username: user.username, email: `new.${user.email}` })
+        .expect(200);
+      await reset(mailbox.lastToken(`new.${user.email}`)).expect(400);
+      await reset('short').expect(400);
+    });
+  });
+
+  describe('sessions', () => {
+    const login = async (user) => (await request()
+      .post('/api/auth/login')
+      .send({ email: user.email, password: user.password })
+      .expect(200)).body;
+    const me = (token) => request().get('/api/auth/me').set('x-auth-token', token);
+
+    it('rotates refresh tokens and revokes the session when an old one is reused', async () => {
+      const user = await fixtures.createUser();
+      const first = await login(user);
+      assert.ok(first.refreshToken);
+
+      const second = (await request().post('/api/auth/refresh').send({ refreshToken: first.refreshToken }).expect(200)).body;
+      assert.notEqual(second.refreshToken, first.refreshToken);
+      await me(second.token).expect(200);
+
+      await request().post('/api/auth/refresh').send({ refreshToken: first.refreshToken }).expect(401);
+      await me(second.token).expect(401);
+      await request().post('/api/auth/refresh').send({ refreshToken: second.refreshToken }).expect(401);
+    });
+
+    it('rejects unknown and expired refresh tokens', async () => {
+      await request().post('/api/auth/refresh').send({ refreshToken: 'nope' }).expect(401);
+
+      const user = await fixtures.createUser();
+      const { token, refreshToken } = await login(user);
+      await fixtures.run("UPDATE sessions SET expires_at = '2000-01-01 00:00:00' WHERE user_id = ?", [user.id]);
+      await request().post('/api/auth/refresh').send({ refreshToken }).expect(401);
+      await me(token).expect(401);
+    });
+
+    it('logs out the current session only', async () => {
+      const user = await fixtures.createUser();
+      const { token } = await login(user);
+
+      await request().post('/api/auth/logout').set('x-auth-token', token).expect(200);
+      await me(token).expect(401);
+      await me(user.token).expect(200);
+    });
+
+    it('lists sessions and revokes them', async () => {
+      const user = await fixtures.createUser();
+      const phone = await login(user);
+
+      const res = await request().get('/api/auth/sessions').set('x-auth-token', user.token).expect(200);
+      assert.equal(res.body.sessions.length, 2);
+      assert.equal(res.body.sessions.filter((session) => session.current).length, 1);
+      assert.equal(res.body.sessions[0].refresh_token_hash, undefined);
+
+      const other = res.body.sessions.find((session) => !session.current);
+      await request().delete(`/api/auth/sessions/${other.id}`).set('x-auth-token', user.token).expect(200);
+      await me(phone.token).expect(401);
+
+      const stranger = await fixtures.createUser();
+      const [own] = (await request().get('/api/auth/sessions').set('x-auth-token', user.token)).body.sessions;
+      await request().delete(`/api/auth/sessions/${own.id}`).set('x-auth-token', stranger.token).expect(404);
+    });
+
+    it('signs out every other session', async () => {
+      const user = await fixtures.createUser();
+      const [laptop, phone] = [await login(user), await login(user)];
+
+      await request().delete('/api/auth/sessions').set('x-auth-token', user.token).expect(200);
+      await me(laptop.token).expect(401);
+      await me(phone.token).expect(401);
+      await me(user.token).expect(200);
+    });
+
+    it('signs out every session when the password changes', async () => {
+      const user = await fixtures.createUser();
+      const other = await login(user);
+
+      const res = await request()
+        .put('/api/auth/password')
+        .set('x-auth-token', user.token)
+        .send({ currentPassword: user.password, newPassword: 'new-secret' })
+        .expect(200);
+
+      await me(user.token).expect(401);
+      await me(other.token).expect(401);
+      await request().post('/api/auth/refresh').send({ refreshToken: other.refreshToken }).expect(401);
+      await me(res.body.token).expect(200);
+    });
+
+    it('signs out every session when the role changes', async () => {
+      const user = await fixtures.createUser();
+      const admin = await fixtures.createUser({ role: 'admin' });
+
+      await request()
+        .put(`/api/admin/users/${user.id}/role`)
+        .set('x-auth-token', admin.token)
+        .send({ role: 'fundraiser' })
+        .expect(200);
+
+      await me(user.token).expect(401);
+    });
+  });
+
+  describe('Sign-In With Ethereum', () => {
+    // Request a challenge for the account and sign it
+    const signChallenge = async (account, signer = account) => {
+      const res = await request().post('/api/auth/siwe/nonce').send({ address: account.address }).expect(200);
+      return { nonce: res.body.nonce, message: res.body.message, signature: signer.sign(res.body.message).signature };
+    };
+
+    it('registers a donor for a new wallet and signs them back in', async () => {
+      const account = web3.eth.accounts.create();
+
+      const first = await request().post('/api/auth/siwe/verify').send(await signChallenge(account)).expect(200);
+      assert.ok(first.body.token);
+      assert.equal(first.body.isNewUser, true);
+      assert.equal(first.body.user.role, 'donor');
+      assert.equal(first.body.user.email, null);
+      assert.equal(first.body.user.walletAddress, account.address);
+      // No password: wallet users sign in with their signature
+      assert.equal((await fixtures.get('SELECT password FROM users WHERE id = ?', [first.body.user.id])).password, '');
+
+      const again = await request().post('/api/auth/siwe/verify').send(await signChallenge(account)).expect(200);
+      assert.equal(again.body.isNewUser, false);
+      assert.equal(again.body.user.id, first.body.user.id);
+
+      const me = await request().get('/api/auth/me').set('x-auth-token', again.body.token).expect(200);
+      assert.equal(me.body.walletVerified, true);
+    });
+
+    it('accepts each challenge once', async () => {
+      const signed = await signChallenge(web3.eth.accounts.create());
+      await request().post('/api/auth/siwe/verify').send(signed).expect(200);
+      await request().post('/api/auth/siwe/verify').send(signed).expect(401);
+    });
+
+    it('rejects expired challenges', async () => {
+      const signed = await signChallenge(web3.eth.accounts.create());
+      await fixtures.run("UPDATE auth_nonces SET expires_at = '2000-01-01 00:00:00' WHERE nonce = ?", [signed.nonce]);
+      await request().post('/api/auth/siwe/verify').send(signed).expect(401);
+    });
+
+    it('rejects signatures from another wallet', async () => {
+      const signed = await signChallenge(web3.eth.accounts.create(), web3.eth.accounts.create());
+      const res = await request().post('/api/auth/siwe/verify').send(signed).expect(401);
+      assert.match(res.body.msg, /does not match/);
+    });
+
+    it('rejects messages for another domain', async () => {
+      const account = web3.eth.accounts.create();
+      const { message } = await signChallenge(account);
+      const phished = message.replace(/^\S+/, 'evil.example');
+      await request()
+        .post('/api/auth/siwe/verify')
+        .send({ message: phished, signature: account.sign(phished).signature })
+        .expect(401);
+    });
+
+    it('does not sign in to accounts that only claim the wallet', async () => {
+      const account = web3.eth.accounts.create();
+      const claimant = await fixtures.createUser({ wallet_address: account.address, wallet_verified_at: null });
+
+      const res = await request().post('/api/auth/siwe/verify').send(await signChallenge(account)).expect(200);
+      assert.equal(res.body.isNewUser, true);
+      assert.notEqual(res.body.user.id, claimant.id);
+    });
+
+    it('links a signed-for wallet to the current account', async () => {
+      const user = await fixtures.createUser({ wallet_address: null });
+      const account = web3.eth.accounts.create();
+
+      await request()
+        .post('/api/auth/siwe/link')
+        .set('x-auth-token', user.token)
+        .send(await signChallenge(account))
+        .expect(200);
+
+      const row = await fixtures.get('SELECT wallet_address, wallet_verified_at FROM users WHERE id = ?', [user.id]);
+      assert.equal(row.wallet_address, account.address);
+      assert.ok(row.wallet_verified_at);
+    });
+
+    it('verifies a wallet already added to the account without changing the primary one', async () => {
+      const user = await fixtures.createUser();
+      const account = web3.eth.accounts.create();
+      const wallet = await fixtures.createWallet({ user, address: account.address, verified_at: null });
+
+      const res = await request()
+        .post('/api/auth/siwe/link')
+        .set('x-auth-token', user.token)
+        .send({ ...(await signChallenge(account)), label: 'Phone' })
+        .expect(200);
+
+      assert.equal(res.body.wallet.id, wallet.id);
+      assert.equal(res.body.wallet.label, 'Phone');
+      assert.ok(res.body.wallet.verified_at);
+      assert.equal(res.body.wallet.is_primary, 0);
+
+      // Secondary wallets can sign in too
+      const signIn = await request().post('/api/auth/siwe/verify').send(await signChallenge(account)).expect(200);
+      assert.equal(signIn.body.user.id, user.id);
+    });
+
+    it('refuses to link a wallet another account has verified', async () => {
+      const account = web3.eth.accounts.create();
+      await fixtures.createUser({ wallet_address: account.address });
+      const user = await fixtures.createUser();
+
+      await request()
+        .post('/api/auth/siwe/link')
+        .set('x-auth-token', user.token)
+        .send(await signChallenge(account))
+        .expect(409);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startTestApp } = require('../helpers/app');
+const { getBlockchain } = require('../../utils/contract');
+
+describe('GET /api/campaigns/:id/stream', () => {
+  let ctx;
+  let request;
+  let fixtures;
+  let server;
+  let campaignStreams;
+  let contract;
+  const streams = [];
+
+  before(async () => {
+    ctx = await startTestApp({ chain: true });
+    request = ctx.request;
+    fixtures = ctx.fixtures;
+    ({ campaignStreams } = require('../../utils/campaignStreams'));
+    ({ contract } = getBlockchain());
+
+    server = http.createServer(ctx.app);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(async () => {
+    for (const req of streams) req.destroy();
+    campaignStreams.stop();
+    await new Promise((resolve) => server.close(resolve));
+    await ctx.close();
+  });
+
+  // Reads the stream message by message: { id, event, data } or { comment }
+  async function openStream(campaign, headers = {}) {
+    const req = http.get({ host: '127.0.0.1', port: server.address().port, path: `/api/campaigns/${campaign.id}/stream`, headers });
+    streams.push(req);
+    const res = await new Promise((resolve) => req.once('response', resolve));
+
+    const received = [];
+    const waiting = [];
+    let buffer = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\n\n')) >= 0) {
+        const message = {};
+        for (const line of buffer.slice(0, end).split('\n')) {
+          const [, field, value] = /^([^:]*):? ?(.*)$/.exec(line);
+          if (field === '') message.comment = value;
+          else message[field] = field === 'data' ? JSON.parse(value) : value;
+        }
+        buffer = buffer.slice(end + 2);
+        received.push(message);
+        while (waiting.length && received.length) waiting.shift()(received.shift());
+      }
+    });
+
+    return {
+      res,
+      next: () => (received.length ? Promise.resolve(received.shift()) : new Promise((resolve) => waiting.push(resolve))),
+      close: () => req.destroy()
+    };
+  }
+
+  // Campaigns donated to have to be on the chain, where each donation is checked
+  const deployedCampaign = async (attrs = {}) => fixtures.createCampaign({
+    ...attrs,
+    ...(await ctx.chain.createCampaign(contract))
+  });
+
+  const donate = async (donor, campaign, amount) => request()
+    .post('/api/donations/blockchain')
+    .set('x-auth-token', donor.token)
+    .send({
+      campaignId: campaign.id,
+      amount: String(amount),
+      transactionHash: await ctx.chain.donate(contract, campaign.blockchain_campaign_id, amount, donor.wallet_address),
+      donorAddress: donor.wallet_address
+    })
+    .expect(200);
+
+  it('sends the campaign\'s progress, then its donations and usage requests as they happen', async () => {
+    const fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+    const campaign = await deployedCampaign({ creator: fundraiser, goal: 5 });
+    const other = await deployedCampaign();
+    const donor = await fixtures.createUser({ wallet_address: ctx.chain.accounts[2].address });
+
+    const stream = await openStream(campaign);
+    assert.equal(stream.res.headers['content-type'], 'text/event-stream; charset=utf-8');
+    assert.deepEqual(await stream.next(), { retry: '5000' });
+    const initial = await stream.next();
+    assert.equal(initial.event, 'progress');
+    assert.deepEqual(initial.data, { campaignId: campaign.id, status: 'active', goal: 5, currentAmount: 0, donorCount: 0, isWithdrawn: false });
+
+    await donate(donor, other, 1);
+    const res = await donate(donor, campaign, 2);
+    const donation = await stream.next();
+    assert.equal(donation.event, 'donation');
+    assert.equal(donation.data.id, res.body.donation.id);
+    assert.equal(donation.data.amount, 2);
+    const progress = await stream.next();
+    assert.equal(progress.event, 'progress');
+    assert.deepEqual([progress.data.currentAmount, progress.data.donorCount], [2, 1]);
+    assert.equal(progress.id, donation.id);
+
+    await request()
+      .post('/api/usage-requests')
+      .set('x-auth-token', fundraiser.token)
+      .field('campaignId', String(campaign.id))
+      .field('title', 'Venue')
+      .field('category', 'other')
+      .field('requestedAmount', '1')
+      .expect(200);
+    const usage = await stream.next();
+    assert.equal(usage.event, 'usage_request');
+    assert.deepEqual([usage.data.title, usage.data.status], ['Venue', 'PENDING']);
+
+    await request().get('/api/campaigns/999999/stream').expect(404);
+    stream.close();
+  });
+
+  it('replays what a reconnecting client missed since its Last-Event-ID', async () => {
+    const campaign = await deployedCampaign();
+    const donor = await fixtures.createUser({ wallet_address: ctx.chain.accounts[3].address });
+
+    const first = await openStream(campaign);
+    await first.next();
+    const { id: lastEventId } = await first.next();
+    first.close();
+
+    const missed = (await donate(donor, campaign, 1)).body.donation;
+    const resumed = await openStream(campaign, { 'Last-Event-ID': lastEventId });
+    await resumed.next();
+    const replayed = await resumed.next();
+    assert.deepEqual([replayed.event, replayed.data.id], ['donation', missed.id]);
+    const progress = await resumed.next();
+    assert.deepEqual([progress.event, progress.data.currentAmount], ['progress', 1]);
+    resumed.close();
+
+    // Ids from another server process can't be resumed: only the current progress
+    const unknown = await openStream(campaign, { 'Last-Event-ID': '00000000-1' });
+    await unknown.next();
+    assert.equal((await unknown.next()).event, 'progress');
+    unknown.close();
+  });
+
+  it('keeps idle streams open with heartbeat comments', async () => {
+    const campaign = await fixtures.createCampaign();
+    campaignStreams.heartbeatInterval = 50;
+    try {
+      const stream = await openStream(campaign);
+      await stream.next();
+      await stream.next();
+      assert.deepEqual(await stream.next(), { comment: 'heartbeat' });
+      stream.close();
+    } finally {
+      campaignStreams.heartbeatInterval = 15000;
+    }
+  });
+});
@@ -0,0 +1,211 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('campaign routes', () => {
+  let ctx;
+  let request;
+  let fixtures;
+  let fundraiser;
+  let admin;
+
+  before(async () => {
+    ctx = await startTestApp();
+    request = ctx.request;
+    fixtures = ctx.fixtures;
+    fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+    admin = await fixtures.createUser({ role: 'admin' });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  describe('POST /api/campaigns/json', () => {
+    const payload = () => ({
+      title: 'School books',
+      description: 'Books for the village school',
+      goal: 2.5,
+      deadline: inDays(30),
+      walletAddress: '0x00000000000000000000000000000000000000c3',
+      category: 'education'
+    });
+
+    it('creates a pending campaign for admin approval', async () => {
+      const res = await request()
+        .post('/api/campaigns/json')
+        .set('x-auth-token', fundraiser.token)
+        .send(payload())
+        .expect(200);
+
+      assert.equal(res.body.campaign.status, 'pending');
+      assert.equal(res.body.campaign.creator_id, fundraiser.id);
+      assert.equal(res.body.campaign.category, 'education');
+    });
+
+    it('creates an active campaign when it was already deployed', async () => {
+      const res = await request()
+        .post('/api/campaigns/json')
+        .set('x-auth-token', fundraiser.token)
+        .send({ ...payload(), blockchainCampaignId: '7', transactionHash: '0xabc' })
+        .expect(200);
+
+      assert.equal(res.body.campaign.status, 'active');
+      assert.equal(res.body.campaign.blockchain_campaign_id, '7');
+    });
+
+    it('requires authentication', async () => {
+      await request().post('/api/campaigns/json').send(payload()).expect(401);
+    });
+
+    it('is limited to fundraisers and admins', async () => {
+      const donor = await fixtures.createUser();
+      await request().post('/api/campaigns/json').set('x-auth-token', donor.token).send(payload()).expect(403);
+      await request().post('/api/campaigns').set('x-auth-token', donor.token).field('title', 'School books').expect(403);
+      await request().post('/api/campaigns/json').set('x-auth-token', admin.token).send(payload()).expect(200);
+    });
+
+    it('requires a verified email', async () => {
+      const unverified = await fixtures.createUser({ role: 'fundraiser', email_verified_at: null });
+      const res = await request()
+        .post('/api/campaigns/json')
+        .set('x-auth-token', unverified.token)
+        .send(payload())
+        .expect(403);
+      assert.equal(res.body.code, 'EMAIL_NOT_VERIFIED');
+    });
+
+    it('rejects invalid goals and deadlines', async () => {
+      const send = (overrides) => request()
+        .post('/api/campaigns/json')
+        .set('x-auth-token', fundraiser.token)
+        .send({ ...payload(), ...overrides });
+
+      assert.equal((await send({ goal: 0 }).expect(400)).body.message, 'Goal amount must be greater than 0');
+      assert.equal((await send({ deadline: inDays(-1) }).expect(400)).body.message, 'Deadline must be in the future');
+      assert.equal((await send({ deadline: inDays(0.5) }).expect(400)).body.message, 'Campaign duration must be at least 1 day');
+      await send({ title: '' }).expect(400);
+    });
+  });
+
+  describe('GET /api/campaigns', () => {
+    it('lists deployed campaigns only, unless asked for everything', async () => {
+      const deployed = await fixtures.createCampaign({ creator: fundraiser, blockchain_campaign_id: '11' });
+      const pending = await fixtures.createCampaign({ creator: fundraiser, status: 'pending', blockchain_campaign_id: '' });
+
+      const listed = (await request().get('/api/campaigns').expect(200)).body.map((c) => c.id);
+      assert.ok(listed.includes(deployed.id));
+      assert.ok(!listed.includes(pending.id));
+
+      const everything = (await request().get('/api/campaigns?includeAll=true').expect(200)).body.map((c) => c.id);
+      assert.ok(everything.includes(pending.id));
+
+      const byStatus = (await request().get('/api/campaigns?status=pending').expect(200)).body;
+      assert.ok(byStatus.every((c) => c.status === 'pending'));
+    });
+
+    it('GET /active skips ended and undeployed campaigns', async () => {
+      const live = await fixtures.createCampaign({ creator: fundraiser, blockchain_campaign_id: '12' });
+      const ended = await fixtures.createCampaign({ creator: fundraiser, blockchain_campaign_id: '13', deadline: inDays(-2) });
+      const undeployed = await fixtures.createCampaign({ creator: fundraiser, blockchain_campaign_id: '' });
+
+      const ids = (await request().get('/api/campaigns/active').expect(200)).body.map((c) => c.id);
+      assert.ok(ids.includes(live.id));
+      assert.ok(!ids.includes(ended.id));
+      assert.ok(!ids.includes(undeployed.id));
+    });
+  });
+
+  describe('GET /api/campaigns/:id', () => {
+    it('returns the campaign with its creator', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      const res = await request().get(`/api/campaigns/${campaign.id}`).expect(200);
+      assert.equal(res.body.title, campaign.title);
+      assert.equal(res.body.creator_name, fundraiser.username);
+    });
+
+    it('returns 404 for unknown campaigns', async () => {
+      await request().get('/api/campaigns/99999').expect(404);
+    });
+  });
+
+  describe('GET /api/campaigns/my-campaigns', () => {
+    it('only returns the caller\'s campaigns', async () => {
+      const other = await fixtures.createUser({ role: 'fundraiser' });
+      const mine = await fixtures.createCampaign({ creator: other });
+      await fixtures.createCampaign({ creator: fundraiser });
+
+      const res = await request().get('/api/campaigns/my-campaigns').set('x-auth-token', other.token).expect(200);
+      assert.deepEqual(res.body.map((c) => c.id), [mine.id]);
+    });
+  });
+
+  describe('PUT /api/campaigns/:id/status', () => {
+    it('lets admins change the status', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser, status: 'pending' });
+      await request()
+        .put(`/api/campaigns/${campaign.id}/status`)
+        .set('x-auth-token', admin.token)
+        .send({ status: 'approved' })
+        .expect(200);
+
+      const row = await fixtures.get('SELECT status FROM campaigns WHERE id = ?', [campaign.id]);
+      assert.equal(row.status, 'approved');
+    });
+
+    it('rejects non-admins and unknown statuses', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser, status: 'pending' });
+      await request()
+        .put(`/api/campaigns/${campaign.id}/status`)
+        .set('x-auth-token', fundraiser.token)
+        .send({ status: 'approved' })
+        .expect(403);
+      await request()
+        .put(`/api/campaigns/${campaign.id}/status`)
+        .set('x-auth-token', admin.token)
+        .send({ status: 'bogus' })
+        .expect(400);
+    });
+  });
+
+  describe('DELETE /api/campaigns/:id/delete', () => {
+    it('lets the owner delete a campaign without donations', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      await request().delete(`/api/campaigns/${campaign.id}/delete`).set('x-auth-token', fundraiser.token).expect(200);
+      assert.equal(await fixtures.get('SELECT id FROM campaigns WHERE id = ?', [campaign.id]), undefined);
+    });
+
+    it('refuses campaigns with donations or owned by someone else', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      const donor = await fixtures.createUser();
+      await fixtures.createDonation({ campaign, donor, amount: 1 });
+
+      await request().delete(`/api/campaigns/${campaign.id}/delete`).set('x-auth-token', fundraiser.token).expect(400);
+      await request().delete(`/api/campaigns/${campaign.id}/delete`).set('x-auth-token', donor.token).expect(403);
+    });
+  });
+
+  describe('POST /api/campaigns/:id/withdraw', () => {
+    it('lets only the campaign\'s owner withdraw', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser, goal: 1 });
+      await fixtures.createDonation({ campaign, donor: await fixtures.createUser(), amount: 1 });
+      const stranger = await fixtures.createUser({ role: 'fundraiser' });
+      const withdraw = () => request().post(`/api/campaigns/${campaign.id}/withdraw`);
+
+      await withdraw().expect(401);
+      await withdraw().set('x-auth-token', stranger.token).expect(403);
+      assert.equal((await fixtures.get('SELECT is_withdrawn FROM campaigns WHERE id = ?', [campaign.id])).is_withdrawn, 0);
+
+      await withdraw().set('x-auth-token', fundraiser.token).expect(200);
+      assert.equal((await fixtures.get('SELECT is_withdrawn FROM campaigns WHERE id = ?', [campaign.id])).is_withdrawn, 1);
+    });
+  });
+
+  it('records donations only through the verified donation routes', async () => {
+    const campaign = await fixtures.createCampaign({ creator: fundraiser });
+    await request().post(`/api/campaigns/${campaign.id}/donate`).send({ amount: 5 }).expect(404);
+    assert.equal((await fixtures.get('SELECT current_amount FROM campaigns WHERE id = ?', [campaign.id])).current_amount, 0);
+  });
+});
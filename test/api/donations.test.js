@@ -0,0 +1,208 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+const { getBlockchain } = require('../../utils/contract');
+
+describe('donation routes', () => {
+  let ctx;
+  let request;
+  let fixtures;
+  let web3;
+  let contract;
+  let donor;
+  let donorAccount;
+  let campaign;
+
+  // Donate on the local chain and return the transaction hash
+  const donateOnChain = async (blockchainCampaignId, eth, from = donorAccount) => {
+    const receipt = await contract.methods
+      .donateToCampaign(blockchainCampaignId)
+      .send({ from, value: web3.utils.toWei(String(eth), 'ether') });
+    return receipt.transactionHash;
+  };
+
+  before(async () => {
+    ctx = await startTestApp({ chain: true });
+    request = ctx.request;
+    fixtures = ctx.fixtures;
+    ({ web3, contract } = getBlockchain());
+
+    const [, fundraiserAccount, donorWallet] = ctx.chain.accounts.map((account) => account.address);
+    donorAccount = donorWallet;
+
+    const deadline = (await ctx.chain.latestTimestamp()) + 30 * 24 * 60 * 60;
+    const receipt = await contract.methods
+      .createCampaign('Solar panels', 'Power for the clinic', web3.utils.toWei('5', 'ether'), deadline)
+      .send({ from: fundraiserAccount });
+
+    const fundraiser = await fixtures.createUser({ role: 'fundraiser', wallet_address: fundraiserAccount });
+    donor = await fixtures.createUser({ role: 'donor', wallet_address: donorAccount });
+    campaign = await fixtures.createCampaign({
+      creator: fundraiser,
+      goal: 5,
+      blockchain_campaign_id: String(receipt.events.CampaignCreated.returnValues.id),
+      transaction_hash: receipt.transactionHash
+    });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  describe('POST /api/donations/blockchain', () => {
+    const claim = (overrides) => ({
+      campaignId: campaign.id,
+      amount: '0.5',
+      donorAddress: donorAccount,
+      ...overrides
+    });
+
+    it('records a donation that matches its receipt', async () => {
+      const transactionHash = await donateOnChain(campaign.blockchain_campaign_id, 0.5);
+
+      const res = await request()
+        .post('/api/donations/blockchain')
+        .set('x-auth-token', donor.token)
+        .send(claim({ transactionHash }))
+        .expect(200);
+
+      assert.equal(res.body.blockchainDetails.verificationStatus, 'verified');
+      assert.equal(res.body.donation.donor_id, donor.id);
+
+      const row = await fixtures.get('SELECT current_amount FROM campaigns WHERE id = ?', [campaign.id]);
+      assert.equal(row.current_amount, 0.5);
+    });
+
+    it('credits nobody for a donation from a wallet the submitter has not verified', async () => {
+      const [, , , , strangerAccount] = ctx.chain.accounts.map((account) => account.address);
+      const transactionHash = await donateOnChain(campaign.blockchain_campaign_id, 0.5, strangerAccount);
+      const claimant = await fixtures.createUser();
+
+      const res = await request()
+        .post('/api/donations/blockchain')
+        .set('x-auth-token', claimant.token)
+        .send(claim({ transactionHash, donorAddress: strangerAccount }))
+        .expect(200);
+
+      assert.equal(res.body.donation.donor_id, null);
+      const history = await request().get(`/api/donations/user/${claimant.id}`).set('x-auth-token', claimant.token).expect(200);
+      assert.deepEqual(history.body, []);
+    });
+
+    it('rejects claims that do not match the transaction', async () => {
+      const transactionHash = await donateOnChain(campaign.blockchain_campaign_id, 0.1);
+
+      const res = await request()
+        .post('/api/donations/blockchain')
+        .set('x-auth-token', donor.token)
+        .send(claim({ transactionHash, amount: '3' }))
+        .expect(400);
+
+      assert.match(res.body.reason, /amount does not match/);
+      assert.equal(await fixtures.get('SELECT id FROM donations WHERE transaction_hash = ?', [transactionHash]), undefined);
+    });
+
+    it('records a transaction only once', async () => {
+      const transactionHash = await donateOnChain(campaign.blockchain_campaign_id, 0.2);
+      const send = () => request()
+        .post('/api/donations/blockchain')
+        .set('x-auth-token', donor.token)
+        .send(claim({ transactionHash, amount: '0.2' }));
+
+      await send().expect(200);
+      await send().expect(409);
+    });
+
+    it('records a transaction only once when it is submitted twice at the same time', async () => {
+      const before = await fixtures.get('SELECT current_amount FROM campaigns WHERE id = ?', [campaign.id]);
+      const transactionHash = await donateOnChain(campaign.blockchain_campaign_id, 0.3);
+      const send = (hash) => request()
+        .post('/api/donations/blockchain')
+        .set('x-auth-token', donor.token)
+        .send(claim({ transactionHash: hash, amount: '0.3' }));
+
+      const responses = await Promise.all([send(transactionHash), send(transactionHash.toUpperCase().replace('0X', '0x'))]);
+      assert.deepEqual(responses.map((res) => res.status).sort(), [200, 409]);
+      const rows = await fixtures.all('SELECT id FROM donations WHERE LOWER(transaction_hash) = ?', [transactionHash.toLowerCase()]);
+      assert.equal(rows.length, 1);
+      const after = await fixtures.get('SELECT current_amount FROM campaigns WHERE id = ?', [campaign.id]);
+      assert.ok(Math.abs(after.current_amount - before.current_amount - 0.3) < 1e-9);
+    });
+
+    it('rejects amounts that are not a whole number of wei without storing them', async () => {
+      const transactionHash = `0x${'ef'.repeat(32)}`;
+      for (const amount of ['1e-7', '0.1234567890123456789', '-1', '0']) {
+        await request()
+          .post('/api/donations/blockchain')
+          .set('x-auth-token', donor.token)
+          .send(claim({ transactionHash, amount }))
+          .expect(400);
+      }
+      assert.equal(await fixtures.get('SELECT id FROM donations WHERE transaction_hash = ?', [transactionHash]), undefined);
+    });
+
+    it('keeps unknown transactions pending without counting them', async () => {
+      const before = await fixtures.get('SELECT current_amount FROM campaigns WHERE id = ?', [campaign.id]);
+      const transactionHash = `0x${'ab'.repeat(32)}`;
+
+      const res = await request()
+        .post('/api/donations/blockchain')
+        .set('x-auth-token', donor.token)
+        .send(claim({ transactionHash }))
+        .expect(202);
+
+      assert.equal(res.body.donation.verification_status, 'pending_verification');
+      const after = await fixtures.get('SELECT current_amount FROM campaigns WHERE id = ?', [campaign.id]);
+      assert.equal(after.current_amount, before.current_amount);
+    });
+
+    it('returns 404 for campaigns that are not deployed', async () => {
+      const undeployed = await fixtures.createCampaign({ blockchain_campaign_id: '' });
+      await request()
+        .post('/api/donations/blockchain')
+        .set('x-auth-token', donor.token)
+        .send(claim({ campaignId: undeployed.id, transactionHash: `0x${'cd'.repeat(32)}` }))
+        .expect(404);
+    });
+
+    it('validates the transaction hash and address', async () => {
+      await request()
+        .post('/api/donations/blockchain')
+        .set('x-auth-token', donor.token)
+        .send(claim({ transactionHash: '0x123', donorAddress: 'not-an-address' }))
+        .expect(400);
+    });
+  });
+
+  it('no longer records donations that are not checked on-chain', async () => {
+    await request()
+      .post('/api/donations')
+      .set('x-auth-token', donor.token)
+      .send({ campaignId: campaign.id, amount: 1 })
+      .expect(404);
+  });
+
+  describe('GET routes', () => {
+    it('lists a campaign\'s donations publicly', async () => {
+      const res = await request().get(`/api/donations/campaign/${campaign.id}`).expect(200);
+      assert.ok(res.body.length > 0);
+      assert.ok(res.body.every((d) => d.campaign_id === campaign.id));
+    });
+
+    it('only shows a user\'s donations to that user or an admin', async () => {
+      const other = await fixtures.createUser();
+      const admin = await fixtures.createUser({ role: 'admin' });
+
+      await request().get(`/api/donations/user/${donor.id}`).set('x-auth-token', donor.token).expect(200);
+      await request().get(`/api/donations/user/${donor.id}`).set('x-auth-token', admin.token).expect(200);
+      await request().get(`/api/donations/user/${donor.id}`).set('x-auth-token', other.token).expect(403);
+    });
+
+    it('restricts the full donation list to admins', async () => {
+      const admin = await fixtures.createUser({ role: 'admin' });
+      await request().get('/api/donations').set('x-auth-token', donor.token).expect(403);
+      const res = await request().get('/api/donations').set('x-auth-token', admin.token).expect(200);
+      assert.ok(Array.isArray(res.body));
+    });
+  });
+});
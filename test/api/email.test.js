@@ -0,0 +1,265 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+const { getBlockchain } = require('../../utils/contract');
+
+describe('email', () => {
+  let ctx;
+  let request;
+  let fixtures;
+  let mailbox;
+
+  before(async () => {
+    ctx = await startTestApp({ chain: true });
+    request = ctx.request;
+    fixtures = ctx.fixtures;
+    mailbox = ctx.mailbox;
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  const outboxRow = (id) => fixtures.get('SELECT * FROM email_outbox WHERE id = ?', [id]);
+
+  describe('transport', () => {
+    it('only falls back to printing mail outside production', () => {
+      const { checkMailSettings } = require('../../utils/mailer');
+      const names = ['NODE_ENV', 'MAIL_TRANSPORT', 'SMTP_HOST'];
+      const saved = names.map((name) => process.env[name]);
+      try {
+        delete process.env.MAIL_TRANSPORT;
+        delete process.env.SMTP_HOST;
+        checkMailSettings();
+        process.env.NODE_ENV = 'production';
+        assert.throws(checkMailSettings, /Set MAIL_TRANSPORT or SMTP_HOST/);
+        process.env.MAIL_TRANSPORT = 'file';
+        checkMailSettings();
+      } finally {
+        names.forEach((name, i) => {
+          if (saved[i] === undefined) delete process.env[name];
+          else process.env[name] = saved[i];
+        });
+      }
+    });
+  });
+
+  describe('outbox', () => {
+    it('retries a message that could not be sent, and gives up after the last retry', async () => {
+      const { registerTransport } = require('../../utils/mailer');
+      const { queueMail, deliverDueMail, idle, RETRY_DELAYS } = require('../../utils/mailOutbox');
+      let failures = 2;
+      registerTransport('flaky', {
+        create: () => ({
+          async sendMail() {
+            if (failures-- > 0) throw new Error('Connection refused');
+            return { messageId: '<flaky@crowdfunding.test>' };
+          }
+        })
+      });
+      process.env.MAIL_TRANSPORT = 'flaky';
+      try {
+        const now = new Date();
+        const id = await queueMail({ to: 'ops@example.com', subject: 'Hello', text: 'Hi' }, { template: 'test', now });
+        // Stored first, then sent in the background
+        assert.equal((await outboxRow(id)).attempts, 0);
+        await idle();
+        assert.deepEqual(
+          (({ status, attempts, last_error }) => ({ status, attempts, last_error }))(await outboxRow(id)),
+          { status: 'pending', attempts: 1, last_error: 'Connection refused' }
+        );
+
+        assert.equal(await deliverDueMail({ now }), 0);
+        assert.equal((await outboxRow(id)).attempts, 1);
+        assert.equal(await deliverDueMail({ now: new Date(now.getTime() + RETRY_DELAYS[0]) }), 0);
+        assert.equal(await deliverDueMail({ now: new Date(now.getTime() + RETRY_DELAYS[0] + RETRY_DELAYS[1]) }), 1);
+        const sent = await outboxRow(id);
+        assert.equal(sent.status, 'sent');
+        assert.equal(sent.attempts, 3);
+        assert.equal(sent.message_id, '<flaky@crowdfunding.test>');
+
+        failures = Infinity;
+        const failing = await queueMail({ to: 'ops@example.com', subject: 'Hello again', text: 'Hi' }, { template: 'test', now });
+        await idle();
+        let at = now.getTime();
+        for (const delay of RETRY_DELAYS) {
+          at += delay;
+          assert.equal(await deliverDueMail({ now: new Date(at) }), 0);
+        }
+        const failed = await outboxRow(failing);
+        assert.equal(failed.status, 'failed');
+        assert.equal(failed.attempts, RETRY_DELAYS.length + 1);
+        assert.equal(await deliverDueMail({ now: new Date(at + 24 * 60 * 60 * 1000) }), 0);
+      } finally {
+        process.env.MAIL_TRANSPORT = 'file';
+      }
+    });
+  });
+
+  describe('notification emails', () => {
+    it('emails campaign approvals as text and HTML', async () => {
+      const admin = await fixtures.createUser({ role: 'admin' });
+      const fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+      const campaign = await fixtures.createCampaign({ creator: fundraiser, status: 'pending', title: 'Tom & Jerry <3' });
+
+      await request().put(`/api/admin/campaigns/${campaign.id}/approve`).set('x-auth-token', admin.token).expect(200);
+      await mailbox.settle();
+
+      const [mail] = mailbox.messagesTo(fundraiser.email);
+      assert.equal(mail.subject, '✅ Campaign Approved!');
+      assert.match(mail.text, /^Hi Test fundraiser \d+,/);
+      assert.match(mail.text, /Your campaign "Tom & Jerry <3" has been approved/);
+      assert.match(mail.text, /Deploy your campaign: http:\/\/crowdfunding\.test\/dashboard/);
+      assert.match(mail.html, /Your campaign &quot;Tom &amp; Jerry &lt;3&quot; has been approved/);
+      assert.match(mail.html, /<a href="http:\/\/crowdfunding\.test\/dashboard"[^>]*>Deploy your campaign<\/a>/);
+
+      const [row] = await fixtures.all('SELECT template, status FROM email_outbox WHERE user_id = ?', [fundraiser.id]);
+      assert.deepEqual({ ...row }, { template: 'campaign_approved', status: 'sent' });
+    });
+
+    it('sends donors a receipt, unless they opt out', async () => {
+      const { contract } = getBlockchain();
+      const campaign = await fixtures.createCampaign(await ctx.chain.createCampaign(contract));
+      const donor = await fixtures.createUser({ wallet_address: ctx.chain.accounts[2].address });
+      const donate = async (amount) => {
+        const transactionHash = await ctx.chain.donate(contract, campaign.blockchain_campaign_id, amount, donor.wallet_address);
+        await request()
+          .post('/api/donations/blockchain')
+          .set('x-auth-token', donor.token)
+          .send({ campaignId: campaign.id, amount, transactionHash, donorAddress: donor.wallet_address })
+          .expect(200);
+        return transactionHash;
+      };
+
+      const transactionHash = await donate('0.5');
+      await mailbox.settle();
+
+      const [receipt] = mailbox.messagesTo(donor.email);
+      assert.equal(receipt.subject, '🧾 Thank you for your donation');
+      assert.match(receipt.text, /Please keep this email as your receipt\./);
+      assert.match(receipt.text, new RegExp(`Campaign: ${campaign.title}\nAmount: 0\\.5 ETH\nDate: [0-9-]+ [0-9:]+ UTC\nTransaction: ${transactionHash}`));
+      assert.match(receipt.text, new RegExp(`See the campaign: http://crowdfunding\\.test/campaigns/${campaign.id}`));
+
+      await request()
+        .put('/api/auth/settings')
+        .set('x-auth-token', donor.token)
+        .send({ notifications: { donation_receipt: { email: false } } })
+        .expect(200);
+      await donate('0.25');
+      await mailbox.settle();
+      assert.equal(mailbox.messagesTo(donor.email).length, 1);
+    });
+  });
+
+  describe('digests', () => {
+    it('groups a user\'s notifications by campaign, daily or weekly', async () => {
+      const { notify } = require('../../utils/notifications');
+      const { sendDigests } = require('../../utils/notificationEmails');
+      const [first, second] = [await fixtures.createCampaign(), await fixtures.createCampaign()];
+      const daily = await fixtures.createUser();
+      const weekly = await fixtures.createUser();
+      for (const user of [daily, weekly]) {
+        await request()
+          .put('/api/auth/settings')
+          .set('x-auth-token', user.token)
+          .send({
+            notifications: { withdrawal_requested: { digest: true }, admin_message: { digest: true } },
+            digestFrequency: user === weekly ? 'weekly' : undefined
+          })
+          .expect(200);
+      }
+      for (const campaign of [first, second]) {
+        await notify([daily.id, weekly.id], 'withdrawal_requested', {
+          campaignId: campaign.id,
+          data: { campaignTitle: campaign.title, amount: 1 }
+        });
+      }
+      await notify(daily.id, 'admin_message', { data: { title: 'Heads up', message: 'Maintenance tonight' } });
+      // Queued on a Wednesday
+      await fixtures.run("UPDATE notification_digest_items SET created_at = '2030-01-02 10:00:00' WHERE user_id IN (?, ?)", [daily.id, weekly.id]);
+
+      assert.equal(await sendDigests({ now: new Date('2030-01-02T23:00:00Z') }), 0);
+      assert.equal(await sendDigests({ now: new Date('2030-01-03T01:00:00Z') }), 1);
+      await mailbox.settle();
+      const [digest] = mailbox.messagesTo(daily.email);
+      assert.equal(digest.subject, 'Your daily summary: 3 notifications');
+      assert.match(digest.text, /Here is what happened across 2 campaigns since your last summary\./);
+      for (const campaign of [first, second]) {
+        assert.match(digest.text, new RegExp(`${campaign.title}\n-+\n\\* 💸 Withdrawal requested\n  "${campaign.title}" requested to withdraw 1 ETH\\.`));
+        assert.match(digest.html, new RegExp(`<h2[^>]*>${campaign.title}</h2>`));
+      }
+      assert.match(digest.text, /Your account\n-+\n\* Heads up\n {2}Maintenance tonight/);
+      assert.deepEqual(mailbox.messagesTo(weekly.email), []);
+
+      // Weeks start on Monday
+      assert.equal(await sendDigests({ now: new Date('2030-01-06T23:00:00Z') }), 0);
+      assert.equal(await sendDigests({ now: new Date('2030-01-07T01:00:00Z') }), 1);
+      await mailbox.settle();
+      const [weeklyDigest] = mailbox.messagesTo(weekly.email);
+      assert.equal(weeklyDigest.subject, 'Your weekly summary: 2 notifications');
+      assert.equal(mailbox.messagesTo(daily.email).length, 1);
+    });
+
+    it('queues a digest and deletes its items together', async () => {
+      const { notify } = require('../../utils/notifications');
+      const { sendDigests } = require('../../utils/notificationEmails');
+      const NotificationRepository = require('../../models/notifications');
+      const user = await fixtures.createUser();
+      await request()
+        .put('/api/auth/settings')
+        .set('x-auth-token', user.token)
+        .send({ notifications: { admin_message: { digest: true } } })
+        .expect(200);
+      await notify(user.id, 'admin_message', { data: { title: 'Heads up', message: 'Maintenance tonight' } });
+      const items = () => fixtures.all('SELECT id FROM notification_digest_items WHERE user_id = ?', [user.id]);
+      const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+      // Had the digest stayed queued, the items would go out again in the next one
+      const remove = mock.method(NotificationRepository.prototype, 'deleteDigestItems', async () => {
+        throw new Error('disk full');
+      });
+      try {
+        await assert.rejects(sendDigests({ now: tomorrow }), /disk full/);
+      } finally {
+        remove.mock.restore();
+      }
+      assert.equal((await items()).length, 1);
+      assert.deepEqual(await fixtures.all('SELECT id FROM email_outbox WHERE user_id = ?', [user.id]), []);
+
+      assert.equal(await sendDigests({ now: tomorrow }), 1);
+      assert.deepEqual(await items(), []);
+      await mailbox.settle();
+      assert.equal(mailbox.messagesTo(user.email)[0].subject, 'Your daily summary: 1 notification');
+    });
+  });
+
+  describe('vote reminders', () => {
+    it('reminds donors who haven\'t voted once a request has waited for three days', async () => {
+      const { remindVoters, REMINDER_DELAY } = require('../../utils/voteReminders');
+      const campaign = await fixtures.createCampaign();
+      const [alice, bob] = [await fixtures.createUser(), await fixtures.createUser()];
+      for (const donor of [alice, bob]) {
+        await fixtures.createDonation({ campaign, donor, amount: 2 });
+      }
+      const usage = await fixtures.createUsageRequest({ campaign, title: 'Solar panels' });
+      await fixtures.run(
+        'INSERT INTO usage_votes (usage_request_id, donor_id, vote, donated_amount) VALUES (?, ?, 1, 2)',
+        [usage.id, alice.id]
+      );
+
+      assert.equal(await remindVoters(), 0);
+      const later = new Date(Date.now() + REMINDER_DELAY + 60 * 1000);
+      assert.equal(await remindVoters({ now: later }), 1);
+      assert.equal(await remindVoters({ now: later }), 0);
+
+      const reminded = await fixtures.all("SELECT user_id FROM notifications WHERE type = 'vote_reminder' AND campaign_id = ?", [campaign.id]);
+      assert.deepEqual(reminded.map((n) => n.user_id), [bob.id]);
+      await mailbox.settle();
+      const [mail] = mailbox.messagesTo(bob.email);
+      assert.equal(mail.subject, '⏰ Your vote is needed');
+      assert.match(mail.text, /decide on spending 1 ETH on "Solar panels"/);
+      assert.match(mail.text, new RegExp(`Vote now: http://crowdfunding\\.test/campaigns/${campaign.id}`));
+      assert.deepEqual(mailbox.messagesTo(alice.email), []);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+
+describe('fund usage plan routes', () => {
+  let ctx;
+  let request;
+  let fixtures;
+  let fundraiser;
+
+  const createPlan = async (campaign, attrs = {}) => {
+    const res = await request()
+      .post('/api/fund-usage-plans')
+      .set('x-auth-token', fundraiser.token)
+      .send({ campaignId: campaign.id, category: 'equipment', amount: 2, description: 'Laptops', ...attrs })
+      .expect(200);
+    return res.body;
+  };
+
+  before(async () => {
+    ctx = await startTestApp();
+    request = ctx.request;
+    fixtures = ctx.fixtures;
+    fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('lets the owner add plans and lists them publicly', async () => {
+    const campaign = await fixtures.createCampaign({ creator: fundraiser });
+    const plan = await createPlan(campaign);
+    assert.equal(plan.approval_status, 'pending');
+
+    const res = await request().get(`/api/fund-usage-plans/${campaign.id}`).expect(200);
+    assert.deepEqual(res.body.map((p) => p.id), [plan.id]);
+  });
+
+  it('rejects plans for someone else\'s campaign', async () => {
+    const campaign = await fixtures.createCampaign();
+    await request()
+      .post('/api/fund-usage-plans')
+      .set('x-auth-token', fundraiser.token)
+      .send({ campaignId: campaign.id, category: 'equipment', amount: 2, description: 'Laptops' })
+      .expect(403);
+  });
+
+  it('approves a plan once half of the donors agree', async () => {
+    const campaign = await fixtures.createCampaign({ creator: fundraiser });
+    const [alice, bob] = [await fixtures.createUser(), await fixtures.createUser()];
+    await fixtures.createDonation({ campaign, donor: alice });
+    await fixtures.createDonation({ campaign, donor: bob });
+    const plan = await createPlan(campaign);
+
+    const res = await request()
+      .post(`/api/fund-usage-plans/${plan.id}/approve`)
+      .set('x-auth-token', alice.token)
+      .send({ approved: true })
+      .expect(200);
+
+    assert.equal(res.body.approval_status, 'approved');
+    assert.equal(res.body.approved_by_count, 1);
+    assert.equal(res.body.total_donors, 2);
+  });
+
+  it('only accepts approvals from donors', async () => {
+    const campaign = await fixtures.createCampaign({ creator: fundraiser });
+    const plan = await createPlan(campaign);
+    const outsider = await fixtures.createUser();
+
+    await request()
+      .post(`/api/fund-usage-plans/${plan.id}/approve`)
+      .set('x-auth-token', outsider.token)
+      .send({ approved: true })
+      .expect(403);
+  });
+
+  it('marks approved plans as withdrawn exactly once', async () => {
+    const campaign = await fixtures.createCampaign({ creator: fundraiser });
+    const donor = await fixtures.createUser();
+    await fixtures.createDonation({ campaign, donor });
+    const plan = await createPlan(campaign);
+
+    const markWithdrawn = () => request()
+      .post(`/api/fund-usage-plans/${plan.id}/mark-withdrawn`)
+      .set('x-auth-token', fundraiser.token)
+      .send({ txHash: '0xbeef' });
+
+    assert.equal((await markWithdrawn().expect(400)).body.msg, 'Plan not approved yet');
+
+    await request()
+      .post(`/api/fund-usage-plans/${plan.id}/approve`)
+      .set('x-auth-token', donor.token)
+      .send({ approved: true })
+      .expect(200);
+
+    await markWithdrawn().expect(200);
+    assert.equal((await markWithdrawn().expect(400)).body.msg, 'Plan already withdrawn');
+  });
+});
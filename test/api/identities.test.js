@@ -0,0 +1,272 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestApp } = require('../helpers/app');
+const { startOidcIssuer } = require('../helpers/oidcIssuer');
+
+describe('sign-in providers', () => {
+  let ctx;
+  let request;
+  let fixtures;
+  let issuer;
+
+  before(async () => {
+    ctx = await startTestApp();
+    request = ctx.request;
+    fixtures = ctx.fixtures;
+    issuer = await startOidcIssuer({ clients: { 'mock-client': 'mock-secret', 'corp-client': 'corp-secret' } });
+    // "mock" vouches for its users' email addresses, "corp" doesn't
+    Object.assign(process.env, {
+      OIDC_PROVIDERS: 'mock,corp',
+      OIDC_MOCK_ISSUER: issuer.url,
+      OIDC_MOCK_CLIENT_ID: 'mock-client',
+      OIDC_MOCK_CLIENT_SECRET: 'mock-secret',
+      OIDC_MOCK_LABEL: 'Mock',
+      OIDC_MOCK_TRUST_EMAIL: 'true',
+      OIDC_MOCK_REDIRECT_URI: 'http://crowdfunding.test/api/auth/oidc/mock/callback',
+      OIDC_CORP_ISSUER: issuer.url,
+      OIDC_CORP_CLIENT_ID: 'corp-client',
+      OIDC_CORP_CLIENT_SECRET: 'corp-secret',
+      OIDC_CORP_REDIRECT_URI: 'http://crowdfunding.test/api/auth/oidc/corp/callback'
+    });
+  });
+
+  after(async () => {
+    await issuer.stop();
+    await ctx.close();
+  });
+
+  let next = 0;
+  const account = (attrs = {}) => {
+    next += 1;
+    return { sub: `subject-${next}`, email: `oidc.user${next}@example.com`, name: `Oidc User ${next}`, ...attrs };
+  };
+
+  const idToken = (claims, options = {}) => issuer.idToken(claims, { audience: 'mock-client', ...options });
+
+  const signInWithToken = (token, provider = 'mock') => request()
+    .post(`/api/auth/oidc/${provider}/token`)
+    .send({ idToken: token });
+
+  // The nonce cookie the app set when the sign-in started, as the browser sends it back
+  const nonceCookie = (res) => {
+    const cookie = (res.headers['set-cookie'] || []).find((c) => c.startsWith('oidc_nonce='));
+    assert.ok(cookie, 'no oidc_nonce cookie');
+    assert.match(cookie, /HttpOnly/);
+    assert.match(cookie, /SameSite=Lax/);
+    return cookie.split(';')[0];
+  };
+
+  // Browser round trip: app → issuer → app callback; resolves to the frontend redirect's parameters
+  const followCallback = async (authorizationUrl, cookie) => {
+    const back = await issuer.authorize(authorizationUrl);
+    assert.equal(back.host, 'crowdfunding.test');
+    const res = await request().get(back.pathname + back.search).set('Cookie', cookie).expect(302);
+    const frontend = new URL(res.headers.location);
+    assert.equal(frontend.origin + frontend.pathname, 'http://crowdfunding.test/oauth-callback');
+    return frontend.searchParams;
+  };
+
+  const signInThroughRedirect = async (provider = 'mock') => {
+    const start = await request().get(`/api/auth/oidc/${provider}`).expect(302);
+    assert.ok(start.headers.location.startsWith(`${issuer.url}/authorize?`));
+    return followCallback(start.headers.location, nonceCookie(start));
+  };
+
+  // Finish a redirect sign-in as the frontend does, with the code from /oauth-callback
+  const exchange = (params) => request().post('/api/auth/oidc/exchange').send({ code: params.get('code') });
+
+  const identitiesOf = async (token) => (await request().get('/api/auth/identities').set('x-auth-token', token).expect(200)).body;
+
+  it('lists the configured providers', async () => {
+    const res = await request().get('/api/auth/oidc/providers').expect(200);
+    assert.deepEqual(res.body.providers, [
+      { name: 'google', label: 'Google' },
+      { name: 'mock', label: 'Mock' },
+      { name: 'corp', label: 'corp' }
+    ]);
+    await request().get('/api/auth/oidc/nope').expect(404);
+  });
+
+  describe('authorization code flow', () => {
+    it('signs up a new user without a password, then signs them back in', async () => {
+      const alice = account();
+      issuer.signInAs(alice);
+
+      const first = await signInThroughRedirect();
+      // Only a one-time code goes through the URL, never tokens
+      assert.deepEqual([...first.keys()], ['code']);
+      const { body: signedUp } = await exchange(first).expect(200);
+      assert.equal(signedUp.isNewUser, true);
+      assert.equal(signedUp.user.role, 'donor');
+      assert.ok(signedUp.refreshToken);
+      await exchange(first).expect(400);
+      const me = await request().get('/api/auth/me').set('x-auth-token', signedUp.token).expect(200);
+      const user = await fixtures.get('SELECT * FROM users WHERE id = ?', [me.body.id]);
+      assert.equal(user.email, alice.email);
+      assert.equal(user.password, '');
+      assert.ok(user.email_verified_at);
+
+      const { body: again } = await exchange(await signInThroughRedirect()).expect(200);
+      assert.equal(again.isNewUser, false);
+      assert.equal((await request().get('/api/auth/me').set('x-auth-token', again.token).expect(200)).body.id, user.id);
+
+      const { identities, hasPassword } = await identitiesOf(again.token);
+      assert.deepEqual(identities.map((i) => [i.provider, i.email]), [['mock', alice.email]]);
+      assert.equal(hasPassword, false);
+      await request().post('/api/auth/login').send({ email: alice.email, password: '' }).expect(401);
+      await request().post('/api/auth/login').send({ email: alice.email, password: 'anything' }).expect(401);
+    });
+
+    it('sends failures to the frontend', async () => {
+      issuer.signInAs(null);
+      const denied = await signInThroughRedirect();
+      assert.equal(denied.get('error'), 'oauth_failed');
+      assert.equal(denied.has('code'), false);
+
+      const forged = await request().get('/api/auth/oidc/mock/callback?code=abc&state=forged').expect(302);
+      assert.equal(new URL(forged.headers.location).searchParams.get('error'), 'oauth_failed');
+
+      // A state issued for one provider doesn't work for another
+      issuer.signInAs(account());
+      const start = await request().get('/api/auth/oidc/mock').expect(302);
+      const back = await issuer.authorize(start.headers.location);
+      const swapped = await request().get(`/api/auth/oidc/corp/callback${back.search}`).set('Cookie', nonceCookie(start)).expect(302);
+      assert.equal(new URL(swapped.headers.location).searchParams.get('error'), 'oauth_failed');
+    });
+
+    it('takes each code once, for a minute, and asks for a second factor when the account has one', async () => {
+      const claims = account();
+      issuer.signInAs(claims);
+      const { body } = await exchange(await signInThroughRedirect()).expect(200);
+
+      const late = await signInThroughRedirect();
+      await fixtures.run("UPDATE oidc_sign_in_codes SET expires_at = '2000-01-01 00:00:00' WHERE used_at IS NULL");
+      await exchange(late).expect(400);
+      await request().post('/api/auth/oidc/exchange').send({ code: 'made-up' }).expect(400);
+      await request().post('/api/auth/oidc/exchange').send({}).expect(400);
+
+      await fixtures.enableTwoFactor(body.user);
+      const res = await exchange(await signInThroughRedirect()).expect(200);
+      assert.equal(res.body.twoFactorRequired, true);
+      assert.ok(res.body.challengeToken);
+      assert.equal(res.body.token, undefined);
+    });
+
+    it('only finishes a sign-in in the browser that started it', async () => {
+      // Someone starts a sign-in with their own account and sends the callback link to a victim
+      issuer.signInAs(account());
+      const start = await request().get('/api/auth/oidc/mock').expect(302);
+      const back = await issuer.authorize(start.headers.location);
+      const otherBrowser = await request().get('/api/auth/oidc/mock').expect(302);
+
+      for (const cookie of [nonceCookie(otherBrowser), 'oidc_nonce=']) {
+        const res = await request().get(back.pathname + back.search).set('Cookie', cookie).expect(302);
+        const params = new URL(res.headers.location).searchParams;
+        assert.equal(params.get('error'), 'oauth_failed');
+        assert.match(params.get('message'), /started in another browser/);
+      }
+      const res = await request().get(back.pathname + back.search).expect(302);
+      assert.equal(new URL(res.headers.location).searchParams.get('error'), 'oauth_failed');
+      assert.match(res.headers['set-cookie'].join(), /oidc_nonce=;/);
+    });
+  });
+
+  describe('ID token sign-in', () => {
+    it('only accepts tokens the provider issued for this client', async () => {
+      const claims = account();
+      const res = await signInWithToken(idToken(claims)).expect(200);
+      assert.equal(res.body.isNewUser, true);
+      assert.equal(res.body.user.email, claims.email);
+      assert.ok(res.body.token);
+
+      await signInWithToken(idToken(claims, { audience: 'someone-else' })).expect(401);
+      await signInWithToken(idToken(claims, { expiresIn: -10 })).expect(401);
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      await signInWithToken(idToken(claims, { key: privateKey })).expect(401);
+      await signInWithToken('not-a-token').expect(401);
+      await signInWithToken(idToken(claims), 'nope').expect(404);
+      await request().post('/api/auth/oidc/mock/token').send({}).expect(400);
+    });
+
+    it('signs in to an existing account with the same email only when both sides verified it', async () => {
+      const existing = await fixtures.createUser();
+
+      await signInWithToken(issuer.idToken(account({ email: existing.email }), { audience: 'corp-client' }), 'corp').expect(409);
+      await signInWithToken(idToken(account({ email: existing.email, email_verified: false }))).expect(409);
+
+      // Whoever registered with the address never proved it was theirs
+      const unverified = await fixtures.createUser({ email_verified_at: null });
+      await signInWithToken(idToken(account({ email: unverified.email }))).expect(409);
+      assert.equal(await fixtures.get('SELECT id FROM user_identities WHERE user_id = ?', [unverified.id]), undefined);
+      assert.equal((await fixtures.get('SELECT email_verified_at FROM users WHERE id = ?', [unverified.id])).email_verified_at, null);
+
+      const res = await signInWithToken(idToken(account({ email: existing.email }))).expect(200);
+      assert.equal(res.body.isNewUser, false);
+      assert.equal(res.body.user.id, existing.id);
+      assert.deepEqual((await identitiesOf(res.body.token)).identities.map((i) => i.provider), ['mock']);
+    });
+
+    it('asks for a second factor when the account has one', async () => {
+      const claims = account();
+      const { body } = await signInWithToken(idToken(claims)).expect(200);
+      await fixtures.enableTwoFactor(body.user);
+
+      const res = await signInWithToken(idToken(claims)).expect(200);
+      assert.equal(res.body.twoFactorRequired, true);
+      assert.ok(res.body.challengeToken);
+      assert.equal(res.body.token, undefined);
+    });
+  });
+
+  describe('linking', () => {
+    it('links and unlinks provider accounts', async () => {
+      const user = await fixtures.createUser();
+      const other = await fixtures.createUser();
+      const corp = account();
+      const corpToken = () => issuer.idToken(corp, { audience: 'corp-client' });
+
+      const link = (who, token) => request().post('/api/auth/identities/corp').set('x-auth-token', who.token).send({ idToken: token });
+      const res = await link(user, corpToken()).expect(201);
+      assert.deepEqual(res.body.identities.map((i) => i.provider), ['corp']);
+      await link(user, corpToken()).expect(201);
+      await link(other, corpToken()).expect(409);
+      await link(user, issuer.idToken(account(), { audience: 'corp-client' })).expect(409);
+      await request().post('/api/auth/identities/corp').send({ idToken: corpToken() }).expect(401);
+
+      // Now the corp account signs in to the user's account
+      const signIn = await signInWithToken(corpToken(), 'corp').expect(200);
+      assert.equal(signIn.body.user.id, user.id);
+
+      await request().delete('/api/auth/identities/corp').set('x-auth-token', user.token).expect(200);
+      await request().delete('/api/auth/identities/corp').set('x-auth-token', user.token).expect(404);
+      assert.deepEqual((await identitiesOf(user.token)).identities, []);
+    });
+
+    it('links through the authorization code flow', async () => {
+      const user = await fixtures.createUser();
+      const res = await request().post('/api/auth/identities/corp/authorize').set('x-auth-token', user.token).expect(200);
+
+      issuer.signInAs(account());
+      const result = await followCallback(res.body.url, nonceCookie(res));
+      assert.equal(result.get('linked'), 'corp');
+      assert.equal(result.has('code'), false);
+      assert.deepEqual((await identitiesOf(user.token)).identities.map((i) => i.provider), ['corp']);
+    });
+
+    it('keeps a way to sign in: accounts without a password set one before unlinking', async () => {
+      const claims = account();
+      const { body } = await signInWithToken(idToken(claims)).expect(200);
+
+      await request().delete('/api/auth/identities/mock').set('x-auth-token', body.token).expect(400);
+
+      const set = await request().put('/api/auth/password').set('x-auth-token', body.token).send({ newPassword: 'chosen-later' }).expect(200);
+      assert.equal((await identitiesOf(set.body.token)).hasPassword, true);
+      // From now on the current password is needed to change it
+      await request().put('/api/auth/password').set('x-auth-token', set.body.token).send({ newPassword: 'another-one' }).expect(400);
+
+      await request().delete('/api/auth/identities/mock').set('x-auth-token', set.body.token).expect(200);
+      await request().post('/api/auth/login').send({ email: claims.email, password: 'chosen-later' }).expect(200);
+    });
+  });
+});
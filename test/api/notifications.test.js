@@ -0,0 +1,274 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+const { getBlockchain } = require('../../utils/contract');
+
+describe('notifications', () => {
+  let ctx;
+  let request;
+  let fixtures;
+  let notify;
+
+  before(async () => {
+    ctx = await startTestApp({ chain: true });
+    request = ctx.request;
+    fixtures = ctx.fixtures;
+    ({ notify } = require('../../utils/notifications'));
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  const typesOf = async (user) => (await fixtures.all(
+    'SELECT type FROM notifications WHERE user_id = ? ORDER BY id',
+    [user.id]
+  )).map((n) => n.type);
+
+  const list = (user, query = '') => request().get(`/api/notifications${query}`).set('x-auth-token', user.token);
+
+  describe('GET /api/notifications', () => {
+    it('pages and filters the user\'s notifications', async () => {
+      const user = await fixtures.createUser();
+      const other = await fixtures.createUser();
+      const campaign = await fixtures.createCampaign();
+      for (let i = 1; i <= 3; i++) {
+        await notify(user.id, 'admin_message', { data: { title: `Notice ${i}`, message: 'Maintenance tonight' } });
+      }
+      await notify(user.id, 'donation_received', { campaignId: campaign.id, data: { campaignTitle: campaign.title, amount: 1.5 } });
+      await notify(other.id, 'admin_message', { data: { title: 'Not yours', message: 'Hidden' } });
+
+      const first = await list(user, '?limit=3').expect(200);
+      assert.deepEqual(first.body.pagination, { page: 1, limit: 3, total: 4, pages: 2 });
+      const [latest] = first.body.notifications;
+      assert.equal(latest.type, 'donation_received');
+      assert.equal(latest.title, '💰 New donation');
+      assert.equal(latest.message, `Your campaign "${campaign.title}" received a donation of 1.5 ETH.`);
+      assert.deepEqual(latest.data, { campaignTitle: campaign.title, amount: 1.5 });
+      assert.equal(latest.campaign_title, campaign.title);
+      const second = await list(user, '?limit=3&page=2').expect(200);
+      assert.deepEqual(second.body.notifications.map((n) => n.title), ['Notice 1']);
+
+      const messages = await list(user, '?type=admin_message').expect(200);
+      assert.equal(messages.body.pagination.total, 3);
+      const forCampaign = await list(user, `?campaignId=${campaign.id}`).expect(200);
+      assert.deepEqual(forCampaign.body.notifications.map((n) => n.type), ['donation_received']);
+
+      await list(user, '?type=admin_message,nonsense').expect(400);
+      await list(user, '?limit=1000').expect(400);
+    });
+  });
+
+  describe('PUT /api/notifications/read-all and DELETE /api/notifications/:id', () => {
+    it('marks the user\'s notifications as read and deletes them', async () => {
+      const user = await fixtures.createUser();
+      const other = await fixtures.createUser();
+      const campaign = await fixtures.createCampaign();
+      await notify(user.id, 'admin_message', { data: { title: 'Hello', message: 'Welcome' } });
+      const [donationId] = await notify(user.id, 'donation_received', { campaignId: campaign.id, data: { campaignTitle: campaign.title, amount: 1 } });
+      const [othersId] = await notify(other.id, 'admin_message', { data: { title: 'Hello', message: 'Welcome' } });
+
+      const res = await request().put('/api/notifications/read-all?type=admin_message').set('x-auth-token', user.token).expect(200);
+      assert.equal(res.body.updated, 1);
+      assert.deepEqual((await list(user, '?unread=true').expect(200)).body.notifications.map((n) => n.id), [donationId]);
+      await request().put('/api/notifications/read-all').set('x-auth-token', user.token).expect(200);
+      assert.equal((await request().get('/api/notifications/unread-count').set('x-auth-token', user.token)).body.count, 0);
+      assert.equal((await list(other, '?unread=true')).body.pagination.total, 1);
+
+      await request().delete(`/api/notifications/${othersId}`).set('x-auth-token', user.token).expect(404);
+      await request().delete(`/api/notifications/${donationId}`).set('x-auth-token', user.token).expect(200);
+      assert.deepEqual(await typesOf(user), ['admin_message']);
+    });
+
+    it('lists the registered types', async () => {
+      const res = await request().get('/api/notifications/types').expect(200);
+      const types = res.body.types.map((t) => t.type);
+      for (const type of ['campaign_approved', 'usage_request_created', 'withdrawal_requested', 'refund_issued', 'campaign_failed']) {
+        assert.ok(types.includes(type), type);
+      }
+    });
+  });
+
+  describe('GET/PUT /api/auth/settings', () => {
+    const settings = (user) => request().put('/api/auth/settings').set('x-auth-token', user.token);
+
+    it('stores the channels chosen per notification type', async () => {
+      const user = await fixtures.createUser();
+      const defaults = await request().get('/api/auth/settings').set('x-auth-token', user.token).expect(200);
+      assert.deepEqual(defaults.body.settings.notifications.withdrawal_executed, { inApp: true, websocket: true, email: false, digest: false });
+
+      await settings(user).send({ notifications: { withdrawal_executed: { email: true } } }).expect(200);
+      const res = await settings(user).send({ notifications: { withdrawal_executed: { websocket: false }, admin_message: { digest: true } } }).expect(200);
+      assert.deepEqual(res.body.settings.notifications.withdrawal_executed, { inApp: true, websocket: false, email: true, digest: false });
+      assert.deepEqual(res.body.settings.notifications.admin_message, { inApp: true, websocket: true, email: false, digest: true });
+
+      const other = await fixtures.createUser();
+      const untouched = await request().get('/api/auth/settings').set('x-auth-token', other.token).expect(200);
+      assert.deepEqual(untouched.body.settings.notifications.withdrawal_executed, { inApp: true, websocket: true, email: false, digest: false });
+
+      await settings(user).send({ notifications: { nonsense: { email: true } } }).expect(400);
+      await settings(user).send({ notifications: { withdrawal_executed: { sms: true } } }).expect(400);
+      await settings(user).send({ notifications: { withdrawal_executed: { email: 'yes' } } }).expect(400);
+      await settings(user).send({ notifications: ['withdrawal_executed'] }).expect(400);
+      const saved = await request().get('/api/auth/settings').set('x-auth-token', user.token).expect(200);
+      assert.deepEqual(saved.body.settings.notifications.withdrawal_executed, { inApp: true, websocket: false, email: true, digest: false });
+    });
+
+    it('delivers notifications only through the chosen channels', async () => {
+      const { subscribe } = require('../../utils/eventBus');
+      const { sendDigests } = require('../../utils/notificationEmails');
+      const user = await fixtures.createUser();
+      await settings(user).send({
+        notifications: {
+          admin_message: { inApp: false, email: true },
+          withdrawal_executed: { websocket: false, digest: true },
+          donation_received: { inApp: false, websocket: false }
+        }
+      }).expect(200);
+
+      const events = [];
+      const stop = subscribe((event) => {
+        if (event.topic === `user:${user.id}`) events.push(event.data);
+      });
+      try {
+        assert.deepEqual(await notify(user.id, 'admin_message', { data: { title: 'Heads up', message: 'Maintenance tonight' } }), []);
+        await notify(user.id, 'withdrawal_executed', { data: { campaignTitle: 'Clinic roof', amount: 1 } });
+        await notify(user.id, 'donation_received', { data: { campaignTitle: 'Clinic roof', amount: 2 } });
+      } finally {
+        stop();
+      }
+
+      assert.deepEqual(await typesOf(user), ['withdrawal_executed']);
+      // Not in the list, so the pushed notification has no id
+      assert.deepEqual(events.map((n) => [n.type, n.id]), [['admin_message', null]]);
+      await ctx.mailbox.settle();
+      const [email] = ctx.mailbox.messagesTo(user.email);
+      assert.equal(email.subject, 'Heads up');
+      assert.match(email.text, /Maintenance tonight/);
+
+      // Digests go out once the day they were queued on is over
+      assert.equal(await sendDigests(), 0);
+      assert.equal(await sendDigests({ now: new Date(Date.now() + 24 * 60 * 60 * 1000) }), 1);
+      await ctx.mailbox.settle();
+      const digest = ctx.mailbox.messagesTo(user.email)[1];
+      assert.equal(digest.subject, 'Your daily summary: 1 notification');
+      assert.match(digest.text, /"Clinic roof" withdrew 1 ETH\./);
+      assert.equal(await sendDigests({ now: new Date(Date.now() + 24 * 60 * 60 * 1000) }), 0);
+    });
+  });
+
+  describe('producers', () => {
+    it('tells donors about usage requests, their outcome and withdrawals', async () => {
+      const fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      const [alice, bob, carol] = [await fixtures.createUser(), await fixtures.createUser(), await fixtures.createUser()];
+      for (const donor of [alice, bob]) {
+        await fixtures.createDonation({ campaign, donor, amount: 2 });
+      }
+
+      const created = await request()
+        .post('/api/usage-requests')
+        .set('x-auth-token', fundraiser.token)
+        .field('campaignId', String(campaign.id))
+        .field('title', 'Solar panels')
+        .field('category', 'equipment')
+        .field('requestedAmount', '1')
+        .expect(200);
+      const [notification] = await fixtures.all('SELECT * FROM notifications WHERE user_id = ?', [alice.id]);
+      assert.equal(notification.type, 'usage_request_created');
+      assert.equal(notification.campaign_id, campaign.id);
+      assert.match(notification.message, /asks to spend 1 ETH on "Solar panels"/);
+
+      for (const donor of [alice, bob]) {
+        await request()
+          .post(`/api/usage-requests/${created.body.request.id}/vote`)
+          .set('x-auth-token', donor.token)
+          .send({ vote: true })
+          .expect(200);
+      }
+
+      await request()
+        .post('/api/withdrawal-requests')
+        .set('x-auth-token', fundraiser.token)
+        .send({ campaignId: campaign.id, requestId: 0, amount: 1, usageDetails: 'Solar panels' })
+        .expect(200);
+      for (let i = 0; i < 2; i++) {
+        await request()
+          .put('/api/withdrawal-requests/0/execute')
+          .set('x-auth-token', fundraiser.token)
+          .send({ campaignId: campaign.id })
+          .expect(200);
+      }
+
+      const donorTypes = ['usage_request_created', 'usage_request_approved', 'withdrawal_requested', 'withdrawal_executed'];
+      assert.deepEqual(await typesOf(alice), donorTypes);
+      assert.deepEqual(await typesOf(bob), donorTypes);
+      assert.deepEqual(await typesOf(carol), []);
+      assert.deepEqual(await typesOf(fundraiser), ['usage_request_approved']);
+    });
+
+    it('tells the creator about donations and sends the donor a receipt', async () => {
+      const { contract } = getBlockchain();
+      const fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+      const campaign = await fixtures.createCampaign({ creator: fundraiser, ...(await ctx.chain.createCampaign(contract)) });
+      const donor = await fixtures.createUser({ wallet_address: ctx.chain.accounts[3].address });
+      const transactionHash = await ctx.chain.donate(contract, campaign.blockchain_campaign_id, '0.25', donor.wallet_address);
+
+      await request()
+        .post('/api/donations/blockchain')
+        .set('x-auth-token', donor.token)
+        .send({ campaignId: campaign.id, amount: '0.25', transactionHash, donorAddress: donor.wallet_address })
+        .expect(200);
+
+      const [notification] = (await list(fundraiser).expect(200)).body.notifications;
+      assert.equal(notification.type, 'donation_received');
+      assert.match(notification.message, /received a donation of 0.25 ETH/);
+      assert.deepEqual(await typesOf(donor), ['donation_receipt']);
+    });
+
+    it('tells donors and the creator when the chain shows a campaign failed, and donors about refunds', async () => {
+      const { ChainIndexer } = require('../../utils/chainIndexer');
+      const { openDatabase } = require('../../utils/db');
+      const { web3, contract } = getBlockchain();
+      const [, fundraiserAccount, donorAccount] = ctx.chain.accounts.map((account) => account.address);
+
+      const verifiedAt = new Date().toISOString().replace('T', ' ').slice(0, 19);
+      const fundraiser = await fixtures.createUser({ role: 'fundraiser', wallet_address: fundraiserAccount });
+      const donor = await fixtures.createUser({ wallet_address: donorAccount.toLowerCase(), wallet_verified_at: verifiedAt });
+
+      // Ends in a couple of seconds (the chain follows the clock), well short of its goal
+      const deadline = Math.floor(Date.now() / 1000) + 2;
+      const receipt = await contract.methods
+        .createCampaign('Clinic roof', 'Before the rains', web3.utils.toWei('5', 'ether'), deadline)
+        .send({ from: fundraiserAccount });
+      const blockchainCampaignId = receipt.events.CampaignCreated.returnValues.id;
+      const campaign = await fixtures.createCampaign({
+        creator: fundraiser,
+        goal: 5,
+        blockchain_campaign_id: String(blockchainCampaignId),
+        transaction_hash: receipt.transactionHash
+      });
+      await contract.methods.donateToCampaign(blockchainCampaignId).send({ from: donorAccount, value: web3.utils.toWei('1', 'ether') });
+
+      const db = openDatabase();
+      const indexer = new ChainIndexer({ web3, contract, db, confirmations: 0 });
+      try {
+        await indexer.sync();
+        assert.deepEqual(await typesOf(fundraiser), ['donation_received']);
+
+        await new Promise((resolve) => setTimeout(resolve, 3000));
+        // Calls run against the latest block, which has to be past the deadline too
+        await ctx.chain.increaseTime(1);
+        await contract.methods.refund(blockchainCampaignId).send({ from: donorAccount });
+        await indexer.sync();
+      } finally {
+        await db.close();
+      }
+
+      assert.equal((await fixtures.get('SELECT status FROM campaigns WHERE id = ?', [campaign.id])).status, 'failed');
+      assert.deepEqual(await typesOf(fundraiser), ['donation_received', 'campaign_failed']);
+      // Both were indexed in the same batch: events are applied before statuses are derived
+      assert.deepEqual(await typesOf(donor), ['donation_receipt', 'refund_issued', 'campaign_failed']);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+
+describe('permissions', () => {
+  let ctx;
+  let request;
+  let fixtures;
+  let admin;
+  let fundraiser;
+
+  before(async () => {
+    ctx = await startTestApp();
+    request = ctx.request;
+    fixtures = ctx.fixtures;
+    admin = await fixtures.createUser({ role: 'admin' });
+    fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  const campaignUpdate = () => ({
+    title: 'Renamed',
+    description: 'Updated description',
+    goal: 12,
+    deadline: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString()
+  });
+
+  describe('platform roles', () => {
+    it('lets reviewers approve campaigns but not delete them', async () => {
+      const reviewer = await fixtures.createUser({ role: 'reviewer' });
+      const campaign = await fixtures.createCampaign({ creator: fundraiser, status: 'pending' });
+
+      await request().get('/api/admin/campaigns?status=pending').set('x-auth-token', reviewer.token).expect(200);
+      await request().put(`/api/admin/campaigns/${campaign.id}/approve`).set('x-auth-token', reviewer.token).expect(200);
+      const row = await fixtures.get('SELECT status, approved_by FROM campaigns WHERE id = ?', [campaign.id]);
+      assert.deepEqual({ ...row }, { status: 'approved', approved_by: reviewer.id });
+
+      await request().delete(`/api/admin/campaigns/${campaign.id}/delete`).set('x-auth-token', reviewer.token).expect(403);
+      await request().put(`/api/campaigns/${campaign.id}`).set('x-auth-token', reviewer.token).send(campaignUpdate()).expect(403);
+      await request().get('/api/admin/users').set('x-auth-token', reviewer.token).expect(403);
+      await request().get('/api/admin/settings').set('x-auth-token', reviewer.token).expect(403);
+    });
+
+    it('gives auditors read-only access to everything', async () => {
+      const auditor = await fixtures.createUser({ role: 'auditor' });
+      const donor = await fixtures.createUser();
+      const campaign = await fixtures.createCampaign({ creator: fundraiser, status: 'pending' });
+      await fixtures.createDonation({ campaign, donor });
+
+      for (const path of ['/api/admin/stats', '/api/admin/campaigns', '/api/admin/users', '/api/admin/settings', '/api/donations']) {
+        await request().get(path).set('x-auth-token', auditor.token).expect(200);
+      }
+      const donations = await request().get(`/api/donations/user/${donor.id}`).set('x-auth-token', auditor.token).expect(200);
+      assert.equal(donations.body.length, 1);
+      await request().get(`/api/campaigns/${campaign.id}/members`).set('x-auth-token', auditor.token).expect(200);
+
+      await request().put(`/api/admin/campaigns/${campaign.id}/approve`).set('x-auth-token', auditor.token).expect(403);
+      await request().put(`/api/campaigns/${campaign.id}/status`).set('x-auth-token', auditor.token).send({ status: 'approved' }).expect(403);
+      await request().put(`/api/campaigns/${campaign.id}`).set('x-auth-token', auditor.token).send(campaignUpdate()).expect(403);
+      await request().put('/api/admin/settings').set('x-auth-token', auditor.token).send({ twoFactorRequiredRoles: [] }).expect(403);
+      await request().put(`/api/admin/users/${donor.id}/role`).set('x-auth-token', auditor.token).send({ role: 'auditor' }).expect(403);
+    });
+
+    it('lets admins assign platform roles, signing the user out', async () => {
+      const user = await fixtures.createUser();
+
+      await request().put(`/api/admin/users/${user.id}/role`).set('x-auth-token', admin.token).send({ role: 'superuser' }).expect(400);
+      await request().put(`/api/admin/users/${admin.id}/role`).set('x-auth-token', admin.token).send({ role: 'donor' }).expect(400);
+      await request().put('/api/admin/users/99999/role').set('x-auth-token', admin.token).send({ role: 'reviewer' }).expect(404);
+
+      const res = await request()
+        .put(`/api/admin/users/${user.id}/role`)
+        .set('x-auth-token', admin.token)
+        .send({ role: 'reviewer' })
+        .expect(200);
+      assert.deepEqual(res.body.user, { id: user.id, role: 'reviewer' });
+      await request().get('/api/auth/me').set('x-auth-token', user.token).expect(401);
+
+      const { body } = await request().post('/api/auth/login').send({ email: user.email, password: user.password }).expect(200);
+      await request().get('/api/admin/stats').set('x-auth-token', body.token).expect(200);
+    });
+  });
+
+  describe('campaign roles', () => {
+    const addMember = (campaign, as, attrs) => request()
+      .post(`/api/campaigns/${campaign.id}/members`)
+      .set('x-auth-token', as.token)
+      .send(attrs);
+
+    it('lets the owner share a campaign with co-owners and moderators', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      const coOwner = await fixtures.createUser({ role: 'fundraiser' });
+      const moderator = await fixtures.createUser();
+
+      await addMember(campaign, coOwner, { userId: coOwner.id, role: 'co_owner' }).expect(403);
+      await addMember(campaign, fundraiser, { userId: coOwner.id, role: 'owner' }).expect(400);
+      await addMember(campaign, fundraiser, { userId: fundraiser.id, role: 'co_owner' }).expect(400);
+      await addMember(campaign, fundraiser, { userId: 99999, role: 'co_owner' }).expect(404);
+      await addMember(campaign, fundraiser, { userId: coOwner.id, role: 'co_owner' }).expect(200);
+      const res = await addMember(campaign, fundraiser, { userId: moderator.id, role: 'moderator' }).expect(200);
+      assert.deepEqual(res.body.members.map((m) => [m.user_id, m.role]), [[coOwner.id, 'co_owner'], [moderator.id, 'moderator']]);
+
+      // Co-owners run the campaign with the owner...
+      await request().put(`/api/campaigns/${campaign.id}`).set('x-auth-token', coOwner.token).send(campaignUpdate()).expect(200);
+      await request()
+        .post('/api/fund-usage-plans')
+        .set('x-auth-token', coOwner.token)
+        .send({ campaignId: campaign.id, category: 'equipment', amount: 2, description: 'Laptops' })
+        .expect(200);
+      const dashboard = await request().get('/api/campaigns/my-campaigns').set('x-auth-token', coOwner.token).expect(200);
+      assert.deepEqual(dashboard.body.map((c) => c.id), [campaign.id]);
+
+      // ...but can't delete it or hand out roles
+      await request().delete(`/api/campaigns/${campaign.id}/delete`).set('x-auth-token', coOwner.token).expect(403);
+      await addMember(campaign, coOwner, { userId: moderator.id, role: 'co_owner' }).expect(403);
+
+      // Moderators only see who is on the team
+      await request().get(`/api/campaigns/${campaign.id}/members`).set('x-auth-token', moderator.token).expect(200);
+      await request().put(`/api/campaigns/${campaign.id}`).set('x-auth-token', moderator.token).send(campaignUpdate()).expect(403);
+
+      await request()
+        .delete(`/api/campaigns/${campaign.id}/members/${coOwner.id}`)
+        .set('x-auth-token', fundraiser.token)
+        .expect(200);
+      await request().put(`/api/campaigns/${campaign.id}`).set('x-auth-token', coOwner.token).send(campaignUpdate()).expect(403);
+      await request()
+        .delete(`/api/campaigns/${campaign.id}/members/${coOwner.id}`)
+        .set('x-auth-token', fundraiser.token)
+        .expect(404);
+    });
+
+    it('removes the members along with the campaign', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      const moderator = await fixtures.createUser();
+      await addMember(campaign, fundraiser, { userId: moderator.id, role: 'moderator' }).expect(200);
+
+      await request().delete(`/api/campaigns/${campaign.id}/delete`).set('x-auth-token', fundraiser.token).expect(200);
+      assert.equal(await fixtures.get('SELECT * FROM campaign_members WHERE campaign_id = ?', [campaign.id]), undefined);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocket = require('ws');
+const { startTestApp } = require('../helpers/app');
+const { getBlockchain } = require('../../utils/contract');
+
+describe('real-time events', () => {
+  let ctx;
+  let request;
+  let fixtures;
+  let server;
+  let wsServer;
+  let url;
+  const sockets = [];
+
+  before(async () => {
+    ctx = await startTestApp({ chain: true });
+    request = ctx.request;
+    fixtures = ctx.fixtures;
+
+    const WebSocketServer = require('../../utils/websocket');
+    server = http.createServer(ctx.app);
+    wsServer = new WebSocketServer(server, { heartbeatInterval: 100, authTimeout: 300 });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    for (const ws of sockets) ws.terminate();
+    await wsServer.close();
+    await new Promise((resolve) => server.close(resolve));
+    await ctx.close();
+  });
+
+  // A client that buffers what the server sends, so tests can wait for messages in order
+  async function connect(token, { viaMessage = false } = {}) {
+    const ws = new WebSocket(token && !viaMessage ? `${url}/?token=${encodeURIComponent(token)}` : url);
+    sockets.push(ws);
+    const received = [];
+    const waiting = [];
+    ws.on('message', (raw) => {
+      received.push(JSON.parse(raw));
+      while (waiting.length && received.length) waiting.shift()(received.shift());
+    });
+    const closed = new Promise((resolve) => ws.on('close', (code) => resolve(code)));
+    await new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    });
+
+    const client = {
+      ws,
+      closed,
+      send: (message) => ws.send(JSON.stringify(message)),
+      next: () => (received.length ? Promise.resolve(received.shift()) : new Promise((resolve) => waiting.push(resolve))),
+      // Everything sent before a ping/pong round trip, i.e. before now
+      async drain() {
+        client.send({ type: 'ping' });
+        const messages = [];
+        for (let message = await client.next(); message.type !== 'pong'; message = await client.next()) {
+          messages.push(message);
+        }
+        return messages;
+      },
+      async subscribe(topic) {
+        client.send({ type: 'subscribe', topic });
+        return client.next();
+      }
+    };
+    if (token && viaMessage) client.send({ type: 'auth', token });
+    if (token) assert.equal((await client.next()).type, 'auth_success');
+    return client;
+  }
+
+  const events = (messages) => messages.filter((m) => m.type === 'event').map((m) => [m.topic, m.event]);
+
+  describe('authentication', () => {
+    it('accepts the access token in the URL or in a first message', async () => {
+      const user = await fixtures.createUser();
+
+      const byUrl = await connect(user.token);
+      assert.deepEqual(await byUrl.drain(), []);
+
+      const byMessage = new WebSocket(url);
+      sockets.push(byMessage);
+      await new Promise((resolve) => byMessage.once('open', resolve));
+      byMessage.send(JSON.stringify({ type: 'auth', token: user.token }));
+      const [reply] = await new Promise((resolve) => byMessage.once('message', (raw) => resolve([JSON.parse(raw)])));
+      assert.deepEqual(reply, { type: 'auth_success', user: { id: user.id, role: 'donor' }, topics: [`user:${user.id}`] });
+    });
+
+    it('closes connections with a bad token or that never authenticate', async () => {
+      const bad = await connect();
+      bad.send({ type: 'auth', token: 'not-a-token' });
+      assert.equal((await bad.next()).message, 'Token is not valid');
+      assert.equal(await bad.closed, 4401);
+
+      const silent = await connect();
+      silent.send({ type: 'subscribe', topic: 'admin' });
+      assert.equal((await silent.next()).message, 'Authenticate first');
+      assert.equal(await silent.closed, 4401);
+    });
+
+    it('closes the connection once its session ends', async () => {
+      const user = await fixtures.createUser();
+      const client = await connect(user.token);
+
+      await request().post('/api/auth/logout').set('x-auth-token', user.token).expect(200);
+      assert.deepEqual(await client.next(), { type: 'error', message: 'Session ended' });
+      assert.equal(await client.closed, 4403);
+    });
+  });
+
+  describe('topics', () => {
+    it('only lets users follow topics they may see', async () => {
+      const donor = await fixtures.createUser();
+      const other = await fixtures.createUser();
+      const reviewer = await fixtures.createUser({ role: 'reviewer' });
+      const campaign = await fixtures.createCampaign();
+
+      const client = await connect(donor.token, { viaMessage: true });
+      assert.deepEqual(await client.subscribe(`campaign:${campaign.id}`), { type: 'subscribed', topic: `campaign:${campaign.id}` });
+      for (const topic of [`user:${other.id}`, 'admin', 'campaign:999999', 'everything']) {
+        assert.deepEqual(await client.subscribe(topic), { type: 'error', topic, message: 'Not authorized for this topic' });
+      }
+      client.send({ type: 'unsubscribe', topic: `campaign:${campaign.id}` });
+      assert.equal((await client.next()).type, 'unsubscribed');
+
+      const staff = await connect(reviewer.token);
+      assert.equal((await staff.subscribe('admin')).type, 'subscribed');
+    });
+  });
+
+  describe('events', () => {
+    it('sends a donation to every connection of the donor and to the campaign\'s followers', async () => {
+      const { contract } = getBlockchain();
+      const donor = await fixtures.createUser({ wallet_address: ctx.chain.accounts[2].address });
+      const follower = await fixtures.createUser();
+      const campaign = await fixtures.createCampaign(await ctx.chain.createCampaign(contract));
+      const transactionHash = await ctx.chain.donate(contract, campaign.blockchain_campaign_id, '1.5', donor.wallet_address);
+
+      const [laptop, phone, watcher] = [await connect(donor.token), await connect(donor.token), await connect(follower.token)];
+      await watcher.subscribe(`campaign:${campaign.id}`);
+
+      const res = await request()
+        .post('/api/donations/blockchain')
+        .set('x-auth-token', donor.token)
+        .send({ campaignId: campaign.id, amount: '1.5', transactionHash, donorAddress: donor.wallet_address })
+        .expect(200);
+
+      for (const client of [laptop, phone]) {
+        const [message] = await client.drain();
+        assert.equal(message.topic, `user:${donor.id}`);
+        assert.equal(message.event, 'donation');
+        assert.equal(message.data.id, res.body.donation.id);
+        assert.equal(message.data.amount, 1.5);
+      }
+      const [message] = await watcher.drain();
+      assert.deepEqual([message.topic, message.event, message.data.campaignId], [`campaign:${campaign.id}`, 'donation', campaign.id]);
+    });
+
+    it('sends status changes, votes and withdrawals to the campaign, its creator and staff', async () => {
+      const admin = await fixtures.createUser({ role: 'admin' });
+      const creator = await fixtures.createUser({ role: 'fundraiser' });
+      const reviewer = await fixtures.createUser({ role: 'reviewer' });
+      const [alice, bob] = [await fixtures.createUser(), await fixtures.createUser()];
+      const campaign = await fixtures.createCampaign({ creator, status: 'pending' });
+
+      const owner = await connect(creator.token);
+      const staff = await connect(reviewer.token);
+      await staff.subscribe('admin');
+      const donor = await connect(alice.token);
+      await donor.subscribe(`campaign:${campaign.id}`);
+
+      await request().put(`/api/admin/campaigns/${campaign.id}/reject`).set('x-auth-token', admin.token).send({ reason: 'Blurry photo' }).expect(200);
+      const ownerMessages = await owner.drain();
+      assert.deepEqual(events(ownerMessages), [[`user:${creator.id}`, 'campaign_status'], [`user:${creator.id}`, 'notification']]);
+      assert.equal(ownerMessages[0].data.status, 'rejected');
+      assert.equal(ownerMessages[1].data.type, 'campaign_rejected');
+      assert.deepEqual(events(await staff.drain()), [['admin', 'campaign_status']]);
+      assert.deepEqual(events(await donor.drain()), [[`campaign:${campaign.id}`, 'campaign_status']]);
+
+      await fixtures.run("UPDATE campaigns SET status = 'active' WHERE id = ?", [campaign.id]);
+      for (const user of [alice, bob]) {
+        await fixtures.createDonation({ campaign, donor: user, amount: 1 });
+      }
+      const usage = await fixtures.createUsageRequest({ campaign });
+      await request().post(`/api/usage-requests/${usage.id}/vote`).set('x-auth-token', bob.token).send({ vote: true }).expect(200);
+      const [vote] = await donor.drain();
+      assert.equal(vote.event, 'vote');
+      assert.equal(vote.data.usageRequestId, usage.id);
+      assert.equal(vote.data.approve_count, 1);
+      assert.equal(vote.data.voter, undefined);
+
+      await request()
+        .post('/api/withdrawal-requests')
+        .set('x-auth-token', creator.token)
+        .send({ campaignId: campaign.id, requestId: 0, amount: 1, usageDetails: 'Printing' })
+        .expect(200);
+      const [withdrawal] = await donor.drain();
+      assert.equal(withdrawal.event, 'withdrawal');
+      assert.deepEqual([withdrawal.data.stage, withdrawal.data.requestId, withdrawal.data.usageDetails], ['requested', 0, 'Printing']);
+      assert.deepEqual(events(await staff.drain()), [['admin', 'withdrawal']]);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+
+describe('role change requests', () => {
+  let ctx;
+  let request;
+  let fixtures;
+  let admin;
+
+  before(async () => {
+    ctx = await startTestApp();
+    request = ctx.request;
+    fixtures = ctx.fixtures;
+    admin = await fixtures.createUser({ role: 'admin' });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  const application = {
+    role: 'fundraiser',
+    legalName: 'Alice Example',
+    dateOfBirth: '1990-04-01',
+    phone: '+44 20 7946 0000',
+    address: '1 Example Street, London',
+    idDocumentType: 'passport',
+    idDocumentNumber: 'X1234567',
+    motivation: 'Raising money for my daughter\'s surgery'
+  };
+
+  const apply = (user, attrs = {}) => request()
+    .post('/api/role-requests')
+    .set('x-auth-token', user.token)
+    .send({ ...application, ...attrs });
+
+  const notificationsOf = (user) => fixtures.all('SELECT type, message FROM notifications WHERE user_id = ?', [user.id]);
+
+  it('no longer lets users change their own role', async () => {
+    const user = await fixtures.createUser();
+    await request().post('/api/auth/update-role').set('x-auth-token', user.token).send({ role: 'fundraiser' }).expect(410);
+    assert.equal((await fixtures.get('SELECT role FROM users WHERE id = ?', [user.id])).role, 'donor');
+  });
+
+  describe('POST /api/role-requests', () => {
+    it('takes one pending application at a time from donors', async () => {
+      const user = await fixtures.createUser();
+
+      const res = await apply(user).expect(201);
+      assert.equal(res.body.request.status, 'pending');
+      assert.equal(res.body.request.legal_name, 'Alice Example');
+
+      await apply(user).expect(400);
+      const mine = await request().get('/api/role-requests/mine').set('x-auth-token', user.token).expect(200);
+      assert.deepEqual(mine.body.requests.map((r) => r.id), [res.body.request.id]);
+    });
+
+    it('validates the identity details', async () => {
+      const user = await fixtures.createUser();
+      const res = await apply(user, { role: 'admin', dateOfBirth: 'yesterday', idDocumentNumber: '' }).expect(400);
+      assert.deepEqual(res.body.errors.map((e) => e.path).sort(), ['dateOfBirth', 'idDocumentNumber', 'role']);
+
+      const fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+      const denied = await apply(fundraiser).expect(403);
+      assert.equal(denied.body.message, 'Only donor accounts can apply for a new role');
+      await apply(await fixtures.createUser({ role: 'admin' })).expect(403);
+      const unverified = await fixtures.createUser({ email_verified_at: null });
+      await apply(unverified).expect(403);
+    });
+
+    it('lets the applicant withdraw a pending request', async () => {
+      const user = await fixtures.createUser();
+      const { body } = await apply(user).expect(201);
+
+      await request().delete(`/api/role-requests/${body.request.id}`).set('x-auth-token', admin.token).expect(404);
+      await request().delete(`/api/role-requests/${body.request.id}`).set('x-auth-token', user.token).expect(200);
+      await request().delete(`/api/role-requests/${body.request.id}`).set('x-auth-token', user.token).expect(404);
+
+      // ...and apply again
+      await apply(user).expect(201);
+    });
+  });
+
+  describe('admin queue', () => {
+    it('approves a request, granting the role and notifying the applicant', async () => {
+      const user = await fixtures.createUser();
+      const { body } = await apply(user).expect(201);
+
+      const queue = await request().get('/api/admin/role-requests?status=pending').set('x-auth-token', admin.token).expect(200);
+      assert.ok(queue.body.requests.some((r) => r.id === body.request.id && r.user_role === 'donor'));
+      await request().get('/api/admin/role-requests').set('x-auth-token', user.token).expect(403);
+      await request().put(`/api/admin/role-requests/${body.request.id}/approve`).set('x-auth-token', user.token).expect(403);
+
+      const res = await request()
+        .put(`/api/admin/role-requests/${body.request.id}/approve`)
+        .set('x-auth-token', admin.token)
+        .expect(200);
+      assert.equal(res.body.request.status, 'approved');
+      assert.equal(res.body.request.reviewed_by, admin.id);
+      await request().put(`/api/admin/role-requests/${body.request.id}/reject`).set('x-auth-token', admin.token).send({ reason: 'Too late' }).expect(400);
+
+      // The role change signs the user out; their next session has the new role
+      await request().get('/api/auth/me').set('x-auth-token', user.token).expect(401);
+      const login = await request().post('/api/auth/login').send({ email: user.email, password: user.password }).expect(200);
+      assert.equal(login.body.user.role, 'fundraiser');
+      assert.deepEqual((await notificationsOf(user)).map((n) => n.type), ['role_request_approved']);
+
+      const detail = await request().get(`/api/admin/role-requests/${body.request.id}`).set('x-auth-token', admin.token).expect(200);
+      assert.equal(detail.body.request.id_document_number, 'X1234567');
+      assert.deepEqual(detail.body.history.map((e) => [e.action, e.actor_id]), [['submitted', user.id], ['approved', admin.id]]);
+    });
+
+    it('rejects a request as stale once the applicant has another role', async () => {
+      const user = await fixtures.createUser();
+      const { body } = await apply(user).expect(201);
+      // Made a reviewer in the meantime
+      await fixtures.run("UPDATE users SET role = 'reviewer' WHERE id = ?", [user.id]);
+
+      const res = await request()
+        .put(`/api/admin/role-requests/${body.request.id}/approve`)
+        .set('x-auth-token', admin.token)
+        .expect(409);
+      assert.equal(res.body.request.status, 'rejected');
+      assert.equal((await fixtures.get('SELECT role FROM users WHERE id = ?', [user.id])).role, 'reviewer');
+      assert.deepEqual((await notificationsOf(user)).map((n) => n.type), ['role_request_rejected']);
+    });
+
+    it('rejects a request with a reason the applicant is told', async () => {
+      const user = await fixtures.createUser();
+      const { body } = await apply(user).expect(201);
+
+      await request().put(`/api/admin/role-requests/${body.request.id}/reject`).set('x-auth-token', admin.token).expect(400);
+      const res = await request()
+        .put(`/api/admin/role-requests/${body.request.id}/reject`)
+        .set('x-auth-token', admin.token)
+        .send({ reason: 'The ID document has expired' })
+        .expect(200);
+      assert.equal(res.body.request.review_note, 'The ID document has expired');
+
+      assert.equal((await fixtures.get('SELECT role FROM users WHERE id = ?', [user.id])).role, 'donor');
+      const [notification] = await notificationsOf(user);
+      assert.equal(notification.type, 'role_request_rejected');
+      assert.match(notification.message, /The ID document has expired/);
+
+      const detail = await request().get(`/api/admin/role-requests/${body.request.id}`).set('x-auth-token', admin.token).expect(200);
+      assert.deepEqual(detail.body.history.map((e) => [e.action, e.note]), [['submitted', null], ['rejected', 'The ID document has expired']]);
+    });
+
+    it('lets auditors see the queue but not decide', async () => {
+      const auditor = await fixtures.createUser({ role: 'auditor' });
+      const user = await fixtures.createUser();
+      const { body } = await apply(user).expect(201);
+
+      await request().get('/api/admin/role-requests').set('x-auth-token', auditor.token).expect(200);
+      await request().get(`/api/admin/role-requests/${body.request.id}`).set('x-auth-token', auditor.token).expect(200);
+      await request().put(`/api/admin/role-requests/${body.request.id}/approve`).set('x-auth-token', auditor.token).expect(403);
+      await request().get('/api/admin/role-requests/99999').set('x-auth-token', admin.token).expect(404);
+    });
+  });
+});
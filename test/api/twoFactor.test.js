@@ -0,0 +1,236 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+const totp = require('../../utils/totp');
+
+describe('two-factor authentication', () => {
+  let ctx;
+  let request;
+  let fixtures;
+
+  before(async () => {
+    ctx = await startTestApp();
+    request = ctx.request;
+    fixtures = ctx.fixtures;
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  // Codes can only be used once per step, so tests that need several take the next steps
+  const codeFor = (secret, offset = 0) => totp.generateCode(secret, totp.stepAt() + offset);
+
+  const login = (user) => request()
+    .post('/api/auth/login')
+    .send({ email: user.email, password: user.password })
+    .expect(200);
+
+  describe('enrollment', () => {
+    it('enrolls with a code from the authenticator app and returns recovery codes', async () => {
+      const user = await fixtures.createUser({ role: 'fundraiser' });
+      const other = (await login(user)).body;
+
+      const setup = await request().post('/api/auth/2fa/setup').set('x-auth-token', user.token).expect(200);
+      assert.match(setup.body.otpauthUrl, /^otpauth:\/\/totp\/Crowdfunding/);
+      assert.match(setup.body.qrCode, /^data:image\/png;base64,/);
+
+      await request()
+        .post('/api/auth/2fa/enable')
+        .set('x-auth-token', user.token)
+        .send({ code: '000000' })
+        .expect(400);
+
+      const res = await request()
+        .post('/api/auth/2fa/enable')
+        .set('x-auth-token', user.token)
+        .send({ code: codeFor(setup.body.secret) })
+        .expect(200);
+      assert.equal(res.body.recoveryCodes.length, 10);
+
+      // Sessions opened with the password alone are signed out
+      await request().get('/api/auth/me').set('x-auth-token', other.token).expect(401);
+      const status = await request().get('/api/auth/2fa').set('x-auth-token', user.token).expect(200);
+      assert.deepEqual(status.body, { enabled: true, required: false, recoveryCodesLeft: 10 });
+
+      await request().post('/api/auth/2fa/setup').set('x-auth-token', user.token).expect(400);
+    });
+  });
+
+  describe('POST /api/auth/login/2fa', () => {
+    it('asks for a second factor and accepts each code once', async () => {
+      const user = await fixtures.createUser({ role: 'admin' });
+      const secret = await fixtures.enableTwoFactor(user);
+
+      const first = await login(user);
+      assert.equal(first.body.twoFactorRequired, true);
+      assert.equal(first.body.token, undefined);
+
+      const code = codeFor(secret);
+      const res = await request()
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: first.body.challengeToken, code })
+        .expect(200);
+      assert.ok(res.body.refreshToken);
+      assert.equal(res.body.user.id, user.id);
+      await request().get('/api/auth/me').set('x-auth-token', res.body.token).expect(200);
+
+      const replay = await request()
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: first.body.challengeToken, code })
+        .expect(401);
+      assert.equal(replay.body.msg, 'Invalid authentication code');
+    });
+
+    it('accepts each recovery code once', async () => {
+      const user = await fixtures.createUser({ role: 'fundraiser' });
+      const secret = await fixtures.enableTwoFactor(user);
+      const { body } = await request()
+        .post('/api/auth/2fa/recovery-codes')
+        .set('x-auth-token', user.token)
+        .send({ code: codeFor(secret) })
+        .expect(200);
+      const [recoveryCode] = body.recoveryCodes;
+
+      const { challengeToken } = (await login(user)).body;
+      const res = await request()
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, recoveryCode: recoveryCode.toUpperCase() })
+        .expect(200);
+      assert.equal(res.body.recoveryCodesLeft, 9);
+
+      await request().post('/api/auth/login/2fa').send({ challengeToken, recoveryCode }).expect(401);
+    });
+
+    it('locks out after repeated wrong codes', async () => {
+      const user = await fixtures.createUser({ role: 'admin' });
+      const secret = await fixtures.enableTwoFactor(user);
+      const { challengeToken } = (await login(user)).body;
+
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await request().post('/api/auth/login/2fa').send({ challengeToken, code: '000000' }).expect(401);
+      }
+      const locked = await request()
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, code: codeFor(secret) })
+        .expect(429);
+      assert.match(locked.body.msg, /Too many incorrect codes/);
+    });
+
+    it('rejects challenges that are forged or outlived a password change', async () => {
+      const user = await fixtures.createUser();
+      const secret = await fixtures.enableTwoFactor(user);
+      const { challengeToken } = (await login(user)).body;
+
+      await request().post('/api/auth/login/2fa').send({ challengeToken: user.token, code: codeFor(secret) }).expect(401);
+      await request().post('/api/auth/login/2fa').send({ challengeToken }).expect(400);
+
+      await fixtures.run("UPDATE users SET password = 'changed' WHERE id = ?", [user.id]);
+      await request().post('/api/auth/login/2fa').send({ challengeToken, code: codeFor(secret) }).expect(401);
+    });
+  });
+
+  describe('POST /api/auth/2fa/disable', () => {
+    it('turns 2FA off with a valid code', async () => {
+      const user = await fixtures.createUser();
+      const secret = await fixtures.enableTwoFactor(user);
+
+      await request().post('/api/auth/2fa/disable').set('x-auth-token', user.token).send({ code: '000000' }).expect(401);
+      await request()
+        .post('/api/auth/2fa/disable')
+        .set('x-auth-token', user.token)
+        .send({ code: codeFor(secret) })
+        .expect(200);
+
+      const res = await login(user);
+      assert.ok(res.body.token);
+    });
+  });
+
+  describe('mandatory 2FA', () => {
+    it('lets admins require 2FA for roles', async () => {
+      const admin = await fixtures.createUser({ role: 'admin' });
+      const donor = await fixtures.createUser();
+
+      await request().put('/api/admin/settings').set('x-auth-token', donor.token).send({ twoFactorRequiredRoles: [] }).expect(403);
+      await request()
+        .put('/api/admin/settings')
+        .set('x-auth-token', admin.token)
+        .send({ twoFactorRequiredRoles: ['donor'] })
+        .expect(400);
+
+      const res = await request()
+        .put('/api/admin/settings')
+        .set('x-auth-token', admin.token)
+        .send({ twoFactorRequiredRoles: ['fundraiser'] })
+        .expect(200);
+      assert.deepEqual(res.body.settings.twoFactorRequiredRoles, ['fundraiser']);
+
+      // Fundraisers without 2FA can only set it up
+      const fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+      const blocked = await request().get('/api/campaigns/my-campaigns').set('x-auth-token', fundraiser.token).expect(403);
+      assert.equal(blocked.body.code, 'TWO_FACTOR_SETUP_REQUIRED');
+      const me = await request().get('/api/auth/me').set('x-auth-token', fundraiser.token).expect(200);
+      assert.equal(me.body.twoFactorSetupRequired, true);
+
+      const setup = await request().post('/api/auth/2fa/setup').set('x-auth-token', fundraiser.token).expect(200);
+      await request()
+        .post('/api/auth/2fa/enable')
+        .set('x-auth-token', fundraiser.token)
+        .send({ code: codeFor(setup.body.secret) })
+        .expect(200);
+      await request().get('/api/campaigns/my-campaigns').set('x-auth-token', fundraiser.token).expect(200);
+
+      // ...and can't turn it off again
+      const disable = await request()
+        .post('/api/auth/2fa/disable')
+        .set('x-auth-token', fundraiser.token)
+        .send({ code: codeFor(setup.body.secret, 1) })
+        .expect(403);
+      assert.equal(disable.body.msg, 'Two-factor authentication is required for your role');
+
+      // Other roles are unaffected
+      await request().get('/api/admin/settings').set('x-auth-token', admin.token).expect(200);
+      await request().put('/api/admin/settings').set('x-auth-token', admin.token).send({ twoFactorRequiredRoles: [] }).expect(200);
+    });
+
+    it('requires it of anyone who creates campaigns or runs their funds when fundraisers need it', async () => {
+      const admin = await fixtures.createUser({ role: 'admin' });
+      await request().put('/api/admin/settings').set('x-auth-token', admin.token).send({ twoFactorRequiredRoles: ['fundraiser'] }).expect(200);
+
+      try {
+        const fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+        const created = await request()
+          .post('/api/campaigns/json')
+          .set('x-auth-token', fundraiser.token)
+          .send({ title: 'Well', description: 'Clean water', goal: 1, deadline: '2999-01-01T00:00:00Z', walletAddress: fundraiser.wallet_address })
+          .expect(403);
+        assert.equal(created.body.code, 'TWO_FACTOR_SETUP_REQUIRED');
+
+        // A former fundraiser who still owns a campaign, and a donor it was shared with
+        const owner = await fixtures.createUser();
+        const coOwner = await fixtures.createUser();
+        const campaign = await fixtures.createCampaign({ creator: owner });
+        await fixtures.run(
+          "INSERT INTO campaign_members (campaign_id, user_id, role, added_by) VALUES (?, ?, 'co_owner', ?)",
+          [campaign.id, coOwner.id, owner.id]
+        );
+        for (const user of [owner, coOwner]) {
+          const res = await request()
+            .post('/api/usage-requests')
+            .set('x-auth-token', user.token)
+            .send({ campaignId: campaign.id, title: 'Pump', requestedAmount: 0.1, category: 'supplies' })
+            .expect(403);
+          assert.equal(res.body.code, 'TWO_FACTOR_SETUP_REQUIRED');
+          assert.equal((await request().get('/api/auth/2fa').set('x-auth-token', user.token).expect(200)).body.required, true);
+        }
+
+        // Donors who only donate are unaffected
+        const donor = await fixtures.createUser();
+        await request().get('/api/notifications').set('x-auth-token', donor.token).expect(200);
+      } finally {
+        await request().put('/api/admin/settings').set('x-auth-token', admin.token).send({ twoFactorRequiredRoles: [] }).expect(200);
+      }
+    });
+  });
+});
@@ -0,0 +1,240 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+
+describe('usage request routes', () => {
+  let ctx;
+  let request;
+  let fixtures;
+  let fundraiser;
+
+  before(async () => {
+    ctx = await startTestApp();
+    request = ctx.request;
+    fixtures = ctx.fixtures;
+    fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  describe('POST /api/usage-requests', () => {
+    it('lets the owner request part of the raised funds', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      await fixtures.createDonation({ campaign, donor: await fixtures.createUser(), amount: 4 });
+
+      const res = await request()
+        .post('/api/usage-requests')
+        .set('x-auth-token', fundraiser.token)
+        .send({ campaignId: campaign.id, title: 'Desks', requestedAmount: 3, category: 'supplies' })
+        .expect(200);
+
+      assert.equal(res.body.request.status, 'PENDING');
+      assert.equal(res.body.request.requested_amount, 3);
+    });
+
+    it('refuses requests above the remaining balance', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      await fixtures.createDonation({ campaign, donor: await fixtures.createUser(), amount: 2 });
+      await fixtures.createUsageRequest({ campaign, requested_amount: 1.5 });
+
+      const res = await request()
+        .post('/api/usage-requests')
+        .set('x-auth-token', fundraiser.token)
+        .send({ campaignId: campaign.id, title: 'Chairs', requestedAmount: 1, category: 'supplies' })
+        .expect(400);
+
+      assert.equal(res.body.remainingBalance, 0.5);
+    });
+
+    it('is limited to the campaign owner', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      const stranger = await fixtures.createUser({ role: 'fundraiser' });
+
+      await request()
+        .post('/api/usage-requests')
+        .set('x-auth-token', stranger.token)
+        .send({ campaignId: campaign.id, title: 'Desks', requestedAmount: 1, category: 'supplies' })
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/usage-requests/:id/vote', () => {
+    it('approves a request once most donors agree', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      const [alice, bob, carol] = [await fixtures.createUser(), await fixtures.createUser(), await fixtures.createUser()];
+      for (const donor of [alice, bob, carol]) {
+        await fixtures.createDonation({ campaign, donor, amount: 1 });
+      }
+      const usage = await fixtures.createUsageRequest({ campaign });
+
+      const vote = (donor) => request()
+        .post(`/api/usage-requests/${usage.id}/vote`)
+        .set('x-auth-token', donor.token)
+        .send({ vote: true })
+        .expect(200);
+
+      assert.equal((await vote(alice)).body.request.status, 'PENDING');
+      const res = await vote(bob);
+      assert.equal(res.body.request.status, 'APPROVED');
+      assert.equal(res.body.request.approvals.approve_count, 2);
+      assert.equal(res.body.request.user_vote, true);
+    });
+
+    it('only accepts votes from the campaign\'s donors', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      const usage = await fixtures.createUsageRequest({ campaign });
+      const outsider = await fixtures.createUser();
+
+      await request()
+        .post(`/api/usage-requests/${usage.id}/vote`)
+        .set('x-auth-token', outsider.token)
+        .send({ vote: true })
+        .expect(403);
+    });
+
+    it('requires a verified email', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      const usage = await fixtures.createUsageRequest({ campaign });
+      const donor = await fixtures.createUser({ email_verified_at: null });
+      await fixtures.createDonation({ campaign, donor, amount: 3 });
+
+      const res = await request()
+        .post(`/api/usage-requests/${usage.id}/vote`)
+        .set('x-auth-token', donor.token)
+        .send({ vote: true })
+        .expect(403);
+      assert.equal(res.body.code, 'EMAIL_NOT_VERIFIED');
+    });
+
+    it('ignores donations from wallets the voter has not verified', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      const usage = await fixtures.createUsageRequest({ campaign });
+      const claimant = await fixtures.createUser({ wallet_verified_at: null });
+      await fixtures.createDonation({ campaign, donor: claimant, amount: 3 });
+
+      await request()
+        .post(`/api/usage-requests/${usage.id}/vote`)
+        .set('x-auth-token', claimant.token)
+        .send({ vote: true })
+        .expect(403);
+    });
+
+    it('gives pending and rejected claims no weight', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      const usage = await fixtures.createUsageRequest({ campaign });
+      const donor = await fixtures.createUser();
+      await fixtures.createDonation({ campaign, donor, amount: 1 });
+      // Found by the chain indexer and confirmed, or reorged away
+      await fixtures.createDonation({ campaign, donor, amount: 2, verification_status: null, confirmation_status: 'confirmed' });
+      await fixtures.createDonation({ campaign, donor, amount: 4, verification_status: null, confirmation_status: 'orphaned' });
+      await fixtures.createDonation({ campaign, donor, amount: 8, verification_status: 'pending_verification' });
+      await fixtures.createDonation({ campaign, donor, amount: 16, verification_status: 'rejected' });
+      await fixtures.createDonation({ campaign, donor, amount: 32, donor_address: null });
+
+      const claimant = await fixtures.createUser();
+      await fixtures.createDonation({ campaign, donor: claimant, amount: 5, verification_status: 'pending_verification' });
+      await fixtures.createDonation({ campaign, donor: claimant, amount: 5, verification_status: 'rejected' });
+      await fixtures.createDonation({ campaign, donor: claimant, amount: 5, donor_address: null });
+
+      const vote = (user) => request()
+        .post(`/api/usage-requests/${usage.id}/vote`)
+        .set('x-auth-token', user.token)
+        .send({ vote: true });
+
+      await vote(donor).expect(200);
+      const { donated_amount: weight } = await fixtures.get(
+        'SELECT donated_amount FROM usage_votes WHERE usage_request_id = ? AND donor_id = ?',
+        [usage.id, donor.id]
+      );
+      assert.equal(weight, 3);
+      await vote(claimant).expect(403);
+    });
+
+    it('counts the quorum over the same donors and donations as the votes', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      const usage = await fixtures.createUsageRequest({ campaign });
+      const donor = await fixtures.createUser();
+      await fixtures.createDonation({ campaign, donor, amount: 1 });
+      const claimants = [await fixtures.createUser(), await fixtures.createUser(), await fixtures.createUser()];
+      await fixtures.createDonation({ campaign, donor: claimants[0], amount: 5, verification_status: 'pending_verification' });
+      await fixtures.createDonation({ campaign, donor: claimants[1], amount: 5, verification_status: 'rejected' });
+      await fixtures.createDonation({ campaign, donor: claimants[2], amount: 5, donor_address: null });
+
+      const res = await request()
+        .post(`/api/usage-requests/${usage.id}/vote`)
+        .set('x-auth-token', donor.token)
+        .send({ vote: true })
+        .expect(200);
+
+      assert.equal(res.body.request.status, 'APPROVED');
+      assert.equal(res.body.request.approvals.total_donors, 1);
+      assert.equal(res.body.request.approvals.weighted_rate, 1);
+      // Only the donors the quorum counted are told about the approval
+      const notified = await fixtures.all(
+        "SELECT user_id FROM notifications WHERE type = 'usage_request_approved' AND campaign_id = ? AND user_id <> ?",
+        [campaign.id, fundraiser.id]
+      );
+      assert.deepEqual(notified.map((row) => row.user_id), [donor.id]);
+    });
+  });
+
+  describe('PATCH /api/usage-requests/:id/mark-spent', () => {
+    it('marks approved requests as spent', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      await fixtures.createDonation({ campaign, donor: await fixtures.createUser(), amount: 5 });
+      const usage = await fixtures.createUsageRequest({ campaign, requested_amount: 2, status: 'APPROVED' });
+
+      const res = await request()
+        .patch(`/api/usage-requests/${usage.id}/mark-spent`)
+        .set('x-auth-token', fundraiser.token)
+        .send({ actualAmount: 1.5, onchainTxHash: '0xfeed' })
+        .expect(200);
+
+      assert.equal(res.body.request.status, 'SPENT');
+      assert.equal(res.body.request.actual_amount, 1.5);
+    });
+
+    it('refuses pending requests and overspending', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      await fixtures.createDonation({ campaign, donor: await fixtures.createUser(), amount: 5 });
+      const pending = await fixtures.createUsageRequest({ campaign });
+      const approved = await fixtures.createUsageRequest({ campaign, requested_amount: 1, status: 'APPROVED' });
+
+      const markSpent = (usage, actualAmount) => request()
+        .patch(`/api/usage-requests/${usage.id}/mark-spent`)
+        .set('x-auth-token', fundraiser.token)
+        .send({ actualAmount, onchainTxHash: '0xfeed' });
+
+      await markSpent(pending, 1).expect(400);
+      const res = await markSpent(approved, 2).expect(400);
+      assert.equal(res.body.message, 'Actual amount cannot exceed the approved amount');
+    });
+  });
+
+  describe('GET /api/usage-requests/:campaignId', () => {
+    it('summarises the campaign\'s usage for the viewer', async () => {
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      const donor = await fixtures.createUser();
+      await fixtures.createDonation({ campaign, donor, amount: 4 });
+      await fixtures.createUsageRequest({ campaign, requested_amount: 1, status: 'APPROVED' });
+      await fixtures.createUsageRequest({ campaign, requested_amount: 2, actual_amount: 2, status: 'SPENT' });
+
+      const res = await request()
+        .get(`/api/usage-requests/${campaign.id}`)
+        .set('x-auth-token', donor.token)
+        .expect(200);
+
+      assert.equal(res.body.requests.length, 2);
+      assert.equal(res.body.summary.totalSpent, 2);
+      assert.equal(res.body.summary.remainingBalance, 1);
+      assert.equal(res.body.viewer.is_donor, true);
+      assert.equal(res.body.viewer.is_owner, false);
+    });
+
+    it('returns 404 for unknown campaigns', async () => {
+      await request().get('/api/usage-requests/99999').expect(404);
+    });
+  });
+});
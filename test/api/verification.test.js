@@ -0,0 +1,176 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startTestApp } = require('../helpers/app');
+
+describe('fundraiser verification', () => {
+  let ctx;
+  let request;
+  let fixtures;
+  let reviewer;
+  let auditor;
+
+  before(async () => {
+    ctx = await startTestApp();
+    request = ctx.request;
+    fixtures = ctx.fixtures;
+    reviewer = await fixtures.createUser({ role: 'reviewer' });
+    auditor = await fixtures.createUser({ role: 'auditor' });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  const pdf = Buffer.from('%PDF-1.4 test document');
+
+  const upload = (user, fields, file = { name: 'scan.pdf', type: 'application/pdf' }) => {
+    const req = request().post('/api/verification/documents').set('x-auth-token', user.token);
+    for (const [name, value] of Object.entries(fields)) {
+      req.field(name, String(value));
+    }
+    return file ? req.attach('document', pdf, { filename: file.name, contentType: file.type }) : req;
+  };
+
+  const uploadIdentity = (user) => upload(user, { kind: 'identity', documentType: 'passport' });
+  const uploadPurpose = (user, campaign) => upload(user, { kind: 'purpose', documentType: 'medical_bill', campaignId: campaign.id });
+
+  const ALL_IDENTITY_CHECKS = { legible: true, not_expired: true, name_matches: true, not_altered: true };
+  const ALL_PURPOSE_CHECKS = { legible: true, issuer_identified: true, beneficiary_matches: true, amount_supports_goal: true, not_altered: true };
+
+  const review = (user, document, body) => request()
+    .put(`/api/admin/verification/documents/${document.id}/review`)
+    .set('x-auth-token', user.token)
+    .send(body);
+
+  const storedFiles = () => fs.readdirSync(process.env.VERIFICATION_DIR);
+
+  const badge = async (campaign) => (await request().get(`/api/campaigns/${campaign.id}`).expect(200)).body.verification_level;
+
+  describe('POST /api/verification/documents', () => {
+    it('stores documents privately and serves them to the uploader and reviewers only', async () => {
+      const fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+      const res = await uploadIdentity(fundraiser).expect(201);
+      const { document } = res.body;
+      assert.equal(document.status, 'pending');
+      assert.equal(document.original_name, 'scan.pdf');
+      assert.equal(document.file_name, undefined);
+
+      // Not under the public uploads directory, and not named after the upload
+      const { file_name: fileName } = await fixtures.get('SELECT file_name FROM verification_documents WHERE id = ?', [document.id]);
+      assert.ok(storedFiles().includes(fileName));
+      assert.doesNotMatch(fileName, /scan/);
+      await request().get(`/uploads/${fileName}`).expect(404);
+
+      const file = `/api/verification/documents/${document.id}/file`;
+      const own = await request().get(file).set('x-auth-token', fundraiser.token).buffer(true).expect(200);
+      assert.equal(own.body.toString(), pdf.toString());
+      await request().get(file).set('x-auth-token', auditor.token).expect(200);
+      const other = await fixtures.createUser({ role: 'fundraiser' });
+      await request().get(file).set('x-auth-token', other.token).expect(404);
+      await request().get(file).expect(401);
+
+      const mine = await request().get('/api/verification/documents/mine').set('x-auth-token', fundraiser.token).expect(200);
+      assert.deepEqual(mine.body.documents.map((d) => d.id), [document.id]);
+    });
+
+    it('validates the document and keeps nothing from rejected uploads', async () => {
+      const fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+      const before = storedFiles().length;
+
+      await upload(fundraiser, { kind: 'identity', documentType: 'passport' }, { name: 'notes.txt', type: 'text/plain' }).expect(400);
+      const res = await upload(fundraiser, { kind: 'identity', documentType: 'medical_bill' }).expect(400);
+      assert.deepEqual(res.body.errors.map((e) => e.path), ['documentType']);
+      await upload(fundraiser, { kind: 'purpose', documentType: 'invoice' }).expect(400);
+      await upload(fundraiser, { kind: 'identity', documentType: 'passport' }, null).expect(400);
+
+      assert.equal(storedFiles().length, before);
+    });
+
+    it('takes proof of purpose from the campaign owner and co-owners', async () => {
+      const owner = await fixtures.createUser({ role: 'fundraiser' });
+      const coOwner = await fixtures.createUser({ role: 'fundraiser' });
+      const stranger = await fixtures.createUser({ role: 'fundraiser' });
+      const campaign = await fixtures.createCampaign({ creator: owner });
+      await fixtures.run(
+        "INSERT INTO campaign_members (campaign_id, user_id, role, added_by) VALUES (?, ?, 'co_owner', ?)",
+        [campaign.id, coOwner.id, owner.id]
+      );
+
+      const res = await uploadPurpose(owner, campaign).expect(201);
+      assert.equal(res.body.document.campaign_id, campaign.id);
+      await uploadPurpose(coOwner, campaign).expect(201);
+      await uploadPurpose(stranger, campaign).expect(403);
+      await uploadPurpose(owner, { id: 99999 }).expect(404);
+    });
+  });
+
+  describe('review', () => {
+    it('approves documents only with a complete checklist and raises the campaign badge', async () => {
+      const fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+      const campaign = await fixtures.createCampaign({ creator: fundraiser, blockchain_campaign_id: '42' });
+      const identity = (await uploadIdentity(fundraiser).expect(201)).body.document;
+      const purpose = (await uploadPurpose(fundraiser, campaign).expect(201)).body.document;
+      assert.equal(await badge(campaign), 'unverified');
+
+      const queue = await request().get('/api/admin/verification/documents?status=pending').set('x-auth-token', reviewer.token).expect(200);
+      assert.ok(queue.body.documents.some((d) => d.id === identity.id));
+      const detail = await request().get(`/api/admin/verification/documents/${identity.id}`).set('x-auth-token', reviewer.token).expect(200);
+      assert.deepEqual(detail.body.checklist.map((item) => [item.key, item.checked]), Object.keys(ALL_IDENTITY_CHECKS).map((key) => [key, false]));
+      await request().get('/api/admin/verification/documents').set('x-auth-token', fundraiser.token).expect(403);
+
+      await review(reviewer, identity, { decision: 'approved', checklist: { legible: true } }).expect(400);
+      await review(reviewer, identity, { decision: 'approved', checklist: { ...ALL_IDENTITY_CHECKS, looks_fine: true } }).expect(400);
+      await review(auditor, identity, { decision: 'approved', checklist: ALL_IDENTITY_CHECKS }).expect(403);
+      const res = await review(reviewer, identity, { decision: 'approved', checklist: ALL_IDENTITY_CHECKS }).expect(200);
+      assert.equal(res.body.document.status, 'approved');
+      assert.equal(res.body.document.reviewed_by, reviewer.id);
+      assert.ok(res.body.checklist.every((item) => item.checked));
+      assert.equal(await badge(campaign), 'identity_verified');
+
+      await review(reviewer, purpose, { decision: 'approved', checklist: ALL_PURPOSE_CHECKS }).expect(200);
+      assert.equal(await badge(campaign), 'fully_verified');
+      const list = await request().get('/api/campaigns').expect(200);
+      assert.equal(list.body.find((c) => c.id === campaign.id).verification_level, 'fully_verified');
+
+      const notifications = await fixtures.all('SELECT type FROM notifications WHERE user_id = ?', [fundraiser.id]);
+      assert.deepEqual(notifications.map((n) => n.type), ['verification_approved', 'verification_approved']);
+    });
+
+    it('rejects with a note for the uploader, and can revoke an approval', async () => {
+      const fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+      const campaign = await fixtures.createCampaign({ creator: fundraiser });
+      const identity = (await uploadIdentity(fundraiser).expect(201)).body.document;
+      await review(reviewer, identity, { decision: 'approved', checklist: ALL_IDENTITY_CHECKS }).expect(200);
+      assert.equal(await badge(campaign), 'identity_verified');
+
+      const res = await review(reviewer, identity, { decision: 'rejected' }).expect(400);
+      assert.deepEqual(res.body.errors.map((e) => e.path), ['note']);
+      await review(reviewer, identity, { decision: 'rejected', checklist: { not_expired: false }, note: 'The passport has expired' }).expect(200);
+      assert.equal(await badge(campaign), 'unverified');
+
+      const notification = await fixtures.get(
+        "SELECT message FROM notifications WHERE user_id = ? AND type = 'verification_rejected'",
+        [fundraiser.id]
+      );
+      assert.match(notification.message, /The passport has expired/);
+      const mine = await request().get('/api/verification/documents/mine').set('x-auth-token', fundraiser.token).expect(200);
+      assert.equal(mine.body.documents[0].review_note, 'The passport has expired');
+      await request().put('/api/admin/verification/documents/99999/review').set('x-auth-token', reviewer.token)
+        .send({ decision: 'approved' }).expect(404);
+    });
+  });
+
+  it('deletes a campaign\'s documents and their files with it', async () => {
+    const fundraiser = await fixtures.createUser({ role: 'fundraiser' });
+    const campaign = await fixtures.createCampaign({ creator: fundraiser });
+    const { document } = (await uploadPurpose(fundraiser, campaign).expect(201)).body;
+    const { file_name: fileName } = await fixtures.get('SELECT file_name FROM verification_documents WHERE id = ?', [document.id]);
+
+    await request().delete(`/api/campaigns/${campaign.id}/delete`).set('x-auth-token', fundraiser.token).expect(200);
+    assert.equal(await fixtures.get('SELECT id FROM verification_documents WHERE id = ?', [document.id]), undefined);
+    // Files are removed in the background
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.ok(!storedFiles().includes(fileName));
+  });
+});
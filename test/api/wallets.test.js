@@ -0,0 +1,138 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+
+describe('wallet routes', () => {
+  let ctx;
+  let request;
+  let fixtures;
+
+  before(async () => {
+    ctx = await startTestApp();
+    request = ctx.request;
+    fixtures = ctx.fixtures;
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  const primaryOf = async (user) =>
+    (await fixtures.get('SELECT wallet_address FROM users WHERE id = ?', [user.id])).wallet_address;
+
+  describe('POST /api/wallets', () => {
+    it('adds an unverified wallet, the first one becoming primary', async () => {
+      const user = await fixtures.createUser({ wallet_address: null });
+      const address = '0x00000000000000000000000000000000000000e5';
+
+      const res = await request()
+        .post('/api/wallets')
+        .set('x-auth-token', user.token)
+        .send({ address, label: 'Hardware' })
+        .expect(201);
+
+      assert.equal(res.body.wallet.address, address);
+      assert.equal(res.body.wallet.label, 'Hardware');
+      assert.equal(res.body.wallet.is_primary, 1);
+      assert.equal(res.body.wallet.verified_at, null);
+      assert.equal(await primaryOf(user), address);
+    });
+
+    it('keeps the primary wallet unless asked to replace it', async () => {
+      const user = await fixtures.createUser();
+      const address = '0x00000000000000000000000000000000000000e6';
+
+      await request().post('/api/wallets').set('x-auth-token', user.token).send({ address }).expect(201);
+      assert.equal(await primaryOf(user), user.wallet_address);
+
+      const list = await request().get('/api/wallets').set('x-auth-token', user.token).expect(200);
+      assert.deepEqual(list.body.wallets.map((w) => w.address), [user.wallet_address, address]);
+    });
+
+    it('rejects invalid and duplicate addresses', async () => {
+      const user = await fixtures.createUser();
+      await request().post('/api/wallets').set('x-auth-token', user.token).send({ address: 'nope' }).expect(400);
+      await request()
+        .post('/api/wallets')
+        .set('x-auth-token', user.token)
+        .send({ address: user.wallet_address.toUpperCase().replace('0X', '0x') })
+        .expect(400);
+    });
+  });
+
+  describe('PATCH /api/wallets/:id', () => {
+    it('renames a wallet and makes it primary', async () => {
+      const user = await fixtures.createUser();
+      const wallet = await fixtures.createWallet({ user });
+
+      const res = await request()
+        .patch(`/api/wallets/${wallet.id}`)
+        .set('x-auth-token', user.token)
+        .send({ label: 'Savings', primary: true })
+        .expect(200);
+
+      assert.equal(res.body.wallet.label, 'Savings');
+      assert.equal(res.body.wallet.is_primary, 1);
+      assert.equal(await primaryOf(user), wallet.address);
+      const me = await request().get('/api/auth/me').set('x-auth-token', user.token).expect(200);
+      assert.equal(me.body.walletVerified, true);
+    });
+
+    it('only touches the user\'s own wallets', async () => {
+      const owner = await fixtures.createUser();
+      const wallet = await fixtures.createWallet({ user: owner });
+      const other = await fixtures.createUser();
+
+      await request()
+        .patch(`/api/wallets/${wallet.id}`)
+        .set('x-auth-token', other.token)
+        .send({ primary: true })
+        .expect(404);
+      await request().delete(`/api/wallets/${wallet.id}`).set('x-auth-token', other.token).expect(404);
+    });
+  });
+
+  describe('DELETE /api/wallets/:id', () => {
+    it('promotes another wallet when the primary one is removed', async () => {
+      const user = await fixtures.createUser();
+      const secondary = await fixtures.createWallet({ user });
+      const [primary] = (await request().get('/api/wallets').set('x-auth-token', user.token)).body.wallets;
+
+      await request().delete(`/api/wallets/${primary.id}`).set('x-auth-token', user.token).expect(200);
+
+      const res = await request().get('/api/wallets').set('x-auth-token', user.token).expect(200);
+      assert.deepEqual(res.body.wallets.map((w) => [w.id, w.is_primary]), [[secondary.id, 1]]);
+      assert.equal(await primaryOf(user), secondary.address);
+    });
+  });
+
+  describe('donation attribution', () => {
+    it('counts donations from every verified wallet and none from unverified ones', async () => {
+      const user = await fixtures.createUser();
+      const verified = await fixtures.createWallet({ user });
+      const unverified = await fixtures.createWallet({ user, verified_at: null });
+      const campaign = await fixtures.createCampaign();
+
+      await fixtures.createDonation({ campaign, donor: user, amount: 1 });
+      // Reported by someone else, or picked up by the indexer without an account
+      await fixtures.createDonation({ campaign, donor: { id: null }, donor_address: verified.address, amount: 2 });
+      await fixtures.createDonation({ campaign, donor: user, donor_address: unverified.address, amount: 4 });
+
+      const res = await request()
+        .get(`/api/donations/user/${user.id}`)
+        .set('x-auth-token', user.token)
+        .expect(200);
+      assert.deepEqual(res.body.map((d) => d.amount).sort(), [1, 2, 4]);
+
+      // Votes are weighted by what came from the verified wallets only
+      const usage = await fixtures.createUsageRequest({ campaign });
+      await request()
+        .post(`/api/usage-requests/${usage.id}/vote`)
+        .set('x-auth-token', user.token)
+        .send({ vote: true })
+        .expect(200);
+      const vote = await fixtures.get('SELECT donated_amount FROM usage_votes WHERE usage_request_id = ?', [usage.id]);
+      assert.equal(vote.donated_amount, 3);
+    });
+  });
+});
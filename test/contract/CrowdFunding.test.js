@@ -0,0 +1,707 @@
+// CrowdFunding.sol against an in-memory EVM
+// Run: npm test
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { startTestChain } = require('../helpers/chain');
+const { artifact } = require('../../utils/contract');
+
+const ETH = 10n ** 18n;
+const DAY = 24 * 60 * 60;
+
+describe('CrowdFunding contract', () => {
+  let chain;
+  let web3;
+  let contract;
+  let creator;
+  let donorA;
+  let donorB;
+  let donorC;
+  let stranger;
+
+  before(async () => {
+    chain = await startTestChain();
+    web3 = chain.web3;
+    [, creator, donorA, donorB, donorC, stranger] = chain.accounts.map((account) => account.address);
+  });
+
+  after(async () => {
+    await chain.stop();
+  });
+
+  beforeEach(async () => {
+    contract = await chain.deployCrowdFunding();
+  });
+
+  // Helpers bound to the current contract instance
+  const createCampaign = async ({ goal = 10n * ETH, duration = 7 * DAY, from = creator } = {}) => {
+    const deadline = (await chain.latestTimestamp()) + duration;
+    const receipt = await contract.methods.createCampaign('Clean water', 'Wells for villages', goal, deadline).send({ from });
+    const [event] = await chain.eventsIn(contract, receipt, 'CampaignCreated');
+    return { id: event.returnValues.id, deadline, receipt };
+  };
+
+  const donate = (id, from, value) => contract.methods.donateToCampaign(id).send({ from, value });
+
+  const campaignOf = (id) => contract.methods.campaigns(id).call();
+
+  // Campaign that reached its goal and whose deadline has passed
+  const fundedCampaign = async (contributions = [[donorA, 6n * ETH], [donorB, 4n * ETH]], goal = 10n * ETH) => {
+    const { id } = await createCampaign({ goal });
+    for (const [donor, amount] of contributions) {
+      await donate(id, donor, amount);
+    }
+    await chain.increaseTime(8 * DAY);
+    return id;
+  };
+
+  const requestWithdrawal = async (id, amount, percentage = 51) => {
+    const receipt = await contract.methods.requestWithdrawal(id, amount, 'Drilling equipment', percentage).send({ from: creator });
+    const [event] = await chain.eventsIn(contract, receipt, 'WithdrawalRequested');
+    return { requestId: event.returnValues.requestId, receipt };
+  };
+
+  describe('artifact', () => {
+    it('is compiled from the current CrowdFunding.sol', () => {
+      const source = fs.readFileSync(path.join(__dirname, '../../CrowdFunding.sol'), 'utf8');
+      const sourceHash = crypto.createHash('sha256').update(source).digest('hex');
+      assert.equal(artifact.sourceHash, sourceHash, 'run npm run compile:contract');
+    });
+  });
+
+  describe('createCampaign', () => {
+    it('stores the campaign and emits CampaignCreated', async () => {
+      const { id, deadline, receipt } = await createCampaign({ goal: 5n * ETH });
+
+      assert.equal(id, 1n);
+      assert.equal(await contract.methods.campaignCount().call(), 1n);
+
+      const campaign = await campaignOf(id);
+      assert.equal(campaign.creator, creator);
+      assert.equal(campaign.title, 'Clean water');
+      assert.equal(campaign.goal, 5n * ETH);
+      assert.equal(campaign.pledged, 0n);
+      assert.equal(campaign.deadline, BigInt(deadline));
+      assert.equal(campaign.exists, true);
+      assert.equal(campaign.withdrawn, false);
+      assert.equal(campaign.totalWithdrawn, 0n);
+
+      const [event] = await chain.eventsIn(contract, receipt, 'CampaignCreated');
+      assert.equal(event.returnValues.creator, creator);
+      assert.equal(event.returnValues.goal, 5n * ETH);
+      assert.equal(event.returnValues.deadline, BigInt(deadline));
+    });
+
+    it('assigns increasing IDs', async () => {
+      const first = await createCampaign();
+      const second = await createCampaign({ from: donorA });
+      assert.equal(first.id, 1n);
+      assert.equal(second.id, 2n);
+    });
+
+    it('rejects a zero goal', async () => {
+      const deadline = (await chain.latestTimestamp()) + DAY;
+      await chain.expectRevert(contract.methods.createCampaign('t', 'd', 0, deadline), { from: creator }, 'Goal must be > 0');
+    });
+
+    it('rejects a deadline that is not in the future', async () => {
+      const now = await chain.latestTimestamp();
+      await chain.expectRevert(contract.methods.createCampaign('t', 'd', ETH, now - 1), { from: creator }, 'Deadline must be in future');
+      // A zero deadline is caught by the same check; the later "Invalid deadline" require is unreachable
+      await chain.expectRevert(contract.methods.createCampaign('t', 'd', ETH, 0), { from: creator }, 'Deadline must be in future');
+    });
+  });
+
+  describe('donateToCampaign', () => {
+    it('records the pledge and contribution and emits DonationReceived', async () => {
+      const { id } = await createCampaign();
+      const receipt = await donate(id, donorA, 2n * ETH);
+      await donate(id, donorA, ETH);
+
+      assert.equal((await campaignOf(id)).pledged, 3n * ETH);
+      assert.equal(await contract.methods.contributions(id, donorA).call(), 3n * ETH);
+      assert.equal(await chain.balanceOf(contract.options.address), 3n * ETH);
+
+      const [event] = await chain.eventsIn(contract, receipt, 'DonationReceived');
+      assert.equal(event.returnValues.id, id);
+      assert.equal(event.returnValues.donor, donorA);
+      assert.equal(event.returnValues.amount, 2n * ETH);
+    });
+
+    it('rejects unknown campaigns', async () => {
+      await chain.expectRevert(contract.methods.donateToCampaign(42), { from: donorA, value: ETH }, 'Campaign does not exist');
+    });
+
+    it('rejects donations after the deadline', async () => {
+      const { id } = await createCampaign({ duration: DAY });
+      await chain.increaseTime(2 * DAY);
+      await chain.expectRevert(contract.methods.donateToCampaign(id), { from: donorA, value: ETH }, 'Campaign has ended');
+    });
+
+    it('rejects donations without ETH', async () => {
+      const { id } = await createCampaign();
+      await chain.expectRevert(contract.methods.donateToCampaign(id), { from: donorA, value: 0 }, 'Must send ETH');
+    });
+  });
+
+  describe('withdraw', () => {
+    it('sends the full pledge to the creator and emits Withdraw', async () => {
+      const id = await fundedCampaign();
+      const before = await chain.balanceOf(creator);
+
+      const receipt = await contract.methods.withdraw(id).send({ from: creator });
+      const gasCost = BigInt(receipt.gasUsed) * BigInt(receipt.effectiveGasPrice);
+
+      assert.equal(await chain.balanceOf(creator), before + 10n * ETH - gasCost);
+      assert.equal(await chain.balanceOf(contract.options.address), 0n);
+
+      const campaign = await campaignOf(id);
+      assert.equal(campaign.withdrawn, true);
+      assert.equal(campaign.totalWithdrawn, 10n * ETH);
+      assert.equal(campaign.pledged, 10n * ETH);
+
+      const [event] = await chain.eventsIn(contract, receipt, 'Withdraw');
+      assert.equal(event.returnValues.creator, creator);
+      assert.equal(event.returnValues.amount, 10n * ETH);
+    });
+
+    it('rejects unknown campaigns', async () => {
+      await chain.expectRevert(contract.methods.withdraw(42), { from: creator }, 'Campaign does not exist');
+    });
+
+    it('only lets the creator withdraw', async () => {
+      const id = await fundedCampaign();
+      await chain.expectRevert(contract.methods.withdraw(id), { from: donorA }, 'Not campaign creator');
+    });
+
+    it('rejects a second withdrawal', async () => {
+      const id = await fundedCampaign();
+      await contract.methods.withdraw(id).send({ from: creator });
+      await chain.expectRevert(contract.methods.withdraw(id), { from: creator }, 'Already withdrawn');
+    });
+
+    it('requires the goal to be reached', async () => {
+      const id = await fundedCampaign([[donorA, 3n * ETH]]);
+      await chain.expectRevert(contract.methods.withdraw(id), { from: creator }, 'Goal not reached');
+    });
+
+    it('requires the deadline to have passed', async () => {
+      const { id } = await createCampaign();
+      await donate(id, donorA, 10n * ETH);
+      await chain.expectRevert(contract.methods.withdraw(id), { from: creator }, 'Deadline not yet reached');
+    });
+
+    it('rejects when partial withdrawals already took everything', async () => {
+      const id = await fundedCampaign([[donorA, 10n * ETH]]);
+      const { requestId } = await requestWithdrawal(id, 10n * ETH);
+      await contract.methods.approveWithdrawal(id, requestId).send({ from: donorA });
+      await contract.methods.executeWithdrawal(id, requestId).send({ from: creator });
+
+      await chain.expectRevert(contract.methods.withdraw(id), { from: creator }, 'No funds available');
+    });
+  });
+
+  describe('requestWithdrawal', () => {
+    it('stores the request with a threshold based on the pledge', async () => {
+      const id = await fundedCampaign();
+      const { requestId, receipt } = await requestWithdrawal(id, 4n * ETH, 60);
+
+      assert.equal(requestId, 1n);
+      assert.equal(await contract.methods.withdrawalRequestCount(id).call(), 1n);
+
+      const request = await contract.methods.getWithdrawalRequest(id, requestId).call();
+      assert.equal(request.amount, 4n * ETH);
+      assert.equal(request.usageDetails, 'Drilling equipment');
+      assert.equal(request.approvalThreshold, 6n * ETH);
+      assert.equal(request.approvalsReceived, 0n);
+      assert.equal(request.rejectionReceived, 0n);
+      assert.equal(request.executed, false);
+
+      const [event] = await chain.eventsIn(contract, receipt, 'WithdrawalRequested');
+      assert.equal(event.returnValues.campaignId, id);
+      assert.equal(event.returnValues.amount, 4n * ETH);
+      assert.equal(event.returnValues.usageDetails, 'Drilling equipment');
+      assert.equal(event.returnValues.approvalThreshold, 6n * ETH);
+    });
+
+    it('rejects unknown campaigns', async () => {
+      await chain.expectRevert(contract.methods.requestWithdrawal(42, ETH, 'x', 51), { from: creator }, 'Campaign does not exist');
+    });
+
+    it('only lets the creator request', async () => {
+      const id = await fundedCampaign();
+      await chain.expectRevert(contract.methods.requestWithdrawal(id, ETH, 'x', 51), { from: donorA }, 'Not campaign creator');
+    });
+
+    it('requires the goal to be reached', async () => {
+      const id = await fundedCampaign([[donorA, ETH]]);
+      await chain.expectRevert(contract.methods.requestWithdrawal(id, ETH, 'x', 51), { from: creator }, 'Goal not reached');
+    });
+
+    it('requires the deadline to have passed', async () => {
+      const { id } = await createCampaign();
+      await donate(id, donorA, 10n * ETH);
+      await chain.expectRevert(contract.methods.requestWithdrawal(id, ETH, 'x', 51), { from: creator }, 'Deadline not yet reached');
+    });
+
+    it('rejects a zero amount', async () => {
+      const id = await fundedCampaign();
+      await chain.expectRevert(contract.methods.requestWithdrawal(id, 0, 'x', 51), { from: creator }, 'Amount must be > 0');
+    });
+
+    it('rejects percentages outside 1-100', async () => {
+      const id = await fundedCampaign();
+      await chain.expectRevert(contract.methods.requestWithdrawal(id, ETH, 'x', 0), { from: creator }, 'Invalid percentage');
+      await chain.expectRevert(contract.methods.requestWithdrawal(id, ETH, 'x', 101), { from: creator }, 'Invalid percentage');
+    });
+
+    it('rejects amounts above the available balance', async () => {
+      const id = await fundedCampaign();
+      await chain.expectRevert(contract.methods.requestWithdrawal(id, 11n * ETH, 'x', 51), { from: creator }, 'Insufficient funds available');
+    });
+
+    it('rejects thresholds that round down to zero', async () => {
+      const id = await fundedCampaign([[donorA, 1n]], 1n);
+      await chain.expectRevert(contract.methods.requestWithdrawal(id, 1n, 'x', 50), { from: creator }, 'Threshold too low');
+    });
+  });
+
+  describe('approveWithdrawal / rejectWithdrawal', () => {
+    it('weights approvals and rejections by contribution', async () => {
+      const id = await fundedCampaign([[donorA, 6n * ETH], [donorB, 3n * ETH], [donorC, ETH]]);
+      const { requestId } = await requestWithdrawal(id, 5n * ETH);
+
+      const approval = await contract.methods.approveWithdrawal(id, requestId).send({ from: donorB });
+      const rejection = await contract.methods.rejectWithdrawal(id, requestId).send({ from: donorC });
+
+      const request = await contract.methods.getWithdrawalRequest(id, requestId).call();
+      assert.equal(request.approvalsReceived, 3n * ETH);
+      assert.equal(request.rejectionReceived, ETH);
+      assert.equal(await contract.methods.hasVoted(id, requestId, donorB).call(), true);
+      assert.equal(await contract.methods.hasVoted(id, requestId, donorC).call(), true);
+      assert.equal(await contract.methods.hasVoted(id, requestId, donorA).call(), false);
+
+      const [approved] = await chain.eventsIn(contract, approval, 'WithdrawalApproved');
+      assert.equal(approved.returnValues.donor, donorB);
+      assert.equal(approved.returnValues.contributionWeight, 3n * ETH);
+
+      const [rejected] = await chain.eventsIn(contract, rejection, 'WithdrawalRejected');
+      assert.equal(rejected.returnValues.donor, donorC);
+      assert.equal(rejected.returnValues.contributionWeight, ETH);
+    });
+
+    for (const vote of ['approveWithdrawal', 'rejectWithdrawal']) {
+      describe(vote, () => {
+        it('rejects unknown campaigns', async () => {
+          await chain.expectRevert(contract.methods[vote](42, 1), { from: donorA }, 'Campaign does not exist');
+        });
+
+        it('only accepts votes from donors', async () => {
+          const id = await fundedCampaign();
+          const { requestId } = await requestWithdrawal(id, ETH);
+          await chain.expectRevert(contract.methods[vote](id, requestId), { from: stranger }, 'Not a donor');
+        });
+
+        it('rejects unknown requests', async () => {
+          const id = await fundedCampaign();
+          await chain.expectRevert(contract.methods[vote](id, 7), { from: donorA }, 'Request does not exist');
+        });
+
+        it('rejects votes on executed requests', async () => {
+          const id = await fundedCampaign();
+          const { requestId } = await requestWithdrawal(id, ETH);
+          await contract.methods.approveWithdrawal(id, requestId).send({ from: donorA });
+          await contract.methods.executeWithdrawal(id, requestId).send({ from: creator });
+          await chain.expectRevert(contract.methods[vote](id, requestId), { from: donorB }, 'Request already executed');
+        });
+
+        it('allows one vote per donor', async () => {
+          const id = await fundedCampaign();
+          const { requestId } = await requestWithdrawal(id, ETH);
+          await contract.methods.rejectWithdrawal(id, requestId).send({ from: donorB });
+          await chain.expectRevert(contract.methods[vote](id, requestId), { from: donorB }, 'Already voted');
+        });
+      });
+    }
+  });
+
+  describe('executeWithdrawal', () => {
+    it('pays the creator once approvals reach the threshold', async () => {
+      const id = await fundedCampaign();
+      const { requestId } = await requestWithdrawal(id, 4n * ETH);
+      await contract.methods.approveWithdrawal(id, requestId).send({ from: donorA });
+
+      const before = await chain.balanceOf(creator);
+      const receipt = await contract.methods.executeWithdrawal(id, requestId).send({ from: creator });
+      const gasCost = BigInt(receipt.gasUsed) * BigInt(receipt.effectiveGasPrice);
+
+      assert.equal(await chain.balanceOf(creator), before + 4n * ETH - gasCost);
+      assert.equal((await campaignOf(id)).totalWithdrawn, 4n * ETH);
+      assert.equal(await contract.methods.getAvailableBalance(id).call(), 6n * ETH);
+      assert.equal((await contract.methods.getWithdrawalRequest(id, requestId).call()).executed, true);
+
+      const [event] = await chain.eventsIn(contract, receipt, 'PartialWithdrawal');
+      assert.equal(event.returnValues.campaignId, id);
+      assert.equal(event.returnValues.requestId, requestId);
+      assert.equal(event.returnValues.creator, creator);
+      assert.equal(event.returnValues.amount, 4n * ETH);
+    });
+
+    it('does not let rejections block a request that reached its approval threshold', async () => {
+      const id = await fundedCampaign();
+      const { requestId } = await requestWithdrawal(id, ETH, 50);
+      await contract.methods.approveWithdrawal(id, requestId).send({ from: donorA });
+      await contract.methods.rejectWithdrawal(id, requestId).send({ from: donorB });
+      await contract.methods.executeWithdrawal(id, requestId).send({ from: creator });
+      assert.equal((await campaignOf(id)).totalWithdrawn, ETH);
+    });
+
+    it('rejects unknown campaigns', async () => {
+      await chain.expectRevert(contract.methods.executeWithdrawal(42, 1), { from: creator }, 'Campaign does not exist');
+    });
+
+    it('only lets the creator execute', async () => {
+      const id = await fundedCampaign();
+      const { requestId } = await requestWithdrawal(id, ETH);
+      await contract.methods.approveWithdrawal(id, requestId).send({ from: donorA });
+      await chain.expectRevert(contract.methods.executeWithdrawal(id, requestId), { from: donorA }, 'Not campaign creator');
+    });
+
+    it('rejects unknown requests', async () => {
+      const id = await fundedCampaign();
+      await chain.expectRevert(contract.methods.executeWithdrawal(id, 3), { from: creator }, 'Request does not exist');
+    });
+
+    it('rejects executing twice', async () => {
+      const id = await fundedCampaign();
+      const { requestId } = await requestWithdrawal(id, ETH);
+      await contract.methods.approveWithdrawal(id, requestId).send({ from: donorA });
+      await contract.methods.executeWithdrawal(id, requestId).send({ from: creator });
+      await chain.expectRevert(contract.methods.executeWithdrawal(id, requestId), { from: creator }, 'Request already executed');
+    });
+
+    it('requires enough weighted approvals', async () => {
+      const id = await fundedCampaign();
+      const { requestId } = await requestWithdrawal(id, ETH, 51);
+      // 4 of 10 ETH approve; the threshold is 5.1 ETH
+      await contract.methods.approveWithdrawal(id, requestId).send({ from: donorB });
+      await chain.expectRevert(contract.methods.executeWithdrawal(id, requestId), { from: creator }, 'Insufficient approvals');
+    });
+
+    it('rejects when the contract does not hold the requested amount', async () => {
+      const id = await fundedCampaign([[donorA, 10n * ETH]]);
+      const first = await requestWithdrawal(id, 10n * ETH);
+      const second = await requestWithdrawal(id, 10n * ETH);
+      await contract.methods.approveWithdrawal(id, first.requestId).send({ from: donorA });
+      await contract.methods.approveWithdrawal(id, second.requestId).send({ from: donorA });
+      await contract.methods.executeWithdrawal(id, first.requestId).send({ from: creator });
+
+      await chain.expectRevert(contract.methods.executeWithdrawal(id, second.requestId), { from: creator }, 'Insufficient contract balance');
+    });
+
+    it('does not pay out of another campaign\'s funds', async () => {
+      const id = await fundedCampaign([[donorA, 10n * ETH]]);
+      const other = await createCampaign({ from: donorC });
+      await donate(other.id, donorB, 20n * ETH);
+
+      const first = await requestWithdrawal(id, 10n * ETH);
+      const second = await requestWithdrawal(id, 10n * ETH);
+      await contract.methods.approveWithdrawal(id, first.requestId).send({ from: donorA });
+      await contract.methods.approveWithdrawal(id, second.requestId).send({ from: donorA });
+      await contract.methods.executeWithdrawal(id, first.requestId).send({ from: creator });
+
+      await chain.expectRevert(contract.methods.executeWithdrawal(id, second.requestId), { from: creator }, 'Insufficient campaign balance');
+      assert.equal(await chain.balanceOf(contract.options.address), 20n * ETH);
+    });
+  });
+
+  describe('totalWithdrawn accounting', () => {
+    it('withdraw() only sends what partial withdrawals left behind', async () => {
+      const id = await fundedCampaign();
+      const first = await requestWithdrawal(id, 3n * ETH);
+      await contract.methods.approveWithdrawal(id, first.requestId).send({ from: donorA });
+      await contract.methods.executeWithdrawal(id, first.requestId).send({ from: creator });
+
+      const receipt = await contract.methods.withdraw(id).send({ from: creator });
+      const [event] = await chain.eventsIn(contract, receipt, 'Withdraw');
+      assert.equal(event.returnValues.amount, 7n * ETH);
+
+      const campaign = await campaignOf(id);
+      assert.equal(campaign.totalWithdrawn, campaign.pledged);
+      assert.equal(await contract.methods.getAvailableBalance(id).call(), 0n);
+      assert.equal(await chain.balanceOf(contract.options.address), 0n);
+    });
+
+    it('blocks pending requests after a full withdraw()', async () => {
+      const id = await fundedCampaign();
+      const { requestId } = await requestWithdrawal(id, 2n * ETH);
+      await contract.methods.approveWithdrawal(id, requestId).send({ from: donorA });
+      await contract.methods.withdraw(id).send({ from: creator });
+
+      await chain.expectRevert(contract.methods.executeWithdrawal(id, requestId), { from: creator }, 'Insufficient contract balance');
+      await chain.expectRevert(contract.methods.requestWithdrawal(id, ETH, 'x', 51), { from: creator }, 'Insufficient funds available');
+    });
+
+    it('keeps refunds and pledges consistent', async () => {
+      const { id } = await createCampaign({ goal: 10n * ETH, duration: DAY });
+      await donate(id, donorA, 2n * ETH);
+      await donate(id, donorB, 3n * ETH);
+      await chain.increaseTime(2 * DAY);
+
+      await contract.methods.refund(id).send({ from: donorA });
+
+      const campaign = await campaignOf(id);
+      assert.equal(campaign.pledged, 3n * ETH);
+      assert.equal(campaign.totalWithdrawn, 0n);
+      assert.equal(await chain.balanceOf(contract.options.address), 3n * ETH);
+    });
+  });
+
+  describe('refund', () => {
+    it('returns the contribution of a failed campaign and emits Refund', async () => {
+      const { id } = await createCampaign({ duration: DAY });
+      await donate(id, donorA, 2n * ETH);
+      await chain.increaseTime(2 * DAY);
+
+      const before = await chain.balanceOf(donorA);
+      const receipt = await contract.methods.refund(id).send({ from: donorA });
+      const gasCost = BigInt(receipt.gasUsed) * BigInt(receipt.effectiveGasPrice);
+
+      assert.equal(await chain.balanceOf(donorA), before + 2n * ETH - gasCost);
+      assert.equal(await contract.methods.contributions(id, donorA).call(), 0n);
+
+      const [event] = await chain.eventsIn(contract, receipt, 'Refund');
+      assert.equal(event.returnValues.donor, donorA);
+      assert.equal(event.returnValues.amount, 2n * ETH);
+    });
+
+    it('rejects unknown campaigns', async () => {
+      await chain.expectRevert(contract.methods.refund(42), { from: donorA }, 'Campaign does not exist');
+    });
+
+    it('requires the deadline to have passed', async () => {
+      const { id } = await createCampaign();
+      await donate(id, donorA, ETH);
+      await chain.expectRevert(contract.methods.refund(id), { from: donorA }, 'Deadline not passed');
+    });
+
+    it('refuses refunds once the goal was reached', async () => {
+      const id = await fundedCampaign();
+      await chain.expectRevert(contract.methods.refund(id), { from: donorA }, 'Goal was reached, no refunds');
+    });
+
+    it('requires a contribution', async () => {
+      const { id } = await createCampaign({ duration: DAY });
+      await donate(id, donorA, ETH);
+      await chain.increaseTime(2 * DAY);
+      await chain.expectRevert(contract.methods.refund(id), { from: stranger }, 'No contribution to refund');
+    });
+
+    it('refunds each contribution only once', async () => {
+      const { id } = await createCampaign({ duration: DAY });
+      await donate(id, donorA, ETH);
+      await chain.increaseTime(2 * DAY);
+      await contract.methods.refund(id).send({ from: donorA });
+      await chain.expectRevert(contract.methods.refund(id), { from: donorA }, 'No contribution to refund');
+    });
+  });
+
+  describe('views', () => {
+    it('getWithdrawalRequest rejects unknown requests', async () => {
+      const id = await fundedCampaign();
+      await chain.expectCallRevert(contract.methods.getWithdrawalRequest(id, 9), {}, 'Request does not exist');
+    });
+
+    it('getAvailableBalance rejects unknown campaigns', async () => {
+      await chain.expectCallRevert(contract.methods.getAvailableBalance(42), {}, 'Campaign does not exist');
+    });
+  });
+
+  describe('re-entrancy', () => {
+    let attacker;
+
+    const deployAttacker = async () => {
+      attacker = await chain.deployFixture('ReentrancyAttacker.sol', 'ReentrancyAttacker', [contract.options.address]);
+    };
+
+    const Attack = { None: 0, Refund: 1, Withdraw: 2, ExecuteWithdrawal: 3 };
+
+    // Attacker as the creator of a funded campaign whose deadline has passed
+    const attackerCampaign = async () => {
+      const deadline = (await chain.latestTimestamp()) + DAY;
+      await attacker.methods.createCampaign(10n * ETH, deadline).send({ from: stranger, gas: 1000000 });
+      const id = await attacker.methods.campaignId().call();
+      await donate(id, donorA, 10n * ETH);
+      await chain.increaseTime(2 * DAY);
+      return id;
+    };
+
+    beforeEach(deployAttacker);
+
+    it('cannot refund twice by re-entering refund()', async () => {
+      const { id } = await createCampaign({ duration: DAY });
+      await donate(id, donorA, 3n * ETH);
+      await attacker.methods.donate(id).send({ from: stranger, value: ETH, gas: 1000000 });
+      await chain.increaseTime(2 * DAY);
+
+      await attacker.methods.setAttack(Attack.Refund).send({ from: stranger });
+      await attacker.methods.refund().send({ from: stranger, gas: 1000000 });
+
+      assert.equal(await attacker.methods.reentryAttempts().call(), 1n);
+      assert.equal(await attacker.methods.reentrySuccesses().call(), 0n);
+      assert.equal(await chain.balanceOf(attacker.options.address), ETH);
+      assert.equal(await chain.balanceOf(contract.options.address), 3n * ETH);
+      assert.equal((await campaignOf(id)).pledged, 3n * ETH);
+    });
+
+    it('cannot withdraw twice by re-entering withdraw()', async () => {
+      const id = await attackerCampaign();
+      await attacker.methods.setAttack(Attack.Withdraw).send({ from: stranger });
+      await attacker.methods.withdraw().send({ from: stranger, gas: 1000000 });
+
+      assert.equal(await attacker.methods.reentryAttempts().call(), 1n);
+      assert.equal(await attacker.methods.reentrySuccesses().call(), 0n);
+      assert.equal(await chain.balanceOf(attacker.options.address), 10n * ETH);
+      assert.equal((await campaignOf(id)).totalWithdrawn, 10n * ETH);
+    });
+
+    it('cannot execute a request twice by re-entering executeWithdrawal()', async () => {
+      const id = await attackerCampaign();
+      // A second funded campaign, so the contract would have ETH to steal
+      const other = await createCampaign();
+      await donate(other.id, donorB, 5n * ETH);
+
+      await attacker.methods.requestWithdrawal(4n * ETH).send({ from: stranger, gas: 1000000 });
+      const requestId = await attacker.methods.requestId().call();
+      await contract.methods.approveWithdrawal(id, requestId).send({ from: donorA });
+
+      await attacker.methods.setAttack(Attack.ExecuteWithdrawal).send({ from: stranger });
+      await attacker.methods.executeWithdrawal().send({ from: stranger, gas: 1000000 });
+
+      assert.equal(await attacker.methods.reentrySuccesses().call(), 0n);
+      assert.equal(await chain.balanceOf(attacker.options.address), 4n * ETH);
+      assert.equal((await campaignOf(id)).totalWithdrawn, 4n * ETH);
+      assert.equal(await chain.balanceOf(contract.options.address), 11n * ETH);
+    });
+
+    it('rolls back withdraw() when the creator cannot receive ETH', async () => {
+      const id = await attackerCampaign();
+      await attacker.methods.setRejectPayments(true).send({ from: stranger });
+
+      await chain.expectRevert(attacker.methods.withdraw(), { from: stranger }, 'Failed to send funds');
+      const campaign = await campaignOf(id);
+      assert.equal(campaign.withdrawn, false);
+      assert.equal(campaign.totalWithdrawn, 0n);
+    });
+
+    it('rolls back executeWithdrawal() when the creator cannot receive ETH', async () => {
+      const id = await attackerCampaign();
+      await attacker.methods.requestWithdrawal(ETH).send({ from: stranger, gas: 1000000 });
+      const requestId = await attacker.methods.requestId().call();
+      await contract.methods.approveWithdrawal(id, requestId).send({ from: donorA });
+      await attacker.methods.setRejectPayments(true).send({ from: stranger });
+
+      await chain.expectRevert(attacker.methods.executeWithdrawal(), { from: stranger }, 'Failed to send funds');
+      assert.equal((await contract.methods.getWithdrawalRequest(id, requestId).call()).executed, false);
+      assert.equal((await campaignOf(id)).totalWithdrawn, 0n);
+    });
+
+    it('rolls back refund() when the donor cannot receive ETH', async () => {
+      const { id } = await createCampaign({ duration: DAY });
+      await attacker.methods.donate(id).send({ from: stranger, value: ETH, gas: 1000000 });
+      await chain.increaseTime(2 * DAY);
+      await attacker.methods.setRejectPayments(true).send({ from: stranger });
+
+      await chain.expectRevert(attacker.methods.refund(), { from: stranger }, 'Failed to send refund');
+      assert.equal(await contract.methods.contributions(id, attacker.options.address).call(), ETH);
+      assert.equal((await campaignOf(id)).pledged, ETH);
+    });
+  });
+
+  describe('balance invariant', () => {
+    // Deterministic PRNG so a failing sequence can be replayed from its seed
+    const prng = (seed) => {
+      let state = seed >>> 0;
+      return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 2 ** 32;
+      };
+    };
+
+    const SEEDS = [1, 7, 42];
+    const STEPS = 40;
+
+    for (const seed of SEEDS) {
+      it(`contract balance equals the sum of pledged - totalWithdrawn (seed ${seed})`, async () => {
+        const random = prng(seed);
+        const pick = (items) => items[Math.floor(random() * items.length)];
+        const donors = [donorA, donorB, donorC, stranger];
+        const ids = [];
+        const requests = [];
+
+        const assertInvariant = async (step) => {
+          let expected = 0n;
+          for (const id of ids) {
+            const campaign = await campaignOf(id);
+            assert.ok(campaign.totalWithdrawn <= campaign.pledged, `totalWithdrawn exceeds pledged (step ${step})`);
+            expected += campaign.pledged - campaign.totalWithdrawn;
+          }
+          assert.equal(await chain.balanceOf(contract.options.address), expected, `balance mismatch at step ${step}`);
+        };
+
+        // Reverts are expected: the sequence is random, only the invariant matters
+        const attempt = async (method, options) => {
+          try {
+            await method.call(options);
+          } catch (err) {
+            return false;
+          }
+          await method.send(options);
+          return true;
+        };
+
+        for (let i = 0; i < 3; i++) {
+          const goal = BigInt(1 + Math.floor(random() * 5)) * ETH;
+          const { id } = await createCampaign({ goal, duration: (1 + i) * DAY });
+          ids.push(id);
+        }
+
+        for (let step = 0; step < STEPS; step++) {
+          const id = pick(ids);
+          const donor = pick(donors);
+          const action = random();
+
+          if (action < 0.35) {
+            const value = BigInt(1 + Math.floor(random() * 20)) * (ETH / 10n);
+            await attempt(contract.methods.donateToCampaign(id), { from: donor, value });
+          } else if (action < 0.45) {
+            await attempt(contract.methods.refund(id), { from: donor });
+          } else if (action < 0.55) {
+            const available = await contract.methods.getAvailableBalance(id).call();
+            const amount = available > 0n ? 1n + BigInt(Math.floor(random() * 1e6)) * (available / 1000000n) : ETH;
+            const method = contract.methods.requestWithdrawal(id, amount, 'Random request', 1 + Math.floor(random() * 100));
+            if (await attempt(method, { from: creator })) {
+              requests.push({ id, requestId: await contract.methods.withdrawalRequestCount(id).call() });
+            }
+          } else if (action < 0.7 && requests.length > 0) {
+            const request = pick(requests);
+            const vote = random() < 0.7 ? 'approveWithdrawal' : 'rejectWithdrawal';
+            await attempt(contract.methods[vote](request.id, request.requestId), { from: donor });
+          } else if (action < 0.8 && requests.length > 0) {
+            const request = pick(requests);
+            await attempt(contract.methods.executeWithdrawal(request.id, request.requestId), { from: creator });
+          } else if (action < 0.85) {
+            await attempt(contract.methods.withdraw(id), { from: creator });
+          } else {
+            await chain.increaseTime(Math.floor(random() * DAY));
+          }
+
+          await assertInvariant(step);
+        }
+      });
+    }
+  });
+});
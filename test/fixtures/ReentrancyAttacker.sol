@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.11;
+
+interface ICrowdFunding {
+    function createCampaign(string calldata _title, string calldata _description, uint256 _goal, uint256 _deadline) external returns (uint256);
+    function donateToCampaign(uint256 _id) external payable;
+    function withdraw(uint256 _id) external;
+    function refund(uint256 _id) external;
+    function requestWithdrawal(uint256 _campaignId, uint256 _amount, string calldata _usageDetails, uint256 _minApprovalPercentage) external returns (uint256);
+    function executeWithdrawal(uint256 _campaignId, uint256 _requestId) external;
+}
+
+/**
+ * Test-only contract that acts as a donor or campaign creator and tries to
+ * re-enter CrowdFunding when it receives ETH. Failed re-entries are swallowed
+ * so the outer call can complete and the test can inspect what happened.
+ */
+contract ReentrancyAttacker {
+    enum Attack { None, Refund, Withdraw, ExecuteWithdrawal }
+
+    ICrowdFunding public target;
+    Attack public attack;
+    bool public rejectPayments;
+    uint256 public campaignId;
+    uint256 public requestId;
+    uint256 public reentryAttempts;
+    uint256 public reentrySuccesses;
+
+    constructor(address _target) {
+        target = ICrowdFunding(_target);
+    }
+
+    function setAttack(Attack _attack) external {
+        attack = _attack;
+    }
+
+    function setRejectPayments(bool _reject) external {
+        rejectPayments = _reject;
+    }
+
+    function createCampaign(uint256 _goal, uint256 _deadline) external {
+        campaignId = target.createCampaign("Attacker campaign", "Re-entrancy test", _goal, _deadline);
+    }
+
+    function donate(uint256 _id) external payable {
+        campaignId = _id;
+        target.donateToCampaign{value: msg.value}(_id);
+    }
+
+    function refund() external {
+        target.refund(campaignId);
+    }
+
+    function withdraw() external {
+        target.withdraw(campaignId);
+    }
+
+    function requestWithdrawal(uint256 _amount) external {
+        requestId = target.requestWithdrawal(campaignId, _amount, "Attacker request", 51);
+    }
+
+    function executeWithdrawal() external {
+        target.executeWithdrawal(campaignId, requestId);
+    }
+
+    receive() external payable {
+        require(!rejectPayments, "Payments rejected");
+
+        Attack current = attack;
+        if (current == Attack.None) return;
+        // Only try once per payment so a successful re-entry cannot loop forever
+        attack = Attack.None;
+        reentryAttempts++;
+
+        if (current == Attack.Refund) {
+            try target.refund(campaignId) { reentrySuccesses++; } catch {}
+        } else if (current == Attack.Withdraw) {
+            try target.withdraw(campaignId) { reentrySuccesses++; } catch {}
+        } else {
+            try target.executeWithdrawal(campaignId, requestId) { reentrySuccesses++; } catch {}
+        }
+    }
+}
@@ -0,0 +1,151 @@
+// Local EVM helpers for the contract and backend tests
+// Each call to startTestChain() runs a fresh in-memory Ganache chain (no network,
+// no files) with the funded development accounts from utils/localChain.js.
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert/strict');
+const solc = require('solc');
+const { startLocalChain, deployContract } = require('../../utils/localChain');
+const { artifact } = require('../../utils/contract');
+
+/**
+ * Compile a Solidity file from test/fixtures.
+ * @param {string} fileName - e.g. 'ReentrancyAttacker.sol'
+ * @param {string} contractName
+ * @returns {{ abi: object[], bytecode: string }}
+ */
+function compileFixture(fileName, contractName) {
+  const input = {
+    language: 'Solidity',
+    sources: { [fileName]: { content: fs.readFileSync(path.join(__dirname, '../fixtures', fileName), 'utf8') } },
+    settings: { outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } } }
+  };
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (output.errors || []).filter((e) => e.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(errors.map((e) => e.formattedMessage).join('\n'));
+  }
+  const compiled = output.contracts[fileName][contractName];
+  return { abi: compiled.abi, bytecode: `0x${compiled.evm.bytecode.object}` };
+}
+
+async function startTestChain() {
+  const chain = await startLocalChain({ port: null, dataDir: null });
+  const { web3, provider } = chain;
+
+  const helpers = {
+    ...chain,
+
+    // Fresh CrowdFunding instance, so every suite starts from an empty contract
+    async deployCrowdFunding(from = chain.accounts[0].address) {
+      const { address } = await deployContract(web3, from);
+      return new web3.eth.Contract(artifact.abi, address);
+    },
+
+    async deployFixture(fileName, contractName, args = [], from = chain.accounts[0].address) {
+      const { abi, bytecode } = compileFixture(fileName, contractName);
+      return new web3.eth.Contract(abi).deploy({ data: bytecode, arguments: args }).send({ from, gas: 6000000 });
+    },
+
+    async latestTimestamp() {
+      const block = await web3.eth.getBlock('latest');
+      return Number(block.timestamp);
+    },
+
+    async increaseTime(seconds) {
+      await provider.request({ method: 'evm_increaseTime', params: [seconds] });
+      await provider.request({ method: 'evm_mine', params: [] });
+    },
+
+    async mine(blocks = 1) {
+      for (let i = 0; i < blocks; i++) {
+        await provider.request({ method: 'evm_mine', params: [] });
+      }
+    },
+
+    // snapshot() then revert(id) drops every block mined in between, as a reorg would
+    snapshot() {
+      return provider.request({ method: 'evm_snapshot', params: [] });
+    },
+
+    async revert(id) {
+      assert.equal(await provider.request({ method: 'evm_revert', params: [id] }), true);
+    },
+
+    // Sign a contract call without sending it, so its hash is known before it is mined
+    // (and the same transaction can be sent again after a revert)
+    async signCall(contract, method, { account, value = '0', gas = 200000 }) {
+      return web3.eth.accounts.signTransaction({
+        to: contract.options.address,
+        data: method.encodeABI(),
+        value,
+        gas,
+        gasPrice: (await web3.eth.getGasPrice()) * 2n,
+        nonce: await web3.eth.getTransactionCount(account.address),
+        chainId: chain.chainId
+      }, account.privateKey);
+    },
+
+    // Create a campaign on a CrowdFunding contract. Returns the columns that link a
+    // campaigns row (fixtures.createCampaign()) to it.
+    async createCampaign(contract, { from = chain.accounts[1].address, goal = '10', days = 30 } = {}) {
+      const deadline = (await helpers.latestTimestamp()) + days * 24 * 60 * 60;
+      const receipt = await contract.methods
+        .createCampaign('Test campaign', 'Created on the test chain', web3.utils.toWei(goal, 'ether'), deadline)
+        .send({ from });
+      return {
+        blockchain_campaign_id: String(receipt.events.CampaignCreated.returnValues.id),
+        transaction_hash: receipt.transactionHash
+      };
+    },
+
+    // Donate to a campaign on a CrowdFunding contract and return the transaction hash
+    async donate(contract, blockchainCampaignId, ether, from) {
+      const receipt = await contract.methods
+        .donateToCampaign(blockchainCampaignId)
+        .send({ from, value: web3.utils.toWei(String(ether), 'ether') });
+      return receipt.transactionHash;
+    },
+
+    async balanceOf(address) {
+      return BigInt(await web3.eth.getBalance(address));
+    },
+
+    // Events of one type emitted by a transaction
+    async eventsIn(contract, receipt, eventName) {
+      const events = await contract.getPastEvents(eventName, {
+        fromBlock: receipt.blockNumber,
+        toBlock: receipt.blockNumber
+      });
+      return events.filter((event) => event.transactionHash === receipt.transactionHash);
+    },
+
+    // Assert that a call (or view) reverts with the given require() message
+    async expectCallRevert(method, options, reason) {
+      await assert.rejects(method.call(options), (err) => {
+        const message = [err.message, err.innerError && err.innerError.message, err.cause && err.cause.message]
+          .filter(Boolean)
+          .join(' ');
+        assert.match(message, new RegExp(reason.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')));
+        return true;
+      });
+    },
+
+    // Assert that a transaction reverts with the given message. It is simulated
+    // first to read the reason, then sent to prove it cannot be mined.
+    async expectRevert(method, options, reason) {
+      await helpers.expectCallRevert(method, options, reason);
+      await assert.rejects(method.send({ ...options, gas: 1000000 }));
+    },
+
+    stop: chain.stop
+  };
+
+  return helpers;
+}
+
+module.exports = {
+  compileFixture,
+  startTestChain
+};
@@ -0,0 +1,60 @@
+// Throw-away databases for the tests
+// DB_CLIENT picks the engine, as it does for the server. SQLite tests get a file in a
+// temporary directory; Postgres tests get a database of their own on the server at
+// TEST_DATABASE_URL (`npm run test:postgres` starts one), dropped when they finish.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SqliteConnection } = require('../../utils/sqlite');
+const { PostgresConnection } = require('../../utils/postgres');
+
+const DIALECT = (process.env.DB_CLIENT || 'sqlite').toLowerCase();
+
+let counter = 0;
+
+/**
+ * Create an empty database for the configured engine.
+ * @returns {Promise<{dialect: string, env: object, connect: Function, drop: Function}>}
+ *   `env` holds the variables that point utils/db.js at it, `connect()` opens a
+ *   dedicated connection and `drop()` deletes it
+ */
+async function createTestDatabase() {
+  if (DIALECT === 'postgres') {
+    if (!process.env.TEST_DATABASE_URL) {
+      throw new Error('TEST_DATABASE_URL must be set to run the tests on Postgres (see npm run test:postgres)');
+    }
+    const name = `crowdfunding_test_${process.pid}_${++counter}`;
+    const url = new URL(process.env.TEST_DATABASE_URL);
+    url.pathname = `/${name}`;
+
+    const admin = PostgresConnection.client(process.env.TEST_DATABASE_URL);
+    await admin.run(`CREATE DATABASE ${name}`);
+    await admin.close();
+
+    return {
+      dialect: DIALECT,
+      env: { DB_CLIENT: 'postgres', DATABASE_URL: url.toString() },
+      connect: () => PostgresConnection.client(url.toString()),
+      async drop() {
+        const server = PostgresConnection.client(process.env.TEST_DATABASE_URL);
+        await server.run(`DROP DATABASE IF EXISTS ${name} WITH (FORCE)`);
+        await server.close();
+      }
+    };
+  }
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crowdfunding-test-'));
+  const file = path.join(tempDir, 'crowdfunding.db');
+
+  return {
+    dialect: DIALECT,
+    env: { DB_CLIENT: 'sqlite', DB_PATH: file },
+    connect: () => new SqliteConnection(file),
+    async drop() {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { createTestDatabase, DIALECT };
@@ -0,0 +1,197 @@
+// Database fixtures for the backend tests
+// Rows are inserted directly, so tests only go through the routes they are testing.
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { hashToken, signAccessToken } = require('../../utils/sessions');
+const { generateSecret } = require('../../utils/totp');
+
+const DEFAULT_PASSWORD = 'password123';
+
+function createFixtures(db) {
+  let sequence = 0;
+  const next = () => ++sequence;
+
+  const run = (sql, params = []) => db.run(sql, params);
+
+  // undefined rather than null when nothing matches
+  const get = async (sql, params = []) => (await db.get(sql, params)) || undefined;
+
+  const all = (sql, params = []) => db.all(sql, params);
+
+  // Open a session for the user, as signing in does, and return its access token
+  async function tokenFor(user) {
+    const { lastID } = await run(
+      'INSERT INTO sessions (user_id, refresh_token_hash, expires_at) VALUES (?, ?, ?)',
+      [user.id, hashToken(crypto.randomBytes(32).toString('hex')), '2999-01-01 00:00:00']
+    );
+    return signAccessToken(user, lastID);
+  }
+
+  /**
+   * Insert a user and return the row with a signed token. `wallet_address` becomes
+   * their primary wallet, verified (signed for) unless `wallet_verified_at: null` is passed.
+   * The email counts as verified unless `email_verified_at: null` is passed.
+   * @param {object} [attrs] - Column overrides; `password` is the plain-text password
+   */
+  async function createUser(attrs = {}) {
+    const n = next();
+    const role = attrs.role || 'donor';
+    const user = {
+      // Prefixed so they never collide with the seeded admin/donor1/fundraiser1 accounts
+      username: `test_${role}${n}`,
+      email: `test.${role}${n}@example.com`,
+      name: `Test ${role} ${n}`,
+      wallet_address: `0x${String(n).padStart(40, '0')}`,
+      ...attrs,
+      role
+    };
+    const now = new Date().toISOString().replace('T', ' ').slice(0, 19);
+    if (user.wallet_verified_at === undefined) {
+      user.wallet_verified_at = user.wallet_address ? now : null;
+    }
+    if (user.email_verified_at === undefined) {
+      user.email_verified_at = user.email ? now : null;
+    }
+    const password = attrs.password || DEFAULT_PASSWORD;
+    const { lastID } = await run(
+      `INSERT INTO users (username, email, password, role, name, wallet_address, wallet_verified_at, email_verified_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        user.username, user.email, bcrypt.hashSync(password, 4), role, user.name,
+        user.wallet_address, user.wallet_verified_at, user.email_verified_at
+      ]
+    );
+    if (user.wallet_address) {
+      await run(
+        'INSERT INTO user_wallets (user_id, address, is_primary, verified_at) VALUES (?, ?, 1, ?)',
+        [lastID, user.wallet_address, user.wallet_verified_at]
+      );
+    }
+    const row = await get('SELECT * FROM users WHERE id = ?', [lastID]);
+    return { ...row, password, token: await tokenFor(row) };
+  }
+
+  /**
+   * Add a secondary wallet to a user, verified unless `verified_at: null` is passed.
+   * @param {object} attrs - `user` row plus column overrides
+   */
+  async function createWallet({ user, ...columns }) {
+    const wallet = {
+      user_id: user.id,
+      address: `0x${String(next()).padStart(40, 'a')}`,
+      verified_at: new Date().toISOString().replace('T', ' ').slice(0, 19),
+      ...columns
+    };
+    const names = Object.keys(wallet);
+    const { lastID } = await run(
+      `INSERT INTO user_wallets (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+      names.map((name) => wallet[name])
+    );
+    return get('SELECT * FROM user_wallets WHERE id = ?', [lastID]);
+  }
+
+  /**
+   * Insert a campaign. Defaults to an active campaign with a 10 ETH goal ending in a week.
+   * @param {object} [attrs] - Column overrides; `creator` is a user row
+   */
+  async function createCampaign(attrs = {}) {
+    const { creator = await createUser({ role: 'fundraiser' }), ...columns } = attrs;
+    const campaign = {
+      title: `Campaign ${next()}`,
+      description: 'A campaign created by the test fixtures',
+      goal: 10,
+      current_amount: 0,
+      creator_id: creator.id,
+      wallet_address: creator.wallet_address,
+      deadline: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+      status: 'active',
+      category: 'general',
+      ...columns
+    };
+    const names = Object.keys(campaign);
+    const { lastID } = await run(
+      `INSERT INTO campaigns (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+      names.map((name) => campaign[name])
+    );
+    return get('SELECT * FROM campaigns WHERE id = ?', [lastID]);
+  }
+
+  /**
+   * Insert a donation and add it to the campaign's current_amount. It is verified
+   * against its receipt unless `verification_status` is passed.
+   * @param {object} attrs - `campaign` and `donor` rows plus column overrides
+   */
+  async function createDonation({ campaign, donor, amount = 1, ...columns }) {
+    const verified = columns.verification_status === undefined || columns.verification_status === 'verified';
+    const donation = {
+      campaign_id: campaign.id,
+      donor_id: donor.id,
+      amount,
+      donor_address: donor.wallet_address,
+      transaction_hash: `0x${String(next()).padStart(64, '0')}`,
+      verification_status: 'verified',
+      verified_at: verified ? new Date().toISOString().replace('T', ' ').slice(0, 19) : null,
+      ...columns
+    };
+    const names = Object.keys(donation);
+    const { lastID } = await run(
+      `INSERT INTO donations (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+      names.map((name) => donation[name])
+    );
+    await run('UPDATE campaigns SET current_amount = current_amount + ? WHERE id = ?', [amount, campaign.id]);
+    return get('SELECT * FROM donations WHERE id = ?', [lastID]);
+  }
+
+  /**
+   * Insert an off-chain usage request for a campaign.
+   * @param {object} attrs - `campaign` row plus column overrides
+   */
+  async function createUsageRequest({ campaign, ...columns }) {
+    const request = {
+      campaign_id: campaign.id,
+      title: `Usage request ${next()}`,
+      category: 'OTHER',
+      requested_amount: 1,
+      description: 'Supplies',
+      status: 'PENDING',
+      created_by: campaign.creator_id,
+      ...columns
+    };
+    const names = Object.keys(request);
+    const { lastID } = await run(
+      `INSERT INTO usage_requests (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+      names.map((name) => request[name])
+    );
+    return get('SELECT * FROM usage_requests WHERE id = ?', [lastID]);
+  }
+
+  /**
+   * Turn on two-factor authentication for a user, as enrolling does.
+   * @returns {Promise<string>} The TOTP secret, to generate codes with utils/totp.js
+   */
+  async function enableTwoFactor(user) {
+    const secret = generateSecret();
+    await run(
+      'INSERT INTO user_two_factor (user_id, secret, enabled_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+      [user.id, secret]
+    );
+    return secret;
+  }
+
+  return {
+    DEFAULT_PASSWORD,
+    run,
+    get,
+    all,
+    tokenFor,
+    createUser,
+    createWallet,
+    createCampaign,
+    createDonation,
+    createUsageRequest,
+    enableTwoFactor
+  };
+}
+
+module.exports = { createFixtures };
@@ -0,0 +1,40 @@
+// Mail sent during a test file, read back from the MAIL_TRANSPORT=file directory
+// (see utils/mailer.js)
+
+const fs = require('fs');
+const path = require('path');
+
+function createMailbox(dir) {
+  /**
+   * Messages sent to an address, oldest first.
+   * @param {string} address
+   * @returns {Array<{to: string[], subject: string, text: string}>}
+   */
+  function messagesTo(address) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .sort()
+      .map((name) => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')))
+      .map((message) => ({ ...message, to: message.to.map((recipient) => recipient.address) }))
+      .filter((message) => message.to.includes(address));
+  }
+
+  // The token from the link in the last message sent to the address
+  function lastToken(address) {
+    const messages = messagesTo(address);
+    if (messages.length === 0) return undefined;
+    const match = messages[messages.length - 1].text.match(/[?&]token=([^\s&]+)/);
+    return match ? match[1] : undefined;
+  }
+
+  // Wait until the email being sent in the background has been tried (utils/mailOutbox.js
+  // and utils/accountEmails.js, loaded once startTestApp() configured the environment)
+  async function settle() {
+    await require('../../utils/mailOutbox').idle();
+    await require('../../utils/accountEmails').idle();
+  }
+
+  return { dir, messagesTo, lastToken, settle };
+}
+
+module.exports = { createMailbox };
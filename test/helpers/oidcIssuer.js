@@ -0,0 +1,121 @@
+// Local OpenID Connect issuer for the sign-in tests
+// Serves discovery, a key set, an authorization endpoint that signs in whoever
+// signInAs() named (no login page) and a token endpoint for the codes it hands out.
+// Register providers pointing at `url` through OIDC_* variables (see utils/oidc.js).
+
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+/**
+ * @param {object} options
+ * @param {Object<string, string>} options.clients - client_id → client_secret
+ * @returns {Promise<{url: string, signInAs: Function, idToken: Function, authorize: Function, stop: Function}>}
+ */
+async function startOidcIssuer({ clients }) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'test-key';
+  const codes = new Map();
+  let account = null;
+  let url;
+
+  const idToken = (claims, { audience, nonce, expiresIn = '5m', key = privateKey } = {}) => jwt.sign(
+    { email_verified: true, ...claims, ...(nonce ? { nonce } : {}) },
+    key,
+    { algorithm: 'RS256', keyid: kid, issuer: url, audience, expiresIn }
+  );
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, url);
+
+    if (pathname === '/.well-known/openid-configuration') {
+      return send(res, 200, {
+        issuer: url,
+        authorization_endpoint: `${url}/authorize`,
+        token_endpoint: `${url}/token`,
+        jwks_uri: `${url}/jwks`
+      });
+    }
+
+    if (pathname === '/jwks') {
+      return send(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+    }
+
+    if (pathname === '/authorize') {
+      const back = new URL(searchParams.get('redirect_uri'));
+      back.searchParams.set('state', searchParams.get('state'));
+      if (!account || !clients[searchParams.get('client_id')]) {
+        back.searchParams.set('error', 'access_denied');
+      } else {
+        const code = crypto.randomBytes(8).toString('hex');
+        codes.set(code, {
+          claims: account,
+          clientId: searchParams.get('client_id'),
+          redirectUri: searchParams.get('redirect_uri'),
+          nonce: searchParams.get('nonce')
+        });
+        back.searchParams.set('code', code);
+      }
+      res.writeHead(302, { Location: back.toString() });
+      return res.end();
+    }
+
+    if (pathname === '/token' && req.method === 'POST') {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        const params = new URLSearchParams(body);
+        const grant = codes.get(params.get('code'));
+        codes.delete(params.get('code'));
+        if (clients[params.get('client_id')] !== params.get('client_secret')) {
+          return send(res, 401, { error: 'invalid_client' });
+        }
+        if (!grant || grant.clientId !== params.get('client_id') || grant.redirectUri !== params.get('redirect_uri')) {
+          return send(res, 400, { error: 'invalid_grant' });
+        }
+        send(res, 200, {
+          access_token: crypto.randomBytes(8).toString('hex'),
+          token_type: 'Bearer',
+          id_token: idToken(grant.claims, { audience: grant.clientId, nonce: grant.nonce })
+        });
+      });
+      return undefined;
+    }
+
+    send(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    /**
+     * The account the authorization endpoint signs in; null to deny access.
+     * @param {object|null} claims - `sub`, `email`, `name`, ...
+     */
+    signInAs(claims) {
+      account = claims;
+    },
+    idToken,
+    /**
+     * Follow a redirect to the authorization endpoint.
+     * @param {string} authorizationUrl
+     * @returns {Promise<URL>} Where the issuer redirects back to
+     */
+    async authorize(authorizationUrl) {
+      const res = await fetch(authorizationUrl, { redirect: 'manual' });
+      return new URL(res.headers.get('location'));
+    },
+    stop() {
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startOidcIssuer };
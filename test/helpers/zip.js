@@ -0,0 +1,40 @@
+// Reads the ZIP archives utils/zip.js writes (deflated or stored entries, no ZIP64),
+// through the central directory like an archiver would
+
+const zlib = require('zlib');
+
+/**
+ * @param {Buffer} archive
+ * @returns {Map<string, Buffer>} Entry name → contents, in archive order
+ */
+function readZip(archive) {
+  const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (end < 0) throw new Error('Not a ZIP archive: no end of central directory');
+  const count = archive.readUInt16LE(end + 10);
+  let offset = archive.readUInt32LE(end + 16);
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (archive.readUInt32LE(offset) !== 0x02014b50) throw new Error(`Bad central directory entry ${i}`);
+    const method = archive.readUInt16LE(offset + 10);
+    const crc = archive.readUInt32LE(offset + 16);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const extraLength = archive.readUInt16LE(offset + 30);
+    const commentLength = archive.readUInt16LE(offset + 32);
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (archive.readUInt32LE(localOffset) !== 0x04034b50) throw new Error(`Bad local header for ${name}`);
+    const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+    const raw = archive.subarray(dataStart, dataStart + compressedSize);
+    const data = method === 8 ? zlib.inflateRawSync(raw) : Buffer.from(raw);
+    if (zlib.crc32(data) !== crc) throw new Error(`CRC mismatch for ${name}`);
+
+    entries.set(name, data);
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+module.exports = { readZip };
@@ -0,0 +1,222 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Migrator, MigrationError, MIGRATIONS_DIR } = require('../../utils/migrator');
+const { createTestDatabase, DIALECT } = require('../helpers/database');
+
+describe('Migrator', () => {
+  let tempDir;
+  let database;
+  let db;
+  let migrator;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crowdfunding-migrations-'));
+    database = await createTestDatabase();
+    db = database.connect();
+    migrator = new Migrator({ db });
+  });
+
+  afterEach(async () => {
+    await db.close();
+    await database.drop();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  // Copy the real migrations plus extra files into a scratch directory
+  const withExtraMigrations = (files) => {
+    const directory = path.join(tempDir, 'migrations');
+    fs.mkdirSync(directory);
+    fs.readdirSync(MIGRATIONS_DIR).forEach((file) => {
+      fs.copyFileSync(path.join(MIGRATIONS_DIR, file), path.join(directory, file));
+    });
+    Object.entries(files).forEach(([file, source]) => fs.writeFileSync(path.join(directory, file), source));
+    return new Migrator({ db, directory });
+  };
+
+  it('applies every migration to an empty database', async () => {
+    await assert.rejects(migrator.assertUpToDate(), MigrationError);
+
+    const applied = await migrator.migrate();
+    assert.deepEqual(applied.map((m) => m.file), fs.readdirSync(MIGRATIONS_DIR).sort());
+    await migrator.assertUpToDate();
+
+    assert.ok(await migrator.hasTable('chain_events'));
+    assert.ok(await migrator.hasColumn('donations', 'verification_status'));
+    assert.ok(await migrator.hasTable('user_settings'));
+    assert.ok(await migrator.hasTable('email_outbox'));
+    assert.ok(await migrator.hasColumn('withdrawal_requests', 'execution_transaction_hash'));
+    assert.ok(await migrator.hasColumn('withdrawal_requests', 'approvals'));
+    assert.deepEqual(await migrator.migrate(), []);
+
+    // The role constraint takes the reviewer and auditor roles, and still nothing else
+    const addUser = (role) => migrator.run(
+      'INSERT INTO users (username, email, password, role, name) VALUES (?, ?, ?, ?, ?)',
+      [role, `${role}@example.com`, 'x', role, role]
+    );
+    await addUser('reviewer');
+    await addUser('auditor');
+    await assert.rejects(addUser('superuser'));
+  });
+
+  it('brings a database created before migrations up to the baseline', {
+    skip: DIALECT !== 'sqlite' && 'databases from before migrations are always SQLite'
+  }, async () => {
+    // The shape of databases created by the old boot-time CREATE TABLE calls
+    await migrator.exec(`
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        email TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        role TEXT NOT NULL CHECK(role IN ('admin', 'donor', 'fundraiser')),
+        wallet_address TEXT,
+        name TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE campaigns (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        description TEXT NOT NULL,
+        goal REAL NOT NULL,
+        current_amount REAL DEFAULT 0,
+        creator_id INTEGER,
+        deadline DATETIME,
+        status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'approved', 'rejected', 'active', 'completed')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      INSERT INTO users (username, email, password, role, name, wallet_address)
+        VALUES ('old', 'old@example.com', 'x', 'fundraiser', 'Old', '0x00000000000000000000000000000000000000d4');
+      INSERT INTO campaigns (title, description, goal, creator_id, status) VALUES ('Legacy', 'Kept', 3, 1, 'active');
+    `);
+
+    await migrator.migrate();
+
+    assert.ok(await migrator.hasColumn('users', 'profile_picture'));
+    assert.equal(await migrator.hasColumn('users', 'oauth_id'), false);
+    assert.ok(await migrator.hasColumn('users', 'deleted_at'));
+    assert.ok(await migrator.hasTable('comments'));
+    assert.ok(await migrator.hasColumn('notifications', 'data'));
+    assert.ok(await migrator.hasColumn('campaigns', 'blockchain_goal'));
+    const campaign = await migrator.get('SELECT * FROM campaigns');
+    assert.equal(campaign.title, 'Legacy');
+    assert.equal(campaign.category, 'general');
+
+    // The widened status constraint now accepts 'failed'
+    await migrator.run("UPDATE campaigns SET status = 'failed' WHERE id = ?", [campaign.id]);
+    // Notification types are no longer constrained by the table
+    await migrator.run(
+      "INSERT INTO notifications (user_id, campaign_id, type, title, message) VALUES (1, ?, 'refund_issued', 'Refund', 'Refunded')",
+      [campaign.id]
+    );
+
+    // The existing wallet became the user's unverified primary wallet
+    const wallets = await migrator.all('SELECT * FROM user_wallets');
+    assert.equal(wallets.length, 1);
+    assert.equal(wallets[0].address, '0x00000000000000000000000000000000000000d4');
+    assert.equal(wallets[0].is_primary, 1);
+    assert.equal(wallets[0].verified_at, null);
+
+    // Existing accounts don't have to verify their email
+    const user = await migrator.get('SELECT email_verified_at FROM users');
+    assert.ok(user.email_verified_at);
+  });
+
+  it('keeps one donation per transaction when hashes become unique', async () => {
+    await migrator.migrate();
+    await migrator.rollback(migrator.list().filter((m) => m.version >= 18).length);
+    await migrator.run("INSERT INTO users (username, email, password, role, name) VALUES ('d', 'd@example.com', 'x', 'donor', 'D')");
+    const { lastID: campaignId } = await migrator.run(
+      "INSERT INTO campaigns (title, description, goal, current_amount, creator_id) VALUES ('Twice', 'Counted', 5, 3, 1)"
+    );
+    for (const hash of ['0xAB', '0xab', '0xab']) {
+      await migrator.run(
+        'INSERT INTO donations (campaign_id, donor_id, amount, transaction_hash) VALUES (?, 1, 1, ?)',
+        [campaignId, hash]
+      );
+    }
+
+    await migrator.migrate();
+
+    const donations = await migrator.all('SELECT transaction_hash, verification_status, verification_error FROM donations ORDER BY id');
+    assert.deepEqual(donations.map((d) => ({ ...d })), [
+      { transaction_hash: '0xab', verification_status: null, verification_error: null },
+      { transaction_hash: null, verification_status: 'rejected', verification_error: 'Duplicate of donation #1 (transaction 0xab)' },
+      { transaction_hash: null, verification_status: 'rejected', verification_error: 'Duplicate of donation #1 (transaction 0xab)' }
+    ]);
+    assert.equal((await migrator.get('SELECT current_amount FROM campaigns WHERE id = ?', [campaignId])).current_amount, 1);
+    await assert.rejects(migrator.run(
+      'INSERT INTO donations (campaign_id, donor_id, amount, transaction_hash) VALUES (?, 1, 1, ?)',
+      [campaignId, '0xAb']
+    ));
+  });
+
+  it('records a failed migration and rolls back its changes', async () => {
+    const broken = withExtraMigrations({
+      '900_broken.js': `module.exports = {
+        up: async (db) => {
+          await db.run('CREATE TABLE half_done (id INTEGER)');
+          await db.run('SELECT * FROM no_such_table');
+        },
+        down: async () => { }
+      };`
+    });
+
+    const missingTable = DIALECT === 'postgres'
+      ? /900_broken\.js failed: relation "no_such_table" does not exist/
+      : /900_broken\.js failed: SQLITE_ERROR: no such table: no_such_table/;
+    await assert.rejects(broken.migrate(), missingTable);
+    assert.equal(await broken.hasTable('half_done'), false);
+
+    const { failed, pending } = await broken.status();
+    assert.deepEqual(failed.map((m) => m.version), [900]);
+    assert.deepEqual(pending, []);
+    await assert.rejects(broken.assertUpToDate(), /900_broken\.js failed/);
+  });
+
+  it('rolls back the most recent migrations', async () => {
+    await migrator.migrate();
+    // Everything after the baseline, newest first
+    const after = migrator.list().map((m) => m.version).filter((version) => version > 1);
+    const rolledBack = await migrator.rollback(after.length);
+
+    assert.deepEqual(rolledBack.map((m) => m.version), [...after].reverse());
+    assert.equal(await migrator.hasColumn('withdrawal_requests', 'approvals'), false);
+    assert.equal(await migrator.hasColumn('withdrawal_requests', 'execution_transaction_hash'), false);
+    assert.equal(await migrator.hasTable('email_outbox'), false);
+    assert.equal(await migrator.hasColumn('usage_requests', 'reminded_at'), false);
+    assert.equal(await migrator.hasTable('user_settings'), false);
+    assert.equal(await migrator.hasTable('notification_digest_items'), false);
+    assert.equal(await migrator.hasColumn('notifications', 'data'), false);
+    assert.equal(await migrator.hasTable('comments'), false);
+    assert.equal(await migrator.hasTable('user_identities'), false);
+    assert.equal(await migrator.hasTable('verification_documents'), false);
+    assert.equal(await migrator.hasTable('role_requests'), false);
+    assert.equal(await migrator.hasTable('campaign_members'), false);
+    assert.equal(await migrator.hasTable('platform_settings'), false);
+    assert.equal(await migrator.hasTable('user_two_factor'), false);
+    assert.equal(await migrator.hasColumn('users', 'email_verified_at'), false);
+    assert.equal(await migrator.hasTable('sessions'), false);
+    assert.equal(await migrator.hasTable('user_wallets'), false);
+    assert.equal(await migrator.hasTable('auth_nonces'), false);
+    assert.equal(await migrator.hasColumn('users', 'wallet_verified_at'), false);
+    assert.equal(await migrator.hasTable('chain_events'), false);
+    assert.equal(await migrator.hasColumn('donations', 'verification_status'), false);
+    assert.ok(await migrator.hasTable('campaigns'));
+
+    const { pending } = await migrator.status();
+    assert.deepEqual(pending.map((m) => m.version), after);
+
+    await migrator.migrate();
+    await migrator.assertUpToDate();
+  });
+
+  it('rejects duplicate version numbers', async () => {
+    const duplicated = withExtraMigrations({
+      '003_other.js': 'module.exports = { up: async () => { }, down: async () => { } };'
+    });
+    assert.throws(() => duplicated.list(), /Duplicate migration version 3/);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+
+describe('models.transaction', () => {
+  let ctx;
+  let fixtures;
+  let models;
+  let donor;
+  let campaign;
+
+  before(async () => {
+    ctx = await startTestApp();
+    fixtures = ctx.fixtures;
+    models = require('../../models');
+
+    donor = await fixtures.createUser({ role: 'donor' });
+    campaign = await fixtures.createCampaign();
+  });
+
+  after(() => ctx.close());
+
+  const raised = async () => (await models.campaigns.findById(campaign.id)).current_amount;
+
+  it('commits every write when the callback resolves', async () => {
+    const before = await raised();
+
+    const donationId = await models.transaction(async ({ donations, campaigns }) => {
+      const id = await donations.create({ campaignId: campaign.id, donorId: donor.id, amount: 2 });
+      await campaigns.addToRaised(campaign.id, 2);
+      return id;
+    });
+
+    const donation = await models.donations.findWithDetails(donationId);
+    assert.equal(donation.amount, 2);
+    assert.equal(donation.campaign_title, campaign.title);
+    assert.equal(await raised(), before + 2);
+  });
+
+  it('rolls back every write and rethrows when the callback throws', async () => {
+    const before = await raised();
+    const count = await models.donations.countByCampaign(campaign.id);
+
+    await assert.rejects(
+      models.transaction(async ({ donations, campaigns }) => {
+        await donations.create({ campaignId: campaign.id, donorId: donor.id, amount: 3 });
+        await campaigns.addToRaised(campaign.id, 3);
+        throw new Error('payment provider unavailable');
+      }),
+      /payment provider unavailable/
+    );
+
+    assert.equal(await models.donations.countByCampaign(campaign.id), count);
+    assert.equal(await raised(), before);
+  });
+
+  it('serializes concurrent read-then-write transactions', async () => {
+    const before = await raised();
+
+    // Each transaction reads the total and writes it back incremented; without the
+    // write lock taken when the transaction begins some of these increments would be lost
+    await Promise.all([1, 2, 3, 4].map(() => models.transaction(async ({ campaigns }) => {
+      const current = await campaigns.findById(campaign.id);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      await campaigns.connection.run('UPDATE campaigns SET current_amount = ? WHERE id = ?', [current.current_amount + 1, campaign.id]);
+    })));
+
+    assert.equal(await raised(), before + 4);
+  });
+
+  it('keeps the shared connection usable outside transactions', async () => {
+    const donationId = await models.transaction(({ donations }) =>
+      donations.create({ campaignId: campaign.id, donorId: donor.id, amount: 1 })
+    );
+
+    // Reads on the shared connection see the committed row straight away
+    const rows = await models.donations.listByCampaign(campaign.id);
+    assert.ok(rows.some((row) => row.id === donationId));
+  });
+});
@@ -0,0 +1,246 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+const { getBlockchain } = require('../../utils/contract');
+
+describe('chain indexer', () => {
+  let ctx;
+  let fixtures;
+  let web3;
+  let contract;
+  let fundraiserAccount;
+  let donorAccount;
+  let fundraiser;
+  let donor;
+
+  before(async () => {
+    ctx = await startTestApp({ chain: true });
+    fixtures = ctx.fixtures;
+    ({ web3, contract } = getBlockchain());
+    [, fundraiserAccount, donorAccount] = ctx.chain.accounts.map((account) => account.address);
+    fundraiser = await fixtures.createUser({ role: 'fundraiser', wallet_address: fundraiserAccount });
+    donor = await fixtures.createUser({ wallet_address: donorAccount.toLowerCase() });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  // An indexer on its own connection, as utils/blockchainSync.js runs it. Required
+  // here: utils/db.js reads the database settings startTestApp() sets when it loads.
+  async function withIndexer(fn, options = {}) {
+    const { ChainIndexer } = require('../../utils/chainIndexer');
+    const { openDatabase } = require('../../utils/db');
+    const db = openDatabase();
+    try {
+      return await fn(new ChainIndexer({ web3, contract, db, confirmations: 0, ...options }));
+    } finally {
+      await db.close();
+    }
+  }
+
+  // A campaign deployed on chain and linked to a local row, as the dashboard does
+  async function deployCampaign(creator, { goal = '10', deadline = Math.floor(Date.now() / 1000) + 7 * 24 * 60 * 60 } = {}) {
+    const receipt = await contract.methods
+      .createCampaign('Well', 'Clean water', web3.utils.toWei(goal, 'ether'), deadline)
+      .send({ from: fundraiserAccount });
+    const blockchainCampaignId = receipt.events.CampaignCreated.returnValues.id;
+    const campaign = await fixtures.createCampaign({
+      creator,
+      blockchain_campaign_id: String(blockchainCampaignId),
+      transaction_hash: receipt.transactionHash
+    });
+    return { campaign, blockchainCampaignId };
+  }
+
+  const donate = (blockchainCampaignId, ether, from = donorAccount) => contract.methods
+    .donateToCampaign(blockchainCampaignId)
+    .send({ from, value: web3.utils.toWei(ether, 'ether') });
+
+  // Signed up front, so the same transaction can be mined again after a reorg
+  const signDonation = (blockchainCampaignId, ether, account) => ctx.chain.signCall(
+    contract,
+    contract.methods.donateToCampaign(blockchainCampaignId),
+    { account, value: web3.utils.toWei(ether, 'ether') }
+  );
+
+  const donationsTo = (campaign) => fixtures.all(
+    'SELECT donor_id, amount, confirmation_status FROM donations WHERE campaign_id = ? ORDER BY id',
+    [campaign.id]
+  );
+
+  const currentAmount = async (campaign) => (await fixtures.get('SELECT current_amount FROM campaigns WHERE id = ?', [campaign.id])).current_amount;
+
+  const checkpoint = async () => Number((await fixtures.get("SELECT value FROM indexer_state WHERE key = 'last_indexed_block'")).value);
+
+  it('indexes events from the local chain, resumes from its checkpoint and re-indexes without duplicating rows', async () => {
+    const { campaign, blockchainCampaignId } = await deployCampaign(fundraiser);
+    await donate(blockchainCampaignId, '1');
+
+    assert.equal(await withIndexer((indexer) => indexer.sync()), 2);
+    assert.deepEqual((await donationsTo(campaign)).map((row) => ({ ...row })), [
+      { donor_id: donor.id, amount: 1, confirmation_status: 'confirmed' }
+    ]);
+    assert.equal(await currentAmount(campaign), 1);
+    assert.equal(await checkpoint(), Number(await web3.eth.getBlockNumber()));
+
+    // A restarted indexer only reads the blocks after its checkpoint
+    await donate(blockchainCampaignId, '0.5');
+    assert.equal(await withIndexer((indexer) => indexer.sync()), 1);
+    assert.equal((await donationsTo(campaign)).length, 2);
+    assert.equal(await currentAmount(campaign), 1.5);
+
+    // Scanning the same blocks again changes nothing
+    const events = (await fixtures.get('SELECT COUNT(*) AS count FROM chain_events')).count;
+    await fixtures.run('DELETE FROM indexer_state');
+    assert.equal(await withIndexer((indexer) => indexer.sync()), 0);
+    assert.equal((await fixtures.get('SELECT COUNT(*) AS count FROM chain_events')).count, events);
+    assert.equal((await donationsTo(campaign)).length, 2);
+    assert.equal(await currentAmount(campaign), 1.5);
+    assert.equal(await checkpoint(), Number(await web3.eth.getBlockNumber()));
+  });
+
+  it('rolls back donations from blocks that were reorganized away and re-applies them when re-mined', async () => {
+    const [, , , reporter, other] = ctx.chain.accounts;
+    const reportingDonor = await fixtures.createUser({ wallet_address: reporter.address.toLowerCase() });
+    const otherDonor = await fixtures.createUser({ wallet_address: other.address.toLowerCase() });
+    const { campaign, blockchainCampaignId } = await deployCampaign(fundraiser);
+    await donate(blockchainCampaignId, '1');
+    const sync = () => withIndexer((indexer) => indexer.sync(), { confirmations: 2 });
+    await sync();
+
+    const reported = await signDonation(blockchainCampaignId, '2', reporter);
+    // The donor's client reports the donation before it is indexed
+    await fixtures.createDonation({ campaign, donor: reportingDonor, amount: 2, transaction_hash: reported.transactionHash });
+    const snapshot = await ctx.chain.snapshot();
+    await web3.eth.sendSignedTransaction(reported.rawTransaction);
+    await donate(blockchainCampaignId, '3', other.address);
+    assert.equal(await sync(), 2);
+    const statuses = () => fixtures.all(
+      'SELECT donor_id, amount, confirmation_status FROM donations WHERE campaign_id = ? ORDER BY amount',
+      [campaign.id]
+    ).then((rows) => rows.map((row) => ({ ...row })));
+    assert.deepEqual(await statuses(), [
+      { donor_id: donor.id, amount: 1, confirmation_status: 'confirmed' },
+      { donor_id: reportingDonor.id, amount: 2, confirmation_status: 'pending' },
+      { donor_id: otherDonor.id, amount: 3, confirmation_status: 'pending' }
+    ]);
+    assert.equal(await currentAmount(campaign), 6);
+
+    // Another branch wins: the indexed donation disappears, the reported one is orphaned
+    await ctx.chain.revert(snapshot);
+    await ctx.chain.mine();
+    await sync();
+    assert.deepEqual(await statuses(), [
+      { donor_id: donor.id, amount: 1, confirmation_status: 'confirmed' },
+      { donor_id: reportingDonor.id, amount: 2, confirmation_status: 'orphaned' }
+    ]);
+    assert.equal(await currentAmount(campaign), 1);
+
+    // The reported transaction is mined again, in a later block
+    await web3.eth.sendSignedTransaction(reported.rawTransaction);
+    assert.equal(await sync(), 1);
+    assert.equal((await statuses())[1].confirmation_status, 'pending');
+    assert.equal(await currentAmount(campaign), 3);
+
+    await ctx.chain.mine(2);
+    await sync();
+    assert.deepEqual(await statuses(), [
+      { donor_id: donor.id, amount: 1, confirmation_status: 'confirmed' },
+      { donor_id: reportingDonor.id, amount: 2, confirmation_status: 'confirmed' }
+    ]);
+  });
+
+  it('tracks a withdrawal\'s execution apart from its request, through a reorg', async () => {
+    const { campaign, blockchainCampaignId } = await deployCampaign(fundraiser, {
+      goal: '1',
+      deadline: (await ctx.chain.latestTimestamp()) + 30
+    });
+    await donate(blockchainCampaignId, '1');
+    await ctx.chain.increaseTime(60);
+    const requested = await contract.methods
+      .requestWithdrawal(blockchainCampaignId, web3.utils.toWei('0.5', 'ether'), 'Pipes', 50)
+      .send({ from: fundraiserAccount, gas: 500000 });
+    await contract.methods.approveWithdrawal(blockchainCampaignId, 1).send({ from: donorAccount, gas: 500000 });
+    const sync = () => withIndexer((indexer) => indexer.sync(), { confirmations: 2 });
+    await ctx.chain.mine(2);
+    await sync();
+
+    const withdrawal = async () => ({
+      ...(await fixtures.get(
+        `SELECT transaction_hash, confirmation_status, executed, execution_transaction_hash, execution_confirmation_status
+         FROM withdrawal_requests WHERE campaign_id = ?`,
+        [campaign.id]
+      ))
+    });
+    const request = {
+      transaction_hash: requested.transactionHash,
+      confirmation_status: 'confirmed'
+    };
+    assert.deepEqual(await withdrawal(), { ...request, executed: 0, execution_transaction_hash: null, execution_confirmation_status: null });
+
+    const snapshot = await ctx.chain.snapshot();
+    const executed = await contract.methods.executeWithdrawal(blockchainCampaignId, 1).send({ from: fundraiserAccount, gas: 500000 });
+    await sync();
+    assert.deepEqual(await withdrawal(), {
+      ...request,
+      executed: 1,
+      execution_transaction_hash: executed.transactionHash,
+      execution_confirmation_status: 'pending'
+    });
+
+    await ctx.chain.revert(snapshot);
+    await ctx.chain.mine();
+    await sync();
+    assert.deepEqual(await withdrawal(), {
+      ...request,
+      executed: 0,
+      execution_transaction_hash: executed.transactionHash,
+      execution_confirmation_status: 'orphaned'
+    });
+
+    const reexecuted = await contract.methods.executeWithdrawal(blockchainCampaignId, 1).send({ from: fundraiserAccount, gas: 500000 });
+    await ctx.chain.mine(2);
+    await sync();
+    assert.deepEqual(await withdrawal(), {
+      ...request,
+      executed: 1,
+      execution_transaction_hash: reexecuted.transactionHash,
+      execution_confirmation_status: 'confirmed'
+    });
+  });
+
+  it('tallies the votes on a withdrawal request from chain events and drops reorganized ones', async () => {
+    const otherDonorAccount = ctx.chain.accounts[3].address;
+    const { campaign, blockchainCampaignId } = await deployCampaign(fundraiser, {
+      goal: '1',
+      deadline: (await ctx.chain.latestTimestamp()) + 30
+    });
+    await donate(blockchainCampaignId, '0.6');
+    await donate(blockchainCampaignId, '0.4', otherDonorAccount);
+    await ctx.chain.increaseTime(60);
+    await contract.methods
+      .requestWithdrawal(blockchainCampaignId, web3.utils.toWei('0.5', 'ether'), 'Pipes', 50)
+      .send({ from: fundraiserAccount, gas: 500000 });
+    await contract.methods.rejectWithdrawal(blockchainCampaignId, 1).send({ from: otherDonorAccount, gas: 500000 });
+    const sync = () => withIndexer((indexer) => indexer.sync());
+    await sync();
+
+    const votes = async () => {
+      const res = await ctx.request().get(`/api/withdrawal-requests/${campaign.id}`).expect(200);
+      const { approvalThreshold, approvals, rejections, approved } = res.body[0];
+      return { approvalThreshold, approvals, rejections, approved };
+    };
+    assert.deepEqual(await votes(), { approvalThreshold: 0.5, approvals: 0, rejections: 0.4, approved: 0 });
+
+    const snapshot = await ctx.chain.snapshot();
+    await contract.methods.approveWithdrawal(blockchainCampaignId, 1).send({ from: donorAccount, gas: 500000 });
+    await sync();
+    assert.deepEqual(await votes(), { approvalThreshold: 0.5, approvals: 0.6, rejections: 0.4, approved: 1 });
+
+    await ctx.chain.revert(snapshot);
+    await ctx.chain.mine();
+    await sync();
+    assert.deepEqual(await votes(), { approvalThreshold: 0.5, approvals: 0, rejections: 0.4, approved: 0 });
+  });
+});
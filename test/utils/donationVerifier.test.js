@@ -0,0 +1,201 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/app');
+const { getBlockchain } = require('../../utils/contract');
+
+describe('donation verifier', () => {
+  let ctx;
+  let request;
+  let fixtures;
+  let verifier;
+  let web3;
+  let contract;
+  let fundraiserAccount;
+  let donorAccount;
+  let donor;
+  let campaign;
+  let otherCampaignId;
+
+  before(async () => {
+    ctx = await startTestApp({ chain: true });
+    request = ctx.request;
+    fixtures = ctx.fixtures;
+    // Loads models/, so only once startTestApp() has pointed them at the test database
+    verifier = require('../../utils/donationVerifier');
+    ({ web3, contract } = getBlockchain());
+    [, fundraiserAccount, donorAccount] = ctx.chain.accounts;
+
+    const deadline = (await ctx.chain.latestTimestamp()) + 30 * 24 * 60 * 60;
+    const create = () => contract.methods
+      .createCampaign('Library', 'Books for the school', web3.utils.toWei('5', 'ether'), deadline)
+      .send({ from: fundraiserAccount.address });
+    const created = await create();
+    otherCampaignId = String((await create()).events.CampaignCreated.returnValues.id);
+
+    const fundraiser = await fixtures.createUser({ role: 'fundraiser', wallet_address: fundraiserAccount.address });
+    donor = await fixtures.createUser({ wallet_address: donorAccount.address });
+    campaign = await fixtures.createCampaign({
+      creator: fundraiser,
+      goal: 5,
+      blockchain_campaign_id: String(created.events.CampaignCreated.returnValues.id),
+      transaction_hash: created.transactionHash
+    });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  const donate = (blockchainCampaignId, ether, from = donorAccount.address) => contract.methods
+    .donateToCampaign(blockchainCampaignId)
+    .send({ from, value: web3.utils.toWei(ether, 'ether') });
+
+  const signDonation = (ether, blockchainCampaignId = campaign.blockchain_campaign_id) => ctx.chain.signCall(
+    contract,
+    contract.methods.donateToCampaign(blockchainCampaignId),
+    { account: donorAccount, value: web3.utils.toWei(ether, 'ether') }
+  );
+
+  const claim = (overrides) => ({
+    blockchainCampaignId: campaign.blockchain_campaign_id,
+    donorAddress: donorAccount.address,
+    amount: '0.5',
+    ...overrides
+  });
+
+  const currentAmount = async () => (await fixtures.get('SELECT current_amount FROM campaigns WHERE id = ?', [campaign.id])).current_amount;
+
+  // A claim stored while its receipt was unavailable
+  async function pendingDonation({ transactionHash, amount = 0.5, createdAt }) {
+    const { lastID } = await fixtures.run(
+      `INSERT INTO donations (campaign_id, donor_id, amount, transaction_hash, donor_address, verification_status, created_at)
+       VALUES (?, ?, ?, ?, ?, 'pending_verification', COALESCE(?, CURRENT_TIMESTAMP))`,
+      [campaign.id, donor.id, amount, transactionHash, donorAccount.address.toLowerCase(), createdAt || null]
+    );
+    return lastID;
+  }
+
+  const statusOf = async (id) => (await fixtures.get(
+    'SELECT verification_status, verification_error FROM donations WHERE id = ?',
+    [id]
+  ));
+
+  describe('verifyDonationTransaction', () => {
+    it('verifies a claim that matches the DonationReceived log', async () => {
+      const { transactionHash } = await donate(campaign.blockchain_campaign_id, '0.5');
+      const result = await verifier.verifyDonationTransaction(claim({ transactionHash }));
+      assert.equal(result.status, 'verified');
+      assert.equal(result.log.amountWei, web3.utils.toWei('0.5', 'ether'));
+    });
+
+    it('rejects claims about another campaign, sender or amount', async () => {
+      const { transactionHash } = await donate(campaign.blockchain_campaign_id, '0.5');
+      const expectInvalid = async (overrides, reason) => {
+        const result = await verifier.verifyDonationTransaction(claim({ transactionHash, ...overrides }));
+        assert.equal(result.status, 'invalid');
+        assert.match(result.reason, reason);
+      };
+
+      await expectInvalid(
+        { blockchainCampaignId: otherCampaignId },
+        new RegExp(`went to campaign #${campaign.blockchain_campaign_id}, not #${otherCampaignId}`)
+      );
+      await expectInvalid({ donorAddress: fundraiserAccount.address }, /Donor address does not match/);
+      await expectInvalid({ amount: '0.50001' }, /amount does not match/);
+    });
+
+    it('rejects reverted transactions and transactions that did not donate', async () => {
+      const reverted = await signDonation('0');
+      // Sent without the dry run web3 makes first, so it is mined and reverts
+      await assert.rejects(web3.eth.sendSignedTransaction(reverted.rawTransaction, undefined, { checkRevertBeforeSending: false }));
+      const revertedResult = await verifier.verifyDonationTransaction(claim({ transactionHash: reverted.transactionHash }));
+      assert.deepEqual(revertedResult, { status: 'invalid', reason: 'Transaction reverted' });
+
+      const transfer = await web3.eth.sendTransaction({
+        from: donorAccount.address,
+        to: fundraiserAccount.address,
+        value: web3.utils.toWei('0.5', 'ether')
+      });
+      const transferResult = await verifier.verifyDonationTransaction(claim({ transactionHash: transfer.transactionHash }));
+      assert.equal(transferResult.status, 'invalid');
+      assert.match(transferResult.reason, /did not emit DonationReceived/);
+    });
+
+    it('keeps a transaction without a receipt pending', async () => {
+      const { transactionHash } = await signDonation('0.5');
+      assert.deepEqual(
+        await verifier.verifyDonationTransaction(claim({ transactionHash })),
+        { status: 'pending', reason: 'Transaction receipt not available yet' }
+      );
+    });
+
+    it('rejects amounts that are not a number of wei before asking the node', async () => {
+      const result = await verifier.verifyDonationTransaction(claim({ transactionHash: `0x${'12'.repeat(32)}`, amount: '0.1234567890123456789' }));
+      assert.equal(result.status, 'invalid');
+      assert.match(result.reason, /^Invalid amount/);
+    });
+  });
+
+  describe('verifyPendingDonations', () => {
+    it('verifies a claim once its transaction is mined, and counts it then', async () => {
+      const signed = await signDonation('0.25');
+      const res = await request()
+        .post('/api/donations/blockchain')
+        .set('x-auth-token', donor.token)
+        .send({ campaignId: campaign.id, amount: '0.25', transactionHash: signed.transactionHash, donorAddress: donorAccount.address })
+        .expect(202);
+      const before = await currentAmount();
+
+      await verifier.verifyPendingDonations();
+      assert.equal((await statusOf(res.body.donation.id)).verification_status, 'pending_verification');
+
+      await web3.eth.sendSignedTransaction(signed.rawTransaction);
+      await verifier.verifyPendingDonations();
+      assert.equal((await statusOf(res.body.donation.id)).verification_status, 'verified');
+      assert.equal(await currentAmount(), before + 0.25);
+      const receipts = await fixtures.all("SELECT id FROM notifications WHERE user_id = ? AND type = 'donation_receipt'", [donor.id]);
+      assert.equal(receipts.length, 1);
+    });
+
+    it('rejects a pending claim its receipt contradicts, or that was never mined', async () => {
+      const { transactionHash } = await donate(campaign.blockchain_campaign_id, '0.1');
+      const mismatched = await pendingDonation({ transactionHash, amount: 2 });
+      const { transactionHash: neverMined } = await signDonation('1');
+      const expired = await pendingDonation({ transactionHash: neverMined, createdAt: '2000-01-01 00:00:00' });
+      const waiting = await pendingDonation({ transactionHash: `0x${'ef'.repeat(32)}` });
+      const before = await currentAmount();
+
+      await verifier.verifyPendingDonations();
+
+      assert.deepEqual({ ...(await statusOf(mismatched)) }, {
+        verification_status: 'rejected',
+        verification_error: 'Donation amount does not match the transaction value'
+      });
+      assert.deepEqual({ ...(await statusOf(expired)) }, {
+        verification_status: 'rejected',
+        verification_error: 'Transaction was never mined'
+      });
+      assert.equal((await statusOf(waiting)).verification_status, 'pending_verification');
+      assert.equal(await currentAmount(), before);
+    });
+  });
+
+  describe('startVerifier', () => {
+    it('checks pending donations every VERIFY_INTERVAL', async () => {
+      const { transactionHash } = await donate(campaign.blockchain_campaign_id, '0.05');
+      const id = await pendingDonation({ transactionHash, amount: 0.05 });
+
+      mock.timers.enable({ apis: ['setInterval'] });
+      try {
+        verifier.startVerifier();
+        mock.timers.tick(verifier.VERIFY_INTERVAL);
+        for (let i = 0; i < 50 && (await statusOf(id)).verification_status !== 'verified'; i++) {
+          await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+        assert.equal((await statusOf(id)).verification_status, 'verified');
+      } finally {
+        mock.timers.reset();
+      }
+    });
+  });
+});
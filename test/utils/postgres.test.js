@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { adaptSql } = require('../../utils/postgres');
+
+describe('adaptSql', () => {
+  it('numbers placeholders outside string literals, identifiers and comments', () => {
+    assert.equal(
+      adaptSql(`SELECT id AS "why?" FROM campaigns -- title = ?
+        WHERE title = ? AND description != 'what?' AND goal > ?`),
+      `SELECT id AS "why?" FROM campaigns -- title = ?
+        WHERE title = $1 AND description != 'what?' AND goal > $2`
+    );
+  });
+
+  it('returns the inserted row so lastID can be reported', () => {
+    assert.equal(
+      adaptSql('INSERT INTO notifications (user_id, title) VALUES (?, ?)'),
+      'INSERT INTO notifications (user_id, title) VALUES ($1, $2) RETURNING *'
+    );
+    assert.equal(
+      adaptSql('INSERT INTO users (email) VALUES (?) RETURNING id'),
+      'INSERT INTO users (email) VALUES ($1) RETURNING id'
+    );
+  });
+
+  it('maps SQLite column types in table definitions only', () => {
+    assert.equal(
+      adaptSql('CREATE TABLE t (id INTEGER PRIMARY KEY AUTOINCREMENT, amount REAL, created_at DATETIME)'),
+      'CREATE TABLE t (id SERIAL PRIMARY KEY, amount DOUBLE PRECISION, created_at TIMESTAMP)'
+    );
+    assert.equal(adaptSql('ALTER TABLE t ADD COLUMN verified_at DATETIME'), 'ALTER TABLE t ADD COLUMN verified_at TIMESTAMP');
+    assert.equal(adaptSql("SELECT 'REAL' AS kind"), "SELECT 'REAL' AS kind");
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../../utils/totp');
+
+// RFC 6238 appendix B (SHA-1), last 6 of the 8 digits
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('totp', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    const at = (seconds) => totp.generateCode(RFC_SECRET, totp.stepAt(new Date(seconds * 1000)));
+    assert.equal(at(59), '287082');
+    assert.equal(at(1111111109), '081804');
+    assert.equal(at(1234567890), '005924');
+    assert.equal(at(2000000000), '279037');
+  });
+
+  it('round-trips base32 and ignores spacing and case', () => {
+    const secret = totp.generateSecret();
+    assert.equal(secret.length, 32);
+    assert.equal(totp.base32Encode(totp.base32Decode(secret.toLowerCase().replace(/(.{4})/g, '$1 '))), secret);
+    assert.throws(() => totp.base32Decode('not base32!'), /Invalid base32 character/);
+  });
+
+  it('accepts codes one step either side of now and returns their step', () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+    const step = totp.stepAt(now);
+    const secret = totp.generateSecret();
+
+    assert.equal(totp.verifyCode(secret, totp.generateCode(secret, step), { now }), step);
+    assert.equal(totp.verifyCode(secret, totp.generateCode(secret, step - 1), { now }), step - 1);
+    assert.equal(totp.verifyCode(secret, totp.generateCode(secret, step + 1), { now }), step + 1);
+    assert.equal(totp.verifyCode(secret, totp.generateCode(secret, step + 2), { now }), null);
+    assert.equal(totp.verifyCode(secret, '12345', { now }), null);
+    assert.equal(totp.verifyCode(secret, undefined, { now }), null);
+  });
+
+  it('builds otpauth URIs for authenticator apps', () => {
+    const uri = totp.keyUri({ secret: 'ABC', accountName: 'ann@example.com', issuer: 'Crowdfunding' });
+    assert.equal(
+      uri,
+      'otpauth://totp/Crowdfunding%3Aann%40example.com?secret=ABC&issuer=Crowdfunding&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
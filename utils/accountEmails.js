@@ -0,0 +1,71 @@
+// Emails sent by the account flows in routes/api/auth.js
+// Links point at the frontend (APP_URL), which posts the token back to the API.
+// They are sent right away rather than through the outbox, so their links - which
+// work as passwords - are never stored; a user who doesn't get one asks again.
+
+const { sendMail } = require('./mailer');
+const { renderEmail } = require('./mailTemplates');
+const { createEmailVerificationToken, createPasswordResetToken } = require('./accountTokens');
+
+// Sends still running in the background (see sendInBackground())
+const sending = new Set();
+
+/**
+ * Ask the user to confirm their email address.
+ * @param {{id: number, name: string, email: string}} user
+ * @returns {Promise<{messageId: string}>}
+ */
+function sendVerificationEmail(user) {
+  return sendMail({
+    to: user.email,
+    ...renderEmail({
+      subject: 'Confirm your email address',
+      greeting: `Hi ${user.name || user.username},`,
+      paragraphs: [
+        'Please confirm your email address by opening the link below.',
+        'You need a confirmed address to create campaigns and vote on how funds are used.'
+      ],
+      action: { label: 'Confirm your email address', path: `/verify-email?token=${createEmailVerificationToken(user)}` },
+      footer: ['If you did not create an account, you can ignore this email.']
+    })
+  });
+}
+
+/**
+ * Send a password reset link.
+ * @param {{id: number, name: string, email: string, password: string}} user - users row
+ * @returns {Promise<{messageId: string}>}
+ */
+function sendPasswordResetEmail(user) {
+  return sendMail({
+    to: user.email,
+    ...renderEmail({
+      subject: 'Reset your password',
+      greeting: `Hi ${user.name || user.username},`,
+      paragraphs: ['Someone asked to reset the password of your account. To choose a new one, open the link below.'],
+      action: { label: 'Choose a new password', path: `/reset-password?token=${createPasswordResetToken(user)}` },
+      footer: ['The link works once and expires shortly. If you did not ask for it, you can ignore this email; your password stays the same.']
+    })
+  });
+}
+
+/**
+ * Start sending an email without waiting for the mail server, for routes whose answer
+ * must not depend on whether the mail went out. Failures are only logged.
+ * @param {function(): Promise<*>} send - e.g. () => sendPasswordResetEmail(user)
+ */
+function sendInBackground(send) {
+  const sent = new Promise((resolve) => resolve(send()))
+    .catch((err) => console.error('❌ Failed to send email:', err.message))
+    .finally(() => sending.delete(sent));
+  sending.add(sent);
+}
+
+// Resolves once the emails sendInBackground() started have been tried
+async function idle() {
+  while (sending.size > 0) {
+    await Promise.all([...sending]);
+  }
+}
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail, sendInBackground, idle };
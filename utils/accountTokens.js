@@ -0,0 +1,164 @@
+// Signed single-purpose tokens: email verification and password reset links, the
+// challenge between the two steps of a two-factor sign-in, and the `state` of a
+// sign-in at Google or another OpenID Connect provider
+// The tokens are JWTs with a `purpose` claim, so no kind is accepted in place of
+// another (or of an access token, see utils/sessions.js). Nothing is stored:
+//  - a verification token names the address it was sent to, and stops working once
+//    the user changes their email
+//  - reset and sign-in challenge tokens carry a fingerprint of the password hash, and
+//    stop working once the password has changed - including through the reset itself
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PURPOSES = {
+  verifyEmail: 'verify-email',
+  resetPassword: 'reset-password',
+  twoFactorChallenge: 'two-factor-challenge',
+  oidcState: 'oidc-state'
+};
+
+class AccountTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AccountTokenError';
+  }
+}
+
+// Read when used, so tests and .env can set them after this module loads
+const settings = () => ({
+  secret: process.env.JWT_SECRET || 'fallback_jwt_secret_key_for_development',
+  verifyEmailTtl: process.env.EMAIL_VERIFICATION_TTL || '24h',
+  resetPasswordTtl: process.env.PASSWORD_RESET_TTL || '1h',
+  twoFactorChallengeTtl: '5m',
+  oidcStateTtl: '10m'
+});
+
+const passwordFingerprint = (hash) => crypto.createHash('sha256').update(String(hash)).digest('hex').slice(0, 16);
+
+function sign(purpose, claims, expiresIn) {
+  return jwt.sign({ ...claims, purpose }, settings().secret, { expiresIn });
+}
+
+function verify(purpose, token) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token), settings().secret);
+  } catch (err) {
+    throw new AccountTokenError(err.name === 'TokenExpiredError' ? 'This link has expired' : 'This link is invalid');
+  }
+  if (payload.purpose !== purpose) {
+    throw new AccountTokenError('This link is invalid');
+  }
+  return payload;
+}
+
+/**
+ * @param {{id: number, email: string}} user
+ * @returns {string}
+ */
+function createEmailVerificationToken(user) {
+  return sign(PURPOSES.verifyEmail, { uid: user.id, email: user.email }, settings().verifyEmailTtl);
+}
+
+/**
+ * @param {string} token
+ * @returns {{userId: number, email: string}}
+ * @throws {AccountTokenError} When the token is malformed, expired or of another kind
+ */
+function readEmailVerificationToken(token) {
+  const { uid, email } = verify(PURPOSES.verifyEmail, token);
+  return { userId: uid, email };
+}
+
+/**
+ * @param {{id: number, password: string}} user - users row; `password` is the hash
+ * @returns {string}
+ */
+function createPasswordResetToken(user) {
+  return sign(
+    PURPOSES.resetPassword,
+    { uid: user.id, pwd: passwordFingerprint(user.password) },
+    settings().resetPasswordTtl
+  );
+}
+
+/**
+ * Check a reset token against the user it names.
+ * @param {string} token
+ * @param {function(number): Promise<object>} findUser - Looks up a users row by id
+ * @returns {Promise<object>} The user
+ * @throws {AccountTokenError} When the token is invalid, expired or already used
+ */
+async function readPasswordResetToken(token, findUser) {
+  const { uid, pwd } = verify(PURPOSES.resetPassword, token);
+  const user = await findUser(uid);
+  if (!user || passwordFingerprint(user.password) !== pwd) {
+    throw new AccountTokenError('This link has already been used');
+  }
+  return user;
+}
+
+/**
+ * Issued once the first sign-in step passed, to be exchanged for a session together
+ * with a two-factor code (POST api/auth/login/2fa).
+ * @param {{id: number, password: string}} user - users row
+ * @returns {string}
+ */
+function createTwoFactorChallenge(user) {
+  return sign(
+    PURPOSES.twoFactorChallenge,
+    { uid: user.id, pwd: passwordFingerprint(user.password) },
+    settings().twoFactorChallengeTtl
+  );
+}
+
+/**
+ * @param {string} token
+ * @param {function(number): Promise<object>} findUser - Looks up a users row by id
+ * @returns {Promise<object>} The user
+ * @throws {AccountTokenError} When the token is invalid or expired, or the password changed since
+ */
+async function readTwoFactorChallenge(token, findUser) {
+  const { uid, pwd } = verify(PURPOSES.twoFactorChallenge, token);
+  const user = await findUser(uid);
+  if (!user || passwordFingerprint(user.password) !== pwd) {
+    throw new AccountTokenError('This sign-in attempt is no longer valid');
+  }
+  return user;
+}
+
+/**
+ * The `state` sent to an OpenID Connect provider, naming what the user is doing when
+ * they come back: signing in, or linking the provider account to their account.
+ * @param {object} state
+ * @param {string} state.provider - Provider name (utils/oidc.js)
+ * @param {string} state.nonce - Must come back in the ID token
+ * @param {number} [state.userId] - The signed-in user linking an account
+ * @returns {string}
+ */
+function createOidcState({ provider, nonce, userId = null }) {
+  return sign(PURPOSES.oidcState, { provider, nonce, uid: userId }, settings().oidcStateTtl);
+}
+
+/**
+ * @param {string} token
+ * @returns {{provider: string, nonce: string, userId: number|null}}
+ * @throws {AccountTokenError} When the state is malformed, expired or of another kind
+ */
+function readOidcState(token) {
+  const { provider, nonce, uid } = verify(PURPOSES.oidcState, token);
+  return { provider, nonce, userId: uid };
+}
+
+module.exports = {
+  AccountTokenError,
+  createEmailVerificationToken,
+  readEmailVerificationToken,
+  createPasswordResetToken,
+  readPasswordResetToken,
+  createTwoFactorChallenge,
+  readTwoFactorChallenge,
+  createOidcState,
+  readOidcState
+};
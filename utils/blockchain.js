@@ -1,263 +1,6 @@
-const { Web3 } = require('web3');
-const path = require('path');
-require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const { getBlockchain } = require('./contract');
 
-// Initialize Web3 with Infura provider
-const infuraUrl = process.env.INFURA_URL || 'https://sepolia.infura.io/v3/YOUR_INFURA_PROJECT_ID';
-const web3 = new Web3(infuraUrl);
-
-// Contract ABI and address
-const contractABI = [
-  {
-    "inputs": [
-      {
-        "internalType": "string",
-        "name": "_title",
-        "type": "string"
-      },
-      {
-        "internalType": "string",
-        "name": "_description",
-        "type": "string"
-      },
-      {
-        "internalType": "uint256",
-        "name": "_goal",
-        "type": "uint256"
-      },
-      {
-        "internalType": "uint256",
-        "name": "_deadline",
-        "type": "uint256"
-      }
-    ],
-    "name": "createCampaign",
-    "outputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "_id",
-        "type": "uint256"
-      }
-    ],
-    "name": "donateToCampaign",
-    "outputs": [],
-    "stateMutability": "payable",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "_id",
-        "type": "uint256"
-      }
-    ],
-    "name": "withdraw",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "_id",
-        "type": "uint256"
-      }
-    ],
-    "name": "refund",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "name": "campaigns",
-    "outputs": [
-      {
-        "internalType": "address payable",
-        "name": "creator",
-        "type": "address"
-      },
-      {
-        "internalType": "string",
-        "name": "title",
-        "type": "string"
-      },
-      {
-        "internalType": "string",
-        "name": "description",
-        "type": "string"
-      },
-      {
-        "internalType": "uint256",
-        "name": "goal",
-        "type": "uint256"
-      },
-      {
-        "internalType": "uint256",
-        "name": "pledged",
-        "type": "uint256"
-      },
-      {
-        "internalType": "uint256",
-        "name": "deadline",
-        "type": "uint256"
-      },
-      {
-        "internalType": "bool",
-        "name": "exists",
-        "type": "bool"
-      },
-      {
-        "internalType": "bool",
-        "name": "withdrawn",
-        "type": "bool"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "campaignCount",
-    "outputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      {
-        "indexed": true,
-        "internalType": "uint256",
-        "name": "id",
-        "type": "uint256"
-      },
-      {
-        "indexed": true,
-        "internalType": "address",
-        "name": "creator",
-        "type": "address"
-      },
-      {
-        "indexed": false,
-        "internalType": "uint256",
-        "name": "goal",
-        "type": "uint256"
-      },
-      {
-        "indexed": false,
-        "internalType": "uint256",
-        "name": "deadline",
-        "type": "uint256"
-      }
-    ],
-    "name": "CampaignCreated",
-    "type": "event"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      {
-        "indexed": true,
-        "internalType": "uint256",
-        "name": "id",
-        "type": "uint256"
-      },
-      {
-        "indexed": true,
-        "internalType": "address",
-        "name": "donor",
-        "type": "address"
-      },
-      {
-        "indexed": false,
-        "internalType": "uint256",
-        "name": "amount",
-        "type": "uint256"
-      }
-    ],
-    "name": "DonationReceived",
-    "type": "event"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      {
-        "indexed": true,
-        "internalType": "uint256",
-        "name": "id",
-        "type": "uint256"
-      },
-      {
-        "indexed": true,
-        "internalType": "address",
-        "name": "creator",
-        "type": "address"
-      },
-      {
-        "indexed": false,
-        "internalType": "uint256",
-        "name": "amount",
-        "type": "uint256"
-      }
-    ],
-    "name": "Withdraw",
-    "type": "event"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      {
-        "indexed": true,
-        "internalType": "uint256",
-        "name": "id",
-        "type": "uint256"
-      },
-      {
-        "indexed": true,
-        "internalType": "address",
-        "name": "donor",
-        "type": "address"
-      },
-      {
-        "indexed": false,
-        "internalType": "uint256",
-        "name": "amount",
-        "type": "uint256"
-      }
-    ],
-    "name": "Refund",
-    "type": "event"
-  }
-];
-
-const contractAddress = process.env.CONTRACT_ADDRESS || "0x9141bf2d3ab4e5bd44d89c83f3745902a7648fd7";
-const contract = new web3.eth.Contract(contractABI, contractAddress);
+// Web3 and the contract (ABI from contracts/CrowdFunding.json) come from the shared factory
 
 // Helper function to safely convert BigInt values
 const safeConvertValue = (value) => {
@@ -290,6 +33,7 @@ const safeConvertToNumber = (value) => {
 // Create campaign on blockchain with proper future date handling
 async function createCampaign(title, description, goalInEth, deadline) {
   try {
+    const { web3, contract } = getBlockchain();
     console.log('Creating campaign on blockchain:', { title, description, goalInEth, deadline });
     
     // Convert ETH to Wei
@@ -392,6 +136,7 @@ async function createCampaign(title, description, goalInEth, deadline) {
 // Get campaign details from blockchain
 async function getCampaignFromBlockchain(campaignId) {
   try {
+    const { web3, contract } = getBlockchain();
     const campaign = await contract.methods.campaigns(campaignId).call();
     
     // Safely convert all values to avoid BigInt serialization issues
@@ -449,6 +194,7 @@ async function canWithdrawFunds(campaignId) {
 // Donate to campaign
 async function donateToCampaign(campaignId, amountInEth, fromAddress) {
   try {
+    const { web3, contract } = getBlockchain();
     console.log('Donating to campaign:', { campaignId, amountInEth, fromAddress });
     
     const amountInWei = web3.utils.toWei(amountInEth.toString(), 'ether');
@@ -488,6 +234,5 @@ module.exports = {
   getCampaignFromBlockchain,
   canWithdrawFunds,
   donateToCampaign,
-  contract,
-  web3
+  getBlockchain
 };
\ No newline at end of file
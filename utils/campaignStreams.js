@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const models = require('../models');
+const { subscribe } = require('./eventBus');
+
+// Live campaign progress over Server-Sent Events, for pages and embeds where
+// WebSockets are blocked (GET /api/campaigns/:id/stream). A stream carries the
+// events of the campaign:<id> topic of utils/eventBus.js as they are published:
+//   event: donation | vote | usage_request | campaign_status | withdrawal
+// plus `progress` with the campaign's totals, sent when the stream opens and after
+// anything that changes them:
+//   event: progress
+//   data: {"campaignId":12,"status":"active","goal":10,"currentAmount":2.5,"donorCount":3,"isWithdrawn":false}
+//
+// Every message has an id. A client that reconnects with the last one it saw in
+// Last-Event-ID (EventSource does this by itself) first gets the events it missed,
+// as long as they are among the last HISTORY_SIZE campaign events this process
+// published; otherwise only the current progress. A comment line is sent every
+// HEARTBEAT_MS so proxies keep idle streams open.
+
+const HEARTBEAT_MS = 15 * 1000;
+const RETRY_MS = 5 * 1000;
+const HISTORY_SIZE = 1000;
+
+// Events after which the totals are sent again
+const PROGRESS_EVENTS = new Set(['donation', 'campaign_status', 'withdrawal']);
+
+class CampaignStreams {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.heartbeatInterval] - Milliseconds between keep-alive comments
+   * @param {number} [options.retry] - Reconnection delay suggested to clients, in milliseconds
+   * @param {number} [options.historySize] - Campaign events kept for clients that reconnect
+   */
+  constructor({ heartbeatInterval = HEARTBEAT_MS, retry = RETRY_MS, historySize = HISTORY_SIZE } = {}) {
+    this.heartbeatInterval = heartbeatInterval;
+    this.retry = retry;
+    this.historySize = historySize;
+    // Ids from another process (or before a restart) can't be resumed from
+    this.bootId = crypto.randomBytes(4).toString('hex');
+    this.seq = 0;
+    this.history = []; // { seq, campaignId, event, data }, oldest first
+    this.streams = new Map(); // campaign id -> { clients: Set of responses, progress: Promise }
+    this.unsubscribe = null;
+  }
+
+  // Start recording campaign events; streams opened later can only resume from here
+  start() {
+    if (!this.unsubscribe) {
+      this.unsubscribe = subscribe((message) => this.record(message));
+    }
+  }
+
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    for (const stream of this.streams.values()) {
+      for (const res of stream.clients) res.end();
+    }
+    this.streams.clear();
+  }
+
+  /**
+   * Turn the response into an event stream for the campaign.
+   * @param {object} req - Express request (its Last-Event-ID header is honoured)
+   * @param {object} res - Express response
+   * @param {number} campaignId - An existing campaign
+   */
+  open(req, res, campaignId) {
+    this.start();
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Don't let nginx buffer the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${this.retry}\n\n`);
+
+    for (const entry of this.missedSince(campaignId, req.get('Last-Event-ID')) || []) {
+      this.write(res, entry);
+    }
+
+    if (!this.streams.has(campaignId)) {
+      this.streams.set(campaignId, { clients: new Set(), progress: Promise.resolve() });
+    }
+    const stream = this.streams.get(campaignId);
+    stream.clients.add(res);
+    this.sendProgress(campaignId, [res]);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), this.heartbeatInterval);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      stream.clients.delete(res);
+      if (stream.clients.size === 0 && this.streams.get(campaignId) === stream) {
+        this.streams.delete(campaignId);
+      }
+    });
+  }
+
+  // The campaign's events after lastEventId, or null if they can't all be replayed
+  missedSince(campaignId, lastEventId) {
+    const match = /^([0-9a-f]+)-(\d+)$/.exec(lastEventId || '');
+    if (!match || match[1] !== this.bootId) return null;
+
+    const seq = Number(match[2]);
+    const oldest = this.history.length ? this.history[0].seq : this.seq + 1;
+    if (seq > this.seq || oldest > seq + 1) return null;
+
+    return this.history.filter((entry) => entry.seq > seq && entry.campaignId === campaignId);
+  }
+
+  record({ topic, event, data, at }) {
+    const match = /^campaign:(\d+)$/.exec(topic);
+    if (!match) return;
+
+    const campaignId = Number(match[1]);
+    const entry = { seq: ++this.seq, campaignId, event, data: { ...data, at } };
+    this.history.push(entry);
+    if (this.history.length > this.historySize) this.history.shift();
+
+    const stream = this.streams.get(campaignId);
+    if (!stream) return;
+    for (const res of stream.clients) this.write(res, entry);
+    if (PROGRESS_EVENTS.has(event)) this.sendProgress(campaignId, stream.clients);
+  }
+
+  // Queued per campaign, so totals always arrive in the order they were read
+  sendProgress(campaignId, clients) {
+    const stream = this.streams.get(campaignId);
+    stream.progress = stream.progress.then(async () => {
+      const progress = await this.readProgress(campaignId);
+      if (!progress) return;
+      // Everything up to this.seq has already been written to the clients
+      const entry = { seq: this.seq, event: 'progress', data: progress };
+      for (const res of clients) {
+        if (stream.clients.has(res)) this.write(res, entry);
+      }
+    }).catch((err) => console.error(`⚠️ Could not send progress of campaign ${campaignId}:`, err.message));
+  }
+
+  async readProgress(campaignId) {
+    const campaign = await models.campaigns.findById(campaignId);
+    if (!campaign) return null;
+    const { totalDonors } = await models.donations.summary(campaignId);
+    return {
+      campaignId,
+      status: campaign.status,
+      goal: campaign.goal,
+      currentAmount: campaign.current_amount || 0,
+      donorCount: totalDonors,
+      isWithdrawn: Boolean(campaign.is_withdrawn)
+    };
+  }
+
+  write(res, { seq, event, data }) {
+    res.write(`id: ${this.bootId}-${seq}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+}
+
+// The instance the routes use
+const campaignStreams = new CampaignStreams();
+
+module.exports = { CampaignStreams, campaignStreams };
@@ -0,0 +1,646 @@
+// Chain indexer - reads CrowdFunding.sol logs from a stored block checkpoint,
+// stores them in chain_events and derives campaigns/donations/withdrawal_requests
+// from that table. Safe to stop and restart at any point: every write is idempotent
+// and the checkpoint only moves forward once a batch is fully applied.
+//
+// Reorg handling: hashes of recently indexed blocks are kept in indexer_blocks.
+// If any of them changes, everything from the fork point is rolled back and
+// re-indexed. Derived rows stay 'pending' until they have enough confirmations.
+//
+// The tables are created by migrations/002_chain_indexer.js; withdrawal executions are
+// tracked in their own columns since 017_withdrawal_executions.js, and the votes on
+// each request since 020_withdrawal_votes.js.
+//
+// Real-time events (utils/eventBus.js) for what a batch changed are queued while
+// it is applied and published once it has been committed. Notifications
+// (utils/notifications.js) are stored with the batch and delivered the same way.
+
+const { publishDonation, publishCampaignStatus, publishWithdrawal } = require('./eventBus');
+const { createNotifications, announceNotifications } = require('./notifications');
+const NotificationRepository = require('../models/notifications');
+const DonationRepository = require('../models/donations');
+
+const CHECKPOINT_KEY = 'last_indexed_block';
+
+const INDEXED_EVENTS = [
+  'CampaignCreated',
+  'DonationReceived',
+  'Withdraw',
+  'Refund',
+  'WithdrawalRequested',
+  'WithdrawalApproved',
+  'WithdrawalRejected',
+  'PartialWithdrawal'
+];
+
+// Convert web3 return values (BigInt, nested objects) into plain JSON-safe values
+const toPlain = (value) => {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((acc, key) => {
+      // web3 also exposes positional keys ("0", "1", ...) and __length__
+      if (/^\d+$/.test(key) || key === '__length__') return acc;
+      acc[key] = toPlain(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+};
+
+// Unix seconds as 'YYYY-MM-DD HH:MM:SS' (UTC), the format CURRENT_TIMESTAMP uses
+const toTimestamp = (seconds) => new Date(Number(seconds) * 1000).toISOString().replace('T', ' ').slice(0, 19);
+
+class ChainIndexer {
+  /**
+   * @param {object} options
+   * @param {object} options.web3 - Web3 instance
+   * @param {object} options.contract - CrowdFunding contract instance
+   * @param {object} options.db - Dedicated connection from utils/db.js openDatabase()
+   * @param {number} [options.startBlock] - First block to scan when no checkpoint exists
+   * @param {number} [options.batchSize] - Max blocks per eth_getLogs call
+   * @param {number} [options.pollInterval] - Milliseconds between polls
+   * @param {number} [options.confirmations] - Blocks on top of an event before it is final
+   */
+  constructor({ web3, contract, db, startBlock = 0, batchSize = 2000, pollInterval = 15000, confirmations = 12 }) {
+    this.web3 = web3;
+    this.contract = contract;
+    this.db = db;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.pollInterval = pollInterval;
+    this.confirmations = confirmations;
+    this.timer = null;
+    this.isSyncing = false;
+    this.announcements = [];
+    this.notifications = new NotificationRepository(db);
+    this.donations = new DonationRepository(db);
+  }
+
+  run(sql, params = []) {
+    return this.db.run(sql, params);
+  }
+
+  get(sql, params = []) {
+    return this.db.get(sql, params);
+  }
+
+  all(sql, params = []) {
+    return this.db.all(sql, params);
+  }
+
+  // Run fn inside BEGIN/COMMIT on the indexer's own connection. begin() takes the
+  // write lock up front, as models.transaction() does: a transaction that reads
+  // first can't upgrade to a write while another connection writes.
+  async transaction(fn) {
+    const queued = this.announcements.length;
+    await this.db.begin();
+    try {
+      const result = await fn();
+      await this.run('COMMIT');
+      return result;
+    } catch (err) {
+      await this.run('ROLLBACK').catch(() => { });
+      // Nothing happened, so there is nothing to announce
+      this.announcements.length = queued;
+      throw err;
+    }
+  }
+
+  // Queue a real-time event until the writes behind it are committed
+  announce(publish) {
+    this.announcements.push(publish);
+  }
+
+  /**
+   * Notify users about one of a campaign's events (see utils/notifications.js)
+   * @param {number|number[]} userIds
+   * @param {string} type
+   * @param {object} campaign - The local campaigns row
+   * @param {object} [data]
+   */
+  async notify(userIds, type, campaign, data = {}) {
+    const deliveries = await createNotifications(this.notifications, userIds, type, {
+      campaignId: campaign.id,
+      data: { campaignTitle: campaign.title, ...data }
+    });
+    if (deliveries.length > 0) {
+      this.announce(() => announceNotifications(deliveries));
+    }
+  }
+
+  async notifyDonors(type, campaign, data = {}, { creator = false } = {}) {
+    const userIds = await this.donations.donorIds(campaign.id);
+    if (creator) userIds.push(campaign.creator_id);
+    await this.notify(userIds, type, campaign, data);
+  }
+
+  flushAnnouncements() {
+    const announcements = this.announcements;
+    this.announcements = [];
+    for (const publish of announcements) {
+      try {
+        publish();
+      } catch (err) {
+        console.error('⚠️ Could not publish indexer event:', err.message);
+      }
+    }
+  }
+
+  async getCheckpoint() {
+    const row = await this.get('SELECT value FROM indexer_state WHERE key = ?', [CHECKPOINT_KEY]);
+    return row ? Number(row.value) : this.startBlock - 1;
+  }
+
+  async setCheckpoint(blockNumber) {
+    await this.run(
+      `INSERT INTO indexer_state (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+      [CHECKPOINT_KEY, String(blockNumber)]
+    );
+  }
+
+  start() {
+    if (this.timer) return;
+    const tick = async () => {
+      await this.sync();
+      this.timer = setTimeout(tick, this.pollInterval);
+    };
+    this.timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Index every block between the checkpoint and the chain head, then refresh
+   * confirmations and time-dependent campaign statuses. Returns the number of
+   * new events stored.
+   */
+  async sync() {
+    if (this.isSyncing) {
+      console.log('⏭️ Indexer sync already in progress, skipping...');
+      return 0;
+    }
+
+    this.isSyncing = true;
+    let indexed = 0;
+
+    try {
+      await this.detectReorg();
+
+      const head = Number(await this.web3.eth.getBlockNumber());
+      let from = (await this.getCheckpoint()) + 1;
+
+      while (from <= head) {
+        const to = Math.min(head, from + this.batchSize - 1);
+        const batch = await this.fetchRange(from, to, head);
+        indexed += await this.transaction(async () => {
+          const count = await this.storeBatch(batch);
+          await this.setCheckpoint(to);
+          return count;
+        });
+        from = to + 1;
+      }
+
+      await this.updateConfirmations(head);
+      await this.refreshCampaignStatuses();
+
+      if (indexed > 0) {
+        console.log(`✅ Indexed ${indexed} contract events (head: ${head})`);
+      }
+    } catch (err) {
+      console.error('❌ Chain indexer error:', err.message);
+    } finally {
+      this.isSyncing = false;
+      this.flushAnnouncements();
+    }
+
+    return indexed;
+  }
+
+  // Network half of a batch: logs, block timestamps and the hashes of unconfirmed blocks
+  async fetchRange(fromBlock, toBlock, head) {
+    const logs = await this.contract.getPastEvents('allEvents', { fromBlock, toBlock });
+    const events = logs.filter((log) => INDEXED_EVENTS.includes(log.event));
+
+    const blocks = {};
+    const windowStart = Math.max(fromBlock, head - this.confirmations);
+    const wanted = new Set(events.map((e) => Number(e.blockNumber)));
+    for (let n = windowStart; n <= toBlock; n++) wanted.add(n);
+
+    for (const blockNumber of wanted) {
+      const block = await this.web3.eth.getBlock(blockNumber);
+      blocks[blockNumber] = { hash: block.hash, timestamp: Number(block.timestamp) };
+    }
+
+    return { events, blocks, windowStart, toBlock };
+  }
+
+  async storeBatch({ events, blocks, windowStart, toBlock }) {
+    let inserted = 0;
+    const touchedCampaigns = new Set();
+
+    for (const log of events) {
+      const values = toPlain(log.returnValues);
+      const campaignId = values.id || values.campaignId || null;
+      const { lastID, changes } = await this.run(
+        `INSERT INTO chain_events
+         (event_name, block_number, block_hash, block_timestamp, transaction_hash, log_index,
+          blockchain_campaign_id, request_id, account, amount_wei, payload)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT DO NOTHING`,
+        [
+          log.event,
+          Number(log.blockNumber),
+          log.blockHash,
+          blocks[Number(log.blockNumber)].timestamp,
+          log.transactionHash,
+          Number(log.logIndex),
+          campaignId,
+          values.requestId || null,
+          (values.donor || values.creator || '').toLowerCase() || null,
+          values.amount || values.contributionWeight || null,
+          JSON.stringify(values)
+        ]
+      );
+
+      if (changes > 0) {
+        inserted++;
+        await this.applyEvent(await this.get('SELECT * FROM chain_events WHERE id = ?', [lastID]));
+      }
+      if (campaignId) touchedCampaigns.add(campaignId);
+    }
+
+    for (let n = windowStart; n <= toBlock; n++) {
+      await this.run(
+        `INSERT INTO indexer_blocks (block_number, block_hash) VALUES (?, ?)
+         ON CONFLICT(block_number) DO UPDATE SET block_hash = excluded.block_hash`,
+        [n, blocks[n].hash]
+      );
+    }
+
+    for (const campaignId of touchedCampaigns) {
+      await this.recomputeCampaign(campaignId);
+    }
+
+    return inserted;
+  }
+
+  /**
+   * Compare stored hashes of recent blocks with the canonical chain. Walks back
+   * from the newest stored block until a hash matches; everything above that is
+   * rolled back so the next pass re-indexes it.
+   */
+  async detectReorg() {
+    const stored = await this.all('SELECT * FROM indexer_blocks ORDER BY block_number DESC');
+    if (!stored.length) return null;
+
+    let forkBlock = null;
+    for (const row of stored) {
+      const block = await this.web3.eth.getBlock(row.block_number).catch(() => null);
+      if (block && block.hash === row.block_hash) break;
+      forkBlock = row.block_number;
+    }
+
+    if (forkBlock === null) return null;
+
+    console.warn(`⚠️ Chain reorganization detected - rolling back from block ${forkBlock}`);
+    await this.transaction(() => this.rollback(forkBlock));
+    return forkBlock;
+  }
+
+  // Undo every event at or above fromBlock and the rows derived from them
+  async rollback(fromBlock) {
+    const events = await this.all('SELECT * FROM chain_events WHERE block_number >= ?', [fromBlock]);
+    const campaignIds = new Set(events.map((e) => e.blockchain_campaign_id).filter(Boolean));
+
+    for (const event of events) {
+      if (event.event_name === 'DonationReceived') {
+        await this.run('DELETE FROM donations WHERE chain_event_id = ?', [event.id]);
+        // Client-reported rows keep their attribution until the tx is re-mined
+        await this.run(
+          "UPDATE donations SET confirmation_status = 'orphaned' WHERE transaction_hash = ?",
+          [event.transaction_hash]
+        );
+      } else if (event.event_name === 'WithdrawalRequested') {
+        await this.run('DELETE FROM withdrawal_requests WHERE chain_event_id = ?', [event.id]);
+        await this.run(
+          "UPDATE withdrawal_requests SET confirmation_status = 'orphaned' WHERE transaction_hash = ?",
+          [event.transaction_hash]
+        );
+      } else if (event.event_name === 'PartialWithdrawal') {
+        await this.run(
+          `UPDATE withdrawal_requests SET executed = 0, execution_confirmation_status = 'orphaned'
+           WHERE execution_transaction_hash = ?`,
+          [event.transaction_hash]
+        );
+      }
+    }
+
+    await this.run('DELETE FROM chain_events WHERE block_number >= ?', [fromBlock]);
+    await this.run('DELETE FROM indexer_blocks WHERE block_number >= ?', [fromBlock]);
+    await this.setCheckpoint(Math.min(await this.getCheckpoint(), fromBlock - 1));
+
+    for (const campaignId of campaignIds) {
+      await this.recomputeCampaign(campaignId);
+    }
+  }
+
+  async updateConfirmations(head) {
+    const finalBlock = head - this.confirmations;
+
+    await this.run('UPDATE chain_events SET confirmed = 1 WHERE confirmed = 0 AND block_number <= ?', [finalBlock]);
+    const derived = [
+      ['donations', 'confirmation_status', 'transaction_hash'],
+      ['withdrawal_requests', 'confirmation_status', 'transaction_hash'],
+      ['withdrawal_requests', 'execution_confirmation_status', 'execution_transaction_hash']
+    ];
+    for (const [table, status, hash] of derived) {
+      await this.run(
+        `UPDATE ${table} SET ${status} = 'confirmed'
+         WHERE ${status} = 'pending'
+           AND ${hash} IN (SELECT transaction_hash FROM chain_events WHERE confirmed = 1)`
+      );
+    }
+
+    // Hashes below the confirmation window can no longer change
+    await this.run('DELETE FROM indexer_blocks WHERE block_number < ?', [finalBlock]);
+  }
+
+  fromWei(value) {
+    return parseFloat(this.web3.utils.fromWei(String(value || '0'), 'ether'));
+  }
+
+  async findLocalCampaign(blockchainCampaignId) {
+    return this.get(
+      'SELECT * FROM campaigns WHERE blockchain_campaign_id = ? ORDER BY id DESC LIMIT 1',
+      [String(blockchainCampaignId)]
+    );
+  }
+
+  // Project a single stored event onto the relational tables
+  async applyEvent(event) {
+    const payload = JSON.parse(event.payload || '{}');
+
+    switch (event.event_name) {
+      case 'CampaignCreated': {
+        // Link a campaign that was deployed from the dashboard but never confirmed
+        await this.run(
+          `UPDATE campaigns
+           SET blockchain_campaign_id = ?, status = 'active', confirmed_at = COALESCE(confirmed_at, CURRENT_TIMESTAMP)
+           WHERE transaction_hash = ? AND (blockchain_campaign_id IS NULL OR blockchain_campaign_id = '' OR blockchain_campaign_id = '0')`,
+          [event.blockchain_campaign_id, event.transaction_hash]
+        );
+        break;
+      }
+
+      case 'DonationReceived': {
+        const campaign = await this.findLocalCampaign(event.blockchain_campaign_id);
+        if (!campaign) break;
+
+        const amount = this.fromWei(event.amount_wei);
+        const existing = await this.get('SELECT id FROM donations WHERE transaction_hash = ?', [event.transaction_hash]);
+
+        if (existing) {
+          // The client already reported this donation - make it match the chain
+          await this.run(
+            `UPDATE donations SET campaign_id = ?, amount = ?, donor_address = ?, confirmation_status = 'pending'
+             WHERE id = ?`,
+            [campaign.id, amount, event.account, existing.id]
+          );
+        } else {
+          // Attributed to an account only once it has verified owning the wallet
+          const donor = await this.get(
+            'SELECT user_id FROM user_wallets WHERE LOWER(address) = ? AND verified_at IS NOT NULL',
+            [event.account]
+          );
+          await this.run(
+            `INSERT INTO donations
+             (campaign_id, donor_id, amount, transaction_hash, donor_address, created_at, confirmation_status, chain_event_id)
+             VALUES (?, ?, ?, ?, ?, ?, 'pending', ?)`,
+            [campaign.id, donor ? donor.user_id : null, amount, event.transaction_hash, event.account, toTimestamp(event.block_timestamp), event.id]
+          );
+          await this.notify(campaign.creator_id, 'donation_received', campaign, { amount });
+          if (donor) {
+            await this.notify(donor.user_id, 'donation_receipt', campaign, {
+              amount,
+              transactionHash: event.transaction_hash,
+              donatedAt: toTimestamp(event.block_timestamp)
+            });
+          }
+        }
+        const donation = await this.get('SELECT * FROM donations WHERE transaction_hash = ?', [event.transaction_hash]);
+        this.announce(() => publishDonation(donation));
+        break;
+      }
+
+      case 'WithdrawalRequested': {
+        const campaign = await this.findLocalCampaign(event.blockchain_campaign_id);
+        if (!campaign) break;
+
+        const existing = await this.get(
+          'SELECT id FROM withdrawal_requests WHERE campaign_id = ? AND request_id = ?',
+          [campaign.id, event.request_id]
+        );
+        if (existing) {
+          await this.run(
+            "UPDATE withdrawal_requests SET confirmation_status = 'pending' WHERE id = ?",
+            [existing.id]
+          );
+        } else {
+          await this.run(
+            `INSERT INTO withdrawal_requests
+             (campaign_id, request_id, amount, usage_details, transaction_hash, executed, confirmation_status, chain_event_id)
+             VALUES (?, ?, ?, ?, ?, 0, 'pending', ?)`,
+            [campaign.id, event.request_id, this.fromWei(event.amount_wei), payload.usageDetails || '', event.transaction_hash, event.id]
+          );
+          await this.notifyDonors('withdrawal_requested', campaign, {
+            amount: this.fromWei(event.amount_wei),
+            usageDetails: payload.usageDetails || ''
+          });
+        }
+        this.announce(() => publishWithdrawal(campaign.id, {
+          stage: 'requested',
+          requestId: Number(event.request_id),
+          amount: this.fromWei(event.amount_wei),
+          usageDetails: payload.usageDetails || '',
+          transactionHash: event.transaction_hash
+        }));
+        break;
+      }
+
+      case 'PartialWithdrawal': {
+        const campaign = await this.findLocalCampaign(event.blockchain_campaign_id);
+        if (!campaign) break;
+
+        const request = await this.get(
+          'SELECT executed FROM withdrawal_requests WHERE campaign_id = ? AND request_id = ?',
+          [campaign.id, event.request_id]
+        );
+        await this.run(
+          `UPDATE withdrawal_requests
+           SET executed = 1, execution_transaction_hash = ?, execution_confirmation_status = 'pending'
+           WHERE campaign_id = ? AND request_id = ?`,
+          [event.transaction_hash, campaign.id, event.request_id]
+        );
+        // Unless the client already reported it
+        if (!request || !request.executed) {
+          await this.notifyDonors('withdrawal_executed', campaign, { amount: this.fromWei(event.amount_wei) });
+        }
+        this.announce(() => publishWithdrawal(campaign.id, {
+          stage: 'withdrawn',
+          requestId: Number(event.request_id),
+          amount: this.fromWei(event.amount_wei),
+          transactionHash: event.transaction_hash
+        }));
+        break;
+      }
+
+      case 'Withdraw': {
+        // The campaign totals are handled in recomputeCampaign
+        const campaign = await this.findLocalCampaign(event.blockchain_campaign_id);
+        if (!campaign) break;
+
+        this.announce(() => publishWithdrawal(campaign.id, {
+          stage: 'withdrawn',
+          amount: this.fromWei(event.amount_wei),
+          transactionHash: event.transaction_hash
+        }));
+        await this.notifyDonors('withdrawal_executed', campaign, { amount: this.fromWei(event.amount_wei) });
+        break;
+      }
+
+      case 'Refund': {
+        // The campaign totals are handled in recomputeCampaign
+        const campaign = await this.findLocalCampaign(event.blockchain_campaign_id);
+        if (!campaign) break;
+
+        const donor = await this.get(
+          'SELECT user_id FROM user_wallets WHERE LOWER(address) = ? AND verified_at IS NOT NULL',
+          [event.account]
+        );
+        if (donor) {
+          await this.notify(donor.user_id, 'refund_issued', campaign, { amount: this.fromWei(event.amount_wei) });
+        }
+        break;
+      }
+
+      default:
+        // Vote tallies are re-derived from all of a campaign's events in recomputeWithdrawalVotes
+        break;
+    }
+  }
+
+  /**
+   * Recompute a campaign's totals and status purely from indexed events.
+   * Skipped until the CampaignCreated event itself has been indexed, so a
+   * partial scan never overwrites totals with incomplete data.
+   */
+  async recomputeCampaign(blockchainCampaignId) {
+    const campaign = await this.findLocalCampaign(blockchainCampaignId);
+    if (!campaign) return null;
+
+    const events = await this.all(
+      'SELECT * FROM chain_events WHERE blockchain_campaign_id = ? ORDER BY block_number, log_index',
+      [String(blockchainCampaignId)]
+    );
+
+    const created = events.find((e) => e.event_name === 'CampaignCreated');
+    if (!created) return null;
+
+    const createdPayload = JSON.parse(created.payload || '{}');
+    let pledgedWei = 0n;
+    let withdrawn = false;
+
+    events.forEach((event) => {
+      if (event.event_name === 'DonationReceived') pledgedWei += BigInt(event.amount_wei || '0');
+      if (event.event_name === 'Refund') pledgedWei -= BigInt(event.amount_wei || '0');
+      if (event.event_name === 'Withdraw') withdrawn = true;
+    });
+
+    const goal = this.fromWei(createdPayload.goal);
+    const pledged = this.fromWei(pledgedWei.toString());
+    const deadline = new Date(Number(createdPayload.deadline) * 1000);
+    const status = this.deriveStatus({ goal, pledged, deadline, withdrawn });
+
+    await this.run(
+      `UPDATE campaigns
+       SET blockchain_goal = ?, current_amount = ?, deadline = ?, status = ?, is_withdrawn = ?
+       WHERE id = ?`,
+      [goal, pledged, deadline.toISOString(), status, withdrawn ? 1 : 0, campaign.id]
+    );
+    if (status !== campaign.status) {
+      this.announce(() => publishCampaignStatus(campaign, status));
+      if (status === 'failed') {
+        await this.notifyDonors('campaign_failed', campaign, {}, { creator: true });
+      }
+    }
+    await this.recomputeWithdrawalVotes(campaign, events);
+
+    return { id: campaign.id, goal, pledged, status, withdrawn };
+  }
+
+  // Tally the contribution-weighted votes on each of a campaign's withdrawal requests,
+  // the way the contract does. Recomputed after a rollback, so dropped votes no longer count.
+  async recomputeWithdrawalVotes(campaign, events) {
+    const requests = new Map();
+    events.forEach((event) => {
+      if (event.event_name === 'WithdrawalRequested') {
+        const payload = JSON.parse(event.payload || '{}');
+        requests.set(event.request_id, { threshold: BigInt(payload.approvalThreshold || '0'), approvals: 0n, rejections: 0n });
+      }
+      const request = requests.get(event.request_id);
+      if (!request) return;
+      if (event.event_name === 'WithdrawalApproved') request.approvals += BigInt(event.amount_wei || '0');
+      if (event.event_name === 'WithdrawalRejected') request.rejections += BigInt(event.amount_wei || '0');
+    });
+
+    for (const [requestId, request] of requests) {
+      await this.run(
+        `UPDATE withdrawal_requests SET approval_threshold = ?, approvals = ?, rejections = ?, approved = ?
+         WHERE campaign_id = ? AND request_id = ?`,
+        [
+          this.fromWei(request.threshold.toString()),
+          this.fromWei(request.approvals.toString()),
+          this.fromWei(request.rejections.toString()),
+          request.approvals >= request.threshold ? 1 : 0,
+          campaign.id,
+          requestId
+        ]
+      );
+    }
+  }
+
+  deriveStatus({ goal, pledged, deadline, withdrawn }) {
+    if (withdrawn) return 'completed';
+    if (deadline.getTime() < Date.now()) {
+      // Goal met -> eligible for withdrawal, otherwise eligible for refunds
+      return pledged >= goal ? 'completed' : 'failed';
+    }
+    return 'active';
+  }
+
+  // Deadlines pass without any event being emitted, so statuses are re-derived every poll
+  async refreshCampaignStatuses() {
+    const rows = await this.all(
+      `SELECT DISTINCT c.blockchain_campaign_id
+       FROM campaigns c
+       JOIN chain_events e ON e.blockchain_campaign_id = c.blockchain_campaign_id AND e.event_name = 'CampaignCreated'
+       WHERE c.status = 'active'`
+    );
+    for (const row of rows) {
+      await this.recomputeCampaign(row.blockchain_campaign_id);
+    }
+  }
+}
+
+module.exports = { ChainIndexer, INDEXED_EVENTS };
@@ -0,0 +1,69 @@
+// Shared CrowdFunding contract factory
+// Every module gets its Web3 instance and contract from here, so the ABI only
+// ever comes from contracts/CrowdFunding.json (built by `npm run compile:contract`).
+
+const { Web3 } = require('web3');
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+const artifact = require('../contracts/CrowdFunding.json');
+
+let instance = null;
+let providerOverride = null;
+
+/**
+ * Resolve the deployed contract address for a chain.
+ * CONTRACT_ADDRESS always wins; otherwise the address recorded in the artifact is used.
+ * @param {string|number} [chainId] - Defaults to CHAIN_ID from .env
+ * @returns {string|null}
+ */
+function getContractAddress(chainId = process.env.CHAIN_ID) {
+  if (process.env.CONTRACT_ADDRESS) {
+    return process.env.CONTRACT_ADDRESS;
+  }
+  const network = artifact.networks[String(chainId)];
+  return network ? network.address : null;
+}
+
+/**
+ * Create a contract instance bound to the given Web3 instance.
+ * @param {object} web3 - Web3 instance
+ * @param {string} [address] - Contract address override
+ */
+function createContract(web3, address = getContractAddress()) {
+  if (!address) {
+    console.warn(`⚠️ No CrowdFunding address for chain ${process.env.CHAIN_ID}; set CONTRACT_ADDRESS`);
+  }
+  return new web3.eth.Contract(artifact.abi, address || undefined);
+}
+
+/**
+ * Shared Web3 + contract pair for the configured network (created on first use).
+ * @returns {{ web3: object, contract: object, artifact: object }}
+ */
+function getBlockchain() {
+  if (!instance) {
+    const rpcUrl = process.env.INFURA_URL || 'https://sepolia.infura.io/v3/YOUR_INFURA_PROJECT_ID';
+    const web3 = new Web3(providerOverride || rpcUrl);
+    instance = { web3, contract: createContract(web3), artifact };
+  }
+  return instance;
+}
+
+/**
+ * Use an EIP-1193 provider (e.g. an in-process Ganache chain) instead of INFURA_URL.
+ * Pass null to go back to INFURA_URL. The shared instance is rebuilt on next use.
+ * @param {object|null} provider
+ */
+function useProvider(provider) {
+  providerOverride = provider;
+  instance = null;
+}
+
+module.exports = {
+  artifact,
+  getContractAddress,
+  createContract,
+  getBlockchain,
+  useProvider
+};
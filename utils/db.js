@@ -0,0 +1,63 @@
+// Shared database connection
+// The repositories in models/ (and the few modules still issuing SQL directly) use this
+// connection instead of opening their own. DB_CLIENT picks the engine:
+//  - sqlite (default): the file at DB_PATH, default ./crowdfunding.db
+//  - postgres: the server at DATABASE_URL, for running several server instances
+// Both drivers expose the same promise API (see utils/sqlite.js and utils/postgres.js).
+// Tests point DB_PATH or DATABASE_URL at a throw-away database.
+
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+const DB_CLIENT = (process.env.DB_CLIENT || 'sqlite').toLowerCase();
+const DB_PATH = process.env.DB_PATH || './crowdfunding.db';
+const DATABASE_URL = process.env.DATABASE_URL;
+
+if (DB_CLIENT !== 'sqlite' && DB_CLIENT !== 'postgres') {
+  throw new Error(`Unknown DB_CLIENT "${DB_CLIENT}" (expected sqlite or postgres)`);
+}
+if (DB_CLIENT === 'postgres' && !DATABASE_URL) {
+  throw new Error('DATABASE_URL must be set when DB_CLIENT=postgres');
+}
+
+/**
+ * Open a separate connection to the configured database.
+ * Anything that runs its own transactions (migrations, the chain indexer,
+ * models.transaction()) uses this so request handlers' statements never end up
+ * inside those transactions.
+ * @returns {SqliteConnection|PostgresConnection}
+ */
+function openDatabase() {
+  if (DB_CLIENT === 'postgres') {
+    const { PostgresConnection } = require('./postgres');
+    return PostgresConnection.client(DATABASE_URL);
+  }
+  const { SqliteConnection } = require('./sqlite');
+  return new SqliteConnection(DB_PATH);
+}
+
+// On Postgres the shared connection is a pool, so concurrent requests don't queue
+// behind each other; SQLite serializes statements on one handle either way
+const db = DB_CLIENT === 'postgres'
+  ? require('./postgres').PostgresConnection.pool(DATABASE_URL)
+  : openDatabase();
+
+// Whether a statement failed on a UNIQUE constraint or index, on either engine
+const isUniqueViolation = (err) => Boolean(err) && (
+  err.code === '23505' || (err.code === 'SQLITE_CONSTRAINT' && /UNIQUE constraint failed/.test(err.message))
+);
+
+// Where the data lives, for log lines (the URL without its password)
+const describeDatabase = () => (DB_CLIENT === 'postgres'
+  ? `PostgreSQL ${DATABASE_URL.replace(/\/\/([^:/@]+):[^@]*@/, '//$1:***@')}`
+  : `SQLite ${DB_PATH}`);
+
+module.exports = {
+  db,
+  openDatabase,
+  describeDatabase,
+  isUniqueViolation,
+  DB_CLIENT,
+  DB_PATH,
+  DATABASE_URL
+};
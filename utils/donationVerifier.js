@@ -0,0 +1,156 @@
+// Server-side verification of blockchain donations.
+// A donation reported by the client is only trusted once its transaction receipt
+// contains a DonationReceived log from our contract that matches the claimed
+// campaign, sender and value. Donations whose receipt is not available yet are
+// stored as 'pending_verification' and resolved by the background verifier below.
+
+const { TransactionNotFound, utils: web3Utils } = require('web3');
+const models = require('../models');
+const { getBlockchain } = require('./contract');
+const { publishDonation } = require('./eventBus');
+const { notifyCreator, sendDonationReceipt } = require('./notifications');
+
+const VERIFY_INTERVAL = 30 * 1000; // 30 seconds
+const MAX_PENDING_AGE = 2 * 60 * 60 * 1000; // give up on receipts after 2 hours
+
+// DonationReceived(uint256 indexed id, address indexed donor, uint256 indexed amount)
+const DONATION_EVENT = 'DonationReceived(uint256,address,uint256)';
+
+const sameAddress = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+/**
+ * Convert an amount of ETH to wei. toWei() alone would drop digits past the 18th
+ * decimal and accepts negatives, so anything but a positive decimal is refused.
+ * @param {string|number} amount
+ * @returns {string|null} Wei as a decimal string, or null if the amount isn't valid
+ */
+function toWeiAmount(amount) {
+  const text = String(amount);
+  if (!/^\d+(\.\d{1,18})?$/.test(text)) return null;
+  const wei = web3Utils.toWei(text, 'ether');
+  return BigInt(wei) > 0n ? wei : null;
+}
+
+/**
+ * Decode the DonationReceived log of a transaction and compare it with a claim.
+ * @param {object} claim
+ * @param {string} claim.transactionHash
+ * @param {string|number} claim.blockchainCampaignId - Campaign ID on the contract
+ * @param {string} claim.donorAddress - Address the client says sent the ETH
+ * @param {string|number} claim.amount - Amount in ETH the client says was sent
+ * @returns {Promise<{status: 'verified'|'pending'|'invalid', reason?: string, log?: object}>}
+ */
+async function verifyDonationTransaction({ transactionHash, blockchainCampaignId, donorAddress, amount }) {
+  const { web3, contract } = getBlockchain();
+  // Checked before asking the node, so only RPC failures throw
+  const claimedWei = toWeiAmount(amount);
+  if (claimedWei === null) {
+    return { status: 'invalid', reason: `Invalid amount: ${amount}` };
+  }
+
+  // web3 throws for a receipt the node doesn't have (yet) rather than returning null
+  const receipt = await web3.eth.getTransactionReceipt(transactionHash).catch((err) => {
+    if (err instanceof TransactionNotFound) return null;
+    throw err;
+  });
+  if (!receipt) {
+    return { status: 'pending', reason: 'Transaction receipt not available yet' };
+  }
+
+  if (Number(receipt.status) !== 1) {
+    return { status: 'invalid', reason: 'Transaction reverted' };
+  }
+
+  const contractAddress = contract.options.address;
+  const donationLog = (receipt.logs || []).find((log) =>
+    sameAddress(log.address, contractAddress) && log.topics && log.topics[0] === web3.utils.sha3(DONATION_EVENT)
+  );
+
+  if (!donationLog) {
+    return { status: 'invalid', reason: 'Transaction did not emit DonationReceived from the crowdfunding contract' };
+  }
+
+  const campaignId = web3.utils.hexToNumberString(donationLog.topics[1]);
+  const donor = web3.eth.abi.decodeParameter('address', donationLog.topics[2]);
+  // Older deployments emitted amount as data instead of a third topic
+  const amountWei = donationLog.topics[3]
+    ? web3.utils.hexToNumberString(donationLog.topics[3])
+    : web3.eth.abi.decodeParameter('uint256', donationLog.data).toString();
+
+  const decoded = {
+    campaignId,
+    donor,
+    amountWei,
+    blockNumber: Number(receipt.blockNumber)
+  };
+
+  if (campaignId !== String(blockchainCampaignId)) {
+    return { status: 'invalid', reason: `Donation went to campaign #${campaignId}, not #${blockchainCampaignId}`, log: decoded };
+  }
+
+  if (!sameAddress(donor, donorAddress)) {
+    return { status: 'invalid', reason: 'Donor address does not match the transaction sender', log: decoded };
+  }
+
+  if (claimedWei !== amountWei) {
+    return { status: 'invalid', reason: 'Donation amount does not match the transaction value', log: decoded };
+  }
+
+  return { status: 'verified', log: decoded };
+}
+
+// Resolve donations stored as pending_verification
+async function verifyPendingDonations() {
+  const pending = await models.donations.listPendingVerification();
+
+  for (const donation of pending) {
+    try {
+      const result = await verifyDonationTransaction({
+        transactionHash: donation.transaction_hash,
+        blockchainCampaignId: donation.blockchain_campaign_id,
+        donorAddress: donation.donor_address,
+        amount: donation.amount
+      });
+
+      if (result.status === 'verified') {
+        await models.transaction(async ({ donations, campaigns }) => {
+          await donations.markVerified(donation.id);
+          await campaigns.addToRaised(donation.campaign_id, donation.amount);
+        });
+        console.log(`✅ Donation #${donation.id} verified (tx ${donation.transaction_hash})`);
+        await notifyCreator(donation.campaign_id, 'donation_received', { amount: donation.amount });
+        await sendDonationReceipt(donation.id);
+      } else if (result.status === 'invalid') {
+        await models.donations.markRejected(donation.id, result.reason);
+        console.warn(`❌ Donation #${donation.id} rejected: ${result.reason}`);
+      } else if (Date.now() - new Date(`${donation.created_at}Z`).getTime() > MAX_PENDING_AGE) {
+        await models.donations.markRejected(donation.id, 'Transaction was never mined');
+        console.warn(`❌ Donation #${donation.id} rejected: transaction was never mined`);
+      } else {
+        continue;
+      }
+      publishDonation(await models.donations.findById(donation.id));
+    } catch (err) {
+      // RPC failures leave the donation pending for the next run
+      console.error(`⚠️ Could not verify donation #${donation.id}:`, err.message);
+    }
+  }
+}
+
+let verifierTimer = null;
+
+function startVerifier() {
+  if (verifierTimer) return;
+  verifierTimer = setInterval(() => {
+    verifyPendingDonations().catch((err) => console.error('❌ Donation verifier error:', err.message));
+  }, VERIFY_INTERVAL);
+}
+
+module.exports = {
+  VERIFY_INTERVAL,
+  MAX_PENDING_AGE,
+  toWeiAmount,
+  verifyDonationTransaction,
+  verifyPendingDonations,
+  startVerifier
+};
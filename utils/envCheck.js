@@ -2,10 +2,11 @@
  * Utility to check environment variables for blockchain configuration
  */
 
+const { getContractAddress } = require('./contract');
+
 const checkEnvVariables = () => {
   const requiredVars = [
     'INFURA_URL',
-    'CONTRACT_ADDRESS',
     'ADMIN_PRIVATE_KEY'
   ];
   
@@ -16,6 +17,11 @@ const checkEnvVariables = () => {
       missingVars.push(envVar);
     }
   }
+
+  // The address may also come from contracts/CrowdFunding.json for CHAIN_ID
+  if (!getContractAddress()) {
+    missingVars.push('CONTRACT_ADDRESS');
+  }
   
   if (missingVars.length > 0) {
     console.warn('⚠️ Missing environment variables:', missingVars);
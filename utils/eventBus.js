@@ -0,0 +1,162 @@
+// Real-time events
+// Routes and background jobs publish what just happened - once their writes are
+// committed - and utils/websocket.js delivers it to the clients subscribed to the
+// event's topics. Topics:
+//  - campaign:<id>  donations, votes, status changes, usage requests and withdrawals
+//                   of a campaign (any signed-in user over WebSocket, anyone over
+//                   Server-Sent Events - see utils/campaignStreams.js)
+//  - user:<id>      the user's notifications and donations (that user only)
+//  - admin          platform-wide activity (platform:live_activity)
+// Events are delivered in-process only: with several server processes, each one
+// delivers what it published itself.
+
+const { EventEmitter } = require('events');
+const models = require('../models');
+const { can } = require('./permissions');
+
+const ADMIN_TOPIC = 'admin';
+const campaignTopic = (id) => `campaign:${id}`;
+const userTopic = (id) => `user:${id}`;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * @param {string|string[]} topics
+ * @param {string} event - e.g. 'donation', 'campaign_status'
+ * @param {object} data
+ */
+function publish(topics, event, data) {
+  const at = new Date().toISOString();
+  for (const topic of [].concat(topics)) {
+    emitter.emit('event', { topic, event, data, at });
+  }
+}
+
+/**
+ * @param {function({topic: string, event: string, data: object, at: string}): void} listener
+ * @returns {function(): void} Stops the listener
+ */
+function subscribe(listener) {
+  // A failing subscriber mustn't fail the request that published
+  const safe = (message) => {
+    try {
+      listener(message);
+    } catch (err) {
+      console.error('⚠️ Real-time event listener failed:', err.message);
+    }
+  };
+  emitter.on('event', safe);
+  return () => emitter.off('event', safe);
+}
+
+/**
+ * Whether the user may follow a topic.
+ * @param {{id: number, role: string}} user
+ * @param {string} topic
+ * @returns {Promise<boolean>} false for unknown topics too
+ */
+async function canSubscribe(user, topic) {
+  if (topic === ADMIN_TOPIC) {
+    return can(user, 'platform:live_activity');
+  }
+  const match = /^(campaign|user):([1-9]\d*)$/.exec(String(topic));
+  if (!match) {
+    return false;
+  }
+  if (match[1] === 'user') {
+    return Number(match[2]) === Number(user.id);
+  }
+  return Boolean(await models.campaigns.findById(match[2]));
+}
+
+// The events the routes, the chain indexer and the donation verifier publish
+
+/**
+ * A donation was recorded or its verification settled.
+ * @param {object} donation - donations row
+ */
+function publishDonation(donation) {
+  const topics = [campaignTopic(donation.campaign_id), ADMIN_TOPIC];
+  if (donation.donor_id) {
+    topics.push(userTopic(donation.donor_id));
+  }
+  publish(topics, 'donation', {
+    id: donation.id,
+    campaignId: donation.campaign_id,
+    amount: donation.amount,
+    donorAddress: donation.donor_address,
+    transactionHash: donation.transaction_hash,
+    verificationStatus: donation.verification_status,
+    createdAt: donation.created_at
+  });
+}
+
+/**
+ * A campaign's status changed (reviewed, deployed, completed, ...).
+ * @param {object} campaign - campaigns row, before or after the change
+ * @param {string} status - The new status
+ */
+function publishCampaignStatus(campaign, status) {
+  const topics = [campaignTopic(campaign.id), ADMIN_TOPIC];
+  if (campaign.creator_id) {
+    topics.push(userTopic(campaign.creator_id));
+  }
+  publish(topics, 'campaign_status', { campaignId: campaign.id, status });
+}
+
+/**
+ * Donors voted on a usage request or a fund usage plan. Carries the tally, not
+ * who voted.
+ * @param {number} campaignId
+ * @param {object} tally - `usageRequestId` or `planId`, plus the counts
+ */
+function publishVote(campaignId, tally) {
+  publish(campaignTopic(campaignId), 'vote', { campaignId: Number(campaignId), ...tally });
+}
+
+/**
+ * A usage request was created, approved or marked as spent.
+ * @param {object} request - usage_requests row
+ */
+function publishUsageRequest(request) {
+  publish(campaignTopic(request.campaign_id), 'usage_request', {
+    id: request.id,
+    campaignId: request.campaign_id,
+    title: request.title,
+    status: request.status,
+    requestedAmount: request.requested_amount,
+    actualAmount: request.actual_amount
+  });
+}
+
+/**
+ * Funds were requested or withdrawn.
+ * @param {number} campaignId
+ * @param {object} withdrawal - `stage` ('requested' or 'withdrawn') and the details
+ */
+function publishWithdrawal(campaignId, withdrawal) {
+  publish([campaignTopic(campaignId), ADMIN_TOPIC], 'withdrawal', { campaignId: Number(campaignId), ...withdrawal });
+}
+
+/**
+ * @param {object} notification - notifications row
+ */
+function publishNotification(notification) {
+  publish(userTopic(notification.user_id), 'notification', notification);
+}
+
+module.exports = {
+  ADMIN_TOPIC,
+  campaignTopic,
+  userTopic,
+  publish,
+  subscribe,
+  canSubscribe,
+  publishDonation,
+  publishCampaignStatus,
+  publishVote,
+  publishUsageRequest,
+  publishWithdrawal,
+  publishNotification
+};
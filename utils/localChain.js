@@ -0,0 +1,208 @@
+// Local development chain (NETWORK_NAME=local)
+// Starts an in-process Ganache EVM, deploys CrowdFunding from contracts/CrowdFunding.json
+// and points the rest of the backend at it, so the server runs without Infura or Sepolia keys.
+//
+// Chain state is kept in .local-chain/ so campaigns deployed in one run are still on
+// chain after a restart. The contract is only redeployed when the artifact changes.
+
+const fs = require('fs');
+const path = require('path');
+const { Web3 } = require('web3');
+const { artifact, useProvider } = require('./contract');
+
+const LOCAL_CHAIN_ID = 1337;
+const DEFAULT_PORT = 8545;
+const DEFAULT_DATA_DIR = path.resolve(__dirname, '../.local-chain');
+// Well-known development mnemonic: the same accounts and keys on every machine
+const DEFAULT_MNEMONIC = 'test test test test test test test test test test test junk';
+const DEFAULT_BALANCE_ETH = 1000;
+
+// Ganache account index for each seeded user
+const SEEDED_ACCOUNTS = ['admin', 'donor1', 'fundraiser1'];
+
+const DEPLOY_GAS = 6000000;
+
+/**
+ * Deploy CrowdFunding from the artifact.
+ * @param {object} web3 - Web3 instance connected to the chain
+ * @param {string} from - Deployer address (must be unlocked on the node)
+ * @returns {Promise<{address: string, blockNumber: number, transactionHash: string}>}
+ */
+async function deployContract(web3, from) {
+  const contract = new web3.eth.Contract(artifact.abi);
+  let transactionHash = null;
+  const deployed = await contract
+    .deploy({ data: artifact.bytecode })
+    .send({ from, gas: DEPLOY_GAS })
+    .on('transactionHash', (hash) => { transactionHash = hash; });
+
+  const receipt = await web3.eth.getTransactionReceipt(transactionHash);
+  return {
+    address: deployed.options.address,
+    blockNumber: Number(receipt.blockNumber),
+    transactionHash
+  };
+}
+
+// Reuse the previous deployment if it was built from the same artifact and is still on chain
+async function loadDeployment(web3, deploymentFile) {
+  if (!deploymentFile || !fs.existsSync(deploymentFile)) return null;
+
+  const deployment = JSON.parse(fs.readFileSync(deploymentFile, 'utf8'));
+  if (deployment.sourceHash !== artifact.sourceHash) return null;
+
+  const code = await web3.eth.getCode(deployment.address);
+  return code && code !== '0x' ? deployment : null;
+}
+
+// Make the funded local accounts the seeded demo users' primary wallets so they can sign
+// transactions. The keys come from the local mnemonic, so the wallets count as verified.
+async function assignSeededWallets(models, accounts) {
+  for (const [index, username] of SEEDED_ACCOUNTS.entries()) {
+    const user = await models.users.findByUsername(username);
+    if (!user) continue;
+    await models.transaction(({ userWallets }) => userWallets.add({
+      userId: user.id,
+      address: accounts[index].address,
+      label: 'Local chain',
+      verified: true,
+      primary: true
+    }));
+  }
+}
+
+/**
+ * Start the local chain and configure the process to use it.
+ * Sets INFURA_URL, CHAIN_ID, CONTRACT_ADDRESS, ADMIN_PRIVATE_KEY and INDEXER_START_BLOCK
+ * and resets the shared contract factory to point at the new chain.
+ *
+ * @param {object} [options]
+ * @param {object} [options.models] - Data-access layer (models/) used to assign wallets to seeded users
+ * @param {number|null} [options.port] - HTTP port for the JSON-RPC endpoint (null = in-process only)
+ * @param {string|null} [options.dataDir] - Directory for chain state (null = in-memory)
+ * @param {string} [options.mnemonic]
+ * @param {boolean} [options.logging] - Log RPC calls
+ * @returns {Promise<{server: object, provider: object, web3: object, rpcUrl: string|null,
+ *   chainId: number, contractAddress: string, deployBlock: number, accounts: object[], stop: Function}>}
+ */
+async function startLocalChain(options = {}) {
+  // Only needed in local mode, so it is a devDependency and loaded lazily
+  let ganache;
+  try {
+    ganache = require('ganache');
+  } catch (err) {
+    if (err.code !== 'MODULE_NOT_FOUND' || !err.message.includes("'ganache'")) throw err;
+    throw new Error('NETWORK_NAME=local needs the ganache devDependency: install dependencies without --omit=dev');
+  }
+
+  const port = options.port === undefined
+    ? parseInt(process.env.LOCAL_CHAIN_PORT || DEFAULT_PORT, 10)
+    : options.port;
+  const dataDir = options.dataDir === undefined ? DEFAULT_DATA_DIR : options.dataDir;
+  const mnemonic = options.mnemonic || process.env.LOCAL_CHAIN_MNEMONIC || DEFAULT_MNEMONIC;
+
+  const ganacheOptions = {
+    chain: { chainId: LOCAL_CHAIN_ID },
+    // Transactions sent without a gas limit get an estimate instead of Ganache's 90000 default
+    miner: { defaultTransactionGasLimit: 'estimate' },
+    wallet: {
+      mnemonic,
+      totalAccounts: 10,
+      defaultBalance: DEFAULT_BALANCE_ETH
+    },
+    logging: { quiet: !options.logging }
+  };
+
+  if (dataDir) {
+    fs.mkdirSync(path.join(dataDir, 'chaindata'), { recursive: true });
+    ganacheOptions.database = { dbPath: path.join(dataDir, 'chaindata') };
+  }
+
+  const server = ganache.server(ganacheOptions);
+  if (port !== null) {
+    await server.listen(port);
+  }
+  const provider = server.provider;
+  const web3 = new Web3(provider);
+
+  // Private keys of the mnemonic accounts, in the same order as eth_accounts
+  const initialAccounts = provider.getInitialAccounts();
+  const accounts = Object.keys(initialAccounts).map((address) => ({
+    address: web3.utils.toChecksumAddress(address),
+    privateKey: initialAccounts[address].secretKey
+  }));
+
+  const deploymentFile = dataDir ? path.join(dataDir, 'deployment.json') : null;
+  let deployment = await loadDeployment(web3, deploymentFile);
+
+  if (deployment) {
+    console.log(`♻️ Reusing local CrowdFunding deployment at ${deployment.address}`);
+  } else {
+    const deployed = await deployContract(web3, accounts[0].address);
+    deployment = {
+      chainId: LOCAL_CHAIN_ID,
+      address: deployed.address,
+      blockNumber: deployed.blockNumber,
+      transactionHash: deployed.transactionHash,
+      artifactVersion: artifact.version,
+      sourceHash: artifact.sourceHash,
+      deployedAt: new Date().toISOString()
+    };
+    if (deploymentFile) {
+      fs.writeFileSync(deploymentFile, `${JSON.stringify(deployment, null, 2)}\n`);
+    }
+    console.log(`📜 Deployed CrowdFunding (artifact v${artifact.version}) to ${deployment.address}`);
+  }
+
+  const rpcUrl = port !== null ? `http://127.0.0.1:${port}` : null;
+
+  // Runtime config read by utils/contract.js, the indexer and the key-based helpers.
+  // Without an HTTP port the shared contract factory talks to the provider directly.
+  if (rpcUrl) {
+    process.env.INFURA_URL = rpcUrl;
+  }
+  useProvider(rpcUrl ? null : provider);
+  process.env.CHAIN_ID = String(LOCAL_CHAIN_ID);
+  process.env.NETWORK_NAME = 'local';
+  process.env.CONTRACT_ADDRESS = deployment.address;
+  process.env.ADMIN_PRIVATE_KEY = accounts[0].privateKey;
+  process.env.ADMIN_WALLET_ADDRESS = accounts[0].address;
+  process.env.INDEXER_START_BLOCK = String(deployment.blockNumber);
+  // Ganache mines instantly and never reorganizes
+  process.env.INDEXER_CONFIRMATIONS = process.env.INDEXER_CONFIRMATIONS || '0';
+
+  if (options.models) {
+    await assignSeededWallets(options.models, accounts);
+  }
+
+  return {
+    server,
+    provider,
+    web3,
+    rpcUrl,
+    chainId: LOCAL_CHAIN_ID,
+    contractAddress: deployment.address,
+    deployBlock: deployment.blockNumber,
+    accounts,
+    stop: () => server.close()
+  };
+}
+
+/**
+ * Print the seeded users' local wallets so they can be imported into MetaMask.
+ * @param {object[]} accounts - Accounts returned by startLocalChain()
+ */
+function printLocalAccounts(accounts) {
+  console.log(`\n🧪 Local chain accounts (${DEFAULT_BALANCE_ETH} ETH each):`);
+  SEEDED_ACCOUNTS.forEach((username, index) => {
+    console.log(`   ${username.padEnd(12)} ${accounts[index].address}  ${accounts[index].privateKey}`);
+  });
+}
+
+module.exports = {
+  LOCAL_CHAIN_ID,
+  SEEDED_ACCOUNTS,
+  deployContract,
+  startLocalChain,
+  printLocalAccounts
+};
@@ -0,0 +1,134 @@
+// Outbox for outgoing email (email_outbox, see models/emailOutbox.js)
+// queueMail() only stores a message, so callers never wait on the mail server; it is
+// then sent in the background. A message that can't be sent is retried by the outbox
+// worker after each delay in RETRY_DELAYS, then marked failed. Each attempt first claims the message for CLAIM_TIMEOUT, so a
+// message is never sent twice at once; one whose attempt never finished (the server
+// stopped) is picked up again once the claim lapses.
+
+const models = require('../models');
+const { sendMail } = require('./mailer');
+
+const OUTBOX_INTERVAL = 60 * 1000; // 1 minute
+const CLAIM_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+// Wait after the 1st, 2nd, ... failed attempt; after the last one the message fails
+const RETRY_DELAYS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 12 * 60 * 60 * 1000];
+
+// Timestamps are stored as 'YYYY-MM-DD HH:MM:SS' UTC strings, like CURRENT_TIMESTAMP
+const toTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+const later = (now, ms) => toTimestamp(new Date(now.getTime() + ms));
+
+let outboxTimer = null;
+// Background sends still running (see idle())
+const sending = new Set();
+
+// Send a message the caller has claimed
+async function attempt(id, now) {
+  const email = await models.emailOutbox.findById(id);
+  try {
+    const { messageId } = await sendMail({
+      to: email.to_address,
+      subject: email.subject,
+      text: email.text,
+      html: email.html || undefined
+    });
+    await models.emailOutbox.markSent(id, messageId, toTimestamp(new Date()));
+    return true;
+  } catch (err) {
+    const delay = RETRY_DELAYS[email.attempts];
+    await models.emailOutbox.markAttemptFailed(id, err.message, delay === undefined ? null : later(now, delay));
+    if (delay === undefined) {
+      console.error(`❌ Gave up on email #${id} to ${email.to_address} after ${email.attempts + 1} attempts:`, err.message);
+    } else {
+      console.warn(`⚠️ Email #${id} to ${email.to_address} not sent, retrying in ${Math.round(delay / 60000)} min:`, err.message);
+    }
+    return false;
+  }
+}
+
+/**
+ * Try a queued message in the background; the caller doesn't wait for it. Whether it
+ * goes out or not is recorded in the outbox, and the worker retries it.
+ * @param {number} id
+ * @param {object} [options]
+ * @param {Date} [options.now] - As passed to queueMail()
+ */
+function sendQueuedMail(id, { now = new Date() } = {}) {
+  const send = new Promise((resolve) => setImmediate(resolve))
+    .then(async () => {
+      if (await models.emailOutbox.claim(id, toTimestamp(now), later(now, CLAIM_TIMEOUT))) {
+        await attempt(id, now);
+      }
+    })
+    .catch((err) => console.error(`❌ Could not send email #${id}:`, err.message))
+    .finally(() => sending.delete(send));
+  sending.add(send);
+}
+
+/**
+ * Queue an email. It is sent in the background, so sending failures never reach the
+ * caller: the message stays in the outbox and is retried.
+ * Inside models.transaction() pass the transaction's emailOutbox repository; the
+ * message is then left to the caller to send with sendQueuedMail() once the
+ * transaction has committed (or to the worker).
+ * @param {object} mail
+ * @param {string} mail.to
+ * @param {string} mail.subject
+ * @param {string} mail.text
+ * @param {string} [mail.html]
+ * @param {object} options
+ * @param {string} options.template - What kind of email it is, e.g. a notification type
+ * @param {number} [options.userId] - Who it is for
+ * @param {EmailOutboxRepository} [options.emailOutbox]
+ * @returns {Promise<number>} The message's id in the outbox
+ */
+async function queueMail({ to, subject, text, html = null }, { template, userId = null, now = new Date(), emailOutbox }) {
+  const id = await (emailOutbox || models.emailOutbox).enqueue({
+    userId, template, to, subject, text, html, nextAttemptAt: toTimestamp(now)
+  });
+  if (!emailOutbox) {
+    sendQueuedMail(id, { now });
+  }
+  return id;
+}
+
+// Resolves once the messages being sent in the background have been tried
+async function idle() {
+  while (sending.size > 0) {
+    await Promise.all([...sending]);
+  }
+}
+
+/**
+ * Send the messages that are due: retries, and any whose attempt never finished.
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<number>} How many were sent
+ */
+async function deliverDueMail({ now = new Date() } = {}) {
+  let sent = 0;
+  for (const id of await models.emailOutbox.listDue(toTimestamp(now))) {
+    if (await models.emailOutbox.claim(id, toTimestamp(now), later(now, CLAIM_TIMEOUT)) && await attempt(id, now)) {
+      sent++;
+    }
+  }
+  if (sent > 0) {
+    console.log(`📤 Sent ${sent} queued email${sent === 1 ? '' : 's'}`);
+  }
+  return sent;
+}
+
+function startOutbox() {
+  if (outboxTimer) return;
+  outboxTimer = setInterval(() => {
+    deliverDueMail().catch((err) => console.error('❌ Email outbox error:', err.message));
+  }, OUTBOX_INTERVAL);
+}
+
+module.exports = {
+  RETRY_DELAYS,
+  queueMail,
+  sendQueuedMail,
+  deliverDueMail,
+  idle,
+  startOutbox
+};
@@ -0,0 +1,86 @@
+// Email layout, shared by every email the platform sends
+// Templates describe what an email says - a greeting, paragraphs, a table of details,
+// sections of items and a button - and renderEmail() lays it out as plain text and as
+// HTML. Links are relative to the frontend (APP_URL).
+// Notification emails take their content from the notification types' templates in
+// utils/notifications.js (see utils/notificationEmails.js).
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3004').replace(/\/$/, '');
+
+const link = (path) => (/^https?:\/\//.test(path) ? path : `${appUrl()}${path}`);
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const paragraph = (text) => `<p style="margin:0 0 16px">${escapeHtml(text)}</p>`;
+
+/**
+ * Render an email as text and HTML.
+ * @param {object} content
+ * @param {string} content.subject
+ * @param {string} [content.greeting] - e.g. "Hi Ann,"
+ * @param {string[]} [content.paragraphs]
+ * @param {Array<[string, string]>} [content.details] - Label and value rows, e.g. a receipt
+ * @param {Array<{heading: string, items: Array<{title: string, message: string}>}>} [content.sections]
+ * @param {{label: string, path: string}} [content.action] - The button; a path on the frontend or a full URL
+ * @param {string[]} [content.footer] - Small print
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function renderEmail({ subject, greeting, paragraphs = [], details = [], sections = [], action, footer = [] }) {
+  const text = [];
+  const html = [];
+
+  if (greeting) {
+    text.push(greeting, '');
+    html.push(paragraph(greeting));
+  }
+  for (const line of paragraphs) {
+    text.push(line, '');
+    html.push(paragraph(line));
+  }
+  if (details.length > 0) {
+    text.push(...details.map(([label, value]) => `${label}: ${value}`), '');
+    html.push(
+      '<table style="border-collapse:collapse;margin:0 0 16px">',
+      ...details.map(([label, value]) => `<tr><td style="padding:4px 16px 4px 0;color:#666">${escapeHtml(label)}</td><td style="padding:4px 0">${escapeHtml(value)}</td></tr>`),
+      '</table>'
+    );
+  }
+  for (const section of sections) {
+    text.push(section.heading, '-'.repeat(section.heading.length));
+    html.push(`<h2 style="font-size:16px;margin:24px 0 8px">${escapeHtml(section.heading)}</h2>`);
+    for (const item of section.items) {
+      text.push(`* ${item.title}`, `  ${item.message}`);
+      html.push(`<p style="margin:0 0 12px"><strong>${escapeHtml(item.title)}</strong><br>${escapeHtml(item.message)}</p>`);
+    }
+    text.push('');
+  }
+  if (action) {
+    text.push(`${action.label}: ${link(action.path)}`, '');
+    html.push(`<p style="margin:24px 0"><a href="${escapeHtml(link(action.path))}" style="background:#2563eb;color:#fff;padding:10px 18px;border-radius:4px;text-decoration:none">${escapeHtml(action.label)}</a></p>`);
+  }
+  for (const line of footer) {
+    text.push(line);
+    html.push(`<p style="margin:0 0 8px;font-size:12px;color:#666">${escapeHtml(line)}</p>`);
+  }
+
+  return {
+    subject,
+    text: text.join('\n').trim(),
+    html: [
+      '<!DOCTYPE html>',
+      `<html><head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>`,
+      '<body style="margin:0;padding:24px;background:#f5f5f5;font-family:Arial,sans-serif;font-size:14px;color:#222">',
+      '<div style="max-width:560px;margin:0 auto;padding:24px;background:#fff;border-radius:6px">',
+      ...html,
+      '</div>',
+      '</body></html>'
+    ].join('\n')
+  };
+}
+
+module.exports = { renderEmail, appUrl, link };
@@ -0,0 +1,134 @@
+// Outgoing mail
+// MAIL_TRANSPORT picks where messages go:
+//  - smtp:    delivered through SMTP_HOST / SMTP_PORT (SMTP_SECURE=true for TLS on connect,
+//             SMTP_USER / SMTP_PASS when the server needs a login)
+//  - maildev: delivered to a local catch-all SMTP server such as MailDev, at MAILDEV_HOST /
+//             MAILDEV_PORT (default localhost:1025), without TLS or a login
+//  - file:    written to MAIL_DIR (default ./mail) as one JSON file per message; the tests
+//             read their mail back from there
+//  - console: printed to the log, for development
+// Without MAIL_TRANSPORT, smtp is used when SMTP_HOST is set and console otherwise,
+// except in production: it would log working password reset links, so the server
+// refuses to start instead (checkMailSettings()).
+// Other transports can be added with registerTransport(). MAIL_FROM is the sender.
+// This sends right away; most mail should go through the outbox (utils/mailOutbox.js),
+// which retries.
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+function defaultTransport() {
+  if (process.env.SMTP_HOST) return 'smtp';
+  return process.env.NODE_ENV === 'production' ? null : 'console';
+}
+
+// Read when used, so tests and .env can set them after this module loads
+const settings = () => ({
+  transport: (process.env.MAIL_TRANSPORT || defaultTransport() || '').toLowerCase(),
+  from: process.env.MAIL_FROM || 'Crowdfunding <no-reply@crowdfunding.local>',
+  dir: path.resolve(process.env.MAIL_DIR || './mail'),
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  },
+  maildev: {
+    host: process.env.MAILDEV_HOST || 'localhost',
+    port: Number(process.env.MAILDEV_PORT || 1025),
+    secure: false,
+    ignoreTLS: true
+  }
+});
+
+// One nodemailer transport per configuration, so SMTP connections are reused
+let cached = null;
+let written = 0;
+
+/**
+ * Transports by name. create() returns a nodemailer transport for the settings;
+ * delivered(), if any, runs after each message with nodemailer's result.
+ */
+const transports = {
+  smtp: {
+    create: (config) => nodemailer.createTransport(config.smtp)
+  },
+  maildev: {
+    create: (config) => nodemailer.createTransport(config.maildev)
+  },
+  file: {
+    create: () => nodemailer.createTransport({ jsonTransport: true }),
+    async delivered(info, config) {
+      await fs.promises.mkdir(config.dir, { recursive: true });
+      // Named so that sorting the directory lists messages in the order they were sent
+      const name = `${Date.now()}-${String(++written).padStart(6, '0')}.json`;
+      await fs.promises.writeFile(path.join(config.dir, name), info.message);
+    }
+  },
+  console: {
+    create: () => nodemailer.createTransport({ jsonTransport: true }),
+    delivered(info, config, mail) {
+      console.log(`📧 Mail to ${mail.to}: ${mail.subject}\n${mail.text}`);
+    }
+  }
+};
+
+/**
+ * Add a transport that MAIL_TRANSPORT can name.
+ * @param {string} name
+ * @param {object} transport
+ * @param {function(object): object} transport.create - Receives the mail settings, returns
+ *   anything with nodemailer's sendMail()
+ * @param {function(object, object, object): Promise<void>} [transport.delivered]
+ */
+function registerTransport(name, transport) {
+  transports[name.toLowerCase()] = transport;
+  cached = null;
+}
+
+/**
+ * Make sure mail has somewhere to go.
+ * @throws {Error} When no transport is configured in production
+ */
+function checkMailSettings() {
+  if (!settings().transport) {
+    throw new Error('Set MAIL_TRANSPORT or SMTP_HOST: in production mail is not printed to the log');
+  }
+}
+
+function getTransport(config) {
+  checkMailSettings();
+  const key = JSON.stringify([config.transport, config.smtp, config.maildev]);
+  if (!cached || cached.key !== key) {
+    const transport = transports[config.transport];
+    if (!transport) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${config.transport}" (expected ${Object.keys(transports).join(', ')})`);
+    }
+    cached = { key, transport, mailer: transport.create(config) };
+  }
+  return cached;
+}
+
+/**
+ * Send an email.
+ * @param {object} mail
+ * @param {string} mail.to
+ * @param {string} mail.subject
+ * @param {string} mail.text - Plain-text body
+ * @param {string} [mail.html]
+ * @returns {Promise<{messageId: string}>}
+ */
+async function sendMail({ to, subject, text, html }) {
+  const config = settings();
+  const { transport, mailer } = getTransport(config);
+  const info = await mailer.sendMail({ from: config.from, to, subject, text, html });
+
+  if (transport.delivered) {
+    await transport.delivered(info, config, { to, subject, text, html });
+  }
+
+  return { messageId: info.messageId };
+}
+
+module.exports = { sendMail, registerTransport, checkMailSettings };
@@ -0,0 +1,266 @@
+// Versioned schema migrations
+// Migrations live in migrations/ as NNN_description.js files exporting async up(db)
+// and down(db). Each one runs in its own transaction and is recorded in the
+// schema_migrations table; a migration that throws is rolled back and recorded as
+// 'failed' so the server refuses to start until it has been fixed and re-run.
+// Migrations are written in SQLite's SQL; on Postgres the driver adapts column types
+// (see utils/postgres.js) and `db.dialect` is there for anything it can't.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '../migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+class MigrationError extends Error {
+  constructor(message, { pending = [], failed = [] } = {}) {
+    super(message);
+    this.name = 'MigrationError';
+    this.pending = pending;
+    this.failed = failed;
+  }
+}
+
+class Migrator {
+  /**
+   * @param {object} options
+   * @param {object} options.db - Connection from utils/db.js. migrate() and rollback()
+   *   run transactions, so give them a dedicated one from openDatabase()
+   * @param {string} [options.directory] - Folder containing the migration files
+   */
+  constructor({ db, directory = MIGRATIONS_DIR }) {
+    this.db = db;
+    this.directory = directory;
+  }
+
+  // 'sqlite' or 'postgres'
+  get dialect() {
+    return this.db.dialect;
+  }
+
+  run(sql, params = []) {
+    return this.db.run(sql, params);
+  }
+
+  get(sql, params = []) {
+    return this.db.get(sql, params);
+  }
+
+  all(sql, params = []) {
+    return this.db.all(sql, params);
+  }
+
+  exec(sql) {
+    return this.db.exec(sql);
+  }
+
+  // Schema helpers for migrations that have to cope with databases created before
+  // migrations existed, where some columns may or may not be present already
+
+  hasTable(table) {
+    return this.db.hasTable(table);
+  }
+
+  async hasColumn(table, column) {
+    const columns = await this.db.columns(table);
+    return columns.includes(column);
+  }
+
+  async addColumn(table, column, definition) {
+    if (await this.hasColumn(table, column)) return;
+    await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+
+  async dropColumn(table, column) {
+    if (!(await this.hasColumn(table, column))) return;
+    await this.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+
+  /**
+   * Replace a table with a new definition, copying across every column the old
+   * and new definitions have in common.
+   * @param {string} table - Table name
+   * @param {string} createSql - CREATE TABLE statement for the table (same name)
+   */
+  async rebuildTable(table, createSql) {
+    const tempTable = `${table}_migration_new`;
+    const tempSql = createSql.replace(
+      /^(\s*CREATE TABLE\s+(?:IF NOT EXISTS\s+)?)["`]?\w+["`]?/i,
+      `$1${tempTable}`
+    );
+
+    await this.run(`DROP TABLE IF EXISTS ${tempTable}`);
+    await this.run(tempSql);
+
+    const oldColumns = await this.db.columns(table);
+    const newColumns = await this.db.columns(tempTable);
+    const columnList = oldColumns.filter((name) => newColumns.includes(name)).join(', ');
+
+    await this.run(`INSERT INTO ${tempTable} (${columnList}) SELECT ${columnList} FROM ${table}`);
+    await this.run(`DROP TABLE ${table}`);
+    await this.run(`ALTER TABLE ${tempTable} RENAME TO ${table}`);
+  }
+
+  async ensureMigrationsTable() {
+    await this.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      status TEXT NOT NULL CHECK(status IN ('applied', 'failed')),
+      error TEXT,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+  }
+
+  // Insert or overwrite the migration's row in schema_migrations
+  async record(migration, status, error = null) {
+    await this.run(
+      `INSERT INTO schema_migrations (version, name, status, error, applied_at)
+       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(version) DO UPDATE SET
+         name = excluded.name,
+         status = excluded.status,
+         error = excluded.error,
+         applied_at = excluded.applied_at`,
+      [migration.version, migration.name, status, error]
+    );
+  }
+
+  /**
+   * Migration files in version order.
+   * @returns {Array<{version: number, name: string, file: string}>}
+   */
+  list() {
+    const migrations = fs.readdirSync(this.directory)
+      .map((file) => {
+        const match = MIGRATION_FILE.exec(file);
+        return match ? { version: Number(match[1]), name: match[2], file } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+      if (i > 0 && migrations[i - 1].version === migration.version) {
+        throw new MigrationError(`Duplicate migration version ${migration.version}: ${migrations[i - 1].file} and ${migration.file}`);
+      }
+    });
+
+    return migrations;
+  }
+
+  load(migration) {
+    const module = require(path.join(this.directory, migration.file));
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new MigrationError(`Migration ${migration.file} must export up() and down()`);
+    }
+    return module;
+  }
+
+  /**
+   * Every migration file with its recorded state: 'applied', 'failed' or 'pending'.
+   * Rows in schema_migrations without a file are reported as 'missing'.
+   */
+  async status() {
+    await this.ensureMigrationsTable();
+    const rows = await this.all('SELECT * FROM schema_migrations ORDER BY version');
+    const recorded = new Map(rows.map((row) => [row.version, row]));
+
+    const migrations = this.list().map((migration) => {
+      const row = recorded.get(migration.version);
+      recorded.delete(migration.version);
+      return {
+        ...migration,
+        status: row ? row.status : 'pending',
+        error: row ? row.error : null,
+        appliedAt: row && row.status === 'applied' ? row.applied_at : null
+      };
+    });
+
+    const missing = [...recorded.values()].map((row) => ({
+      version: row.version,
+      name: row.name,
+      file: null,
+      status: 'missing',
+      error: null,
+      appliedAt: row.applied_at
+    }));
+
+    return {
+      migrations: [...migrations, ...missing].sort((a, b) => a.version - b.version),
+      pending: migrations.filter((m) => m.status === 'pending'),
+      failed: migrations.filter((m) => m.status === 'failed')
+    };
+  }
+
+  /**
+   * Apply every pending or failed migration in order. Stops at the first failure.
+   * @returns {Promise<Array>} The migrations that were applied
+   */
+  async migrate() {
+    const { migrations } = await this.status();
+    const todo = migrations.filter((m) => m.status === 'pending' || m.status === 'failed');
+    const applied = [];
+
+    for (const migration of todo) {
+      const { up } = this.load(migration);
+      try {
+        await this.run('BEGIN TRANSACTION');
+        await up(this);
+        await this.record(migration, 'applied');
+        await this.run('COMMIT');
+      } catch (err) {
+        await this.run('ROLLBACK').catch(() => { });
+        await this.record(migration, 'failed', err.message);
+        throw new MigrationError(`Migration ${migration.file} failed: ${err.message}`, { failed: [migration] });
+      }
+      applied.push(migration);
+    }
+
+    return applied;
+  }
+
+  /**
+   * Revert the most recently applied migrations.
+   * @param {number} [steps=1] - How many migrations to roll back
+   * @returns {Promise<Array>} The migrations that were rolled back
+   */
+  async rollback(steps = 1) {
+    const { migrations } = await this.status();
+    const applied = migrations.filter((m) => m.status === 'applied').reverse().slice(0, steps);
+    const rolledBack = [];
+
+    for (const migration of applied) {
+      const { down } = this.load(migration);
+      try {
+        await this.run('BEGIN TRANSACTION');
+        await down(this);
+        await this.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        await this.run('COMMIT');
+      } catch (err) {
+        await this.run('ROLLBACK').catch(() => { });
+        throw new MigrationError(`Rollback of ${migration.file} failed: ${err.message}`);
+      }
+      rolledBack.push(migration);
+    }
+
+    return rolledBack;
+  }
+
+  // Throws a MigrationError unless every migration has been applied
+  async assertUpToDate() {
+    const { pending, failed } = await this.status();
+    if (failed.length > 0) {
+      throw new MigrationError(
+        `Migration ${failed[0].file} failed: ${failed[0].error}`,
+        { pending, failed }
+      );
+    }
+    if (pending.length > 0) {
+      throw new MigrationError(
+        `${pending.length} pending migration(s): ${pending.map((m) => m.file).join(', ')}`,
+        { pending, failed }
+      );
+    }
+  }
+}
+
+module.exports = { Migrator, MigrationError, MIGRATIONS_DIR };
@@ -0,0 +1,138 @@
+// Notification emails, for the types users get by email or in their digest (see the
+// channels in utils/notifications.js). Both go through the outbox (utils/mailOutbox.js)
+// and only to confirmed addresses.
+// Digests go out daily or weekly (the digestFrequency setting): an hourly check sends
+// everything queued before the current UTC day, or week from Monday, began. They are
+// grouped by campaign, for donors who follow many.
+
+const models = require('../models');
+const { queueMail, sendQueuedMail } = require('./mailOutbox');
+const { renderEmail, link } = require('./mailTemplates');
+
+const DIGEST_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+// Timestamps are stored as 'YYYY-MM-DD HH:MM:SS' UTC strings, like CURRENT_TIMESTAMP
+const toTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Weeks start on Monday
+const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day;
+};
+
+const canEmail = (user) => Boolean(user && user.email && user.email_verified_at && !user.deleted_at);
+
+const greeting = (user) => `Hi ${user.name || user.username},`;
+
+const footer = () => [`You can choose how you hear about each kind of notification in your settings: ${link('/settings')}`];
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+let digestTimer = null;
+
+/**
+ * Email a notification.
+ * @param {number} userId
+ * @param {{type: string, title: string, message: string}} notification
+ * @param {object} [content] - What the type's email adds (see renderEmail in utils/mailTemplates.js)
+ * @returns {Promise<number|null>} The outbox id, or null when the user has no confirmed address
+ */
+async function sendNotificationEmail(userId, notification, content = {}) {
+  const user = await models.users.findById(userId);
+  if (!canEmail(user)) {
+    return null;
+  }
+  const email = renderEmail({
+    subject: notification.title,
+    greeting: greeting(user),
+    paragraphs: [notification.message, ...(content.paragraphs || [])],
+    details: content.details,
+    action: content.action || { label: 'See your notifications', path: '/notifications' },
+    footer: footer()
+  });
+  return queueMail({ to: user.email, ...email }, { template: notification.type, userId });
+}
+
+/**
+ * One email for a user's queued notifications, a section per campaign
+ * @param {object} user
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @param {object[]} items - notification_digest_items rows, with campaign_title
+ */
+function digestEmail(user, frequency, items) {
+  const sections = new Map();
+  for (const item of items) {
+    const heading = item.campaign_id ? (item.campaign_title || item.data?.campaignTitle || `Campaign #${item.campaign_id}`) : 'Your account';
+    if (!sections.has(heading)) sections.set(heading, []);
+    sections.get(heading).push(item);
+  }
+  const campaigns = items.some((item) => !item.campaign_id) ? sections.size - 1 : sections.size;
+
+  return renderEmail({
+    subject: `Your ${frequency} summary: ${plural(items.length, 'notification')}`,
+    greeting: greeting(user),
+    paragraphs: [
+      campaigns > 1
+        ? `Here is what happened across ${plural(campaigns, 'campaign')} since your last summary.`
+        : 'Here is what happened since your last summary.'
+    ],
+    sections: [...sections].map(([heading, sectionItems]) => ({ heading, items: sectionItems })),
+    action: { label: 'See your notifications', path: '/notifications' },
+    footer: footer()
+  });
+}
+
+/**
+ * Send the digests that are due at `now`: each user whose daily digest has items from
+ * before the day began, or whose weekly digest has items from before the week began,
+ * gets one email. Items of users who can't be emailed are dropped.
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<number>} How many digests were queued for sending
+ */
+async function sendDigests({ now = new Date() } = {}) {
+  let sent = 0;
+  for (const userId of await models.notifications.digestUserIds(toTimestamp(startOfDay(now)))) {
+    const frequency = await models.userSettings.get(userId, 'digestFrequency');
+    const before = toTimestamp(frequency === 'weekly' ? startOfWeek(now) : startOfDay(now));
+    // The digest is queued and its items deleted together, so each item is mailed once
+    const emailId = await models.transaction(async ({ users, notifications, emailOutbox }) => {
+      const items = await notifications.listDigestItems(userId, before);
+      if (items.length === 0) return null;
+
+      const user = await users.findById(userId);
+      const id = canEmail(user)
+        ? await queueMail({ to: user.email, ...digestEmail(user, frequency, items) }, { template: `digest_${frequency}`, userId, emailOutbox })
+        : null;
+      await notifications.deleteDigestItems(items.map((item) => item.id));
+      return id;
+    });
+    if (emailId !== null) {
+      sendQueuedMail(emailId);
+      sent++;
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`📬 Sent ${plural(sent, 'notification digest')}`);
+  }
+  return sent;
+}
+
+function startDigests() {
+  if (digestTimer) return;
+  digestTimer = setInterval(() => {
+    sendDigests().catch((err) => console.error('❌ Notification digest error:', err.message));
+  }, DIGEST_CHECK_INTERVAL);
+}
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  sendNotificationEmail,
+  sendDigests,
+  startDigests
+};
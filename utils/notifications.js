@@ -0,0 +1,371 @@
+const models = require('../models');
+const UserSettingRepository = require('../models/userSettings');
+const { publishNotification } = require('./eventBus');
+const { sendNotificationEmail } = require('./notificationEmails');
+
+// Notifications
+// Every type is registered here with the template its title and message are
+// rendered from; producers only pass the type and the data the template needs,
+// which is stored with the notification (notifications.data). Adding a type is
+// adding an entry: the table doesn't constrain the type column. An entry can also
+// set the channels the type uses by default and what its email adds to the title
+// and message (rendered by utils/notificationEmails.js): details, such as a
+// receipt's, and the button. Without one, the email links to the campaign, or to
+// the user's notifications.
+//
+// Who is notified of what:
+//  - campaign creators: reviews, deployment, donations, approved spending, failure
+//  - donors of a campaign: receipts, new usage requests, reminders to vote on them
+//    and their outcome, withdrawals, refunds and failure
+//  - applicants and uploaders: role application and verification decisions
+//
+// Each user chooses, per type, the channels a notification reaches them through
+// (the notifications setting, PUT api/auth/settings):
+//  - inApp:     kept in their list (GET api/notifications)
+//  - websocket: pushed to their open connections (utils/websocket.js)
+//  - email:     emailed right away
+//  - digest:    included in their next daily or weekly digest email (utils/notificationEmails.js)
+// Types they haven't chosen for use the type's channels, or else DEFAULT_CHANNELS.
+
+const eth = (amount) => `${Number(amount) || 0} ETH`;
+
+// Decisions and money a user is owed are emailed unless they opt out
+const EMAILED = { email: true };
+
+const dashboard = (label) => () => ({ action: { label, path: '/dashboard' } });
+const campaignPage = (label) => (data, { campaignId }) => ({ action: { label, path: `/campaigns/${campaignId}` } });
+
+const NOTIFICATION_TYPES = {
+  campaign_approved: {
+    description: 'Your campaign was approved',
+    channels: EMAILED,
+    title: () => '✅ Campaign Approved!',
+    message: ({ campaignTitle }) => `Your campaign "${campaignTitle}" has been approved by admin. Please connect your MetaMask wallet and deploy it to the blockchain from your dashboard to go live and start receiving donations.`,
+    email: dashboard('Deploy your campaign')
+  },
+  campaign_rejected: {
+    description: 'Your campaign was rejected',
+    channels: EMAILED,
+    title: () => '❌ Campaign Rejected',
+    message: ({ campaignTitle, reason }) => (reason
+      ? `Unfortunately, your campaign "${campaignTitle}" has been rejected by the admin. Reason: ${reason}. You can edit and resubmit your campaign after addressing the concerns.`
+      : `Unfortunately, your campaign "${campaignTitle}" has been rejected by the admin. Please review the campaign guidelines and resubmit after making necessary changes.`),
+    email: dashboard('Edit your campaign')
+  },
+  campaign_deployed: {
+    description: 'Your campaign went live on the blockchain',
+    title: () => '🚀 Campaign Deployed Successfully!',
+    message: ({ campaignTitle, blockchainCampaignId }) => `Your campaign "${campaignTitle}" has been successfully deployed to the blockchain! Blockchain ID: ${blockchainCampaignId}. Your campaign is now live and ready to receive donations.`
+  },
+  campaign_failed: {
+    description: 'A campaign you run or gave to ended without reaching its goal',
+    channels: EMAILED,
+    title: () => '⌛ Campaign ended without reaching its goal',
+    message: ({ campaignTitle }) => `"${campaignTitle}" has ended without reaching its goal. Donations to it can now be refunded from the campaign page.`
+  },
+  donation_received: {
+    description: 'Your campaign received a donation',
+    title: () => '💰 New donation',
+    message: ({ campaignTitle, amount }) => `Your campaign "${campaignTitle}" received a donation of ${eth(amount)}.`
+  },
+  donation_receipt: {
+    description: 'Receipt for a donation you made',
+    channels: EMAILED,
+    title: () => '🧾 Thank you for your donation',
+    message: ({ campaignTitle, amount }) => `Your donation of ${eth(amount)} to "${campaignTitle}" has been received.`,
+    email: ({ campaignTitle, amount, transactionHash, donatedAt }, { campaignId }) => ({
+      paragraphs: ['Please keep this email as your receipt.'],
+      details: [
+        ['Campaign', campaignTitle],
+        ['Amount', eth(amount)],
+        ...(donatedAt ? [['Date', `${donatedAt} UTC`]] : []),
+        ...(transactionHash ? [['Transaction', transactionHash]] : [])
+      ],
+      action: { label: 'See the campaign', path: `/campaigns/${campaignId}` }
+    })
+  },
+  usage_request_created: {
+    description: 'A campaign you gave to asks to spend funds',
+    title: () => '🗳️ New usage request',
+    message: ({ campaignTitle, title, amount }) => `"${campaignTitle}" asks to spend ${eth(amount)} on "${title}". As a donor you can approve or reject it.`,
+    email: campaignPage('Review and vote')
+  },
+  vote_reminder: {
+    description: 'A usage request you haven\'t voted on is still open',
+    channels: EMAILED,
+    title: () => '⏰ Your vote is needed',
+    message: ({ campaignTitle, title, amount }) => `"${campaignTitle}" is still waiting for its donors to decide on spending ${eth(amount)} on "${title}", and you haven't voted yet.`,
+    email: campaignPage('Vote now')
+  },
+  usage_request_approved: {
+    description: 'Donors approved a usage request',
+    title: () => '✅ Usage request approved',
+    message: ({ campaignTitle, title, amount }) => `Donors approved spending ${eth(amount)} of "${campaignTitle}" on "${title}".`
+  },
+  usage_request_spent: {
+    description: 'A campaign you gave to reported what it spent',
+    title: () => '🧾 Funds spent',
+    message: ({ campaignTitle, title, amount }) => `"${campaignTitle}" spent ${eth(amount)} on "${title}". The receipt is on the campaign page.`
+  },
+  fund_plan_approved: {
+    description: 'Donors approved a fund usage plan',
+    title: () => '✅ Fund usage plan approved',
+    message: ({ campaignTitle, category, amount }) => `Donors approved the plan to spend ${eth(amount)} of "${campaignTitle}" on ${category}.`
+  },
+  withdrawal_requested: {
+    description: 'A campaign you gave to requested a withdrawal',
+    title: () => '💸 Withdrawal requested',
+    message: ({ campaignTitle, amount, usageDetails }) => (usageDetails
+      ? `"${campaignTitle}" requested to withdraw ${eth(amount)} for: ${usageDetails}.`
+      : `"${campaignTitle}" requested to withdraw ${eth(amount)}.`)
+  },
+  withdrawal_executed: {
+    description: 'A campaign you gave to withdrew funds',
+    title: () => '🏦 Funds withdrawn',
+    message: ({ campaignTitle, amount }) => (amount
+      ? `"${campaignTitle}" withdrew ${eth(amount)}.`
+      : `"${campaignTitle}" withdrew its funds.`)
+  },
+  refund_issued: {
+    description: 'One of your donations was refunded',
+    channels: EMAILED,
+    title: () => '↩️ Donation refunded',
+    message: ({ campaignTitle, amount }) => `You were refunded ${eth(amount)} from "${campaignTitle}".`
+  },
+  role_request_approved: {
+    description: 'Your role application was approved',
+    channels: EMAILED,
+    title: () => '🎉 Role request approved',
+    message: ({ role }) => `Your request to become a ${role} has been approved. Sign in again to use your new role.`,
+    email: dashboard('See your account')
+  },
+  role_request_rejected: {
+    description: 'Your role application was rejected',
+    channels: EMAILED,
+    title: () => '❌ Role request rejected',
+    message: ({ role, reason }) => `Your request to become a ${role} has been rejected. Reason: ${reason}. You can submit a new request after addressing it.`,
+    email: dashboard('See your account')
+  },
+  verification_approved: {
+    description: 'A verification document was accepted',
+    channels: EMAILED,
+    title: () => '✅ Document verified',
+    message: ({ document }) => `Your ${document} has been verified.`,
+    email: dashboard('See your account')
+  },
+  verification_rejected: {
+    description: 'A verification document was rejected',
+    channels: EMAILED,
+    title: () => '❌ Document rejected',
+    message: ({ document, reason }) => `Your ${document} has been rejected. Reason: ${reason}. You can upload a new document.`,
+    email: dashboard('Upload a new document')
+  },
+  wallet_mismatch: {
+    description: 'A transaction came from a wallet other than your account\'s',
+    title: () => '⚠️ Wallet mismatch',
+    message: ({ message }) => message
+  },
+  admin_message: {
+    description: 'A message from the platform team',
+    title: ({ title }) => title,
+    message: ({ message }) => message
+  }
+};
+
+const CHANNELS = ['inApp', 'websocket', 'email', 'digest'];
+
+const DEFAULT_CHANNELS = { inApp: true, websocket: true, email: false, digest: false };
+
+/**
+ * The channels a user gets a type of notification through
+ * @param {object} preferences - The user's notifications setting
+ * @param {string} type
+ * @returns {{inApp: boolean, websocket: boolean, email: boolean, digest: boolean}}
+ */
+function channelsFor(preferences, type) {
+  return { ...DEFAULT_CHANNELS, ...NOTIFICATION_TYPES[type]?.channels, ...preferences[type] };
+}
+
+// The channels of every type, for the settings page
+function notificationPreferences(preferences) {
+  return Object.fromEntries(Object.keys(NOTIFICATION_TYPES).map((type) => [type, channelsFor(preferences, type)]));
+}
+
+// What a notification's email adds to its title and message
+function emailContent({ type, data, campaignId }) {
+  const { email } = NOTIFICATION_TYPES[type];
+  if (email) {
+    return email(data, { campaignId });
+  }
+  return campaignId ? { action: { label: 'See the campaign', path: `/campaigns/${campaignId}` } } : {};
+}
+
+/**
+ * @param {string} type
+ * @param {object} data
+ * @returns {{title: string, message: string}}
+ */
+function renderNotification(type, data) {
+  const template = NOTIFICATION_TYPES[type];
+  if (!template) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+  return { title: template.title(data), message: template.message(data) };
+}
+
+/**
+ * Route a notification of the type to each user through the channels they chose:
+ * store it for the in-app list and queue it for the digest. Works inside a
+ * transaction: pass its repository, and announce what this returns once it has
+ * committed, which delivers the rest.
+ * @param {NotificationRepository} notifications - models.notifications or a transaction's
+ * @param {number|number[]} userIds - Empty values and repeats are skipped
+ * @param {string} type - A key of NOTIFICATION_TYPES
+ * @param {object} [options]
+ * @param {number} [options.campaignId]
+ * @param {object} [options.data] - What the type's template uses
+ * @returns {Promise<object[]>} Deliveries for announceNotifications(): the notification,
+ *   its user's channels and, when stored, its id
+ */
+async function createNotifications(notifications, userIds, type, { campaignId = null, data = {} } = {}) {
+  const { title, message } = renderNotification(type, data);
+  const settings = new UserSettingRepository(notifications.connection);
+  const deliveries = [];
+  for (const userId of new Set([].concat(userIds).filter(Boolean))) {
+    const channels = channelsFor(await settings.get(userId, 'notifications'), type);
+    const notification = { userId, campaignId, type, title, message, data };
+    const id = channels.inApp ? await notifications.create(notification) : null;
+    if (channels.digest) {
+      await notifications.queueForDigest(notification);
+    }
+    deliveries.push({ id, channels, notification });
+  }
+  return deliveries;
+}
+
+/**
+ * Deliver notifications through the channels that don't wait: in real time to
+ * users who are connected (utils/eventBus.js) and by email. Best effort: a channel
+ * that fails doesn't stop the others.
+ * @param {object[]} deliveries - From createNotifications()
+ */
+async function announceNotifications(deliveries) {
+  for (const { id, channels, notification } of deliveries) {
+    if (channels.websocket) {
+      try {
+        // Not kept in the list, so there is nothing to mark read later
+        publishNotification(id ? await models.notifications.findById(id) : {
+          id: null,
+          user_id: notification.userId,
+          campaign_id: notification.campaignId,
+          type: notification.type,
+          title: notification.title,
+          message: notification.message,
+          data: notification.data,
+          read_status: 1,
+          created_at: new Date().toISOString().replace('T', ' ').slice(0, 19)
+        });
+      } catch (err) {
+        console.error('⚠️ Could not deliver notification in real time:', err.message);
+      }
+    }
+    if (channels.email) {
+      try {
+        await sendNotificationEmail(notification.userId, notification, emailContent(notification));
+      } catch (err) {
+        console.error('⚠️ Could not email notification:', err.message);
+      }
+    }
+  }
+}
+
+/**
+ * Notify users outside a transaction: create and announce. Never throws, so a
+ * notification can't fail the action it is about.
+ * @returns {Promise<number[]>} The ids of the notifications stored for the in-app list
+ */
+async function notify(userIds, type, options) {
+  try {
+    const deliveries = await createNotifications(models.notifications, userIds, type, options);
+    await announceNotifications(deliveries);
+    return deliveries.filter((delivery) => delivery.id).map((delivery) => delivery.id);
+  } catch (err) {
+    console.error(`⚠️ Failed to send ${type} notifications:`, err.message);
+    return [];
+  }
+}
+
+/**
+ * Notify a campaign's creator.
+ * @param {number} campaignId
+ * @param {string} type
+ * @param {object} [data] - The campaign's title is added as campaignTitle
+ */
+async function notifyCreator(campaignId, type, data = {}) {
+  try {
+    const campaign = await models.campaigns.findById(campaignId);
+    if (!campaign) return [];
+    return notify(campaign.creator_id, type, { campaignId: campaign.id, data: { campaignTitle: campaign.title, ...data } });
+  } catch (err) {
+    console.error(`⚠️ Failed to send ${type} notifications:`, err.message);
+    return [];
+  }
+}
+
+/**
+ * Notify everyone who gave to the campaign, and optionally its creator too.
+ * @param {object} campaign - campaigns row
+ * @param {string} type
+ * @param {object} [data]
+ * @param {object} [options]
+ * @param {boolean} [options.creator=false] - Also notify the campaign's creator
+ */
+async function notifyDonors(campaign, type, data = {}, { creator = false } = {}) {
+  try {
+    const userIds = await models.donations.donorIds(campaign.id);
+    if (creator) userIds.push(campaign.creator_id);
+    return notify(userIds, type, { campaignId: campaign.id, data: { campaignTitle: campaign.title, ...data } });
+  } catch (err) {
+    console.error(`⚠️ Failed to send ${type} notifications:`, err.message);
+    return [];
+  }
+}
+
+/**
+ * Send a donor the receipt for their donation.
+ * @param {number} donationId
+ */
+async function sendDonationReceipt(donationId) {
+  try {
+    const donation = await models.donations.findWithDetails(donationId);
+    if (!donation) return [];
+    return notify(donation.donor_id, 'donation_receipt', {
+      campaignId: donation.campaign_id,
+      data: {
+        campaignTitle: donation.campaign_title,
+        amount: donation.amount,
+        transactionHash: donation.transaction_hash || undefined,
+        // Postgres keeps fractions of a second
+        donatedAt: String(donation.created_at).slice(0, 19)
+      }
+    });
+  } catch (err) {
+    console.error('⚠️ Failed to send donation_receipt notifications:', err.message);
+    return [];
+  }
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  CHANNELS,
+  DEFAULT_CHANNELS,
+  channelsFor,
+  notificationPreferences,
+  renderNotification,
+  createNotifications,
+  announceNotifications,
+  notify,
+  notifyCreator,
+  notifyDonors,
+  sendDonationReceipt
+};
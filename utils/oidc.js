@@ -0,0 +1,236 @@
+// OpenID Connect sign-in
+// Users sign in with, and link to their account, accounts at identity providers
+// (the user_identities table, see models/userIdentities.js). Providers:
+//  - google: when GOOGLE_CLIENT_ID is set, with GOOGLE_CLIENT_SECRET and
+//    GOOGLE_CALLBACK_URL (the redirect URI registered with Google)
+//  - any other OpenID Connect provider listed in OIDC_PROVIDERS (e.g. "okta,keycloak"),
+//    each configured with OIDC_<NAME>_ISSUER, OIDC_<NAME>_CLIENT_ID,
+//    OIDC_<NAME>_CLIENT_SECRET and optionally OIDC_<NAME>_LABEL,
+//    OIDC_<NAME>_REDIRECT_URI (default: this server's /api/auth/oidc/<name>/callback),
+//    OIDC_<NAME>_SCOPE and OIDC_<NAME>_TRUST_EMAIL
+// The endpoints and signing keys come from the issuer's discovery document. ID
+// tokens are verified here (signature, issuer, audience, expiry and nonce); the
+// authorization code flow authenticates the client with its secret.
+// Only providers that vouch for their users' email addresses (Google, or
+// OIDC_<NAME>_TRUST_EMAIL=true) sign users in to an existing account with the
+// same verified email; otherwise users link the provider from their account.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// How long discovery documents and signing keys are kept
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+const ALGORITHMS = ['RS256', 'ES256'];
+
+class OidcError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [status=401] - HTTP status for the response
+   */
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'OidcError';
+    this.status = status;
+  }
+}
+
+const envName = (name) => name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+
+// Read when used, so tests and .env can set them after this module loads
+function providers() {
+  const configured = {};
+  if (process.env.GOOGLE_CLIENT_ID) {
+    configured.google = {
+      name: 'google',
+      label: 'Google',
+      issuer: 'https://accounts.google.com',
+      // Google Identity Services tokens may name the issuer without the scheme
+      issuers: ['https://accounts.google.com', 'accounts.google.com'],
+      clientId: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      redirectUri: process.env.GOOGLE_CALLBACK_URL,
+      scope: 'openid email profile',
+      trustEmail: true
+    };
+  }
+
+  const names = (process.env.OIDC_PROVIDERS || '').split(',').map((name) => name.trim().toLowerCase()).filter(Boolean);
+  for (const name of names) {
+    if (!/^[a-z0-9_-]+$/.test(name)) {
+      throw new Error(`Invalid OIDC provider name "${name}" (use letters, digits, - and _)`);
+    }
+    const setting = (key) => process.env[`OIDC_${envName(name)}_${key}`];
+    if (!setting('ISSUER') || !setting('CLIENT_ID')) {
+      throw new Error(`OIDC provider "${name}" needs OIDC_${envName(name)}_ISSUER and OIDC_${envName(name)}_CLIENT_ID`);
+    }
+    const issuer = setting('ISSUER').replace(/\/+$/, '');
+    configured[name] = {
+      name,
+      label: setting('LABEL') || name,
+      issuer,
+      issuers: [issuer],
+      clientId: setting('CLIENT_ID'),
+      clientSecret: setting('CLIENT_SECRET'),
+      redirectUri: setting('REDIRECT_URI'),
+      scope: setting('SCOPE') || 'openid email profile',
+      trustEmail: setting('TRUST_EMAIL') === 'true'
+    };
+  }
+  return configured;
+}
+
+/**
+ * @param {string} name
+ * @returns {object} The provider's settings
+ * @throws {OidcError} 404 when no such provider is configured
+ */
+function getProvider(name) {
+  const provider = providers()[String(name).toLowerCase()];
+  if (!provider) {
+    throw new OidcError('Unknown sign-in provider', 404);
+  }
+  return provider;
+}
+
+const listProviders = () => Object.values(providers()).map(({ name, label }) => ({ name, label }));
+
+async function fetchJson(url, options = {}) {
+  let res;
+  try {
+    res = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  } catch (err) {
+    throw new OidcError(`Could not reach the sign-in provider: ${err.message}`, 502);
+  }
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new OidcError(`The sign-in provider refused the request: ${body.error_description || body.error || res.status}`, 502);
+  }
+  return body;
+}
+
+// Discovery documents and key sets by issuer
+const cache = new Map();
+
+async function discover(provider) {
+  const cached = cache.get(provider.issuer);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+  const config = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (!provider.issuers.includes(config.issuer)) {
+    throw new OidcError(`Discovery document is for issuer ${config.issuer}, expected ${provider.issuer}`, 502);
+  }
+  const entry = { config, keys: null, fetchedAt: Date.now() };
+  cache.set(provider.issuer, entry);
+  return entry;
+}
+
+async function signingKey(provider, kid) {
+  const entry = await discover(provider);
+  const find = () => (entry.keys || []).find((key) => !kid || key.kid === kid);
+  // Providers rotate their keys: fetch the set again for a key we haven't seen
+  if (!find()) {
+    entry.keys = (await fetchJson(entry.config.jwks_uri)).keys || [];
+  }
+  const jwk = find();
+  if (!jwk) {
+    throw new OidcError('ID token is signed with an unknown key');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Check an ID token from the provider.
+ * @param {object} provider - From getProvider()
+ * @param {string} idToken
+ * @param {object} [options]
+ * @param {string} [options.nonce] - Required when the sign-in started here
+ * @returns {Promise<object>} The token's claims (`sub`, `email`, `email_verified`, `name`, ...)
+ * @throws {OidcError} When the token isn't valid for this provider and client
+ */
+async function verifyIdToken(provider, idToken, { nonce } = {}) {
+  const decoded = jwt.decode(String(idToken), { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new OidcError('ID token is malformed');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(String(idToken), await signingKey(provider, decoded.header.kid), {
+      algorithms: ALGORITHMS,
+      issuer: provider.issuers,
+      audience: provider.clientId
+    });
+  } catch (err) {
+    if (err instanceof OidcError) throw err;
+    throw new OidcError(err.name === 'TokenExpiredError' ? 'ID token has expired' : `ID token is invalid: ${err.message}`);
+  }
+
+  if (nonce !== undefined && claims.nonce !== nonce) {
+    throw new OidcError('ID token was issued for another sign-in attempt');
+  }
+  if (!claims.sub) {
+    throw new OidcError('ID token has no subject');
+  }
+  return claims;
+}
+
+/**
+ * Where to send the user to sign in at the provider.
+ * @param {object} provider
+ * @param {{state: string, nonce: string, redirectUri: string}} params
+ * @returns {Promise<string>}
+ */
+async function authorizationUrl(provider, { state, nonce, redirectUri }) {
+  const { config } = await discover(provider);
+  const url = new URL(config.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scope,
+    state,
+    nonce
+  }).toString();
+  return url.toString();
+}
+
+/**
+ * Exchange the code the provider redirected back with for the user's claims.
+ * @param {object} provider
+ * @param {{code: string, redirectUri: string, nonce: string}} params
+ * @returns {Promise<object>} The ID token's claims
+ */
+async function exchangeCode(provider, { code, redirectUri, nonce }) {
+  const { config } = await discover(provider);
+  const tokens = await fetchJson(config.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: String(code),
+      redirect_uri: redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret || ''
+    }).toString()
+  });
+  if (!tokens.id_token) {
+    throw new OidcError('The sign-in provider returned no ID token', 502);
+  }
+  return verifyIdToken(provider, tokens.id_token, { nonce });
+}
+
+const createNonce = () => crypto.randomBytes(16).toString('hex');
+
+module.exports = {
+  OidcError,
+  providers,
+  getProvider,
+  listProviders,
+  verifyIdToken,
+  authorizationUrl,
+  exchangeCode,
+  createNonce
+};
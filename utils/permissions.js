@@ -0,0 +1,162 @@
+// Permissions
+// Routes ask can(user, action, campaign) instead of checking roles or creators
+// themselves (see middleware/authorize.js). A user may perform an action when
+//  - their platform role grants it (ROLE_PERMISSIONS), for every campaign, or
+//  - the action concerns a campaign and their role in that campaign grants it
+//    (CAMPAIGN_ROLE_PERMISSIONS): the creator is its owner, and the owner can add
+//    co-owners and moderators (campaign_members table).
+// Actions named 'campaigns:*' and the like are platform-wide and only granted by
+// platform roles; 'campaign:*' actions concern a single campaign.
+
+const models = require('../models');
+
+const PERMISSIONS = {
+  'platform:view_stats': 'View platform statistics',
+  'platform:live_activity': 'Follow platform-wide activity in real time',
+  'settings:view': 'View platform settings',
+  'settings:update': 'Change platform settings',
+  'users:view': 'List all users',
+  'users:assign_role': 'Change a user\'s platform role',
+  'role_requests:apply': 'Apply for another platform role',
+  'role_requests:view': 'See the queue of role change requests',
+  'role_requests:review': 'Approve or reject role change requests',
+  'campaigns:create': 'Create campaigns',
+  'campaigns:view_all': 'List campaigns in every status',
+  'campaigns:review': 'Approve or reject campaigns and set their status',
+  'verification:view': 'See fundraisers\' verification documents',
+  'verification:review': 'Approve or reject verification documents',
+  'donations:view_all': 'View every donation, and any user\'s donations',
+  'usage_requests:vote_any': 'Vote on usage requests without having donated',
+  'campaign:update': 'Edit a campaign',
+  'campaign:submit_verification': 'Upload proof of a campaign\'s purpose',
+  'campaign:delete': 'Delete a campaign',
+  'campaign:deploy': 'Record a campaign\'s deployment to the blockchain',
+  'campaign:withdraw': 'Withdraw a campaign\'s funds',
+  'campaign:view_withdrawal': 'Check whether a campaign\'s funds can be withdrawn',
+  'campaign:manage_funds': 'Create fund usage plans and usage requests, and report spending',
+  'campaign:view_members': 'List a campaign\'s co-owners and moderators',
+  'campaign:manage_members': 'Add and remove a campaign\'s co-owners and moderators',
+  'campaign:moderate_comments': 'Delete comments on a campaign'
+};
+
+const ROLE_PERMISSIONS = {
+  // Everything but applying for another role, which would only take permissions away
+  admin: Object.keys(PERMISSIONS).filter((action) => action !== 'role_requests:apply'),
+  // Approves campaigns and verifies fundraisers, but can't delete campaigns or touch anything else
+  reviewer: [
+    'platform:view_stats',
+    'platform:live_activity',
+    'campaigns:view_all',
+    'campaigns:review',
+    'verification:view',
+    'verification:review'
+  ],
+  // Sees everything, changes nothing
+  auditor: [
+    'platform:view_stats',
+    'platform:live_activity',
+    'settings:view',
+    'users:view',
+    'role_requests:view',
+    'campaigns:view_all',
+    'verification:view',
+    'donations:view_all',
+    'campaign:view_withdrawal',
+    'campaign:view_members'
+  ],
+  // Granted by an approved application (routes/api/admin.js); runs their own campaigns
+  // through campaign roles
+  fundraiser: ['campaigns:create'],
+  // Applies to become a fundraiser (routes/api/roleRequests.js)
+  donor: ['role_requests:apply']
+};
+
+const CAMPAIGN_ROLE_PERMISSIONS = {
+  owner: [
+    'campaign:update',
+    'campaign:submit_verification',
+    'campaign:delete',
+    'campaign:deploy',
+    'campaign:withdraw',
+    'campaign:view_withdrawal',
+    'campaign:manage_funds',
+    'campaign:view_members',
+    'campaign:manage_members',
+    'campaign:moderate_comments'
+  ],
+  // Runs the campaign with the owner; the funds still only go to the owner's wallet
+  co_owner: [
+    'campaign:update',
+    'campaign:submit_verification',
+    'campaign:view_withdrawal',
+    'campaign:manage_funds',
+    'campaign:view_members',
+    'campaign:moderate_comments'
+  ],
+  moderator: ['campaign:view_members', 'campaign:moderate_comments']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Campaign roles the owner can hand out
+const MEMBER_ROLES = ['co_owner', 'moderator'];
+
+/**
+ * Platform roles that grant an action.
+ * @param {string} action - One of the keys in PERMISSIONS
+ * @returns {string[]}
+ */
+function rolesWith(action) {
+  return ROLES.filter((role) => ROLE_PERMISSIONS[role].includes(action));
+}
+
+/**
+ * The user's role in a campaign.
+ * @param {{id: number}} user
+ * @param {{id: number, creator_id: number}} campaign - campaigns row
+ * @param {CampaignMemberRepository} [campaignMembers] - Pass the transaction's repository inside models.transaction()
+ * @returns {Promise<'owner'|'co_owner'|'moderator'|null>}
+ */
+async function campaignRole(user, campaign, campaignMembers = models.campaignMembers) {
+  if (Number(campaign.creator_id) === Number(user.id)) {
+    return 'owner';
+  }
+  return campaignMembers.findRole(campaign.id, user.id);
+}
+
+/**
+ * Whether the user may perform the action, on the campaign when one is given.
+ * Without a campaign only the user's platform role counts.
+ * @param {{id: number, role: string}} user - req.user
+ * @param {string} action - One of the keys in PERMISSIONS
+ * @param {object} [campaign] - campaigns row
+ * @param {CampaignMemberRepository} [campaignMembers]
+ * @returns {Promise<boolean>}
+ */
+async function can(user, action, campaign = null, campaignMembers = models.campaignMembers) {
+  if (!(action in PERMISSIONS)) {
+    throw new Error(`Unknown permission "${action}"`);
+  }
+  if (!user) {
+    return false;
+  }
+  if ((ROLE_PERMISSIONS[user.role] || []).includes(action)) {
+    return true;
+  }
+  if (!campaign) {
+    return false;
+  }
+  const role = await campaignRole(user, campaign, campaignMembers);
+  return Boolean(role) && CAMPAIGN_ROLE_PERMISSIONS[role].includes(action);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  CAMPAIGN_ROLE_PERMISSIONS,
+  ROLES,
+  MEMBER_ROLES,
+  rolesWith,
+  campaignRole,
+  can
+};
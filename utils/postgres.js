@@ -0,0 +1,173 @@
+// PostgreSQL driver (DB_CLIENT=postgres)
+// Same interface as utils/sqlite.js. The schema and queries are written in the
+// SQL both engines share; what remains SQLite-specific is adapted here:
+//  - `?` placeholders become $1, $2, ...
+//  - INSERTs return the new row so run() can report lastID like sqlite3 does
+//  - CREATE/ALTER TABLE column types (AUTOINCREMENT keys, DATETIME, REAL)
+// Values come back in the shapes SQLite produces: counts and sums as numbers and
+// timestamps as 'YYYY-MM-DD HH:MM:SS' strings in UTC.
+
+const { Pool, Client, types } = require('pg');
+
+// Key for pg_advisory_xact_lock, see begin()
+const WRITE_LOCK = 4500451;
+
+const PARSERS = {
+  [types.builtins.INT8]: (value) => parseInt(value, 10),
+  [types.builtins.NUMERIC]: parseFloat,
+  [types.builtins.TIMESTAMP]: (value) => value
+};
+
+const DDL_TYPES = [
+  [/\bINTEGER\s+PRIMARY\s+KEY\s+AUTOINCREMENT\b/gi, 'SERIAL PRIMARY KEY'],
+  [/\bDATETIME\b/g, 'TIMESTAMP'],
+  [/\bREAL\b/g, 'DOUBLE PRECISION']
+];
+
+/**
+ * Rewrite a statement written for SQLite into its Postgres form.
+ * @param {string} sql
+ * @returns {string}
+ */
+function adaptSql(sql) {
+  // Number the placeholders, skipping string literals, quoted identifiers and comments
+  let text = '';
+  let index = 0;
+  let quote = null;
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === '-' && sql[i + 1] === '-') {
+      quote = '\n';
+    } else if (char === '?') {
+      text += `$${++index}`;
+      continue;
+    }
+    text += char;
+  }
+
+  if (/^\s*(CREATE|ALTER)\s+TABLE\b/i.test(text)) {
+    text = DDL_TYPES.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+  }
+
+  if (/^\s*INSERT\b/i.test(text) && !/\bRETURNING\b/i.test(text)) {
+    text += ' RETURNING *';
+  }
+
+  return text;
+}
+
+// sqlite3 binds booleans as 1/0; the schema stores flags as INTEGER on both engines
+const adaptParams = (params) => params.map((value) => (typeof value === 'boolean' ? Number(value) : value));
+
+/**
+ * Connection settings for a DATABASE_URL.
+ * @param {string} connectionString
+ */
+function config(connectionString) {
+  return {
+    connectionString,
+    // CURRENT_TIMESTAMP in UTC, as in SQLite
+    options: '-c TimeZone=UTC',
+    types: {
+      getTypeParser: (oid, format) => PARSERS[oid] || types.getTypeParser(oid, format)
+    }
+  };
+}
+
+class PostgresConnection {
+  /**
+   * @param {Pool|Client} target - A pool for the shared connection, a client for a dedicated one
+   */
+  constructor(target) {
+    this.target = target;
+    this.connecting = null;
+    this.dialect = 'postgres';
+    // A connection dropped by the server while idle must not crash the process
+    target.on('error', (err) => console.error('❌ PostgreSQL connection error:', err.message));
+  }
+
+  /**
+   * Pool for the shared connection: every statement runs on whichever pooled
+   * client is free, so it must not be used for transactions.
+   * @param {string} connectionString
+   */
+  static pool(connectionString) {
+    return new PostgresConnection(new Pool(config(connectionString)));
+  }
+
+  // A connection of its own, opened on first use
+  static client(connectionString) {
+    return new PostgresConnection(new Client(config(connectionString)));
+  }
+
+  async connect() {
+    if (this.target instanceof Client) {
+      this.connecting = this.connecting || this.target.connect();
+      await this.connecting;
+    }
+    return this.target;
+  }
+
+  async query(sql, params = []) {
+    const target = await this.connect();
+    return target.query(adaptSql(sql), adaptParams(params));
+  }
+
+  async run(sql, params = []) {
+    const result = await this.query(sql, params);
+    const row = result.rows && result.rows[0];
+    return { lastID: row ? row.id : undefined, changes: result.rowCount || 0 };
+  }
+
+  async get(sql, params = []) {
+    const { rows } = await this.query(sql, params);
+    return rows[0] || null;
+  }
+
+  async all(sql, params = []) {
+    const { rows } = await this.query(sql, params);
+    return rows;
+  }
+
+  // Several statements at once, without parameters. Sent as written, not adapted.
+  async exec(sql) {
+    const target = await this.connect();
+    await target.query(sql);
+  }
+
+  // Postgres has no BEGIN IMMEDIATE. Taking one transaction-scoped advisory lock
+  // keeps the same guarantee: transactions run one at a time, so reads made
+  // inside one can't be invalidated by another writer before it commits.
+  async begin() {
+    await this.run('BEGIN');
+    await this.run(`SELECT pg_advisory_xact_lock(${WRITE_LOCK})`);
+  }
+
+  async hasTable(table) {
+    const row = await this.get(
+      'SELECT table_name FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = ?',
+      [table]
+    );
+    return Boolean(row);
+  }
+
+  async columns(table) {
+    const rows = await this.all(
+      `SELECT column_name FROM information_schema.columns
+       WHERE table_schema = current_schema() AND table_name = ?
+       ORDER BY ordinal_position`,
+      [table]
+    );
+    return rows.map((col) => col.column_name);
+  }
+
+  close() {
+    return this.target.end();
+  }
+}
+
+module.exports = { PostgresConnection, adaptSql };
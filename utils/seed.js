@@ -0,0 +1,24 @@
+// Default accounts, created on every server start once migrations have run.
+// ON CONFLICT DO NOTHING keeps existing rows (and changed passwords) untouched.
+
+const bcrypt = require('bcryptjs');
+
+const DEFAULT_USERS = [
+  { username: 'admin', email: 'admin@crowdfunding.com', password: 'admin123', role: 'admin', name: 'System Administrator' },
+  { username: 'donor1', email: 'donor1@example.com', password: 'donor123', role: 'donor', name: 'Demo Donor' },
+  { username: 'fundraiser1', email: 'fundraiser1@example.com', password: 'fundraiser123', role: 'fundraiser', name: 'Demo Fundraiser' }
+];
+
+/**
+ * Insert the default admin and demo accounts if they don't exist yet.
+ * @param {UserRepository} users - models.users
+ * @returns {Promise<void>}
+ */
+async function seedDefaultUsers(users) {
+  await Promise.all(DEFAULT_USERS.map((user) => users.createIfMissing({
+    ...user,
+    password: bcrypt.hashSync(user.password, 10)
+  })));
+}
+
+module.exports = { seedDefaultUsers, DEFAULT_USERS };
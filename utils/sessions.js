@@ -0,0 +1,134 @@
+// Access and refresh tokens
+// Signing in opens a session (the sessions table, see models/sessions.js) and returns:
+//  - an access token: a short-lived JWT sent as x-auth-token. It names its session,
+//    so middleware/auth.js rejects it as soon as the session is revoked
+//  - a refresh token: a random string exchanged at POST /api/auth/refresh for a new
+//    pair. Each one works once; presenting an already-rotated token revokes the
+//    session, since it means the token was copied
+// The functions take the repositories to write through, so sessions can be opened
+// inside models.transaction().
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+// Read when used, so tests and .env can set them after this module loads
+const settings = () => ({
+  secret: process.env.JWT_SECRET || 'fallback_jwt_secret_key_for_development',
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTokenTtlMs: Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30) * DAY_MS
+});
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Sign an access token for a session.
+ * @param {{id: number, role: string}} user
+ * @param {number} sessionId
+ * @returns {string}
+ */
+function signAccessToken(user, sessionId) {
+  const { secret, accessTokenTtl } = settings();
+  return jwt.sign({ user: { id: user.id, role: user.role }, sid: sessionId }, secret, { expiresIn: accessTokenTtl });
+}
+
+/**
+ * Open a session for a user who just signed in.
+ * @param {SessionRepository} sessions
+ * @param {{id: number, role: string}} user
+ * @param {object} [req] - Request the user signed in with, for the device details
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+async function createSession(sessions, user, req = null) {
+  const refreshToken = newRefreshToken();
+  const sessionId = await sessions.create({
+    userId: user.id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req ? req.get('user-agent') || null : null,
+    ipAddress: req ? req.ip : null,
+    expiresAt: new Date(Date.now() + settings().refreshTokenTtlMs)
+  });
+  return { token: signAccessToken(user, sessionId), refreshToken };
+}
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * @param {object} repos - models, not a transaction's repositories: the revocation of a
+ *   reused token has to stick although the call then throws
+ * @param {string} refreshToken
+ * @returns {Promise<{token: string, refreshToken: string, user: object}>}
+ * @throws {SessionError} When the token is unknown, expired, revoked or reused
+ */
+async function refreshSession({ sessions, users }, refreshToken) {
+  const tokenHash = hashToken(String(refreshToken));
+  const session = await sessions.findByTokenHash(tokenHash);
+  if (!session) {
+    throw new SessionError('Invalid refresh token');
+  }
+
+  if (session.refresh_token_hash !== tokenHash) {
+    // An old token came back: whoever holds the current one may not be the user
+    await sessions.revoke(session.id, session.user_id);
+    console.warn(`⚠️ Refresh token reused for session ${session.id} - session revoked`);
+    throw new SessionError('Refresh token has already been used');
+  }
+
+  const now = new Date();
+  const user = await users.findById(session.user_id);
+  if (!user || !(await sessions.findActive(session.id, session.user_id, now))) {
+    throw new SessionError('Session has expired or been revoked');
+  }
+
+  const nextToken = newRefreshToken();
+  const rotated = await sessions.rotate(session.id, {
+    tokenHash,
+    newTokenHash: hashToken(nextToken),
+    expiresAt: new Date(now.getTime() + settings().refreshTokenTtlMs),
+    now
+  });
+  if (!rotated) {
+    throw new SessionError('Refresh token has already been used');
+  }
+
+  return { token: signAccessToken(user, session.id), refreshToken: nextToken, user };
+}
+
+/**
+ * Check an access token and that its session is still active.
+ * @param {SessionRepository} sessions
+ * @param {string} token
+ * @returns {Promise<object|null>} The token payload ({user: {id, role}, sid}), or null
+ */
+async function verifyAccessToken(sessions, token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, settings().secret);
+  } catch (err) {
+    return null;
+  }
+  if (!decoded.sid || !decoded.user) {
+    return null;
+  }
+
+  const session = await sessions.findActive(decoded.sid, decoded.user.id);
+  return session ? decoded : null;
+}
+
+module.exports = {
+  SessionError,
+  hashToken,
+  signAccessToken,
+  createSession,
+  refreshSession,
+  verifyAccessToken
+};
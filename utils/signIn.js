@@ -0,0 +1,27 @@
+// The last step of every sign-in: password and wallet sign-in (routes/api/auth.js)
+// and Google / OpenID Connect sign-in (routes/api/identities.js)
+
+const models = require('../models');
+const { createSession } = require('./sessions');
+const { createTwoFactorChallenge } = require('./accountTokens');
+
+// Open a session, unless the user has two-factor authentication enabled: then the
+// client gets a challenge to send back with a code to POST api/auth/login/2fa
+const startSignIn = async (req, user) => {
+  if (await models.twoFactor.isEnabled(user.id)) {
+    return { twoFactorRequired: true, challengeToken: createTwoFactorChallenge(user) };
+  }
+  return createSession(models.sessions, user, req);
+};
+
+// The user as returned by the login routes
+const signedInUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  walletAddress: user.wallet_address,
+  emailVerified: Boolean(user.email_verified_at),
+});
+
+module.exports = { startSignIn, signedInUser };
@@ -0,0 +1,143 @@
+// Sign-In With Ethereum (EIP-4361)
+// The server hands out a single-use nonce together with the message to sign; the
+// wallet signs it with personal_sign and the signature is checked here by
+// recovering the signing address. routes/api/auth.js keeps track of the nonces.
+
+const crypto = require('crypto');
+const { Web3 } = require('web3');
+
+const web3 = new Web3();
+
+// How long a challenge can be signed and submitted for
+const NONCE_TTL_MS = 10 * 60 * 1000;
+
+const STATEMENT = 'Sign in to CrowdFunding with your Ethereum account.';
+
+const HEADER = /^(\S+) wants you to sign in with your Ethereum account:$/;
+const FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime'
+};
+
+class SiweError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SiweError';
+  }
+}
+
+// 32 hex characters; EIP-4361 asks for at least 8 alphanumerics
+const createNonce = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Build the EIP-4361 message for a challenge.
+ * @param {object} fields
+ * @param {string} fields.domain - Host the user is signing in to
+ * @param {string} fields.address - Signing address, in any case
+ * @param {string} fields.uri - Origin of the sign-in request
+ * @param {string|number} fields.chainId
+ * @param {string} fields.nonce
+ * @param {Date} fields.issuedAt
+ * @param {Date} fields.expirationTime
+ * @returns {string}
+ */
+function buildMessage({ domain, address, uri, chainId, nonce, issuedAt, expirationTime, statement = STATEMENT }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    Web3.utils.toChecksumAddress(address),
+    '',
+    statement,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expirationTime.toISOString()}`
+  ].join('\n');
+}
+
+/**
+ * Read the fields back out of a signed message.
+ * @param {string} message
+ * @returns {{domain: string, address: string, uri: string, version: string,
+ *   chainId: string, nonce: string, issuedAt: string, expirationTime?: string}}
+ * @throws {SiweError} When the message is not an EIP-4361 message
+ */
+function parseMessage(message) {
+  const lines = String(message).split('\n');
+  const header = HEADER.exec(lines[0]);
+  if (!header || !Web3.utils.isAddress(lines[1] || '')) {
+    throw new SiweError('Not a Sign-In With Ethereum message');
+  }
+
+  const fields = { domain: header[1], address: lines[1] };
+  for (const line of lines.slice(2)) {
+    const separator = line.indexOf(': ');
+    const key = FIELDS[line.slice(0, separator)];
+    if (separator > 0 && key) {
+      fields[key] = line.slice(separator + 2);
+    }
+  }
+
+  for (const key of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+    if (!fields[key]) {
+      throw new SiweError(`Sign-in message is missing ${key}`);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Check a signed message against what this server expects and recover the signer.
+ * Whether the nonce was issued and is still unused is up to the caller.
+ * @param {string} message
+ * @param {string} signature - personal_sign signature (0x-prefixed hex)
+ * @param {object} expected
+ * @param {string} expected.domain
+ * @param {string|number} expected.chainId
+ * @param {Date} [expected.now]
+ * @returns {object} The parsed fields, with `address` checksummed
+ * @throws {SiweError} Describing the first check that failed
+ */
+function verifyMessage(message, signature, { domain, chainId, now = new Date() }) {
+  const fields = parseMessage(message);
+
+  if (fields.domain !== domain) {
+    throw new SiweError(`Message is for ${fields.domain}, not ${domain}`);
+  }
+  if (fields.version !== '1') {
+    throw new SiweError(`Unsupported message version ${fields.version}`);
+  }
+  if (String(fields.chainId) !== String(chainId)) {
+    throw new SiweError(`Message is for chain ${fields.chainId}, not ${chainId}`);
+  }
+  if (fields.expirationTime && !(new Date(fields.expirationTime) > now)) {
+    throw new SiweError('Sign-in message has expired');
+  }
+
+  let signer;
+  try {
+    signer = web3.eth.accounts.recover(message, signature);
+  } catch (err) {
+    throw new SiweError('Invalid signature');
+  }
+  if (signer.toLowerCase() !== fields.address.toLowerCase()) {
+    throw new SiweError('Signature does not match the message address');
+  }
+
+  return { ...fields, address: Web3.utils.toChecksumAddress(fields.address) };
+}
+
+module.exports = {
+  NONCE_TTL_MS,
+  SiweError,
+  createNonce,
+  buildMessage,
+  parseMessage,
+  verifyMessage
+};
@@ -0,0 +1,76 @@
+// SQLite driver (DB_CLIENT=sqlite, the default)
+// Promise wrapper around a sqlite3 handle. utils/postgres.js implements the same
+// interface, so repositories, migrations and the chain indexer never touch the driver.
+
+const sqlite3 = require('sqlite3').verbose();
+
+// How long a connection waits for another connection's write lock before SQLITE_BUSY
+const BUSY_TIMEOUT = 5000;
+
+class SqliteConnection {
+  /**
+   * @param {string} filename - Database file
+   */
+  constructor(filename) {
+    this.db = new sqlite3.Database(filename);
+    this.db.configure('busyTimeout', BUSY_TIMEOUT);
+    this.dialect = 'sqlite';
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (err) {
+        if (err) return reject(err);
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) return reject(err);
+        resolve(row || null);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) return reject(err);
+        resolve(rows || []);
+      });
+    });
+  }
+
+  // Several statements at once, without parameters
+  exec(sql) {
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  // IMMEDIATE takes the write lock up front instead of on the first write
+  begin() {
+    return this.run('BEGIN IMMEDIATE');
+  }
+
+  async hasTable(table) {
+    const row = await this.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+    return Boolean(row);
+  }
+
+  async columns(table) {
+    const rows = await this.all(`PRAGMA table_info(${table})`);
+    return rows.map((col) => col.name);
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      this.db.close((err) => (err ? reject(err) : resolve()));
+    });
+  }
+}
+
+module.exports = { SqliteConnection, BUSY_TIMEOUT };
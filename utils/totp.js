@@ -0,0 +1,116 @@
+// Time-based one-time passwords (RFC 6238), as generated by authenticator apps
+// Secrets are exchanged in base32 (RFC 4648, unpadded); codes are 6 digits from
+// HMAC-SHA1 over 30-second steps, the defaults every authenticator app supports.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character "${char}"`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// A new 160-bit secret, base32-encoded
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const stepAt = (now = new Date()) => Math.floor(now.getTime() / 1000 / STEP_SECONDS);
+
+/**
+ * The code for a time step (HOTP, RFC 4226, with the step as the counter).
+ * @param {string} secret - base32
+ * @param {number} step
+ * @returns {string}
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code, allowing for clock drift of `window` steps either way.
+ * @param {string} secret - base32
+ * @param {string} code
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.window=1]
+ * @returns {number|null} The step the code belongs to, or null when it doesn't match.
+ *   Callers record it so a code can't be used twice.
+ */
+function verifyCode(secret, code, { now = new Date(), window = 1 } = {}) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) {
+    return null;
+  }
+  const current = stepAt(now);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * The otpauth:// URI authenticator apps import (usually scanned from a QR code).
+ * @param {object} params
+ * @param {string} params.secret - base32
+ * @param {string} params.accountName - Shown in the app, e.g. the email address
+ * @param {string} params.issuer
+ * @returns {string}
+ */
+function keyUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${query}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  stepAt,
+  keyUri
+};
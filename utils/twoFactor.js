@@ -0,0 +1,144 @@
+// Two-factor authentication
+// Users enroll by scanning a TOTP secret (utils/totp.js) into an authenticator app and
+// confirming a code, and get single-use recovery codes for when the app is lost. Once
+// enabled, every sign-in needs a code after the password (or wallet/Google) step.
+// After MAX_FAILED_ATTEMPTS wrong codes in a row the account takes no codes for
+// LOCK_MINUTES, so the 6 digits can't be guessed.
+// The platform setting twoFactorRequiredRoles makes 2FA mandatory for any of
+// ENFORCEABLE_ROLES: until they enroll, middleware/auth.js only lets them set it up.
+// Requiring it of fundraisers also covers everyone who runs a campaign's funds,
+// whatever their platform role.
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const totp = require('./totp');
+
+const ISSUER = 'Crowdfunding';
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+
+// Roles the platform can require 2FA for
+const ENFORCEABLE_ROLES = ['admin', 'reviewer', 'auditor', 'fundraiser'];
+
+class TwoFactorError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [status=401] - HTTP status for the routes to answer with
+   */
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.status = status;
+  }
+}
+
+// Compared case- and dash-insensitively, so 'ABCDE-12345' and 'abcde12345' both work
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * A new set of recovery codes, shown to the user once.
+ * @returns {{codes: string[], hashes: string[]}}
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * What an authenticator app needs to enroll: the secret, its otpauth:// URI and
+ * that URI as a QR code image.
+ * @param {string} secret
+ * @param {string} accountName
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>} qrCode is a data: URL (PNG)
+ */
+async function enrollmentDetails(secret, accountName) {
+  const otpauthUrl = totp.keyUri({ secret, accountName, issuer: ISSUER });
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+}
+
+/**
+ * Whether the user's role is one the platform requires 2FA for.
+ * @param {PlatformSettingRepository} platformSettings
+ * @param {string} role
+ * @returns {Promise<boolean>}
+ */
+async function isRequiredForRole(platformSettings, role) {
+  if (!ENFORCEABLE_ROLES.includes(role)) {
+    return false;
+  }
+  const roles = await platformSettings.get('twoFactorRequiredRoles');
+  return roles.includes(role);
+}
+
+/**
+ * Whether the platform requires 2FA of the user: for their role, or, when it is
+ * required of fundraisers, because they own or co-own a campaign and so create
+ * usage requests and withdraw its funds.
+ * @param {{platformSettings: PlatformSettingRepository, campaignMembers: CampaignMemberRepository}} repositories
+ * @param {{id: number, role: string}} user
+ * @returns {Promise<boolean>}
+ */
+async function isRequiredForUser({ platformSettings, campaignMembers }, user) {
+  if (await isRequiredForRole(platformSettings, user.role)) {
+    return true;
+  }
+  return await isRequiredForRole(platformSettings, 'fundraiser') && campaignMembers.runsCampaign(user.id);
+}
+
+/**
+ * Check a user's second factor: an authenticator code, or one of their recovery codes.
+ * Wrong codes count towards the lockout, so this must not run inside a transaction
+ * that is rolled back when it throws.
+ * @param {TwoFactorRepository} twoFactor
+ * @param {number} userId
+ * @param {{code?: string, recoveryCode?: string}} answer
+ * @param {Date} [now]
+ * @returns {Promise<'totp'|'recovery_code'>} How the user authenticated
+ * @throws {TwoFactorError}
+ */
+async function verifySecondFactor(twoFactor, userId, { code, recoveryCode }, now = new Date()) {
+  const record = await twoFactor.find(userId, now);
+  if (!record || !record.enabled_at) {
+    throw new TwoFactorError('Two-factor authentication is not enabled', 400);
+  }
+  if (Number(record.locked) === 1) {
+    throw new TwoFactorError('Too many incorrect codes. Try again later.', 429);
+  }
+
+  let valid = false;
+  if (recoveryCode) {
+    valid = await twoFactor.useRecoveryCode(userId, hashRecoveryCode(recoveryCode), now);
+  } else if (code) {
+    const step = totp.verifyCode(record.secret, code, { now });
+    valid = step !== null && await twoFactor.useStep(userId, step);
+  }
+
+  if (!valid) {
+    await twoFactor.recordFailure(userId, {
+      maxAttempts: MAX_FAILED_ATTEMPTS,
+      lockUntil: new Date(now.getTime() + LOCK_MINUTES * 60 * 1000)
+    });
+    throw new TwoFactorError(recoveryCode ? 'Invalid or already used recovery code' : 'Invalid authentication code');
+  }
+
+  if (record.failed_attempts > 0) {
+    await twoFactor.resetFailures(userId);
+  }
+  return recoveryCode ? 'recovery_code' : 'totp';
+}
+
+module.exports = {
+  ENFORCEABLE_ROLES,
+  TwoFactorError,
+  generateRecoveryCodes,
+  enrollmentDetails,
+  isRequiredForRole,
+  isRequiredForUser,
+  verifySecondFactor
+};
@@ -0,0 +1,88 @@
+// Fundraiser verification (KYC)
+// Fundraisers upload an identity document for themselves and proof of purpose
+// (medical bills, invoices, ...) for each campaign; reviewers go through each
+// document with its checklist (routes/api/admin.js). A campaign's badge follows
+// from what has been approved:
+//  - unverified:        its creator's identity hasn't been verified
+//  - identity_verified: the creator's identity has been verified
+//  - fully_verified:    and so has at least one proof of purpose for the campaign
+// Documents are personal data: they are kept in VERIFICATION_DIR (default
+// ./verification-documents), never under the public uploads directory, and only
+// served to their owner and to users with the verification:view permission.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const VERIFICATION_LEVELS = ['unverified', 'identity_verified', 'fully_verified'];
+
+const DOCUMENT_KINDS = ['identity', 'purpose'];
+
+const DOCUMENT_TYPES = {
+  identity: ['passport', 'national_id', 'drivers_license'],
+  purpose: ['medical_bill', 'invoice', 'quote', 'official_letter', 'other']
+};
+
+// What the reviewer confirms before approving a document; every item must be ticked
+const CHECKLISTS = {
+  identity: {
+    legible: 'The whole document is legible',
+    not_expired: 'The document has not expired',
+    name_matches: 'The name matches the account holder\'s legal name',
+    not_altered: 'No signs of tampering or editing'
+  },
+  purpose: {
+    legible: 'The whole document is legible',
+    issuer_identified: 'The issuer (hospital, school, supplier, ...) is identified',
+    beneficiary_matches: 'The beneficiary matches the campaign description',
+    amount_supports_goal: 'The amounts support the campaign goal',
+    not_altered: 'No signs of tampering or editing'
+  }
+};
+
+const ALLOWED_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// Read when used, so tests and .env can set it after this module loads
+const documentDir = () => path.resolve(process.env.VERIFICATION_DIR || './verification-documents');
+
+// Random names, so nothing about the owner or the original file name ends up on disk
+function storedFileName(originalName) {
+  const ext = path.extname(originalName || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return `${crypto.randomBytes(16).toString('hex')}${ext}`;
+}
+
+const documentPath = (fileName) => path.join(documentDir(), path.basename(fileName));
+
+// Delete the files of documents whose rows are gone (e.g. with their campaign)
+function removeDocumentFiles(documents) {
+  for (const { file_name: fileName } of documents) {
+    fs.rm(documentPath(fileName), { force: true }, (err) => {
+      if (err) console.error(`⚠️ Could not delete verification document ${fileName}:`, err.message);
+    });
+  }
+}
+
+/**
+ * The reviewer's checklist for a document, in CHECKLISTS order.
+ * @param {'identity'|'purpose'} kind
+ * @param {object} [checked] - Item key → true once confirmed
+ * @returns {Array<{key: string, label: string, checked: boolean}>}
+ */
+function checklistFor(kind, checked = {}) {
+  return Object.entries(CHECKLISTS[kind]).map(([key, label]) => ({ key, label, checked: checked[key] === true }));
+}
+
+module.exports = {
+  VERIFICATION_LEVELS,
+  DOCUMENT_KINDS,
+  DOCUMENT_TYPES,
+  CHECKLISTS,
+  ALLOWED_MIME_TYPES,
+  MAX_FILE_SIZE,
+  documentDir,
+  storedFileName,
+  documentPath,
+  removeDocumentFiles,
+  checklistFor
+};
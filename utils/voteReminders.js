@@ -0,0 +1,56 @@
+// Reminds donors to vote on usage requests
+// A request still pending REMINDER_DELAY after it was created gets one vote_reminder
+// notification to each of the campaign's donors who hasn't voted on it yet.
+
+const models = require('../models');
+const { notify } = require('./notifications');
+
+const REMINDER_DELAY = 3 * 24 * 60 * 60 * 1000; // 3 days
+const REMINDER_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+// Timestamps are stored as 'YYYY-MM-DD HH:MM:SS' UTC strings, like CURRENT_TIMESTAMP
+const toTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+let reminderTimer = null;
+
+/**
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<number>} How many donors were reminded
+ */
+async function remindVoters({ now = new Date() } = {}) {
+  let reminded = 0;
+  const requests = await models.usageRequests.listAwaitingReminder(toTimestamp(new Date(now.getTime() - REMINDER_DELAY)));
+  for (const request of requests) {
+    // Another run got there first
+    if (await models.usageRequests.markReminded(request.id, toTimestamp(now)) === 0) continue;
+
+    const campaign = await models.campaigns.findById(request.campaign_id);
+    if (!campaign) continue;
+    const voters = new Set(await models.usageRequests.voterIds(request.id));
+    const userIds = (await models.donations.donorIds(campaign.id)).filter((id) => !voters.has(id));
+    await notify(userIds, 'vote_reminder', {
+      campaignId: campaign.id,
+      data: { campaignTitle: campaign.title, title: request.title, amount: request.requested_amount }
+    });
+    reminded += userIds.length;
+  }
+
+  if (reminded > 0) {
+    console.log(`⏰ Reminded ${reminded} donor${reminded === 1 ? '' : 's'} to vote on usage requests`);
+  }
+  return reminded;
+}
+
+function startVoteReminders() {
+  if (reminderTimer) return;
+  reminderTimer = setInterval(() => {
+    remindVoters().catch((err) => console.error('❌ Vote reminder error:', err.message));
+  }, REMINDER_CHECK_INTERVAL);
+}
+
+module.exports = {
+  REMINDER_DELAY,
+  remindVoters,
+  startVoteReminders
+};
@@ -1,75 +1,207 @@
 const WebSocket = require('ws');
+const models = require('../models');
+const { verifyAccessToken } = require('./sessions');
+const { isRequiredForUser } = require('./twoFactor');
+const { userTopic, subscribe, canSubscribe } = require('./eventBus');
+
+// Real-time events over WebSocket (see utils/eventBus.js for the topics)
+// Clients authenticate with the same access token as the API, either in the URL
+// (ws://host/?token=…) or with a first message { type: 'auth', token }, and are
+// closed if they don't within AUTH_TIMEOUT_MS. A user can have any number of
+// connections; each one follows its own topics:
+//   → { type: 'subscribe', topic: 'campaign:12' }     ← { type: 'subscribed', topic }
+//   → { type: 'unsubscribe', topic: 'campaign:12' }   ← { type: 'unsubscribed', topic }
+//   ← { type: 'event', topic, event, data, at }
+// Signed-in connections follow their user:<id> topic from the start. Connections
+// whose session ends (sign-out, password or role change) are closed at the next
+// heartbeat.
+
+const AUTH_TIMEOUT_MS = 10 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+const MAX_TOPICS = 100;
+const MAX_MESSAGE_BYTES = 16 * 1024;
+
+// Close codes (4000-4999 are left to applications)
+const CLOSE_UNAUTHENTICATED = 4401;
+const CLOSE_SESSION_ENDED = 4403;
 
 class WebSocketServer {
-  constructor(server) {
-    this.wss = new WebSocket.Server({ server });
-    this.clients = new Map(); // userId -> WebSocket connection
-    
-    this.wss.on('connection', (ws, req) => {
-      console.log('New WebSocket connection');
-      
-      ws.on('message', (message) => {
-        try {
-          const data = JSON.parse(message);
-          this.handleMessage(ws, data);
-        } catch (error) {
-          console.error('Invalid WebSocket message:', error);
-        }
-      });
-      
-      ws.on('close', () => {
-        // Remove client from map
-        for (const [userId, clientWs] of this.clients.entries()) {
-          if (clientWs === ws) {
-            this.clients.delete(userId);
-            break;
-          }
-        }
-        console.log('WebSocket connection closed');
+  /**
+   * @param {http.Server} server
+   * @param {object} [options]
+   * @param {number} [options.heartbeatInterval] - Milliseconds between liveness and session checks
+   * @param {number} [options.authTimeout] - Milliseconds a connection may stay unauthenticated
+   */
+  constructor(server, { heartbeatInterval = HEARTBEAT_MS, authTimeout = AUTH_TIMEOUT_MS } = {}) {
+    this.wss = new WebSocket.Server({ server, maxPayload: MAX_MESSAGE_BYTES });
+    this.authTimeout = authTimeout;
+    this.clients = new Map(); // WebSocket -> { user, sessionId, topics, alive }
+    this.topics = new Map(); // topic -> Set of WebSockets
+
+    this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+    this.unsubscribe = subscribe((message) => this.deliver(message));
+    this.heartbeat = setInterval(() => {
+      this.checkConnections().catch((err) => console.error('❌ WebSocket heartbeat error:', err.message));
+    }, heartbeatInterval);
+  }
+
+  handleConnection(ws, req) {
+    const client = { user: null, sessionId: null, topics: new Set(), alive: true };
+    this.clients.set(ws, client);
+
+    ws.on('pong', () => { client.alive = true; });
+    ws.on('message', (message) => {
+      let data;
+      try {
+        data = JSON.parse(message);
+      } catch (error) {
+        return this.send(ws, { type: 'error', message: 'Messages must be JSON' });
+      }
+      this.handleMessage(ws, client, data || {}).catch((err) => {
+        console.error('❌ WebSocket message error:', err.message);
+        this.send(ws, { type: 'error', message: 'Server error' });
       });
     });
+    ws.on('close', () => this.forget(ws));
+    ws.on('error', (err) => console.error('WebSocket error:', err.message));
+
+    client.authTimer = setTimeout(() => {
+      if (!client.user) ws.close(CLOSE_UNAUTHENTICATED, 'Authentication required');
+    }, this.authTimeout);
+
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    if (token) {
+      this.authenticate(ws, client, token).catch((err) => {
+        console.error('❌ WebSocket authentication error:', err.message);
+        ws.close(1011, 'Server error');
+      });
+    }
   }
-  
-  handleMessage(ws, data) {
+
+  async handleMessage(ws, client, data) {
     switch (data.type) {
       case 'auth':
-        // Authenticate user and store connection
-        if (data.userId) {
-          this.clients.set(data.userId, ws);
-          ws.send(JSON.stringify({ type: 'auth_success' }));
-        }
-        break;
+        return this.authenticate(ws, client, data.token);
       case 'ping':
-        ws.send(JSON.stringify({ type: 'pong' }));
-        break;
+        return this.send(ws, { type: 'pong' });
+      case 'subscribe':
+      case 'unsubscribe':
+        if (!client.user) {
+          return this.send(ws, { type: 'error', message: 'Authenticate first' });
+        }
+        return data.type === 'subscribe'
+          ? this.follow(ws, client, data.topic)
+          : this.unfollow(ws, client, data.topic);
       default:
-        console.log('Unknown message type:', data.type);
+        return this.send(ws, { type: 'error', message: `Unknown message type: ${data.type}` });
     }
   }
-  
-  // Send notification to specific user
-  sendToUser(userId, notification) {
-    const client = this.clients.get(userId);
-    if (client && client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify({
-        type: 'notification',
-        data: notification
-      }));
+
+  // Same checks as middleware/auth.js
+  async authenticate(ws, client, token) {
+    if (client.user) {
+      return this.send(ws, { type: 'error', message: 'Already authenticated' });
     }
+
+    const decoded = typeof token === 'string' && await verifyAccessToken(models.sessions, token);
+    const user = decoded && await models.users.findById(decoded.user.id);
+    if (!user) {
+      this.send(ws, { type: 'error', message: 'Token is not valid' });
+      return ws.close(CLOSE_UNAUTHENTICATED, 'Token is not valid');
+    }
+    if (await isRequiredForUser(models, user) && !(await models.twoFactor.isEnabled(user.id))) {
+      this.send(ws, { type: 'error', message: 'Set up two-factor authentication to continue', code: 'TWO_FACTOR_SETUP_REQUIRED' });
+      return ws.close(CLOSE_UNAUTHENTICATED, 'Two-factor authentication required');
+    }
+
+    clearTimeout(client.authTimer);
+    client.user = { id: user.id, role: user.role };
+    client.sessionId = decoded.sid;
+    this.addToTopic(ws, client, userTopic(user.id));
+    this.send(ws, { type: 'auth_success', user: client.user, topics: [...client.topics] });
   }
-  
-  // Send notification to all connected users
-  broadcast(notification) {
-    const message = JSON.stringify({
-      type: 'notification',
-      data: notification
-    });
-    
-    this.clients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(message);
+
+  async follow(ws, client, topic) {
+    if (client.topics.has(topic)) {
+      return this.send(ws, { type: 'subscribed', topic });
+    }
+    if (client.topics.size >= MAX_TOPICS) {
+      return this.send(ws, { type: 'error', topic, message: `At most ${MAX_TOPICS} topics per connection` });
+    }
+    if (!(await canSubscribe(client.user, topic))) {
+      return this.send(ws, { type: 'error', topic, message: 'Not authorized for this topic' });
+    }
+    // The socket may have closed while the check ran
+    if (!this.clients.has(ws)) return undefined;
+    this.addToTopic(ws, client, topic);
+    this.send(ws, { type: 'subscribed', topic });
+  }
+
+  unfollow(ws, client, topic) {
+    client.topics.delete(topic);
+    const sockets = this.topics.get(topic);
+    if (sockets) {
+      sockets.delete(ws);
+      if (sockets.size === 0) this.topics.delete(topic);
+    }
+    this.send(ws, { type: 'unsubscribed', topic });
+  }
+
+  addToTopic(ws, client, topic) {
+    client.topics.add(topic);
+    if (!this.topics.has(topic)) this.topics.set(topic, new Set());
+    this.topics.get(topic).add(ws);
+  }
+
+  forget(ws) {
+    const client = this.clients.get(ws);
+    if (!client) return;
+    clearTimeout(client.authTimer);
+    for (const topic of client.topics) {
+      const sockets = this.topics.get(topic);
+      if (sockets) {
+        sockets.delete(ws);
+        if (sockets.size === 0) this.topics.delete(topic);
       }
-    });
+    }
+    this.clients.delete(ws);
+  }
+
+  deliver({ topic, event, data, at }) {
+    const sockets = this.topics.get(topic);
+    if (!sockets) return;
+    const message = JSON.stringify({ type: 'event', topic, event, data, at });
+    for (const ws of sockets) {
+      if (ws.readyState === WebSocket.OPEN) ws.send(message);
+    }
+  }
+
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+  }
+
+  // Drop connections that stopped answering pings or whose session has ended
+  async checkConnections() {
+    for (const [ws, client] of this.clients) {
+      if (!client.alive) {
+        ws.terminate();
+        continue;
+      }
+      client.alive = false;
+      ws.ping();
+
+      if (client.user && !(await models.sessions.findActive(client.sessionId, client.user.id))) {
+        this.send(ws, { type: 'error', message: 'Session ended' });
+        ws.close(CLOSE_SESSION_ENDED, 'Session ended');
+      }
+    }
+  }
+
+  close() {
+    clearInterval(this.heartbeat);
+    this.unsubscribe();
+    for (const ws of this.clients.keys()) ws.terminate();
+    return new Promise((resolve) => this.wss.close(() => resolve()));
   }
 }
 